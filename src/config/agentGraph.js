@@ -0,0 +1,455 @@
+/**
+ * Agent Graph Definition for the AgenticAI pipeline
+ * Declares the nodes, their handlers and the conditional edges between them
+ * @module config/agentGraph
+ *
+ * The entry is either a node name or a list of edges evaluated before the first node.
+ *
+ * Each node has:
+ * - description: short text shown in the Mermaid export
+ * - run(agent, state): handler, called with the AgenticAI instance and the turn state
+ * - output: state key where the handler result is stored
+ * - edges: ordered list of { to, when(state), label }; the first matching edge wins
+ * - respond(state): present on terminal nodes, builds the node-specific response fields
+ *
+ * The turn state starts with userMessage, sessionId, conversationHistory,
+ * userApiToken, handitToken, pendingAction (the API action waiting for the
+ * user's confirmation, or null) and attachments (code attached to the message).
+ */
+
+const { getClassifierMode } = require('./classifierConfig');
+const { getPhaseGuideKey } = require('./phaseGuides');
+
+/**
+ * Wrap a classifier node so it reuses the unified classifier decision when
+ * classifyIntent already ran, and makes its own LLM call otherwise
+ * @param {string} key - Key of the decision in the unified classification
+ * @param {Function} runSerial - Handler used in serial mode
+ * @returns {Function} Node handler
+ */
+function classified(key, runSerial) {
+    return (agent, state) => (state.classification ? state.classification[key] : runSerial(agent, state));
+}
+
+/**
+ * Get the Phase 2/3 guide the onboarding user should follow this turn
+ * @param {Object} state - Turn state
+ * @returns {string|null} Guide key, or null outside onboarding, in Phase 1 or when the guide is completed
+ */
+function activeGuide(state) {
+    if (!state.onboarding) {
+        return null;
+    }
+    const guideKey = getPhaseGuideKey(state.phase);
+    const progress = guideKey ? state.onboarding.profile.phaseGuides?.[guideKey] : null;
+    return guideKey && !progress?.completed ? guideKey : null;
+}
+
+/**
+ * Check if the user attached code to the message
+ * @param {Object} state - Turn state
+ * @returns {boolean} True when there is a code attachment
+ */
+function hasCodeAttachment(state) {
+    return state.attachments.some(attachment => attachment.type === 'code');
+}
+
+/**
+ * Build response fields for answers produced during onboarding
+ * @param {Object} onBoardingResponse - Onboarding result
+ * @returns {Object} Response fields
+ */
+function onBoardingFields(onBoardingResponse) {
+    return {
+        onBoarding: onBoardingResponse,
+        extractedInfo: onBoardingResponse.extractedInfo,
+        nodeType: 'on_boarding_process',
+        evaluators_added: onBoardingResponse.evaluators_added,
+        custom_evaluator_management: onBoardingResponse.custom_evaluator_management,
+        on_boarding_observability_finished: onBoardingResponse.on_boarding_observability_finished,
+        on_boarding_evaluation_finished: onBoardingResponse.on_boarding_evaluation_finished,
+        on_boarding_selfimproving_finished: onBoardingResponse.on_boarding_selfimproving_finished,
+        ...onBoardingResponse
+    };
+}
+
+/**
+ * Build response fields for the general knowledge branch, which is reached
+ * both from general inquiries and from onboarding users past the first steps
+ * @param {Object} state - Turn state
+ * @returns {Object} Response fields
+ */
+function respondGeneral(state) {
+    const generalResponse = state.generalResponse;
+
+    // Replies to an active flow skip the classifiers and have no orientation
+    if (state.orientation?.on_boarding === true) {
+        // Turns routed before phaseClassification (pasted code) have no phase
+        const phase = state.phase || {};
+        return onBoardingFields({
+            answer: generalResponse.answer,
+            type: 'onboarding_general_knowledge',
+            phase: phase.phase || null,
+            isStarting: phase.isStarting || false,
+            phaseDetails: state.phase || null,
+            extractedInfo: null,
+            generalKnowledge: generalResponse,
+            evaluators_added: generalResponse.evaluators_added,
+            custom_evaluator_management: generalResponse.custom_evaluator_management,
+            nextSteps: [],
+            explanation: 'User not starting from scratch, providing contextual response via generalKnowledge',
+            ...generalResponse
+        });
+    }
+
+    return {
+        generalKnowledge: generalResponse,
+        nodeType: 'general_inquiry',
+        ...generalResponse
+    };
+}
+
+const agentGraph = {
+    entry: [
+        { to: 'pendingActionReply', when: state => state.pendingAction !== null, label: 'pending confirmation' },
+        // Replies inside an evaluator or optimization flow skip the classifiers,
+        // which could take a pasted sample or a model number for an off-topic message
+        { to: 'evaluatorFlowCheck', label: 'check active flows' }
+    ],
+
+    nodes: {
+        pendingActionReply: {
+            description: 'Approve or reject the pending API action?',
+            run: (agent, state) => agent.resolvePendingAction(state.sessionId, state.userMessage, state.pendingAction),
+            output: 'confirmation',
+            edges: [
+                { to: 'executeConfirmedAction', when: state => state.confirmation.decision === 'approve', label: 'approved' },
+                { to: 'pendingActionRejected', when: state => state.confirmation.decision === 'reject', label: 'rejected' },
+                { to: 'evaluatorFlowCheck', label: 'new request' }
+            ]
+        },
+
+        executeConfirmedAction: {
+            description: 'Run the approved API action or plan',
+            run: (agent, state) => agent.runPendingAction(
+                state.pendingAction,
+                state.conversationHistory,
+                state.userApiToken,
+                state.sessionId
+            ),
+            output: 'generalResponse',
+            respond: state => ({
+                generalKnowledge: state.generalResponse,
+                nodeType: 'api_action',
+                ...state.generalResponse
+            })
+        },
+
+        pendingActionRejected: {
+            description: 'Cancel the pending API action',
+            run: (agent, state) => agent.rejectPendingAction(state.pendingAction),
+            output: 'generalResponse',
+            respond: state => ({
+                nodeType: 'api_action',
+                ...state.generalResponse
+            })
+        },
+
+        evaluatorFlowCheck: {
+            description: 'Evaluator connection flow in progress?',
+            run: (agent, state) => agent.evaluatorConnectionService.hasActiveFlow(state.sessionId),
+            output: 'evaluatorFlowActive',
+            edges: [
+                { to: 'continueEvaluatorFlow', when: state => state.evaluatorFlowActive === true, label: 'active flow' },
+                { to: 'optimizationFlowCheck' }
+            ]
+        },
+
+        optimizationFlowCheck: {
+            description: 'Optimization flow in progress?',
+            run: (agent, state) => agent.optimizationFlowService.hasActiveFlow(state.sessionId),
+            output: 'optimizationFlowActive',
+            edges: [
+                { to: 'continueOptimizationFlow', when: state => state.optimizationFlowActive === true, label: 'active flow' },
+                { to: 'classifyIntent', when: () => getClassifierMode() === 'unified', label: 'unified classifier' },
+                { to: 'routerIntention', label: 'serial classifiers' }
+            ]
+        },
+
+        continueOptimizationFlow: {
+            description: 'Continue optimization flow',
+            run: (agent, state) => agent.continueOptimizationFlow(state.sessionId, state.userMessage),
+            output: 'generalResponse',
+            respond: respondGeneral
+        },
+
+        continueEvaluatorFlow: {
+            description: 'Continue evaluator connection flow',
+            run: (agent, state) => agent.continueEvaluatorFlow(state.sessionId, state.userMessage),
+            output: 'generalResponse',
+            respond: respondGeneral
+        },
+
+        classifyIntent: {
+            description: 'All routing decisions in one call',
+            run: (agent, state) => agent.classifyIntent(state.userMessage, state.conversationHistory, state.userApiToken),
+            output: 'classification',
+            edges: [
+                { to: 'routerIntention' }
+            ]
+        },
+
+        routerIntention: {
+            description: 'Is the message about Handit?',
+            run: classified('intention', (agent, state) => agent.routerIntention(state.userMessage, state.conversationHistory)),
+            output: 'intention',
+            edges: [
+                { to: 'anotherTopic', when: state => state.intention.handit === false, label: 'off topic' },
+                { to: 'orientIntention' }
+            ]
+        },
+
+        anotherTopic: {
+            description: 'Polite redirection',
+            run: (agent, state) => agent.anotherTopic(state.userMessage, state.conversationHistory, state.intention),
+            output: 'redirect',
+            respond: state => ({
+                answer: state.redirect.answer,
+                nodeType: 'another_topic_redirect'
+            })
+        },
+
+        orientIntention: {
+            description: 'Onboarding or general inquiry?',
+            run: classified('orientation', (agent, state) => agent.orientIntention(state.userMessage, state.conversationHistory, state.intention)),
+            output: 'orientation',
+            edges: [
+                // Pasted code is checked whatever else the message asks, onboarding included
+                { to: 'checkIntegration', when: hasCodeAttachment, label: 'code attached' },
+                { to: 'phaseClassification', when: state => state.orientation.on_boarding === true, label: 'onboarding' },
+                { to: 'detectEvaluatorConnectionRequest', label: 'general' }
+            ]
+        },
+
+        phaseClassification: {
+            description: 'Which setup phase is the user in?',
+            run: classified('phase', (agent, state) => agent.phaseClassification(state.userMessage, state.conversationHistory, state.intention)),
+            output: 'phase',
+            edges: [
+                { to: 'updateOnboardingProfile' }
+            ]
+        },
+
+        updateOnboardingProfile: {
+            description: 'Store setup answers in the profile',
+            run: (agent, state) => agent.updateOnboardingProfile(
+                state.sessionId,
+                state.userMessage,
+                state.conversationHistory,
+                state.classification ? state.classification.profileUpdates : null
+            ),
+            output: 'onboarding',
+            edges: [
+                {
+                    to: 'setupHandit',
+                    when: state => state.phase.phase1_observability && state.onboarding.questionStatus.allQuestionsAsked === true,
+                    label: 'all questions asked'
+                },
+                { to: 'questionContext', when: state => state.phase.isStarting === true, label: 'starting' },
+                { to: 'detectEvaluatorConnectionRequest', label: 'past first steps' }
+            ]
+        },
+
+        setupHandit: {
+            description: 'Tailored setup instructions',
+            run: (agent, state) => agent.setupHandit(state.userMessage, state.conversationHistory, state.onboarding.profile, state.handitToken),
+            output: 'setupInfo',
+            respond: state => onBoardingFields({
+                answer: state.setupInfo.answer,
+                type: 'onboarding_with_setup',
+                phase: state.phase.phase,
+                isStarting: state.phase.isStarting,
+                phaseDetails: state.phase,
+                extractedInfo: state.onboarding.profile,
+                onboardingProfile: state.onboarding.profile,
+                setupInfo: state.setupInfo,
+                nextSteps: state.setupInfo.nextSteps || [],
+                explanation: 'All questions completed, proceeding with tailored setup instructions',
+                on_boarding_observability_finished: true,
+                questionStatus: state.onboarding.questionStatus
+            })
+        },
+
+        questionContext: {
+            description: 'Ask the next setup question',
+            run: (agent, state) => agent.questionContext(state.sessionId, state.userMessage, state.conversationHistory, state.onboarding),
+            output: 'contextQuestions',
+            respond: state => onBoardingFields({
+                answer: state.contextQuestions.answer,
+                type: 'onboarding_questions',
+                phase: state.phase.phase,
+                isStarting: state.phase.isStarting,
+                phaseDetails: state.phase,
+                extractedInfo: null, // Setup instructions wait until all questions are asked
+                onboardingProfile: state.onboarding.profile,
+                contextQuestions: state.contextQuestions,
+                nextSteps: [],
+                explanation: 'User starting from scratch, asking questions step by step',
+                questionStatus: state.onboarding.questionStatus
+            })
+        },
+
+        detectEvaluatorConnectionRequest: {
+            description: 'Wants to connect evaluators?',
+            run: classified('evaluatorRequest', (agent, state) => agent.evaluatorConnectionService.detectEvaluatorConnectionRequest(state.userMessage, state.conversationHistory)),
+            output: 'evaluatorRequest',
+            edges: [
+                {
+                    to: 'startEvaluatorManagement',
+                    when: state => state.evaluatorRequest.isEvaluatorRequest && state.evaluatorRequest.confidence > 0.7 && state.evaluatorRequest.operation === 'manage',
+                    label: 'manage attached evaluators'
+                },
+                {
+                    to: 'startEvaluatorAuthoring',
+                    when: state => state.evaluatorRequest.isEvaluatorRequest && state.evaluatorRequest.confidence > 0.7 && state.evaluatorRequest.operation === 'create',
+                    label: 'write custom evaluator'
+                },
+                {
+                    to: 'startEvaluatorConnection',
+                    when: state => state.evaluatorRequest.isEvaluatorRequest && state.evaluatorRequest.confidence > 0.7,
+                    label: 'evaluator request'
+                },
+                { to: 'detectOptimizationRequest' }
+            ]
+        },
+
+        startEvaluatorConnection: {
+            description: 'Start evaluator connection flow',
+            run: (agent, state) => agent.startEvaluatorConnection(state.sessionId, state.userApiToken),
+            output: 'generalResponse',
+            respond: respondGeneral
+        },
+
+        startEvaluatorManagement: {
+            description: 'List, detach or replace attached evaluators',
+            run: (agent, state) => agent.startEvaluatorManagement(state.sessionId, state.userApiToken),
+            output: 'generalResponse',
+            respond: respondGeneral
+        },
+
+        startEvaluatorAuthoring: {
+            description: 'Write a custom LLM-as-judge evaluator',
+            run: (agent, state) => agent.startEvaluatorAuthoring(state.sessionId, state.userApiToken),
+            output: 'generalResponse',
+            respond: respondGeneral
+        },
+
+        detectOptimizationRequest: {
+            description: 'Wants to run an optimization?',
+            run: classified('optimizationRequest', (agent, state) => agent.detectOptimizationRequest(state.userMessage, state.conversationHistory)),
+            output: 'optimizationRequest',
+            edges: [
+                {
+                    to: 'handleOptimizationRequest',
+                    when: state => state.optimizationRequest.isOptimizationRequest && state.optimizationRequest.confidence > 0.7,
+                    label: 'optimization request'
+                },
+                { to: 'phaseGuide', when: state => activeGuide(state) !== null, label: 'phase 2/3 onboarding' },
+                { to: 'evaluateApiAction' }
+            ]
+        },
+
+        handleOptimizationRequest: {
+            description: 'Start optimization flow',
+            run: (agent, state) => agent.handleOptimizationRequest(state.optimizationRequest, state.userApiToken, state.sessionId),
+            output: 'generalResponse',
+            respond: respondGeneral
+        },
+
+        phaseGuide: {
+            description: 'Guided Phase 2/3 walkthrough',
+            run: (agent, state) => agent.phaseGuide(
+                state.sessionId,
+                state.userMessage,
+                state.conversationHistory,
+                activeGuide(state),
+                state.onboarding.profile,
+                state.userApiToken
+            ),
+            output: 'guideResponse',
+            respond: state => onBoardingFields({
+                answer: state.guideResponse.answer,
+                type: 'onboarding_phase_guide',
+                phase: state.phase.phase,
+                isStarting: state.phase.isStarting,
+                phaseDetails: state.phase,
+                extractedInfo: null,
+                onboardingProfile: state.onboarding.profile,
+                nextSteps: [],
+                explanation: `Guiding the user through ${state.phase.phase} step by step`,
+                ...state.guideResponse
+            })
+        },
+
+        evaluateApiAction: {
+            description: 'Does the request need an API action?',
+            // The unified classifier only gates the call; the action and its arguments always come from a tool call
+            run: (agent, state) => (state.classification && !state.classification.apiAction.shouldExecute
+                ? state.classification.apiAction
+                : agent.evaluateApiAction(state.userMessage, state.conversationHistory, state.userApiToken)),
+            output: 'apiEvaluation',
+            edges: [
+                { to: 'planApiActions', when: state => Boolean(state.apiEvaluation.shouldExecute && state.apiEvaluation.needsPlan), label: 'several API actions' },
+                { to: 'executeApiAction', when: state => Boolean(state.apiEvaluation.shouldExecute), label: 'API action' },
+                { to: 'generalKnowledge', label: 'documentation' }
+            ]
+        },
+
+        executeApiAction: {
+            description: 'Execute API action',
+            run: (agent, state) => agent.executeApiAction(
+                state.apiEvaluation.actionName,
+                state.apiEvaluation.parameters || {},
+                state.userMessage,
+                state.conversationHistory,
+                state.userApiToken,
+                state.sessionId
+            ),
+            output: 'generalResponse',
+            respond: respondGeneral
+        },
+
+        planApiActions: {
+            description: 'Plan and run several API actions',
+            run: (agent, state) => agent.planApiActions(
+                state.sessionId,
+                state.apiEvaluation.goal,
+                state.userMessage,
+                state.conversationHistory,
+                state.userApiToken
+            ),
+            output: 'generalResponse',
+            respond: respondGeneral
+        },
+
+        generalKnowledge: {
+            description: 'Documentation answer',
+            run: (agent, state) => agent.generalKnowledge(state.userMessage, state.conversationHistory),
+            output: 'generalResponse',
+            respond: respondGeneral
+        },
+
+        checkIntegration: {
+            description: 'Check pasted code against the SDK setup docs',
+            run: (agent, state) => agent.checkIntegration(
+                state.userMessage,
+                state.conversationHistory,
+                state.attachments.filter(attachment => attachment.type === 'code')
+            ),
+            output: 'generalResponse',
+            respond: respondGeneral
+        }
+    }
+};
+
+module.exports = agentGraph;
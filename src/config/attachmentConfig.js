@@ -0,0 +1,81 @@
+/**
+ * Message Attachment Configuration
+ * Attachments accepted by the chat endpoints next to the question
+ * @module config/attachmentConfig
+ *
+ * An attachment is { type, content, language?, filename? }. Code attachments
+ * are the user's agent code, checked against the Handit SDK setup by the
+ * checkIntegration node.
+ */
+
+/**
+ * Supported attachment types
+ * - code: source file of the user's agent (Python or JavaScript/TypeScript)
+ */
+const ATTACHMENT_TYPES = ['code'];
+
+/**
+ * Languages a code attachment can declare; detected from the code when missing
+ */
+const CODE_LANGUAGES = ['python', 'javascript', 'typescript'];
+
+/**
+ * Maximum number of attachments per message
+ */
+const MAX_ATTACHMENTS = 3;
+
+/**
+ * Maximum characters of one attachment
+ */
+const MAX_ATTACHMENT_LENGTH = 20000;
+
+/**
+ * Validate the attachments of a chat request
+ * @param {*} attachments - attachments body field
+ * @returns {Array<string>} Errors (empty when the attachments are valid or missing)
+ */
+function validateAttachments(attachments) {
+    if (attachments === undefined || attachments === null) {
+        return [];
+    }
+    if (!Array.isArray(attachments)) {
+        return ['attachments must be an array'];
+    }
+
+    const errors = [];
+    if (attachments.length > MAX_ATTACHMENTS) {
+        errors.push(`at most ${MAX_ATTACHMENTS} attachments are allowed`);
+    }
+
+    attachments.forEach((attachment, index) => {
+        const prefix = `attachments[${index}]`;
+        if (!attachment || typeof attachment !== 'object') {
+            errors.push(`${prefix} must be an object`);
+            return;
+        }
+        if (!ATTACHMENT_TYPES.includes(attachment.type)) {
+            errors.push(`${prefix}.type must be one of: ${ATTACHMENT_TYPES.join(', ')}`);
+        }
+        if (typeof attachment.content !== 'string' || attachment.content.trim().length === 0) {
+            errors.push(`${prefix}.content is required`);
+        } else if (attachment.content.length > MAX_ATTACHMENT_LENGTH) {
+            errors.push(`${prefix}.content must be at most ${MAX_ATTACHMENT_LENGTH} characters`);
+        }
+        if (attachment.language !== undefined && attachment.language !== null && !CODE_LANGUAGES.includes(attachment.language)) {
+            errors.push(`${prefix}.language must be one of: ${CODE_LANGUAGES.join(', ')}`);
+        }
+        if (attachment.filename !== undefined && attachment.filename !== null && typeof attachment.filename !== 'string') {
+            errors.push(`${prefix}.filename must be a string`);
+        }
+    });
+
+    return errors;
+}
+
+module.exports = {
+    ATTACHMENT_TYPES,
+    CODE_LANGUAGES,
+    MAX_ATTACHMENTS,
+    MAX_ATTACHMENT_LENGTH,
+    validateAttachments
+};
@@ -0,0 +1,70 @@
+/**
+ * Chat Control Commands
+ * Commands answered by the CommandService before the agent graph runs, without an LLM call
+ * @module config/chatCommands
+ *
+ * Each command has:
+ * - description: text listed by /help
+ * - aliases: slash forms, matched case-insensitively
+ * - phrases: natural-language equivalents, matched against the whole message
+ *   (after lowercasing and trimming punctuation) so questions that merely
+ *   contain the word, like "how do I cancel an evaluator?", still reach the agent
+ */
+
+const chatCommands = {
+    reset: {
+        description: 'Cancel any active flow and clear your onboarding profile to start over',
+        aliases: ['/reset', '/restart'],
+        phrases: ['reset', 'start over', 'restart', 'start again', 'empezar de nuevo', 'reiniciar']
+    },
+    cancel: {
+        description: 'Cancel the flow in progress (evaluator connection, optimization, API action confirmation or onboarding guide)',
+        aliases: ['/cancel', '/stop'],
+        phrases: ['cancel', 'stop', 'never mind', 'nevermind', 'cancel that', 'cancelar', 'olvidalo', 'olvídalo']
+    },
+    status: {
+        description: 'Show the flow and onboarding step this session is on',
+        aliases: ['/status'],
+        phrases: ['status', 'where am i', 'estado']
+    },
+    help: {
+        description: 'List the commands and what the assistant can do',
+        aliases: ['/help', '/?'],
+        phrases: ['help', 'ayuda']
+    }
+};
+
+/**
+ * What the assistant can do, listed by /help
+ */
+const capabilities = [
+    'Guide you through Handit.ai onboarding: AI Observability, Quality Evaluation and Self-Improving AI',
+    'Answer questions about the Handit.ai documentation and SDKs',
+    'Connect evaluators to your models, and detach or replace the ones already attached',
+    'Write custom LLM-as-judge evaluators, preview them on a sample and create them',
+    'Run prompt optimizations for your models',
+    'Run Handit.ai API actions on your account (requires an API token)'
+];
+
+/**
+ * Find the command a message invokes
+ * @param {string} message - User message
+ * @returns {string|null} Command name, or null when the message is not a command
+ */
+function matchCommand(message) {
+    const text = (message || '').trim().toLowerCase();
+
+    if (text.startsWith('/')) {
+        const alias = text.split(/\s+/)[0];
+        return Object.keys(chatCommands).find(name => chatCommands[name].aliases.includes(alias)) || null;
+    }
+
+    const phrase = text.replace(/^[\s¡¿]+|[\s.!?]+$/g, '');
+    return Object.keys(chatCommands).find(name => chatCommands[name].phrases.includes(phrase)) || null;
+}
+
+module.exports = {
+    chatCommands,
+    capabilities,
+    matchCommand
+};
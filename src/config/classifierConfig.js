@@ -0,0 +1,33 @@
+/**
+ * Intent Classifier Configuration
+ * Chooses between the single multi-label classifier and the serial classifier chain
+ * @module config/classifierConfig
+ */
+
+/**
+ * Supported classifier modes
+ * - unified: one LLM call returns every routing decision (intention, orientation,
+ *   phase, question status, evaluator/optimization requests and API action)
+ * - serial: each classifier node makes its own LLM call, one after another
+ */
+const CLASSIFIER_MODES = ['unified', 'serial'];
+
+/**
+ * Get the classifier mode from the CLASSIFIER_MODE environment variable
+ * @returns {string} 'unified' (default) or 'serial'
+ */
+function getClassifierMode() {
+    const mode = (process.env.CLASSIFIER_MODE || 'unified').toLowerCase();
+
+    if (!CLASSIFIER_MODES.includes(mode)) {
+        console.warn(`⚠️ Unknown CLASSIFIER_MODE "${mode}", using unified`);
+        return 'unified';
+    }
+
+    return mode;
+}
+
+module.exports = {
+    CLASSIFIER_MODES,
+    getClassifierMode
+};
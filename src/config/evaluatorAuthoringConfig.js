@@ -0,0 +1,61 @@
+/**
+ * Custom Evaluator Authoring Configuration
+ * Scoring scales offered when a user writes an LLM-as-judge evaluator from chat
+ * @module config/evaluatorAuthoringConfig
+ */
+
+/**
+ * Scoring scales of a custom evaluator
+ * - label: shown to the user
+ * - instructions: scoring rule written into the drafted evaluation prompt
+ * - max: highest score, used to show preview results
+ */
+const SCORING_SCALES = [
+    {
+        id: 'pass_fail',
+        label: 'Pass / fail',
+        instructions: 'Score 1 when the output meets every criterion and 0 when it fails any of them.',
+        max: 1
+    },
+    {
+        id: 'one_to_five',
+        label: '1 to 5',
+        instructions: 'Score from 1 (fails the criteria) to 5 (fully meets the criteria).',
+        max: 5
+    },
+    {
+        id: 'one_to_ten',
+        label: '1 to 10',
+        instructions: 'Score from 1 (fails the criteria) to 10 (fully meets the criteria).',
+        max: 10
+    }
+];
+
+/**
+ * Minimum characters of the evaluation criteria
+ */
+const MIN_CRITERIA_LENGTH = 15;
+
+/**
+ * Find the scoring scale a reply picks: list number, range end or pass/fail wording
+ * @param {string} reply - User reply
+ * @returns {Object|null} Scoring scale, or null when the reply picks none
+ */
+function matchScoringScale(reply) {
+    const text = (reply || '').trim().toLowerCase();
+
+    const listNumber = text.match(/^#?\s*(\d)[.)]?$/);
+    if (listNumber) {
+        return SCORING_SCALES[parseInt(listNumber[1]) - 1] || null;
+    }
+    if (/\b10\b|\bten\b|\bdiez\b/.test(text)) return SCORING_SCALES[2];
+    if (/\b5\b|\bfive\b|\bcinco\b/.test(text)) return SCORING_SCALES[1];
+    if (/pass|fail|binary|yes\s*\/\s*no|aprob|reprob/.test(text)) return SCORING_SCALES[0];
+    return null;
+}
+
+module.exports = {
+    SCORING_SCALES,
+    MIN_CRITERIA_LENGTH,
+    matchScoringScale
+};
@@ -0,0 +1,58 @@
+/**
+ * Message Feedback Configuration
+ * Rating scale and reason categories accepted by POST /api/ai/messages/:messageId/feedback
+ * @module config/feedbackConfig
+ */
+
+/**
+ * Rating scale, the same as knowledge_usage.user_feedback
+ */
+const MIN_RATING = 1;
+const MAX_RATING = 5;
+
+/**
+ * Reason categories a rating can be filed under
+ * - incorrect: the answer states something wrong
+ * - incomplete: steps or details are missing
+ * - outdated: the answer describes an older version of Handit.ai
+ * - not_relevant: the answer does not address the question
+ * - code_error: the code does not run as written
+ * - unclear: the answer is hard to follow
+ * - helpful: the answer solved the problem
+ * - other: anything else, explained in the comment
+ */
+const FEEDBACK_REASONS = ['incorrect', 'incomplete', 'outdated', 'not_relevant', 'code_error', 'unclear', 'helpful', 'other'];
+
+/**
+ * Maximum length of the free text comment
+ */
+const MAX_COMMENT_LENGTH = 2000;
+
+/**
+ * Validate a feedback submission
+ * @param {Object} feedback - { rating, reason, comment }
+ * @returns {Array<string>} Errors (empty when the feedback is valid)
+ */
+function validateFeedback({ rating, reason, comment } = {}) {
+    const errors = [];
+
+    if (!Number.isInteger(rating) || rating < MIN_RATING || rating > MAX_RATING) {
+        errors.push(`rating must be an integer from ${MIN_RATING} to ${MAX_RATING}`);
+    }
+    if (reason !== undefined && reason !== null && !FEEDBACK_REASONS.includes(reason)) {
+        errors.push(`reason must be one of: ${FEEDBACK_REASONS.join(', ')}`);
+    }
+    if (comment !== undefined && comment !== null && (typeof comment !== 'string' || comment.length > MAX_COMMENT_LENGTH)) {
+        errors.push(`comment must be a string of at most ${MAX_COMMENT_LENGTH} characters`);
+    }
+
+    return errors;
+}
+
+module.exports = {
+    MIN_RATING,
+    MAX_RATING,
+    FEEDBACK_REASONS,
+    MAX_COMMENT_LENGTH,
+    validateFeedback
+};
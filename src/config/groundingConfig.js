@@ -0,0 +1,51 @@
+/**
+ * Grounding Verification Configuration
+ * Chooses what happens to documentation answers with statements that the
+ * retrieved documentation does not support
+ * @module config/groundingConfig
+ */
+
+/**
+ * Supported grounding modes
+ * - rewrite: unsupported statements are corrected or removed before the answer is sent,
+ *   so the answer does not stream
+ * - flag: the answer streams and a note listing the unsupported statements follows it
+ * - off: no verification; the answer streams as it is generated
+ */
+const GROUNDING_MODES = ['rewrite', 'flag', 'off'];
+
+/**
+ * Nodes whose answers are verified against the documentation they retrieved
+ */
+const GROUNDED_NODES = ['generalKnowledge'];
+
+/**
+ * Get the grounding mode from the GROUNDING_MODE environment variable
+ * @returns {string} 'rewrite', 'flag' (default) or 'off'
+ */
+function getGroundingMode() {
+    const mode = (process.env.GROUNDING_MODE || 'flag').toLowerCase();
+
+    if (!GROUNDING_MODES.includes(mode)) {
+        console.warn(`⚠️ Unknown GROUNDING_MODE "${mode}", using flag`);
+        return 'flag';
+    }
+
+    return mode;
+}
+
+/**
+ * Check if the answers of a node are verified
+ * @param {string} nodeName - Agent node name
+ * @returns {boolean} True when the node is grounded and the mode is not off
+ */
+function isGroundingEnabled(nodeName) {
+    return GROUNDED_NODES.includes(nodeName) && getGroundingMode() !== 'off';
+}
+
+module.exports = {
+    GROUNDING_MODES,
+    GROUNDED_NODES,
+    getGroundingMode,
+    isGroundingEnabled
+};
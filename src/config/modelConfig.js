@@ -13,6 +13,8 @@ function getModelConfig(modelName) {
     const isO1Model = modelName?.includes('o1');
     const isGPT4Model = modelName?.includes('gpt-4');
     const isGPT35Model = modelName?.includes('gpt-3.5');
+    const isJsonSchemaModel = /gpt-4o|gpt-4\.1/.test(modelName || '');
+    const isJsonObjectModel = isJsonSchemaModel || /gpt-4-turbo|gpt-4-1106|gpt-4-0125|gpt-3\.5-turbo/.test(modelName || '');
     
     return {
         // Token limits
@@ -39,6 +41,12 @@ function getModelConfig(modelName) {
             stream: !isO1Model // o1 models don't support streaming
         },
         
+        // Structured output support (response_format)
+        // json_schema: output constrained to a schema, json_object: any valid JSON, none: prompt only
+        structuredOutput: {
+            mode: isJsonSchemaModel ? 'json_schema' : (isJsonObjectModel ? 'json_object' : 'none')
+        },
+        
         // Model capabilities
         capabilities: {
             reasoning: isO1Model,
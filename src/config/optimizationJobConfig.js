@@ -0,0 +1,63 @@
+/**
+ * Optimization Job Configuration
+ * Statuses and polling settings of the optimization jobs started from chat
+ * @module config/optimizationJobConfig
+ */
+
+/**
+ * Job statuses
+ * - queued: stored, the optimization has not been requested yet
+ * - running: the Handit API accepted the optimization and it is being polled
+ * - completed / failed: final statuses, a follow-up message was posted to the session
+ */
+const JOB_STATUSES = ['queued', 'running', 'completed', 'failed'];
+
+/**
+ * Job statuses of a job that has not finished yet
+ */
+const ACTIVE_JOB_STATUSES = ['queued', 'running'];
+
+/**
+ * Statuses of the Handit API that end an optimization
+ */
+const COMPLETED_STATUSES = ['completed', 'succeeded', 'success', 'done'];
+const FAILED_STATUSES = ['failed', 'error', 'cancelled', 'canceled'];
+
+/**
+ * Map an optimization status of the Handit API to a job status
+ * @param {string} status - Status returned by the API
+ * @returns {string} 'completed', 'failed' or 'running' for any other status
+ */
+function toJobStatus(status) {
+    const value = (status || '').toLowerCase();
+
+    if (COMPLETED_STATUSES.includes(value)) return 'completed';
+    if (FAILED_STATUSES.includes(value)) return 'failed';
+    return 'running';
+}
+
+/**
+ * Get the polling settings of optimization jobs
+ * @returns {Object} { pollIntervalMs, timeoutMs, staleAfterMs }
+ */
+function getOptimizationJobConfig() {
+    const pollIntervalMs = (parseInt(process.env.OPTIMIZATION_POLL_INTERVAL_SECONDS, 10) || 15) * 1000;
+
+    return {
+        pollIntervalMs: pollIntervalMs,
+        // Jobs still running after this are marked failed and stop being polled
+        timeoutMs: (parseInt(process.env.OPTIMIZATION_JOB_TIMEOUT_MINUTES, 10) || 30) * 60 * 1000,
+        // Active jobs without a heartbeat for this long have lost their instance; never less than 3 polls
+        staleAfterMs: Math.max(
+            (parseInt(process.env.OPTIMIZATION_JOB_STALE_MINUTES, 10) || 5) * 60 * 1000,
+            pollIntervalMs * 3
+        )
+    };
+}
+
+module.exports = {
+    JOB_STATUSES,
+    ACTIVE_JOB_STATUSES,
+    toJobStatus,
+    getOptimizationJobConfig
+};
@@ -0,0 +1,343 @@
+/**
+ * Output Schemas for Structured LLM Nodes
+ * JSON schemas of the outputs returned by the classifier and analysis nodes,
+ * used by aiService.generateStructured for JSON mode and validation.
+ * Orientation and phase flags are optional: missing flags
+ * are filled in by the agent's normalize* methods.
+ * @module config/outputSchemas
+ */
+
+const confidence = { type: 'number', minimum: 0, maximum: 1 };
+const text = { type: 'string' };
+const nullableText = { type: ['string', 'null'] };
+
+const intention = {
+    type: 'object',
+    properties: {
+        handit: { type: 'boolean' },
+        explanation: text
+    },
+    required: ['handit']
+};
+
+const orientation = {
+    type: 'object',
+    properties: {
+        on_boarding: { type: 'boolean' },
+        general: { type: 'boolean' },
+        reasoning: text
+    }
+};
+
+const phase = {
+    type: 'object',
+    properties: {
+        phase1_observability: { type: 'boolean' },
+        phase2_evaluation: { type: 'boolean' },
+        phase3_selfimproving: { type: 'boolean' },
+        isStarting: { type: 'boolean' },
+        phase: {
+            type: 'string',
+            enum: ['Phase 1: AI Observability', 'Phase 2: Quality Evaluation', 'Phase 3: Self-Improving AI']
+        },
+        explanation: text
+    }
+};
+
+const profileUpdates = {
+    type: 'object',
+    properties: {
+        appName: nullableText,
+        agentProjectType: nullableText,
+        stack: nullableText,
+        programmingLanguage: nullableText
+    }
+};
+
+const evaluatorRequest = {
+    type: 'object',
+    properties: {
+        isEvaluatorRequest: { type: 'boolean' },
+        // connect: attach new evaluators, manage: list, detach or replace attached ones,
+        // create: write a custom evaluator
+        operation: { type: 'string', enum: ['connect', 'manage', 'create'] },
+        confidence: confidence,
+        reasoning: text
+    },
+    required: ['isEvaluatorRequest', 'confidence']
+};
+
+const optimizationRequest = {
+    type: 'object',
+    properties: {
+        isOptimizationRequest: { type: 'boolean' },
+        confidence: confidence,
+        extractedInfo: {
+            type: ['object', 'null'],
+            properties: {
+                modelId: nullableText,
+                modelLogId: nullableText,
+                reasoning: text
+            }
+        }
+    },
+    required: ['isOptimizationRequest', 'confidence']
+};
+
+const apiAction = {
+    type: 'object',
+    properties: {
+        shouldExecute: { type: 'boolean' },
+        actionName: nullableText,
+        reasoning: text,
+        confidence: confidence
+    },
+    required: ['shouldExecute']
+};
+
+/**
+ * Schemas keyed by the node name passed to generateStructured
+ */
+const outputSchemas = {
+    classifyIntent: {
+        type: 'object',
+        properties: {
+            intention,
+            orientation,
+            phase,
+            profileUpdates,
+            evaluatorRequest,
+            optimizationRequest,
+            apiAction
+        },
+        // Missing sections get defaults in AgenticAI.normalizeClassification
+        required: ['intention']
+    },
+    routerIntention: intention,
+    orientIntention: orientation,
+    phaseClassification: phase,
+    extractProfileUpdates: profileUpdates,
+    questionContext: {
+        type: 'object',
+        properties: {
+            userLanguage: text,
+            answer: { type: 'string' }
+        },
+        required: ['answer']
+    },
+    phaseGuide: {
+        type: 'object',
+        properties: {
+            advance: { type: 'boolean' },
+            // Start the action of the current step again
+            startAction: { type: 'boolean' },
+            answer: { type: 'string' }
+        },
+        required: ['advance', 'answer']
+    },
+    checkIntegration: {
+        type: 'object',
+        properties: {
+            summary: text,
+            findings: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    properties: {
+                        id: text,
+                        severity: { type: 'string', enum: ['error', 'warning'] },
+                        title: text,
+                        explanation: text,
+                        fix: nullableText
+                    },
+                    required: ['id', 'severity', 'title', 'explanation']
+                }
+            },
+            patchedCode: nullableText
+        },
+        required: ['summary', 'findings', 'patchedCode']
+    },
+    planApiActions: {
+        type: 'object',
+        properties: {
+            feasible: { type: 'boolean' },
+            reason: text,
+            steps: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    properties: {
+                        id: text,
+                        type: { type: 'string', enum: ['action', 'select'] },
+                        description: text,
+                        action: nullableText,
+                        parameters: { type: ['object', 'null'] },
+                        forEach: nullableText,
+                        from: nullableText,
+                        criteria: nullableText
+                    },
+                    required: ['id', 'type', 'description']
+                }
+            }
+        },
+        required: ['feasible', 'steps']
+    },
+    selectPlanItems: {
+        type: 'object',
+        properties: {
+            selectedIndexes: { type: 'array', items: { type: 'integer', minimum: 0 } },
+            reasoning: text
+        },
+        required: ['selectedIndexes']
+    },
+    verifyGrounding: {
+        type: 'object',
+        properties: {
+            claims: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    properties: {
+                        claim: text,
+                        supported: { type: 'boolean' },
+                        evidence: nullableText,
+                        correction: nullableText
+                    },
+                    required: ['claim', 'supported']
+                }
+            }
+        },
+        required: ['claims']
+    },
+    detectOptimizationRequest: optimizationRequest,
+    detectEvaluatorConnectionRequest: evaluatorRequest,
+    analyzeUserTokenIntent: {
+        type: 'object',
+        properties: {
+            action: { type: 'string', enum: ['create_new', 'use_existing', 'unclear'] },
+            selectedTokenIndex: { type: ['integer', 'null'], minimum: 0 },
+            confidence: confidence,
+            reasoning: text
+        },
+        required: ['action']
+    },
+    analyzeProviderSelection: {
+        type: 'object',
+        properties: {
+            selectedProvider: { type: ['object', 'null'] },
+            confidence: confidence,
+            reasoning: text
+        },
+        required: ['selectedProvider']
+    },
+    analyzeTokenNameInput: {
+        type: 'object',
+        properties: {
+            extractedName: nullableText,
+            confidence: confidence,
+            reasoning: text
+        },
+        required: ['extractedName']
+    },
+    analyzeTokenValueInput: {
+        type: 'object',
+        properties: {
+            extractedToken: nullableText,
+            confidence: confidence,
+            reasoning: text
+        },
+        required: ['extractedToken']
+    },
+    analyzeCreateEditIntent: {
+        type: 'object',
+        properties: {
+            wantsToCreateEdit: { type: 'boolean' },
+            // create: write a new evaluator in chat, edit: change an existing one
+            mode: { type: 'string', enum: ['create', 'edit'] },
+            confidence: confidence,
+            reasoning: text
+        },
+        required: ['wantsToCreateEdit']
+    },
+    analyzeSingleEvaluatorSelection: {
+        type: 'object',
+        properties: {
+            selectedEvaluator: { type: ['object', 'null'] },
+            confidence: confidence,
+            reasoning: text
+        },
+        required: ['selectedEvaluator']
+    },
+    analyzeEvaluatorSelection: {
+        type: 'object',
+        properties: {
+            selectedEvaluators: { type: 'array', items: { type: 'object' } },
+            confidence: confidence,
+            reasoning: text
+        },
+        required: ['selectedEvaluators']
+    },
+    analyzeModelSelection: {
+        type: 'object',
+        properties: {
+            selectedModels: { type: 'array', items: { type: 'object' } },
+            confidence: confidence,
+            reasoning: text
+        },
+        required: ['selectedModels']
+    },
+    analyzeProviderModelSelection: {
+        type: 'object',
+        properties: {
+            selectedModel: nullableText,
+            confidence: confidence,
+            reasoning: text
+        },
+        required: ['selectedModel']
+    },
+    analyzeOptimizationSelection: {
+        type: 'object',
+        properties: {
+            selectedNumber: { type: ['integer', 'null'] },
+            confidence: confidence,
+            reasoning: text
+        },
+        required: ['selectedNumber']
+    },
+    draftEvaluationPrompt: {
+        type: 'object',
+        properties: {
+            name: text,
+            description: text,
+            prompt: text
+        },
+        required: ['name', 'prompt']
+    },
+    previewEvaluation: {
+        type: 'object',
+        properties: {
+            score: { type: ['number', 'null'] },
+            reasoning: text
+        },
+        required: ['score']
+    }
+};
+
+/**
+ * Get the output schema of a node
+ * @param {string} nodeName - Node name
+ * @returns {Object} JSON schema
+ * @throws {Error} If the node has no schema
+ */
+function getOutputSchema(nodeName) {
+    const schema = outputSchemas[nodeName];
+    if (!schema) {
+        throw new Error(`No output schema defined for node "${nodeName}"`);
+    }
+    return schema;
+}
+
+module.exports = {
+    outputSchemas,
+    getOutputSchema
+};
@@ -0,0 +1,97 @@
+/**
+ * Guided Onboarding Flows for Phase 2 and Phase 3
+ * Step-by-step walkthroughs shown to onboarding users after the Phase 1 setup
+ * @module config/phaseGuides
+ *
+ * Each guide has:
+ * - phase: phase name as returned by phaseClassification
+ * - finishedFlag: response flag set when the guide's final action succeeds
+ * - steps: ordered list of { id, title, instructions, action }
+ *   - instructions: what the guide LLM explains at that step
+ *   - action: optional concrete action run when the step is reached
+ *     ('connect_evaluators' starts the EvaluatorConnectionService flow,
+ *     'run_optimization' starts the OptimizationFlowService flow)
+ */
+
+const phaseGuides = {
+    phase2: {
+        phase: 'Phase 2: Quality Evaluation',
+        finishedFlag: 'on_boarding_evaluation_finished',
+        steps: [
+            {
+                id: 'evaluation_overview',
+                title: 'How Quality Evaluation works',
+                instructions: 'Explain how Handit.ai automatically evaluates the traced LLM calls of their agent with LLM-as-judge evaluators, why it matters for their project type, and that it builds on the Phase 1 tracing.'
+            },
+            {
+                id: 'evaluator_provider',
+                title: 'Evaluator model provider',
+                instructions: 'Explain that evaluators run on the user\'s own model provider (for example OpenAI) through an evaluation token, which can be created during the connection step if they do not have one yet.'
+            },
+            {
+                id: 'choose_evaluators',
+                title: 'Choosing evaluators',
+                instructions: 'Suggest evaluators that fit their project type (for example completeness, correctness, hallucination or format) and tell them the next step connects the evaluators to their models.'
+            },
+            {
+                id: 'connect_evaluators',
+                title: 'Connect evaluators',
+                instructions: 'Start connecting evaluators to their models.',
+                action: 'connect_evaluators'
+            }
+        ]
+    },
+    phase3: {
+        phase: 'Phase 3: Self-Improving AI',
+        finishedFlag: 'on_boarding_selfimproving_finished',
+        steps: [
+            {
+                id: 'optimization_overview',
+                title: 'How Self-Improving AI works',
+                instructions: 'Explain how Handit.ai uses the evaluation results to generate improved prompts for the nodes that perform poorly, and that it needs Phase 1 tracing and Phase 2 evaluators.'
+            },
+            {
+                id: 'release_hub',
+                title: 'Release Hub',
+                instructions: 'Explain how optimized prompts are compared against the current prompt and deployed from the Release Hub, and how their code fetches the deployed prompt in their programming language.'
+            },
+            {
+                id: 'run_optimization',
+                title: 'Run your first optimization',
+                instructions: 'Explain that they will pick the model to optimize and one of its recent failing log entries, and that the optimization only runs once they confirm.',
+                action: 'run_optimization'
+            }
+        ]
+    }
+};
+
+/**
+ * Get the guide key of a phase classification
+ * @param {Object} phase - Phase classification result
+ * @returns {string|null} 'phase2', 'phase3' or null for Phase 1
+ */
+function getPhaseGuideKey(phase) {
+    if (phase?.phase2_evaluation) return 'phase2';
+    if (phase?.phase3_selfimproving) return 'phase3';
+    return null;
+}
+
+/**
+ * Get a phase guide
+ * @param {string} key - Guide key ('phase2' or 'phase3')
+ * @returns {Object} Guide definition
+ * @throws {Error} If the guide does not exist
+ */
+function getPhaseGuide(key) {
+    const guide = phaseGuides[key];
+    if (!guide) {
+        throw new Error(`Unknown phase guide "${key}"`);
+    }
+    return guide;
+}
+
+module.exports = {
+    phaseGuides,
+    getPhaseGuideKey,
+    getPhaseGuide
+};
@@ -0,0 +1,49 @@
+/**
+ * Pipeline Configuration
+ * Chooses which agent pipeline answers a chat turn
+ * @module config/pipelineConfig
+ */
+
+/**
+ * Supported pipeline modes
+ * - agentic-ai: the agent graph of config/agentGraph (services/agenticAi)
+ * - agentic-system: router → context questioner → phase router → phase
+ *   specialist LLMs (services/agenticSystem)
+ */
+const PIPELINE_MODES = ['agentic-ai', 'agentic-system'];
+
+/**
+ * Request header that selects the pipeline of one request
+ */
+const PIPELINE_HEADER = 'x-pipeline-mode';
+
+/**
+ * Get the deployment pipeline mode from the PIPELINE_MODE environment variable
+ * @returns {string} 'agentic-ai' (default) or 'agentic-system'
+ */
+function getPipelineMode() {
+    const mode = (process.env.PIPELINE_MODE || 'agentic-ai').toLowerCase();
+
+    if (!PIPELINE_MODES.includes(mode)) {
+        console.warn(`⚠️ Unknown PIPELINE_MODE "${mode}", using agentic-ai`);
+        return 'agentic-ai';
+    }
+
+    return mode;
+}
+
+/**
+ * Check if a value is a supported pipeline mode
+ * @param {string} mode - Requested mode
+ * @returns {boolean} True when the mode exists
+ */
+function isPipelineMode(mode) {
+    return typeof mode === 'string' && PIPELINE_MODES.includes(mode.toLowerCase());
+}
+
+module.exports = {
+    PIPELINE_MODES,
+    PIPELINE_HEADER,
+    getPipelineMode,
+    isPipelineMode
+};
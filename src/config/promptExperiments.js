@@ -0,0 +1,66 @@
+/**
+ * Prompt Experiment Configuration
+ * A/B tests of prompt versions on a share of the chat traffic
+ * @module config/promptExperiments
+ */
+
+/**
+ * Experiment definitions
+ * - id: stable experiment identifier, recorded on each assistant message
+ * - prompt: registry prompt under test (prompt names match the node names)
+ * - enabled: only enabled experiments assign variants; disabled ones keep their results
+ * - variants: prompt versions under test with their share of the traffic
+ *   (weights are relative, the first variant is the control)
+ *
+ * A prompt can be in one enabled experiment at a time. Sessions are bucketed
+ * by sessionId, so a conversation keeps the same variant on every turn.
+ *
+ * Example:
+ *   {
+ *       id: 'general-knowledge-concise',
+ *       prompt: 'generalKnowledge',
+ *       enabled: true,
+ *       variants: [
+ *           { name: 'control', version: 1, weight: 80 },
+ *           { name: 'concise', version: 2, weight: 20 }
+ *       ]
+ *   }
+ */
+const PROMPT_EXPERIMENTS = [];
+
+/**
+ * Check if experiments are turned on
+ * PROMPT_EXPERIMENTS=false sends all traffic to the active prompt versions
+ * @returns {boolean} True unless disabled by the environment
+ */
+function areExperimentsEnabled() {
+    return process.env.PROMPT_EXPERIMENTS !== 'false';
+}
+
+/**
+ * Get an experiment definition
+ * @param {string} experimentId - Experiment identifier
+ * @returns {Object|null} Experiment or null if it does not exist
+ */
+function getExperiment(experimentId) {
+    return PROMPT_EXPERIMENTS.find(experiment => experiment.id === experimentId) || null;
+}
+
+/**
+ * Get the enabled experiment of a prompt
+ * @param {string} promptName - Registry prompt name
+ * @returns {Object|null} Experiment or null when the prompt is not under test
+ */
+function getActiveExperiment(promptName) {
+    if (!areExperimentsEnabled()) {
+        return null;
+    }
+    return PROMPT_EXPERIMENTS.find(experiment => experiment.enabled && experiment.prompt === promptName) || null;
+}
+
+module.exports = {
+    PROMPT_EXPERIMENTS,
+    areExperimentsEnabled,
+    getExperiment,
+    getActiveExperiment
+};
@@ -0,0 +1,91 @@
+/**
+ * Retrieval Configuration for Agent Nodes
+ * Defines how much documentation each node pulls into its prompt
+ * @module config/retrievalConfig
+ */
+
+/**
+ * Default budget used by nodes without a specific entry
+ * - topK: number of chunks requested from the vector index
+ * - minScore: minimum similarity score for a chunk to be kept
+ * - maxChars: maximum characters of documentation pasted into the prompt
+ * - historyMessages: previous user messages added to the retrieval query
+ * - includeOverview: always include the Handit.ai overview chunk
+ * - answerNode: chunks feed the final answer (tracked as used_in_response)
+ */
+const defaultBudget = {
+    topK: parseInt(process.env.MAX_RESULTS) || 5,
+    minScore: 0.5,
+    maxChars: 6000,
+    historyMessages: 2,
+    includeOverview: false,
+    answerNode: false
+};
+
+/**
+ * Per-node retrieval budgets
+ * Classifiers get a small slice of the docs, answer nodes get the most
+ */
+const nodeBudgets = {
+    classifyIntent: {
+        topK: 4,
+        maxChars: 5000,
+        historyMessages: 4,
+        includeOverview: true
+    },
+    routerIntention: {
+        topK: 3,
+        maxChars: 3000,
+        includeOverview: true
+    },
+    orientIntention: {
+        topK: 3,
+        maxChars: 3000,
+        includeOverview: true
+    },
+    phaseClassification: {
+        topK: 4,
+        maxChars: 5000,
+        historyMessages: 4
+    },
+    setupHandit: {
+        topK: 6,
+        maxChars: 16000,
+        historyMessages: 6,
+        answerNode: true
+    },
+    phaseGuide: {
+        topK: 5,
+        maxChars: 10000,
+        historyMessages: 4,
+        answerNode: true
+    },
+    checkIntegration: {
+        topK: 6,
+        maxChars: 12000,
+        answerNode: true
+    },
+    generalKnowledge: {
+        topK: 6,
+        maxChars: 12000,
+        answerNode: true
+    }
+};
+
+/**
+ * Get the retrieval budget for a node
+ * @param {string} nodeName - Agent node name
+ * @returns {Object} Retrieval budget
+ */
+function getRetrievalBudget(nodeName) {
+    return {
+        ...defaultBudget,
+        ...(nodeBudgets[nodeName] || {})
+    };
+}
+
+module.exports = {
+    defaultBudget,
+    nodeBudgets,
+    getRetrievalBudget
+};
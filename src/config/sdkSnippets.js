@@ -0,0 +1,345 @@
+/**
+ * SDK Setup Snippet Library
+ * Vetted Phase 1 installation and tracing code, keyed by stack
+ * @module config/sdkSnippets
+ *
+ * setupHandit no longer asks the LLM to write setup code. The LLM writes the
+ * prose and places {{SNIPPET:<id>}} markers; the markers are replaced with
+ * these templates (see utils/sdkSnippets).
+ *
+ * Each stack has:
+ * - label: name shown to the user
+ * - language: code block language of the snippets
+ * - match: lowercase keywords matched against the onboarding profile stack and
+ *   programming language (the first stack with a match wins, so frameworks
+ *   come before plain languages)
+ * - snippets: ordered list of { id, title, language, code }
+ *
+ * Template placeholders:
+ * - {{HANDIT_API_KEY}}: user's Handit token, or a placeholder when unknown
+ * - {{AGENT_NAME}}: agent name derived from the profile appName
+ */
+
+const PYTHON_INSTALL = 'pip install -U "handit-sdk>=1.16.0" python-dotenv';
+
+const PYTHON_ENV = 'HANDIT_API_KEY={{HANDIT_API_KEY}}';
+
+const PYTHON_CONFIG = `"""
+handit_service.py - Shared Handit.ai tracker
+"""
+import os
+from dotenv import load_dotenv
+from handit import HanditTracker
+
+load_dotenv()
+
+tracker = HanditTracker()
+tracker.config(api_key=os.getenv("HANDIT_API_KEY"))`;
+
+const JAVASCRIPT_INSTALL = 'npm install @handit.ai/node';
+
+const JAVASCRIPT_ENV = 'HANDIT_API_KEY={{HANDIT_API_KEY}}';
+
+const JAVASCRIPT_CONFIG = `// handit_service.js - Shared Handit.ai configuration
+import { config } from '@handit.ai/node';
+
+config({
+  apiKey: process.env.HANDIT_API_KEY,
+});`;
+
+const sdkSnippets = {
+    langchain: {
+        label: 'LangChain (Python)',
+        language: 'python',
+        match: ['langchain'],
+        snippets: [
+            { id: 'install', title: 'Install the SDK', language: 'bash', code: PYTHON_INSTALL },
+            { id: 'env', title: 'Add your API key', language: 'bash', code: PYTHON_ENV },
+            { id: 'config', title: 'Configure the tracker', language: 'python', code: PYTHON_CONFIG },
+            {
+                id: 'tracing',
+                title: 'Trace your chain',
+                language: 'python',
+                code: `from langchain_openai import ChatOpenAI
+from langchain_core.prompts import ChatPromptTemplate
+from handit_service import tracker
+
+SYSTEM_PROMPT = "You are a helpful assistant."
+prompt = ChatPromptTemplate.from_messages([
+    ("system", SYSTEM_PROMPT),
+    ("user", "{input}")
+])
+chain = prompt | ChatOpenAI(model="gpt-4o")
+
+def run_chain(user_message: str) -> str:
+    tracing_response = tracker.start_tracing(agent_name="{{AGENT_NAME}}")
+    execution_id = tracing_response.get("executionId")
+
+    try:
+        answer = chain.invoke({"input": user_message}).content
+
+        # Track the chain's LLM call
+        tracker.track_node(
+            input={
+                "systemPrompt": SYSTEM_PROMPT,
+                "userPrompt": user_message,
+                "extraDetails": {"framework": "langchain", "model": "gpt-4o"}
+            },
+            output=answer,
+            node_name="chain_llm",
+            agent_name="{{AGENT_NAME}}",
+            node_type="llm",
+            execution_id=execution_id
+        )
+        return answer
+    finally:
+        tracker.end_tracing(
+            execution_id=execution_id,
+            agent_name="{{AGENT_NAME}}"
+        )`
+            }
+        ]
+    },
+    langgraph: {
+        label: 'LangGraph (Python)',
+        language: 'python',
+        match: ['langgraph'],
+        snippets: [
+            { id: 'install', title: 'Install the SDK', language: 'bash', code: PYTHON_INSTALL },
+            { id: 'env', title: 'Add your API key', language: 'bash', code: PYTHON_ENV },
+            { id: 'config', title: 'Configure the tracker', language: 'python', code: PYTHON_CONFIG },
+            {
+                id: 'tracing',
+                title: 'Trace your graph nodes',
+                language: 'python',
+                code: `from handit_service import tracker
+
+SYSTEM_PROMPT = "You are a helpful assistant."
+
+# Each graph node tracks itself with the execution_id kept in the state
+def respond_node(state: dict) -> dict:
+    answer = call_llm(SYSTEM_PROMPT, state["input"])  # Your existing LLM call
+
+    tracker.track_node(
+        input={
+            "systemPrompt": SYSTEM_PROMPT,
+            "userPrompt": state["input"],
+            "extraDetails": {"framework": "langgraph"}
+        },
+        output=answer,
+        node_name="respond_node",
+        agent_name="{{AGENT_NAME}}",
+        node_type="llm",
+        execution_id=state["execution_id"]
+    )
+    return {"output": answer}
+
+def run_graph(app, user_message: str) -> dict:
+    tracing_response = tracker.start_tracing(agent_name="{{AGENT_NAME}}")
+    execution_id = tracing_response.get("executionId")
+
+    try:
+        return app.invoke({"input": user_message, "execution_id": execution_id})
+    finally:
+        tracker.end_tracing(
+            execution_id=execution_id,
+            agent_name="{{AGENT_NAME}}"
+        )`
+            }
+        ]
+    },
+    n8n: {
+        label: 'n8n',
+        language: 'javascript',
+        match: ['n8n'],
+        snippets: [
+            {
+                id: 'install',
+                title: 'Install the SDK on your n8n instance',
+                language: 'bash',
+                code: `npm install @handit.ai/node
+# Allow Code nodes to import it
+export NODE_FUNCTION_ALLOW_EXTERNAL=@handit.ai/node`
+            },
+            { id: 'env', title: 'Add your API key to the n8n environment', language: 'bash', code: JAVASCRIPT_ENV },
+            {
+                id: 'config',
+                title: 'Configure Handit.ai in a Code node',
+                language: 'javascript',
+                code: `const { config } = require('@handit.ai/node');
+
+config({
+  apiKey: $env.HANDIT_API_KEY,
+});`
+            },
+            {
+                id: 'tracing',
+                title: 'Trace the workflow from a Code node after your AI step',
+                language: 'javascript',
+                code: `const { startTracing, trackNode, endTracing } = require('@handit.ai/node');
+
+const tracingResponse = await startTracing({ agentName: '{{AGENT_NAME}}' });
+const executionId = tracingResponse.executionId;
+
+try {
+  // Output of the previous AI node in the workflow
+  const item = $input.first().json;
+
+  await trackNode({
+    input: {
+      systemPrompt: item.systemPrompt,
+      userPrompt: item.userPrompt,
+    },
+    output: item.output,
+    nodeName: 'ai_agent',
+    agentName: '{{AGENT_NAME}}',
+    nodeType: 'llm',
+    executionId,
+  });
+} finally {
+  await endTracing({ executionId, agentName: '{{AGENT_NAME}}' });
+}
+
+return $input.all();`
+            }
+        ]
+    },
+    python: {
+        label: 'Python',
+        language: 'python',
+        match: ['python', 'py', 'fastapi', 'django', 'flask'],
+        snippets: [
+            { id: 'install', title: 'Install the SDK', language: 'bash', code: PYTHON_INSTALL },
+            { id: 'env', title: 'Add your API key', language: 'bash', code: PYTHON_ENV },
+            { id: 'config', title: 'Configure the tracker', language: 'python', code: PYTHON_CONFIG },
+            {
+                id: 'tracing',
+                title: 'Trace your agent',
+                language: 'python',
+                code: `from handit_service import tracker
+
+def run_agent(user_message: str) -> str:
+    # Start a trace session for this run
+    tracing_response = tracker.start_tracing(agent_name="{{AGENT_NAME}}")
+    execution_id = tracing_response.get("executionId")
+
+    try:
+        system_prompt = "You are a helpful assistant."
+        answer = call_llm(system_prompt, user_message)  # Your existing LLM call
+
+        # Track each LLM call (use node_type="tool" for tools)
+        tracker.track_node(
+            input={
+                "systemPrompt": system_prompt,
+                "userPrompt": user_message,
+                "extraDetails": {"model": "gpt-4o"}
+            },
+            output=answer,
+            node_name="response_generator",
+            agent_name="{{AGENT_NAME}}",
+            node_type="llm",
+            execution_id=execution_id
+        )
+        return answer
+    finally:
+        # End the trace session when the workflow has finished
+        tracker.end_tracing(
+            execution_id=execution_id,
+            agent_name="{{AGENT_NAME}}"
+        )`
+            }
+        ]
+    },
+    javascript: {
+        label: 'JavaScript',
+        language: 'javascript',
+        match: ['javascript', 'js', 'typescript', 'ts', 'node', 'nodejs', 'node.js'],
+        snippets: [
+            { id: 'install', title: 'Install the SDK', language: 'bash', code: JAVASCRIPT_INSTALL },
+            { id: 'env', title: 'Add your API key', language: 'bash', code: JAVASCRIPT_ENV },
+            { id: 'config', title: 'Configure Handit.ai', language: 'javascript', code: JAVASCRIPT_CONFIG },
+            {
+                id: 'tracing',
+                title: 'Trace your agent',
+                language: 'javascript',
+                code: `import './handit_service.js';
+import { startTracing, trackNode, endTracing } from '@handit.ai/node';
+
+export async function runAgent(userMessage) {
+  // Start a trace session for this run
+  const tracingResponse = await startTracing({ agentName: '{{AGENT_NAME}}' });
+  const executionId = tracingResponse.executionId;
+
+  try {
+    const systemPrompt = 'You are a helpful assistant.';
+    const answer = await callLLM(systemPrompt, userMessage); // Your existing LLM call
+
+    // Track each LLM call (use nodeType: 'tool' for tools)
+    await trackNode({
+      input: {
+        systemPrompt,
+        userPrompt: userMessage,
+        extraDetails: { model: 'gpt-4o' },
+      },
+      output: answer,
+      nodeName: 'response_generator',
+      agentName: '{{AGENT_NAME}}',
+      nodeType: 'llm',
+      executionId,
+    });
+
+    return answer;
+  } finally {
+    // End the trace session when the workflow has finished
+    await endTracing({ executionId, agentName: '{{AGENT_NAME}}' });
+  }
+}`
+            }
+        ]
+    }
+};
+
+/**
+ * Stack used when the profile does not name a supported one
+ */
+const DEFAULT_SNIPPET_STACK = 'python';
+
+/**
+ * Resolve the snippet stack of an onboarding profile
+ * "LangChain with Python" resolves to langchain, "Python" alone to python
+ * @param {Object} profile - Onboarding profile
+ * @returns {string} Snippet stack key
+ */
+function resolveSnippetStack(profile = {}) {
+    const words = `${profile.stack || ''} ${profile.programmingLanguage || ''}`
+        .toLowerCase()
+        .split(/[^a-z0-9.]+/)
+        .filter(Boolean);
+
+    const stack = Object.keys(sdkSnippets).find(key =>
+        sdkSnippets[key].match.some(keyword => words.includes(keyword))
+    );
+
+    return stack || DEFAULT_SNIPPET_STACK;
+}
+
+/**
+ * Get a snippet stack
+ * @param {string} key - Snippet stack key
+ * @returns {Object} Stack definition
+ * @throws {Error} If the stack does not exist
+ */
+function getSnippetStack(key) {
+    const stack = sdkSnippets[key];
+    if (!stack) {
+        throw new Error(`Unknown SDK snippet stack "${key}"`);
+    }
+    return stack;
+}
+
+module.exports = {
+    sdkSnippets,
+    DEFAULT_SNIPPET_STACK,
+    resolveSnippetStack,
+    getSnippetStack
+};
@@ -0,0 +1,58 @@
+/**
+ * Self-Tracing Configuration
+ * Where the agent exports the Handit traces of its own LLM calls and API actions
+ * @module config/selfTracingConfig
+ */
+
+const path = require('path');
+
+/**
+ * Supported trace exporters
+ * - off: nothing is captured (default)
+ * - http: batches are POSTed to HANDIT_TRACE_COLLECTOR_URL
+ * - file: batches are appended as JSON lines to HANDIT_TRACE_FILE, for offline development
+ */
+const TRACE_EXPORTERS = ['off', 'http', 'file'];
+
+/**
+ * Get the trace exporter from the HANDIT_TRACE_EXPORTER environment variable
+ * @returns {string} 'off' (default), 'http' or 'file'
+ */
+function getTraceExporter() {
+    const exporter = (process.env.HANDIT_TRACE_EXPORTER || 'off').toLowerCase();
+
+    if (!TRACE_EXPORTERS.includes(exporter)) {
+        console.warn(`⚠️ Unknown HANDIT_TRACE_EXPORTER "${exporter}", tracing is off`);
+        return 'off';
+    }
+    if (exporter === 'http' && !process.env.HANDIT_TRACE_COLLECTOR_URL) {
+        console.warn('⚠️ HANDIT_TRACE_EXPORTER is http but HANDIT_TRACE_COLLECTOR_URL is not set, tracing is off');
+        return 'off';
+    }
+
+    return exporter;
+}
+
+/**
+ * Get the self-tracing settings
+ * @returns {Object} { exporter, agentName, collectorUrl, apiKey, filePath, batchSize, flushIntervalMs, maxQueueSize }
+ */
+function getSelfTracingConfig() {
+    return {
+        exporter: getTraceExporter(),
+        agentName: process.env.HANDIT_TRACE_AGENT_NAME || 'handit_docs_agent',
+        collectorUrl: process.env.HANDIT_TRACE_COLLECTOR_URL || null,
+        apiKey: process.env.HANDIT_TRACE_API_KEY || null,
+        filePath: process.env.HANDIT_TRACE_FILE || path.join(process.cwd(), 'logs', 'handit-traces.jsonl'),
+        batchSize: parseInt(process.env.HANDIT_TRACE_BATCH_SIZE) || 50,
+        flushIntervalMs: parseInt(process.env.HANDIT_TRACE_FLUSH_INTERVAL_MS) || 5000,
+        // Events kept while the collector is unreachable; the oldest are dropped beyond it
+        maxQueueSize: 5000
+    };
+}
+
+module.exports = {
+    TRACE_EXPORTERS,
+    getTraceExporter,
+    getSelfTracingConfig
+};
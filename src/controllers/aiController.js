@@ -4,16 +4,249 @@
  */
 
 const { aiService } = require('../services/aiService');
-// const AgenticSystem = require('../services/agenticSystem');
+const AgenticSystem = require('../services/agenticSystem');
 const ConversationService = require('../services/conversationService');
 const AgenticAI = require('../services/agenticAi');
 const ApiService = require('../services/apiService');
+const TraceService = require('../services/traceService');
+const ExperimentService = require('../services/experimentService');
+const { promptRegistry } = require('../services/promptRegistry');
+const { selfTracingService } = require('../services/selfTracingService');
+const { runWithContext } = require('../utils/requestContext');
+const { PIPELINE_MODES, PIPELINE_HEADER, getPipelineMode, isPipelineMode } = require('../config/pipelineConfig');
+const { validateFeedback } = require('../config/feedbackConfig');
+const { validateAttachments } = require('../config/attachmentConfig');
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
 
 // Initialize services
-// const agenticSystem = new AgenticSystem();
 const agenticAI = new AgenticAI();
+const agenticSystem = new AgenticSystem();
 const conversationService = new ConversationService();
 const apiService = new ApiService();
+const traceService = new TraceService();
+const experimentService = new ExperimentService();
+
+// Agent pipelines by mode; both expose processUserInput(userMessage, sessionId, userApiToken, handitToken)
+const pipelines = {
+    'agentic-ai': agenticAI,
+    'agentic-system': agenticSystem
+};
+
+/**
+ * Extract the user's API token from the Authorization header
+ * (used for external API calls, not endpoint auth)
+ * @param {Object} req - Express request object
+ * @returns {string|null} Bearer token or null
+ */
+function extractUserApiToken(req) {
+    const authHeader = req.headers.authorization;
+    if (authHeader && authHeader.startsWith('Bearer ')) {
+        console.log('🔑 User provided API token for external API calls');
+        return authHeader.substring(7); // Remove 'Bearer ' prefix
+    }
+    return null;
+}
+
+/**
+ * Check if the client asked for a Server-Sent Events response
+ * @param {Object} req - Express request object
+ * @returns {boolean} True if the Accept header includes text/event-stream
+ */
+function wantsEventStream(req) {
+    return (req.headers.accept || '').includes('text/event-stream');
+}
+
+/**
+ * Get the pipeline mode of a request
+ * The X-Pipeline-Mode header wins over the pipeline body field, and both over
+ * the PIPELINE_MODE of the deployment
+ * @param {Object} req - Express request object
+ * @returns {Object} { mode } or { error } when the requested mode does not exist
+ */
+function selectPipelineMode(req) {
+    const requestedMode = req.headers[PIPELINE_HEADER] || req.body.pipeline;
+
+    if (requestedMode === undefined || requestedMode === null || requestedMode === '') {
+        return { mode: getPipelineMode() };
+    }
+    if (!isPipelineMode(requestedMode)) {
+        return { error: `Unknown pipeline "${requestedMode}". Available pipelines: ${PIPELINE_MODES.join(', ')}` };
+    }
+
+    return { mode: requestedMode.toLowerCase() };
+}
+
+/**
+ * Run a chat turn through the selected pipeline inside its request context and save it
+ * The Handit execution that self-tracing opened for the turn ends with it.
+ * A turn that revises the last one (regenerate or edit) supersedes the old
+ * messages first so the pipeline does not see them. If the pipeline or the
+ * save fails, the old messages are restored and anything the turn saved is superseded.
+ * @param {Object} context - Request context for the turn, with sessionId, pipeline, attachments and optional revision
+ * @param {string} question - User question
+ * @param {string|null} userApiToken - User's API token for external API calls
+ * @param {string} handitToken - Optional Handit token sent by the client
+ * @param {number} startTime - Request start timestamp
+ * @returns {Promise<Object>} { response, messageIds }: pipeline response, with the pipeline that produced it, and the saved message ids
+ */
+async function processTurn(context, question, userApiToken, handitToken, startTime) {
+    let turnError = null;
+    context.savedMessageIds = [];
+    try {
+        // The profile before the turn is saved with the answer so a revision can roll it back
+        context.profileBefore = await conversationService.getOnboardingProfile(context.sessionId);
+
+        if (context.revision) {
+            await conversationService.supersedeMessages(context.revision.supersedes);
+            if (context.revision.profileBefore) {
+                await conversationService.saveOnboardingProfile(context.sessionId, context.revision.profileBefore);
+            }
+        }
+
+        const pipelineResponse = await runWithContext(context, () =>
+            pipelines[context.pipeline].processUserInput(question, context.sessionId, userApiToken, handitToken)
+        );
+        const response = { ...pipelineResponse, pipeline: context.pipeline };
+
+        const messageIds = await persistTurn(context.sessionId, question, response, context, startTime);
+        return { response, messageIds };
+    } catch (error) {
+        turnError = error.message;
+        if (context.revision) {
+            await rollbackRevision(context);
+        }
+        throw error;
+    } finally {
+        selfTracingService.endRequestTracing(context, turnError);
+    }
+}
+
+/**
+ * Put the messages of a failed revision back and hide what it saved
+ * @param {Object} context - Request context of the failed turn
+ * @returns {Promise<void>}
+ */
+async function rollbackRevision(context) {
+    try {
+        if (context.savedMessageIds.length > 0) {
+            await conversationService.supersedeMessages(context.savedMessageIds);
+        }
+        await conversationService.restoreMessages(context.revision.supersedes);
+        if (context.revision.profileBefore) {
+            await conversationService.saveOnboardingProfile(context.sessionId, context.profileBefore);
+        }
+    } catch (error) {
+        console.error('❌ Error restoring the messages of a failed revision:', error.message);
+    }
+}
+
+/**
+ * Save the user question and assistant answer for a processed turn
+ * @param {string} sessionId - Session identifier
+ * @param {string} question - User question
+ * @param {Object} response - Agentic system response
+ * @param {Object} context - Request context the turn was processed in
+ * @param {number} startTime - Request start timestamp
+ * @returns {Promise<Object>} { messageId, userMessageId } ids of the saved assistant and user messages
+ */
+async function persistTurn(sessionId, question, response, context, startTime) {
+    const conversation = await conversationService.createOrGetConversation(sessionId);
+    // Attachments stay with the question so a regenerated turn sees them again
+    const userMessage = await conversationService.saveMessage(conversation.id, 'user', question, {
+        metadata: context.attachments.length > 0 ? { attachments: context.attachments } : {}
+    });
+    context.savedMessageIds.push(userMessage.id);
+    const sources = response.sources || [];
+    const spans = context.spans || [];
+    // The pipeline and its path let the two pipelines be compared on the same traffic
+    const metadata = {
+        pipeline: response.pipeline,
+        graphPath: response.graphPath || []
+    };
+    if (response.grounding) {
+        metadata.grounding = response.grounding;
+    }
+    // Prompt experiment variants used in this turn, keyed by experiment id
+    if (context.experiments) {
+        metadata.experiments = context.experiments;
+    }
+    // Regenerated or edited turns keep a link to the messages they replaced
+    if (context.revision) {
+        metadata.revision = { type: context.revision.type, supersedes: context.revision.supersedes };
+    }
+    // Onboarding profile before the turn, put back when the turn is regenerated or edited
+    metadata.profileBefore = context.revision?.profileBefore || context.profileBefore;
+    const assistantMessage = await conversationService.saveMessage(conversation.id, 'assistant', response.answer, {
+        tokensUsed: spans.reduce((sum, span) => sum + (span.tokensUsed || 0), 0) || null,
+        processingTimeMs: Date.now() - startTime,
+        contextUsed: sources.map(source => source.id),
+        evaluationScores: typeof response.grounding?.score === 'number' ? { groundedness: response.grounding.score } : {},
+        metadata: metadata
+    });
+    context.savedMessageIds.push(assistantMessage.id);
+
+    // Keep the LLM calls of this turn for GET /api/ai/traces/:sessionId
+    if (spans.length > 0) {
+        await traceService.saveSpans(assistantMessage.id, conversation.id, spans);
+    }
+
+    // Track which documentation chunks were retrieved for this answer
+    if (sources.length > 0) {
+        await conversationService.trackKnowledgeUsage(assistantMessage.id, sources.map(source => ({
+            id: source.id,
+            relevance_score: source.score,
+            used_in_response: source.usedInResponse
+        })));
+    }
+
+    return { messageId: assistantMessage.id, userMessageId: userMessage.id };
+}
+
+/**
+ * Build the chat response body returned to the client
+ * @param {Object} response - Agentic system response
+ * @param {string} sessionId - Session identifier
+ * @param {string} handitToken - Optional Handit token sent by the client
+ * @param {number} startTime - Request start timestamp
+ * @param {Object} messageIds - { messageId, userMessageId } returned by persistTurn
+ * @returns {Object} Response body
+ */
+function buildChatResponse(response, sessionId, handitToken, startTime, messageIds) {
+    return {
+        answer: response.answer,
+        sessionId: sessionId,
+        messageId: messageIds.messageId, // Assistant message, target of POST /messages/:messageId/feedback
+        userMessageId: messageIds.userMessageId,
+        userMessage: response.userMessage,
+        conversationHistory: response.conversationHistory,
+        intention: response.intention,
+        orientation: response.orientation,
+        extractedInfo: response.extractedInfo,
+        on_boarding_observability_finished: response.on_boarding_observability_finished,
+        on_boarding_evaluation_finished: response.on_boarding_evaluation_finished,
+        on_boarding_selfimproving_finished: response.on_boarding_selfimproving_finished,
+        confidence: response.confidence,
+        sources: response.sources,
+        totalSources: response.totalSources,
+        requiresUserInput: response.requiresUserInput || false,
+        nextAction: response.nextAction || 'continue',
+        customAction: response.customAction, // For frontend UI actions
+        evaluators_added: response.evaluators_added, // For evaluator association detection
+        custom_evaluator_management: response.custom_evaluator_management, // For evaluator management detection
+        optimization_completed: response.optimization_completed, // For optimization completion detection
+        optimization_success: response.optimization_success, // For optimization success detection
+        handitTokenUsed: !!handitToken,
+        metadata: {
+            processingTimeMs: Date.now() - startTime,
+            timestamp: new Date().toISOString(),
+            model: process.env.OPENAI_MODEL || 'gpt-4o-mini',
+            pipeline: response.pipeline,
+            groundednessScore: response.grounding?.score ?? null
+        },
+        ...response,
+    };
+}
 
 /**
  * Handle AI conversation (main endpoint)
@@ -21,18 +254,17 @@ const apiService = new ApiService();
  * @param {Object} res - Express response object
  */
 async function handleLegacyConversation(req, res) {
+    // Clients asking for an event stream get the streaming variant
+    if (wantsEventStream(req)) {
+        return handleConversationStream(req, res);
+    }
+
     const startTime = Date.now();
     
     try {
-        const { question, sessionId: providedSessionId, handitToken } = req.body;
+        const { question, sessionId: providedSessionId, handitToken, attachments } = req.body;
         
-        // Extract Authorization Bearer token from headers (for API calls, not endpoint auth)
-        const authHeader = req.headers.authorization;
-        let userApiToken = null;
-        if (authHeader && authHeader.startsWith('Bearer ')) {
-            userApiToken = authHeader.substring(7); // Remove 'Bearer ' prefix
-            console.log('🔑 User provided API token for external API calls');
-        }
+        const userApiToken = extractUserApiToken(req);
         
         // Validate input
         if (!question || typeof question !== 'string' || question.trim().length === 0) {
@@ -42,51 +274,43 @@ async function handleLegacyConversation(req, res) {
             });
         }
 
+        const pipelineSelection = selectPipelineMode(req);
+        if (pipelineSelection.error) {
+            return res.status(400).json({
+                error: pipelineSelection.error,
+                code: 'INVALID_PIPELINE'
+            });
+        }
+
+        const attachmentErrors = validateAttachments(attachments);
+        if (attachmentErrors.length > 0) {
+            return res.status(400).json({
+                error: 'Invalid attachments',
+                code: 'INVALID_ATTACHMENTS',
+                details: attachmentErrors
+            });
+        }
+
         // Generate or use provided session ID
         const sessionId = providedSessionId || conversationService.generateSessionId();
         
-        console.log(`🤖 Processing question for session: ${sessionId}`);
+        console.log(`🤖 Processing question for session: ${sessionId} (pipeline: ${pipelineSelection.mode})`);
         console.log(`📝 Question: "${question.substring(0, 100)}${question.length > 100 ? '...' : ''}"`);
         
-        // Process with guided agentic system, passing the user's API token
-        const response = await agenticAI.processUserInput(question, sessionId, userApiToken, handitToken);
-        
-        // Create or get conversation and save messages
-        const conversation = await conversationService.createOrGetConversation(sessionId);
-        await conversationService.saveMessage(conversation.id, 'user', question);
-        await conversationService.saveMessage(conversation.id, 'assistant', response.answer);
+        // Process with the selected pipeline, passing the user's API token
+        const context = {
+            sessionId,
+            pipeline: pipelineSelection.mode,
+            revision: req.turnRevision || null,
+            attachments: attachments || []
+        };
+        // Process and save the turn
+        const { response, messageIds } = await processTurn(context, question, userApiToken, handitToken, startTime);
         
-        const processingTime = Date.now() - startTime;
         console.log("🚀 DEPLOYMENT_CHECK: Code version EVALUATOR_FLOW_V2.3 - " + new Date().toISOString());
         console.log("process.env.OPENAI_MODEL", process.env.OPENAI_MODEL);
         // Return guided response
-        res.json({
-            answer: response.answer,
-            sessionId: sessionId,
-            userMessage: response.userMessage,
-            conversationHistory: response.conversationHistory,
-            intention: response.intention,
-            orientation: response.orientation,
-            extractedInfo: response.extractedInfo,
-            on_boarding_observability_finished: response.on_boarding_observability_finished,
-            confidence: response.confidence,
-            sources: response.sources,
-            totalSources: response.totalSources,
-            requiresUserInput: response.requiresUserInput || false,
-            nextAction: response.nextAction || 'continue',
-            customAction: response.customAction, // For frontend UI actions
-            evaluators_added: response.evaluators_added, // For evaluator association detection
-            custom_evaluator_management: response.custom_evaluator_management, // For evaluator management detection
-            optimization_completed: response.optimization_completed, // For optimization completion detection
-            optimization_success: response.optimization_success, // For optimization success detection
-            handitTokenUsed: !!handitToken,
-            metadata: {
-                processingTimeMs: processingTime,
-                timestamp: new Date().toISOString(),
-                model: process.env.OPENAI_MODEL || 'gpt-4o-mini'
-            },
-            ...response,
-        });
+        res.json(buildChatResponse(response, sessionId, handitToken, startTime, messageIds));
 
     } catch (error) {
         console.error('❌ Error in conversation:', error);
@@ -104,6 +328,233 @@ async function handleLegacyConversation(req, res) {
     }
 }
 
+/**
+ * Handle AI conversation as a Server-Sent Events stream
+ *
+ * Emits `session` first, a `node` event as each pipeline node finishes,
+ * `token` events with the answer text, and a final `done` event carrying
+ * the same body as the JSON endpoint. An `error` event replaces `done`
+ * when processing fails.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function handleConversationStream(req, res) {
+    const startTime = Date.now();
+    const { question, sessionId: providedSessionId, handitToken, attachments } = req.body;
+
+    const userApiToken = extractUserApiToken(req);
+
+    // Validate input before switching to an event stream
+    if (!question || typeof question !== 'string' || question.trim().length === 0) {
+        return res.status(400).json({
+            error: 'Question is required',
+            code: 'INVALID_QUESTION'
+        });
+    }
+
+    const pipelineSelection = selectPipelineMode(req);
+    if (pipelineSelection.error) {
+        return res.status(400).json({
+            error: pipelineSelection.error,
+            code: 'INVALID_PIPELINE'
+        });
+    }
+
+    const attachmentErrors = validateAttachments(attachments);
+    if (attachmentErrors.length > 0) {
+        return res.status(400).json({
+            error: 'Invalid attachments',
+            code: 'INVALID_ATTACHMENTS',
+            details: attachmentErrors
+        });
+    }
+
+    const sessionId = providedSessionId || conversationService.generateSessionId();
+
+    console.log(`📡 Streaming question for session: ${sessionId} (pipeline: ${pipelineSelection.mode})`);
+    console.log(`📝 Question: "${question.substring(0, 100)}${question.length > 100 ? '...' : ''}"`);
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no' // Disable proxy buffering
+    });
+    res.flushHeaders();
+
+    // Keep processing if the client goes away so the turn is still saved
+    let clientConnected = true;
+    res.on('close', () => {
+        clientConnected = false;
+    });
+
+    const sendEvent = (event, data) => {
+        if (clientConnected) {
+            res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+        }
+    };
+
+    sendEvent('session', { sessionId, pipeline: pipelineSelection.mode });
+
+    let tokensStreamed = false;
+    const context = {
+        sessionId,
+        pipeline: pipelineSelection.mode,
+        revision: req.turnRevision || null,
+        attachments: attachments || [],
+        onEvent: sendEvent,
+        onToken: (delta) => {
+            tokensStreamed = true;
+            sendEvent('token', { delta });
+        }
+    };
+
+    try {
+        const { response, messageIds } = await processTurn(context, question, userApiToken, handitToken, startTime);
+
+        // Answers that were not generated token by token go out in one piece
+        if (!tokensStreamed && response.answer) {
+            sendEvent('token', { delta: response.answer });
+        }
+
+        sendEvent('done', buildChatResponse(response, sessionId, handitToken, startTime, messageIds));
+
+    } catch (error) {
+        console.error('❌ Error in streamed conversation:', error);
+
+        sendEvent('error', {
+            error: 'Internal server error',
+            code: 'PROCESSING_ERROR',
+            metadata: {
+                processingTimeMs: Date.now() - startTime,
+                timestamp: new Date().toISOString()
+            }
+        });
+    } finally {
+        res.end();
+    }
+}
+
+/**
+ * Prepare a request that replaces the last turn of a conversation
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {string} type - 'regenerate' or 'edit'
+ * @returns {Promise<Object|null>} Last turn, or null when the error response was sent
+ */
+async function prepareTurnRevision(req, res, type) {
+    const { sessionId } = req.params;
+    const lastTurn = await conversationService.getLastTurn(sessionId);
+
+    if (!lastTurn) {
+        res.status(404).json({
+            error: `No question to ${type} in this conversation`,
+            code: 'NO_LAST_TURN'
+        });
+        return null;
+    }
+
+    // Flow steps and pending confirmations live in memory and cannot be rolled back
+    const pendingFlows = agenticAI.commandService.getPendingFlows(sessionId);
+    if (pendingFlows.length > 0) {
+        const flows = pendingFlows.map(flow => agenticAI.commandService.describeFlow(flow)).join(', ');
+        res.status(409).json({
+            error: `The last question cannot be ${type === 'edit' ? 'edited' : 'regenerated'} while ${flows} is in progress. Finish it or send /cancel first.`,
+            code: 'FLOW_IN_PROGRESS',
+            pendingFlows: pendingFlows
+        });
+        return null;
+    }
+
+    const supersedes = [lastTurn.userMessage.id];
+    if (lastTurn.assistantMessage) {
+        supersedes.push(lastTurn.assistantMessage.id);
+    }
+    req.turnRevision = {
+        type,
+        supersedes,
+        profileBefore: lastTurn.assistantMessage?.metadata?.profileBefore || null
+    };
+
+    return lastTurn;
+}
+
+/**
+ * Regenerate the last assistant answer
+ * The last question runs again with its attachments and its previous answer is superseded.
+ * Responds like /chat (JSON, or an event stream with Accept: text/event-stream)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function regenerateLastMessage(req, res) {
+    try {
+        const lastTurn = await prepareTurnRevision(req, res, 'regenerate');
+        if (!lastTurn) {
+            return;
+        }
+
+        console.log(`🔁 Regenerating last answer for session: ${req.params.sessionId}`);
+
+        req.body = {
+            ...req.body,
+            question: lastTurn.userMessage.content,
+            attachments: lastTurn.userMessage.metadata?.attachments,
+            sessionId: req.params.sessionId
+        };
+        return handleLegacyConversation(req, res);
+
+    } catch (error) {
+        console.error('❌ Error regenerating last message:', error);
+
+        res.status(500).json({
+            error: 'Error regenerating last message',
+            code: 'REGENERATE_ERROR'
+        });
+    }
+}
+
+/**
+ * Replace the last user question and answer it
+ * The previous question and its answer are superseded.
+ * Responds like /chat (JSON, or an event stream with Accept: text/event-stream)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function editLastMessage(req, res) {
+    try {
+        const { question } = req.body;
+        if (!question || typeof question !== 'string' || question.trim().length === 0) {
+            return res.status(400).json({
+                error: 'Question is required',
+                code: 'INVALID_QUESTION'
+            });
+        }
+
+        const lastTurn = await prepareTurnRevision(req, res, 'edit');
+        if (!lastTurn) {
+            return;
+        }
+
+        console.log(`✏️ Editing last question for session: ${req.params.sessionId}`);
+
+        // Attachments of the replaced question are kept unless new ones are sent
+        req.body = {
+            ...req.body,
+            attachments: 'attachments' in req.body ? req.body.attachments : lastTurn.userMessage.metadata?.attachments,
+            sessionId: req.params.sessionId
+        };
+        return handleLegacyConversation(req, res);
+
+    } catch (error) {
+        console.error('❌ Error editing last message:', error);
+
+        res.status(500).json({
+            error: 'Error editing last message',
+            code: 'EDIT_ERROR'
+        });
+    }
+}
+
 /**
  * Get conversation history
  * @param {Object} req - Express request object
@@ -112,7 +563,7 @@ async function handleLegacyConversation(req, res) {
 async function getConversationHistory(req, res) {
     try {
         const { sessionId } = req.params;
-        const { limit = 50, offset = 0 } = req.query;
+        const { limit = 50, offset = 0, includeSuperseded } = req.query;
         
         if (!sessionId) {
             return res.status(400).json({
@@ -126,7 +577,8 @@ async function getConversationHistory(req, res) {
         const history = await conversationService.getConversationHistory(
             sessionId, 
             parseInt(limit), 
-            parseInt(offset)
+            parseInt(offset),
+            { includeSuperseded: includeSuperseded === 'true' }
         );
         
         res.json({
@@ -151,6 +603,219 @@ async function getConversationHistory(req, res) {
     }
 }
 
+/**
+ * Get the execution traces of a session, one entry per turn with its LLM spans
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function getSessionTraces(req, res) {
+    try {
+        const { sessionId } = req.params;
+        const { limit = 20 } = req.query;
+
+        console.log(`🔎 Getting traces for session: ${sessionId}`);
+
+        const turns = await traceService.getSessionTraces(sessionId, parseInt(limit));
+
+        res.json({
+            sessionId,
+            turns,
+            totalTurns: turns.length,
+            metadata: {
+                timestamp: new Date().toISOString(),
+                limit: parseInt(limit)
+            }
+        });
+
+    } catch (error) {
+        console.error('❌ Error getting session traces:', error);
+
+        res.status(500).json({
+            error: 'Error retrieving session traces',
+            code: 'TRACES_ERROR'
+        });
+    }
+}
+
+/**
+ * Save the user feedback of an assistant message
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function submitMessageFeedback(req, res) {
+    try {
+        const { messageId } = req.params;
+        const { reason = null, comment = null } = req.body;
+        const rating = typeof req.body.rating === 'string' ? Number(req.body.rating) : req.body.rating;
+
+        if (!UUID_PATTERN.test(messageId)) {
+            return res.status(400).json({
+                error: 'Message ID must be a UUID',
+                code: 'INVALID_MESSAGE_ID'
+            });
+        }
+
+        const errors = validateFeedback({ rating, reason, comment });
+        if (errors.length > 0) {
+            return res.status(400).json({
+                error: 'Invalid feedback',
+                code: 'INVALID_FEEDBACK',
+                details: errors
+            });
+        }
+
+        console.log(`⭐ Feedback ${rating}/5${reason ? ` (${reason})` : ''} for message: ${messageId}`);
+
+        const feedback = await conversationService.saveMessageFeedback(messageId, { rating, reason, comment });
+        if (!feedback) {
+            return res.status(404).json({
+                error: 'Assistant message not found',
+                code: 'MESSAGE_NOT_FOUND'
+            });
+        }
+
+        res.json({
+            success: true,
+            feedback,
+            metadata: {
+                timestamp: new Date().toISOString()
+            }
+        });
+
+    } catch (error) {
+        console.error('❌ Error saving message feedback:', error);
+
+        res.status(500).json({
+            error: 'Error saving message feedback',
+            code: 'FEEDBACK_ERROR'
+        });
+    }
+}
+
+/**
+ * List the registered prompts and their versions
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+function getPrompts(req, res) {
+    try {
+        const prompts = promptRegistry.list();
+
+        res.json({
+            prompts,
+            totalPrompts: prompts.length,
+            metadata: {
+                loadedAt: promptRegistry.loadedAt,
+                timestamp: new Date().toISOString()
+            }
+        });
+
+    } catch (error) {
+        console.error('❌ Error listing prompts:', error);
+
+        res.status(500).json({
+            error: 'Error listing prompts',
+            code: 'PROMPTS_ERROR'
+        });
+    }
+}
+
+/**
+ * Get one prompt version with its template
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+function getPrompt(req, res) {
+    const { name } = req.params;
+    const { version } = req.query;
+
+    try {
+        const prompt = promptRegistry.get(name, version ? parseInt(version) : null);
+        const summary = promptRegistry.list().find(entry => entry.name === name);
+
+        res.json({
+            ...prompt,
+            activeVersion: summary.activeVersion,
+            versions: summary.versions.map(entry => entry.version),
+            metadata: {
+                loadedAt: promptRegistry.loadedAt,
+                timestamp: new Date().toISOString()
+            }
+        });
+
+    } catch (error) {
+        res.status(404).json({
+            error: error.message,
+            code: 'PROMPT_NOT_FOUND'
+        });
+    }
+}
+
+/**
+ * List the prompt experiments
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+function getExperiments(req, res) {
+    try {
+        const experiments = experimentService.listExperiments();
+
+        res.json({
+            experiments,
+            totalExperiments: experiments.length,
+            metadata: {
+                timestamp: new Date().toISOString()
+            }
+        });
+
+    } catch (error) {
+        console.error('❌ Error listing experiments:', error);
+
+        res.status(500).json({
+            error: 'Error listing experiments',
+            code: 'EXPERIMENTS_ERROR'
+        });
+    }
+}
+
+/**
+ * Compare the variants of a prompt experiment
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function getExperimentResults(req, res) {
+    try {
+        const { experimentId } = req.params;
+        const days = req.query.days ? parseInt(req.query.days) : null;
+
+        console.log(`🧪 Comparing variants of experiment: ${experimentId}`);
+
+        const results = await experimentService.compareVariants(experimentId, days);
+        if (!results) {
+            return res.status(404).json({
+                error: `Unknown experiment "${experimentId}"`,
+                code: 'EXPERIMENT_NOT_FOUND'
+            });
+        }
+
+        res.json({
+            ...results,
+            metadata: {
+                timestamp: new Date().toISOString(),
+                days
+            }
+        });
+
+    } catch (error) {
+        console.error('❌ Error comparing experiment variants:', error);
+
+        res.status(500).json({
+            error: 'Error comparing experiment variants',
+            code: 'EXPERIMENT_RESULTS_ERROR'
+        });
+    }
+}
+
 /**
  * Clear conversation history
  * @param {Object} req - Express request object
@@ -231,9 +896,12 @@ async function getHealthStatus(req, res) {
 async function getPerformanceMetrics(req, res) {
     try {
         const metrics = aiService.getCacheStats();
+        const feedback = await conversationService.getFeedbackStats();
         
         res.json({
             cacheStats: metrics,
+            structuredOutputs: aiService.getStructuredOutputStats(),
+            feedback: feedback,
             timestamp: new Date().toISOString(),
             uptime: process.uptime(),
             memory: process.memoryUsage()
@@ -306,6 +974,7 @@ async function testApiIntegration(req, res) {
             health: apiHealth,
             availableActions: availableActions,
             actionsDescription: apiService.getActionsDescription(),
+            tools: apiService.getToolDefinitions(),
             timestamp: new Date().toISOString()
         });
 
@@ -407,7 +1076,16 @@ async function getVersionInfo(req, res) {
 
 module.exports = {
     handleLegacyConversation,
+    handleConversationStream,
     getConversationHistory,
+    regenerateLastMessage,
+    editLastMessage,
+    getSessionTraces,
+    submitMessageFeedback,
+    getPrompts,
+    getPrompt,
+    getExperiments,
+    getExperimentResults,
     clearConversation,
     getHealthStatus,
     getPerformanceMetrics,
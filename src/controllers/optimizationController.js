@@ -4,9 +4,16 @@
  */
 
 const OptimizationService = require('../services/optimizationService');
+const OptimizationJobService = require('../services/optimizationJobService');
+const ConversationService = require('../services/conversationService');
+const { JOB_STATUSES } = require('../config/optimizationJobConfig');
 
-// Initialize optimization service
+// Initialize optimization services
 const optimizationService = new OptimizationService();
+// Jobs failed as stale while being read still post their follow-up message
+const optimizationJobService = new OptimizationJobService(new ConversationService());
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
 
 /**
  * Run optimization process
@@ -171,6 +178,88 @@ async function getOptimizationStatus(req, res) {
     }
 }
 
+/**
+ * List the optimization jobs started from chat, newest first
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function listOptimizationJobs(req, res) {
+    try {
+        const { sessionId = null, modelId = null, status = null, limit = 20, offset = 0 } = req.query;
+
+        if (status && !JOB_STATUSES.includes(status)) {
+            return res.status(400).json({
+                error: `Status must be one of: ${JOB_STATUSES.join(', ')}`,
+                code: 'INVALID_STATUS'
+            });
+        }
+
+        const pagination = {
+            limit: Math.min(parseInt(limit) || 20, 100),
+            offset: parseInt(offset) || 0
+        };
+
+        const { jobs, total } = await optimizationJobService.listJobs({ sessionId, modelId, status, ...pagination });
+
+        res.json({
+            jobs: jobs,
+            total: total,
+            metadata: {
+                ...pagination,
+                timestamp: new Date().toISOString()
+            }
+        });
+
+    } catch (error) {
+        console.error('❌ Error listing optimization jobs:', error);
+
+        res.status(500).json({
+            success: false,
+            error: 'Error listing optimization jobs',
+            code: 'JOBS_ERROR',
+            message: error.message
+        });
+    }
+}
+
+/**
+ * Get an optimization job
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function getOptimizationJob(req, res) {
+    try {
+        const { jobId } = req.params;
+
+        if (!UUID_PATTERN.test(jobId)) {
+            return res.status(400).json({
+                error: 'Job ID must be a UUID',
+                code: 'INVALID_JOB_ID'
+            });
+        }
+
+        const job = await optimizationJobService.getJob(jobId);
+        if (!job) {
+            return res.status(404).json({
+                error: 'Optimization job not found',
+                code: 'JOB_NOT_FOUND'
+            });
+        }
+
+        res.json(job);
+
+    } catch (error) {
+        console.error('❌ Error getting optimization job:', error);
+
+        res.status(500).json({
+            success: false,
+            error: 'Error retrieving optimization job',
+            code: 'JOB_ERROR',
+            message: error.message
+        });
+    }
+}
+
 /**
  * Get optimization service health
  * @param {Object} req - Express request object
@@ -203,5 +292,7 @@ async function getOptimizationHealth(req, res) {
 module.exports = {
     runOptimization,
     getOptimizationStatus,
+    listOptimizationJobs,
+    getOptimizationJob,
     getOptimizationHealth
 }; 
\ No newline at end of file
@@ -0,0 +1,23 @@
+-- Migration: 002_create_trace_spans.sql
+-- Description: Store one span per LLM node call so a chat turn can be inspected end to end
+
+CREATE TABLE IF NOT EXISTS trace_spans (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    message_id UUID NOT NULL REFERENCES messages(id) ON DELETE CASCADE, -- Assistant message of the turn
+    conversation_id UUID NOT NULL REFERENCES conversations(id) ON DELETE CASCADE,
+    sequence INTEGER NOT NULL, -- Order of the call within the turn
+    node_name VARCHAR(100) NOT NULL,
+    model VARCHAR(100),
+    prompt TEXT,
+    raw_output TEXT,
+    parsed_result JSONB, -- Result the node derived from the raw output
+    latency_ms INTEGER,
+    tokens_used INTEGER,
+    error TEXT,
+    started_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_trace_spans_message_id ON trace_spans(message_id);
+CREATE INDEX IF NOT EXISTS idx_trace_spans_conversation_id ON trace_spans(conversation_id);
+CREATE INDEX IF NOT EXISTS idx_trace_spans_node_name ON trace_spans(node_name);
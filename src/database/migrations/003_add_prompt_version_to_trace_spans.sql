@@ -0,0 +1,7 @@
+-- Migration: 003_add_prompt_version_to_trace_spans.sql
+-- Description: Record which registry prompt (name and version) produced each LLM call
+
+ALTER TABLE trace_spans ADD COLUMN IF NOT EXISTS prompt_name VARCHAR(100);
+ALTER TABLE trace_spans ADD COLUMN IF NOT EXISTS prompt_version INTEGER;
+
+CREATE INDEX IF NOT EXISTS idx_trace_spans_prompt ON trace_spans(prompt_name, prompt_version);
@@ -0,0 +1,13 @@
+-- Migration: 004_add_message_feedback.sql
+-- Description: Store user feedback on assistant messages (rating 1-5, reason category, comment)
+
+ALTER TABLE messages ADD COLUMN IF NOT EXISTS feedback_rating INTEGER CHECK (feedback_rating BETWEEN 1 AND 5);
+ALTER TABLE messages ADD COLUMN IF NOT EXISTS feedback_reason VARCHAR(50);
+ALTER TABLE messages ADD COLUMN IF NOT EXISTS feedback_comment TEXT;
+ALTER TABLE messages ADD COLUMN IF NOT EXISTS feedback_at TIMESTAMP WITH TIME ZONE;
+
+CREATE INDEX IF NOT EXISTS idx_messages_feedback_rating ON messages(feedback_rating) WHERE feedback_rating IS NOT NULL;
+
+COMMENT ON COLUMN messages.feedback_rating IS 'User rating of the answer (1-5), copied to knowledge_usage.user_feedback of its chunks';
+COMMENT ON COLUMN messages.feedback_reason IS 'Reason category of the rating (see src/config/feedbackConfig.js)';
+COMMENT ON COLUMN messages.feedback_comment IS 'Free text left with the rating';
@@ -0,0 +1,9 @@
+-- Migration: 005_add_superseded_at_to_messages.sql
+-- Description: Mark messages replaced by a regenerated answer or an edited question.
+-- Superseded messages stay in the table for analytics but are left out of the conversation context.
+
+ALTER TABLE messages ADD COLUMN IF NOT EXISTS superseded_at TIMESTAMP WITH TIME ZONE;
+
+CREATE INDEX IF NOT EXISTS idx_messages_active ON messages(conversation_id, timestamp) WHERE superseded_at IS NULL;
+
+COMMENT ON COLUMN messages.superseded_at IS 'When the message was replaced by a regenerate or edit; NULL for active messages';
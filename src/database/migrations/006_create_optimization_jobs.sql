@@ -0,0 +1,24 @@
+-- Migration: 006_create_optimization_jobs.sql
+-- Description: Track the prompt optimizations started from chat as jobs polled in the background
+
+CREATE TABLE IF NOT EXISTS optimization_jobs (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    session_id VARCHAR(255), -- Chat session that started the job, receives the follow-up message
+    model_id VARCHAR(255) NOT NULL,
+    model_log_id INTEGER NOT NULL,
+    optimization_id VARCHAR(255), -- Optimization id returned by the Handit API
+    status VARCHAR(20) NOT NULL DEFAULT 'queued' CHECK (status IN ('queued', 'running', 'completed', 'failed')),
+    progress INTEGER DEFAULT 0,
+    result JSONB, -- Result returned by the Handit API when the optimization completes
+    error JSONB,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    started_at TIMESTAMP WITH TIME ZONE,
+    completed_at TIMESTAMP WITH TIME ZONE,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_optimization_jobs_session_id ON optimization_jobs(session_id);
+CREATE INDEX IF NOT EXISTS idx_optimization_jobs_model_id ON optimization_jobs(model_id);
+CREATE INDEX IF NOT EXISTS idx_optimization_jobs_status ON optimization_jobs(status);
+
+COMMENT ON COLUMN optimization_jobs.status IS 'Job status (see src/config/optimizationJobConfig.js)';
@@ -0,0 +1,11 @@
+-- Migration: 007_add_heartbeat_to_optimization_jobs.sql
+-- Description: Record which server instance polls each optimization job and when it last did.
+-- Jobs whose heartbeat is stale are no longer polled by any instance and are failed.
+
+ALTER TABLE optimization_jobs ADD COLUMN IF NOT EXISTS locked_by VARCHAR(64);
+ALTER TABLE optimization_jobs ADD COLUMN IF NOT EXISTS heartbeat_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP;
+
+CREATE INDEX IF NOT EXISTS idx_optimization_jobs_active_heartbeat ON optimization_jobs(heartbeat_at) WHERE status IN ('queued', 'running');
+
+COMMENT ON COLUMN optimization_jobs.locked_by IS 'Server instance that polls the job';
+COMMENT ON COLUMN optimization_jobs.heartbeat_at IS 'Last time the polling instance updated the job; stale heartbeats mean nobody polls it';
@@ -7,7 +7,16 @@ const express = require('express');
 const router = express.Router();
 const { 
     handleLegacyConversation,
+    handleConversationStream,
     getConversationHistory,
+    regenerateLastMessage,
+    editLastMessage,
+    getSessionTraces,
+    submitMessageFeedback,
+    getPrompts,
+    getPrompt,
+    getExperiments,
+    getExperimentResults,
     clearConversation,
     getHealthStatus,
     getPerformanceMetrics,
@@ -30,6 +39,18 @@ const { validateQuestion } = require('../middleware/validation');
  */
 router.post('/chat', validateQuestion, handleLegacyConversation);
 
+/**
+ * @route POST /api/ai/chat/stream
+ * @desc Streaming variant of /chat using Server-Sent Events
+ *       (also used by /chat when the request sends Accept: text/event-stream)
+ * @access Public
+ * @body {string} question - User question
+ * @body {string} [sessionId] - Optional session ID
+ * @body {string} [handitToken] - Optional Handit token for setup snippets
+ * @returns {EventStream} session, node, token, done and error events
+ */
+router.post('/chat/stream', validateQuestion, handleConversationStream);
+
 /**
  * @route POST /api/ai/test
  * @desc Direct test endpoint bypassing agentic system
@@ -46,10 +67,97 @@ router.post('/test', handleDirectTest);
  * @param {string} sessionId - Session identifier
  * @query {number} [limit=50] - Maximum number of messages
  * @query {number} [offset=0] - Offset for pagination
+ * @query {boolean} [includeSuperseded=false] - Include messages replaced by a regenerate or edit
  * @returns {Object} Conversation history with context and statistics
  */
 router.get('/conversations/:sessionId', getConversationHistory);
 
+/**
+ * @route POST /api/ai/conversations/:sessionId/regenerate
+ * @desc Answer the last question again; the previous answer is superseded
+ *       and left out of the conversation context
+ * @access Public
+ * @param {string} sessionId - Session identifier
+ * @body {string} [pipeline] - Optional pipeline mode
+ * @returns {Object} Same response as /chat (event stream with Accept: text/event-stream)
+ */
+router.post('/conversations/:sessionId/regenerate', regenerateLastMessage);
+
+/**
+ * @route POST /api/ai/conversations/:sessionId/edit
+ * @desc Replace the last question and answer the new one; the previous
+ *       question and answer are superseded and left out of the conversation context
+ * @access Public
+ * @param {string} sessionId - Session identifier
+ * @body {string} question - New question
+ * @body {string} [pipeline] - Optional pipeline mode
+ * @returns {Object} Same response as /chat (event stream with Accept: text/event-stream)
+ */
+router.post('/conversations/:sessionId/edit', editLastMessage);
+
+/**
+ * @route GET /api/ai/traces/:sessionId
+ * @desc Get the execution trace of each turn: one span per LLM node call
+ *       (node name, prompt, raw output, parsed result, latency, tokens, error)
+ * @access Public
+ * @param {string} sessionId - Session identifier
+ * @query {number} [limit=20] - Maximum number of turns, most recent last
+ * @returns {Object} Traced turns with their spans
+ */
+router.get('/traces/:sessionId', getSessionTraces);
+
+/**
+ * @route POST /api/ai/messages/:messageId/feedback
+ * @desc Rate an assistant answer; the rating is also stored on the
+ *       documentation chunks the answer used (knowledge_usage.user_feedback)
+ * @access Public
+ * @param {string} messageId - Assistant message ID (messageId of the chat response)
+ * @body {number} rating - Rating from 1 to 5
+ * @body {string} [reason] - Reason category (incorrect, incomplete, outdated, not_relevant, code_error, unclear, helpful, other)
+ * @body {string} [comment] - Free text
+ * @returns {Object} Saved feedback and the number of chunks updated
+ */
+router.post('/messages/:messageId/feedback', submitMessageFeedback);
+
+/**
+ * @route GET /api/ai/prompts
+ * @desc List the prompt templates of the registry with their versions
+ *       (read-only; prompts are edited in src/prompts and reloaded automatically)
+ * @access Public
+ * @returns {Object} Prompts with their active version, versions, descriptions and variables
+ */
+router.get('/prompts', getPrompts);
+
+/**
+ * @route GET /api/ai/prompts/:name
+ * @desc Get a prompt template
+ * @access Public
+ * @param {string} name - Prompt name
+ * @query {number} [version] - Version, the active one by default
+ * @returns {Object} Prompt name, version, description, variables and template
+ */
+router.get('/prompts/:name', getPrompt);
+
+/**
+ * @route GET /api/ai/experiments
+ * @desc List the prompt A/B experiments with the traffic share of each variant
+ *       (experiments are defined in src/config/promptExperiments.js)
+ * @access Public
+ * @returns {Object} Experiments with their prompt, status and variants
+ */
+router.get('/experiments', getExperiments);
+
+/**
+ * @route GET /api/ai/experiments/:experimentId
+ * @desc Compare the variants of an experiment on the messages they produced:
+ *       groundedness, user feedback, retrieval relevance, latency and tokens
+ * @access Public
+ * @param {string} experimentId - Experiment identifier
+ * @query {number} [days] - Only count messages from the last days
+ * @returns {Object} Experiment with per-variant results and differences from the control
+ */
+router.get('/experiments/:experimentId', getExperimentResults);
+
 /**
  * @route DELETE /api/ai/conversations/:sessionId
  * @desc Clear conversation and reset context
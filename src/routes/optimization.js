@@ -9,6 +9,8 @@ const router = express.Router();
 const { 
     runOptimization,
     getOptimizationStatus,
+    listOptimizationJobs,
+    getOptimizationJob,
     getOptimizationHealth
 } = require('../controllers/optimizationController');
 
@@ -21,6 +23,23 @@ const {
  */
 router.post('/model/:modelId/prompt/optimize-from-error', runOptimization);
 
+/**
+ * @route GET /api/prompt-version/jobs
+ * @desc List the optimization jobs started from chat, newest first
+ * @access Public
+ * @query { sessionId?, modelId?, status?, limit?, offset? }
+ * @returns {Object} Jobs and total count
+ */
+router.get('/jobs', listOptimizationJobs);
+
+/**
+ * @route GET /api/prompt-version/jobs/:jobId
+ * @desc Get the status and result of an optimization job
+ * @access Public
+ * @returns {Object} Optimization job
+ */
+router.get('/jobs/:jobId', getOptimizationJob);
+
 /**
  * @route GET /api/optimizations/:optimizationId
  * @desc Get optimization status and results
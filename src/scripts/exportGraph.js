@@ -0,0 +1,23 @@
+/**
+ * Agent Graph Export Script
+ * @module scripts/exportGraph
+ * @requires ../config/agentGraph
+ * @requires ../services/graphEngine
+ *
+ * Prints the AgenticAI graph as a Mermaid flowchart, or writes it to the
+ * file given as first argument (e.g. `npm run graph:export -- docs/agent-graph.mmd`).
+ */
+
+const fs = require('fs');
+const agentGraph = require('../config/agentGraph');
+const GraphEngine = require('../services/graphEngine');
+
+const diagram = new GraphEngine(agentGraph, null).toMermaid();
+const outputFile = process.argv[2];
+
+if (outputFile) {
+    fs.writeFileSync(outputFile, diagram + '\n');
+    console.log(`✅ Agent graph written to ${outputFile}`);
+} else {
+    console.log(diagram);
+}
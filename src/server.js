@@ -30,6 +30,10 @@ require('dotenv').config();
 const aiRoutes = require('./routes/ai');
 const healthRoutes = require('./routes/health');
 const optimizationRoutes = require('./routes/optimization');
+const { promptRegistry } = require('./services/promptRegistry');
+const { selfTracingService } = require('./services/selfTracingService');
+const OptimizationJobService = require('./services/optimizationJobService');
+const ConversationService = require('./services/conversationService');
 
 // Initialize Express application
 const app = express();
@@ -92,7 +96,8 @@ app.get('/', (req, res) => {
     endpoints: {
       health: '/api/health',
       ask: '/api/ai/ask',
-      optimization: '/api/prompt-version/model/:modelId/prompt/optimize-from-error'
+      optimization: '/api/prompt-version/model/:modelId/prompt/optimize-from-error',
+      optimizationJobs: '/api/prompt-version/jobs'
     }
   });
 });
@@ -122,12 +127,36 @@ app.use((req, res) => {
  * SERVER STARTUP
  */
 
+// Load and validate the prompt templates; an invalid prompt stops the startup
+try {
+  promptRegistry.load();
+  promptRegistry.watch();
+} catch (error) {
+  console.error('❌ Prompt registry failed to load:', error.message);
+  process.exit(1);
+}
+
 // Start the Express server on the specified port
 app.listen(PORT, () => {
   console.log(`🚀 Server running on port ${PORT}`);
   console.log(`📚 Handit.ai Docs AI Agent started`);
   console.log(`🌐 Environment: ${process.env.NODE_ENV || 'development'}`);
+
+  // Fail the optimization jobs no instance polls anymore; jobs polled by
+  // other running instances keep a fresh heartbeat and are left alone
+  new OptimizationJobService(new ConversationService())
+    .recoverStaleJobs()
+    .catch((error) =>
+      console.error('❌ Error recovering stale optimization jobs:', error.message)
+    );
 });
 
+// Export the queued self-tracing events before the process stops
+for (const signal of ['SIGTERM', 'SIGINT']) {
+  process.on(signal, () => {
+    selfTracingService.shutdown().finally(() => process.exit(0));
+  });
+}
+
 // Export the Express app for testing purposes
 module.exports = app; 
\ No newline at end of file
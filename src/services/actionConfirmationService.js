@@ -0,0 +1,312 @@
+/**
+ * Action Confirmation Service
+ * Keeps the mutating API actions (every non-GET action) and the action plans
+ * that contain them waiting for the user's approval, one per session, until
+ * they are approved, rejected or expire
+ * @module services/actionConfirmationService
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const { maskValue, maskSecrets } = require('../utils/secretMasking');
+
+/**
+ * Minutes a pending confirmation stays valid (ACTION_CONFIRMATION_TTL_MINUTES, default 10)
+ */
+const CONFIRMATION_TTL_MINUTES = parseInt(process.env.ACTION_CONFIRMATION_TTL_MINUTES, 10) || 10;
+
+/**
+ * Replies that approve or reject a pending action, matched against the whole
+ * message after lowercasing and trimming punctuation
+ */
+const APPROVE_REPLIES = [
+    'yes', 'y', 'yes please', 'yep', 'ok', 'okay', 'confirm', 'confirmed', 'approve', 'approved',
+    'go ahead', 'do it', 'proceed', 'run it', 'sí', 'si', 'confirmo', 'adelante', 'hazlo', '/confirm'
+];
+const REJECT_REPLIES = [
+    'no', 'n', 'nope', 'reject', 'decline', 'don\'t', 'do not', 'dont', 'abort', 'no thanks', '/reject'
+];
+
+class ActionConfirmationService {
+    constructor(apiService) {
+        this.apiService = apiService;
+        // Pending confirmations keyed by session
+        this.pendingActions = new Map();
+        this.ttlMs = CONFIRMATION_TTL_MINUTES * 60 * 1000;
+
+        // Expired actions of sessions that never come back are dropped here
+        this.pruneTimer = setInterval(() => this.pruneExpired(), this.ttlMs);
+        this.pruneTimer.unref();
+    }
+
+    /**
+     * Drop the expired pending actions of every session
+     * @returns {number} Number of dropped actions
+     */
+    pruneExpired() {
+        const now = Date.now();
+        let pruned = 0;
+
+        for (const [sessionId, pendingAction] of this.pendingActions) {
+            if (Date.parse(pendingAction.expiresAt) <= now) {
+                this.pendingActions.delete(sessionId);
+                pruned++;
+            }
+        }
+
+        if (pruned > 0) {
+            console.log(`⌛ Dropped ${pruned} expired pending action(s)`);
+        }
+        return pruned;
+    }
+
+    /**
+     * Check if an action needs the user's approval before it runs
+     * @param {string} actionName - Action name
+     * @returns {boolean} True for every action that is not a GET
+     */
+    requiresConfirmation(actionName) {
+        const actionConfig = this.apiService.config.actions[actionName];
+        return Boolean(actionConfig) && actionConfig.method !== 'GET';
+    }
+
+    /**
+     * Store an action until the user approves it
+     * Replaces any other pending action of the session
+     * @param {string} sessionId - Session identifier
+     * @param {string} actionName - Action name
+     * @param {Object} parameters - Validated action parameters
+     * @param {string} userMessage - Message that asked for the action
+     * @returns {Object} Confirmation payload { answer, customAction, pendingAction }
+     */
+    create(sessionId, actionName, parameters, userMessage) {
+        const actionConfig = this.apiService.config.actions[actionName];
+        const request = this.apiService.buildRequest(actionConfig, parameters);
+        const createdAt = Date.now();
+
+        const pendingAction = {
+            id: uuidv4(),
+            kind: 'action',
+            actionName: actionName,
+            description: actionConfig.description,
+            parameters: parameters,
+            request: request,
+            userMessage: userMessage,
+            createdAt: new Date(createdAt).toISOString(),
+            expiresAt: new Date(createdAt + this.ttlMs).toISOString()
+        };
+
+        this.pendingActions.set(sessionId, pendingAction);
+        console.log(`⏸️ Action ${actionName} waiting for confirmation (${pendingAction.id})`);
+
+        return {
+            answer: this.buildSummary(pendingAction),
+            requiresUserInput: true,
+            nextAction: 'confirm_action',
+            customAction: this.buildCustomAction(pendingAction),
+            pendingAction: pendingAction
+        };
+    }
+
+    /**
+     * Store an action plan until the user approves it
+     * Replaces any other pending action of the session
+     * @param {string} sessionId - Session identifier
+     * @param {Object} plan - Validated plan (see ActionPlannerService)
+     * @param {string} planText - Plan formatted for the user
+     * @param {string} userMessage - Message that asked for the plan
+     * @returns {Object} Confirmation payload { answer, customAction, pendingAction }
+     */
+    createPlan(sessionId, plan, planText, userMessage) {
+        const createdAt = Date.now();
+
+        const pendingAction = {
+            id: uuidv4(),
+            kind: 'plan',
+            description: `Run a ${plan.steps.length}-step plan`,
+            plan: plan,
+            userMessage: userMessage,
+            createdAt: new Date(createdAt).toISOString(),
+            expiresAt: new Date(createdAt + this.ttlMs).toISOString()
+        };
+
+        this.pendingActions.set(sessionId, pendingAction);
+        console.log(`⏸️ Plan with ${plan.steps.length} steps waiting for confirmation (${pendingAction.id})`);
+
+        return {
+            answer: [
+                'This plan changes your account, so please confirm it before I run it:',
+                '',
+                planText,
+                '',
+                `Reply **yes** to run it or **no** to cancel. This request expires in ${CONFIRMATION_TTL_MINUTES} minutes.`
+            ].join('\n'),
+            requiresUserInput: true,
+            nextAction: 'confirm_action',
+            customAction: this.buildPlanCustomAction(pendingAction),
+            pendingAction: pendingAction
+        };
+    }
+
+    /**
+     * Get the pending action of a session
+     * Expired actions are dropped
+     * @param {string} sessionId - Session identifier
+     * @returns {Object|null} Pending action or null
+     */
+    get(sessionId) {
+        const pendingAction = this.pendingActions.get(sessionId);
+        if (!pendingAction) {
+            return null;
+        }
+
+        if (Date.parse(pendingAction.expiresAt) <= Date.now()) {
+            console.log(`⌛ Pending action "${pendingAction.description}" expired (${pendingAction.id})`);
+            this.pendingActions.delete(sessionId);
+            return null;
+        }
+
+        return pendingAction;
+    }
+
+    /**
+     * Remove the pending action of a session
+     * @param {string} sessionId - Session identifier
+     * @returns {Object|null} Removed action or null
+     */
+    clear(sessionId) {
+        const pendingAction = this.get(sessionId);
+        this.pendingActions.delete(sessionId);
+        return pendingAction;
+    }
+
+    /**
+     * Read the user's reply to a pending action
+     * @param {string} userMessage - User message
+     * @returns {string} 'approve', 'reject' or 'other' when the message is not a reply
+     */
+    classifyReply(userMessage) {
+        const reply = (userMessage || '').trim().toLowerCase().replace(/^[\s¡¿]+|[\s.!?]+$/g, '');
+
+        if (APPROVE_REPLIES.includes(reply)) return 'approve';
+        if (REJECT_REPLIES.includes(reply)) return 'reject';
+        return 'other';
+    }
+
+    /**
+     * Build the human-readable summary of a pending action
+     * @param {Object} pendingAction - Pending action
+     * @returns {string} Markdown summary
+     */
+    buildSummary(pendingAction) {
+        const lines = [
+            `Before I run this on your account, please confirm: **${pendingAction.description}**`,
+            '',
+            ...this.buildRequestLines(pendingAction.request)
+        ];
+
+        lines.push('', `Reply **yes** to run it or **no** to cancel. This request expires in ${CONFIRMATION_TTL_MINUTES} minutes.`);
+
+        return lines.join('\n');
+    }
+
+    /**
+     * Build the summary lines of one request, with secret body fields masked
+     * @param {Object} request - Request built by ApiService.buildRequest
+     * @returns {Array<string>} Markdown lines
+     */
+    buildRequestLines(request) {
+        const lines = [`- Request: \`${request.method} ${request.endpoint}\``];
+
+        if (request.body && Object.keys(request.body).length > 0) {
+            lines.push('- Body:');
+            for (const [key, value] of Object.entries(request.body)) {
+                lines.push(`  - ${key}: \`${maskValue(key, value)}\``);
+            }
+        }
+
+        return lines;
+    }
+
+    /**
+     * Build the confirmation of the requests a guided flow is about to send
+     * The flow keeps the requests in its own state and runs them when the user approves
+     * @param {string} description - What the requests do
+     * @param {Array<Object>} requests - [{ actionName, parameters }]
+     * @returns {Object} { answer, customAction } with the exact requests
+     */
+    buildFlowConfirmation(description, requests) {
+        const built = requests.map(({ actionName, parameters }) => ({
+            actionName: actionName,
+            ...this.apiService.buildRequest(this.apiService.config.actions[actionName], parameters)
+        }));
+
+        const lines = [`Before I change your account, please confirm: **${description}**`, ''];
+        for (const request of built) {
+            lines.push(...this.buildRequestLines(request));
+        }
+        lines.push('', `Reply **yes** to send ${built.length === 1 ? 'it' : `these ${built.length} requests`} or **no** to cancel.`);
+
+        return {
+            answer: lines.join('\n'),
+            customAction: {
+                type: 'confirm_flow_requests',
+                requests: built.map(request => ({
+                    actionName: request.actionName,
+                    method: request.method,
+                    endpoint: request.endpoint,
+                    query: request.query,
+                    body: maskSecrets(request.body)
+                }))
+            }
+        };
+    }
+
+    /**
+     * Build the customAction sent to the frontend for a pending action
+     * @param {Object} pendingAction - Pending action
+     * @returns {Object} Structured confirmation with the exact request
+     */
+    buildCustomAction(pendingAction) {
+        return {
+            type: 'confirm_api_action',
+            confirmationId: pendingAction.id,
+            actionName: pendingAction.actionName,
+            method: pendingAction.request.method,
+            endpoint: pendingAction.request.endpoint,
+            query: pendingAction.request.query,
+            body: pendingAction.request.body,
+            expiresAt: pendingAction.expiresAt
+        };
+    }
+
+    /**
+     * Build the customAction sent to the frontend for a pending plan
+     * Parameters may still hold references to the outputs of earlier steps
+     * @param {Object} pendingAction - Pending plan
+     * @returns {Object} Structured confirmation with every step request
+     */
+    buildPlanCustomAction(pendingAction) {
+        return {
+            type: 'confirm_action_plan',
+            confirmationId: pendingAction.id,
+            steps: pendingAction.plan.steps.map(step => {
+                const actionConfig = this.apiService.config.actions[step.action];
+                return {
+                    id: step.id,
+                    type: step.type,
+                    description: step.description,
+                    actionName: step.action || null,
+                    method: actionConfig?.method || null,
+                    endpoint: actionConfig?.endpoint || null,
+                    parameters: step.parameters || null,
+                    forEach: step.forEach || null,
+                    from: step.from || null,
+                    criteria: step.criteria || null
+                };
+            }),
+            expiresAt: pendingAction.expiresAt
+        };
+    }
+}
+
+module.exports = ActionConfirmationService;
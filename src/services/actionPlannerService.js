@@ -0,0 +1,359 @@
+/**
+ * Action Planner Service
+ * Builds and runs ordered plans of Handit API actions for requests that need
+ * several calls, passing the outputs of earlier steps into later parameters
+ * @module services/actionPlannerService
+ *
+ * A plan is a list of steps:
+ * - action: calls an action of config/apiActions.json with its parameters; with
+ *   forEach it is called once per item of an earlier output ($item is the item)
+ * - select: lets the LLM keep the items of an earlier output ("from") that match
+ *   a criteria, e.g. "customer service models"
+ * Parameters reference earlier outputs as described in utils/planReferences.
+ */
+
+const { aiService } = require('./aiService');
+const { promptRegistry } = require('./promptRegistry');
+const { getOutputSchema } = require('../config/outputSchemas');
+const { toItems, collectReferences, resolveReferences } = require('../utils/planReferences');
+
+/**
+ * Name of the tool offered to evaluateApiAction for multi-step requests
+ */
+const PLAN_TOOL_NAME = 'plan_api_actions';
+
+/**
+ * Plan limits
+ */
+const MAX_PLAN_STEPS = 8;
+const MAX_CALLS_PER_STEP = 25;
+
+class ActionPlannerService {
+    constructor(apiService) {
+        this.apiService = apiService;
+    }
+
+    /**
+     * Get the tool that routes a request to the planner
+     * @returns {Object} OpenAI tool definition
+     */
+    getPlanToolDefinition() {
+        return {
+            type: 'function',
+            function: {
+                name: PLAN_TOOL_NAME,
+                description: 'Plan several API calls for one request: use it when the request needs more than one action, or the same action repeated over many items (e.g. "attach the hallucination evaluator to all my customer service models"). Do not use it for a single action.',
+                parameters: {
+                    type: 'object',
+                    properties: {
+                        goal: { type: 'string', description: 'What the user wants to achieve, in one sentence' }
+                    },
+                    required: ['goal']
+                }
+            }
+        };
+    }
+
+    /**
+     * Check if a tool call asks for a plan
+     * @param {string} toolName - Name of the called tool
+     * @returns {boolean} True for the plan tool
+     */
+    isPlanToolCall(toolName) {
+        return toolName === PLAN_TOOL_NAME;
+    }
+
+    /**
+     * Planner LLM - Builds an ordered plan of API actions for a request
+     * @param {string} goal - Goal of the request
+     * @param {string} userMessage - Current user message
+     * @param {Object} conversationHistory - Conversation history
+     * @returns {Promise<Object>} { feasible, reason, steps, errors }
+     */
+    async buildPlan(goal, userMessage, conversationHistory) {
+        const conversationContext = conversationHistory.messages
+            ?.slice(-6)
+            .map(msg => `${msg.role}: ${msg.content}`)
+            .join('\n') || 'No previous conversation';
+
+        const actions = this.apiService.getToolDefinitions().map(({ function: tool }) =>
+            `- ${tool.name}: ${tool.description}\n  parameters: ${JSON.stringify(tool.parameters.properties)} required: ${JSON.stringify(tool.parameters.required)}`
+        ).join('\n');
+
+        const planPrompt = promptRegistry.render('planApiActions', {
+            conversationContext: conversationContext,
+            userMessage: userMessage,
+            goal: goal,
+            actions: actions,
+            maxPlanSteps: MAX_PLAN_STEPS
+        });
+
+        const { data: plan } = await aiService.generateStructured(planPrompt, {
+            schema: getOutputSchema('planApiActions'),
+            nodeName: 'planApiActions',
+            maxTokens: 1200,
+            temperature: 0.1,
+            fallback: {
+                feasible: false,
+                reason: 'I could not build a plan for this request.',
+                steps: []
+            }
+        });
+
+        const errors = plan.feasible ? this.validatePlan(plan) : [];
+
+        return { ...plan, errors };
+    }
+
+    /**
+     * Check that a plan only uses known actions and earlier outputs
+     * @param {Object} plan - Plan to check
+     * @returns {Array<string>} Errors (empty when the plan is valid)
+     */
+    validatePlan(plan) {
+        const errors = [];
+        const steps = plan.steps || [];
+
+        if (steps.length === 0) {
+            errors.push('The plan has no steps');
+        }
+        if (steps.length > MAX_PLAN_STEPS) {
+            errors.push(`The plan has ${steps.length} steps, the limit is ${MAX_PLAN_STEPS}`);
+        }
+
+        const earlierIds = [];
+        for (const step of steps) {
+            if (earlierIds.includes(step.id)) {
+                errors.push(`Step id ${step.id} is used twice`);
+            }
+
+            const references = [];
+            if (step.type === 'select') {
+                if (!step.from || !step.criteria) {
+                    errors.push(`Step ${step.id} needs "from" and "criteria"`);
+                }
+                references.push(...collectReferences(step.from));
+            } else {
+                const actionConfig = this.apiService.config.actions[step.action];
+                if (!actionConfig) {
+                    errors.push(`Step ${step.id} uses unknown action "${step.action}"`);
+                } else {
+                    const parameters = step.parameters || {};
+                    for (const name of actionConfig.parameters?.required || []) {
+                        if (parameters[name] === undefined || parameters[name] === null) {
+                            errors.push(`Step ${step.id} is missing parameter ${name}`);
+                        }
+                    }
+                }
+                references.push(...collectReferences(step.parameters || {}), ...collectReferences(step.forEach));
+            }
+
+            for (const source of references) {
+                if (source === 'item' ? !step.forEach : !earlierIds.includes(source)) {
+                    errors.push(`Step ${step.id} references $${source}, which is not an earlier step`);
+                }
+            }
+
+            earlierIds.push(step.id);
+        }
+
+        return errors;
+    }
+
+    /**
+     * Check if a plan calls any mutating (non-GET) action
+     * @param {Object} plan - Plan
+     * @returns {boolean} True when the plan needs the user's confirmation
+     */
+    isMutating(plan) {
+        return plan.steps.some(step =>
+            step.type === 'action' && this.apiService.config.actions[step.action]?.method !== 'GET'
+        );
+    }
+
+    /**
+     * Run a plan step by step
+     * Stops at the first step that fails completely; a step where only some
+     * forEach calls fail is reported as partial and the plan goes on.
+     * @param {Object} plan - Validated plan
+     * @param {string} userApiToken - Optional API token from user
+     * @returns {Promise<Object>} { success, steps, outputs } with per-step results and outputs
+     */
+    async executePlan(plan, userApiToken = null) {
+        const outputs = {};
+        const results = [];
+        let stopped = false;
+
+        for (const step of plan.steps) {
+            if (stopped) {
+                results.push({ id: step.id, description: step.description, status: 'skipped', calls: [] });
+                continue;
+            }
+
+            let result;
+            try {
+                result = step.type === 'select'
+                    ? await this.runSelectStep(step, outputs)
+                    : await this.runActionStep(step, outputs, userApiToken);
+            } catch (error) {
+                result = { status: 'failed', error: error.message, calls: [] };
+            }
+
+            console.log(`📋 Plan step ${step.id} (${step.action || step.type}): ${result.status}`);
+
+            outputs[step.id] = result.output;
+            results.push({ id: step.id, description: step.description, action: step.action || null, ...result });
+            stopped = result.status === 'failed';
+        }
+
+        return {
+            success: results.every(result => result.status === 'success'),
+            steps: results,
+            outputs: outputs
+        };
+    }
+
+    /**
+     * Run an action step, once or once per forEach item
+     * @param {Object} step - Action step
+     * @param {Object} outputs - Outputs of the earlier steps
+     * @param {string} userApiToken - Optional API token from user
+     * @returns {Promise<Object>} { status, output, calls }
+     */
+    async runActionStep(step, outputs, userApiToken) {
+        const items = step.forEach ? toItems(resolveReferences(step.forEach, outputs)) : [undefined];
+
+        if (step.forEach && items.length === 0) {
+            return { status: 'success', output: [], calls: [], note: 'No items to process' };
+        }
+        if (items.length > MAX_CALLS_PER_STEP) {
+            return { status: 'failed', calls: [], error: `${items.length} calls exceed the limit of ${MAX_CALLS_PER_STEP} per step` };
+        }
+
+        const calls = [];
+        for (const item of items) {
+            const call = { parameters: null, success: false };
+            try {
+                const validation = this.apiService.validateParameters(
+                    step.action,
+                    resolveReferences(step.parameters || {}, outputs, item)
+                );
+                call.parameters = validation.parameters;
+
+                if (!validation.valid) {
+                    call.error = validation.errors.join(', ');
+                } else {
+                    const apiResult = await this.apiService.executeAction(step.action, validation.parameters, userApiToken);
+                    call.success = apiResult.success;
+                    call.data = apiResult.data;
+                    call.error = apiResult.error;
+                }
+            } catch (error) {
+                call.error = error.message;
+            }
+            calls.push(call);
+        }
+
+        const succeeded = calls.filter(call => call.success);
+        const status = succeeded.length === calls.length ? 'success' : (succeeded.length > 0 ? 'partial' : 'failed');
+
+        return {
+            status: status,
+            output: step.forEach ? succeeded.map(call => call.data) : calls[0].data,
+            calls: calls.map(({ data, ...call }) => call)
+        };
+    }
+
+    /**
+     * Select LLM - Keeps the items of an earlier output that match the step criteria
+     * @param {Object} step - Select step
+     * @param {Object} outputs - Outputs of the earlier steps
+     * @returns {Promise<Object>} { status, output, calls }
+     */
+    async runSelectStep(step, outputs) {
+        const items = toItems(resolveReferences(step.from, outputs));
+        if (items.length === 0) {
+            return { status: 'failed', output: [], calls: [], error: `${step.from} has no items to select from` };
+        }
+
+        const itemList = items
+            .map((item, index) => `${index}. ${JSON.stringify(item).slice(0, 300)}`)
+            .join('\n');
+
+        const selectPrompt = promptRegistry.render('selectPlanItems', {
+            criteria: step.criteria,
+            itemList: itemList
+        });
+
+        const { data } = await aiService.generateStructured(selectPrompt, {
+            schema: getOutputSchema('selectPlanItems'),
+            nodeName: 'selectPlanItems',
+            maxTokens: 300,
+            temperature: 0.1,
+            fallback: { selectedIndexes: [], reasoning: 'Invalid output' }
+        });
+
+        const selected = [...new Set(data.selectedIndexes)]
+            .filter(index => index < items.length)
+            .map(index => items[index]);
+
+        if (selected.length === 0) {
+            return { status: 'failed', output: [], calls: [], error: `Nothing matched "${step.criteria}"` };
+        }
+
+        return { status: 'success', output: selected, calls: [], selected: selected.length };
+    }
+
+    /**
+     * Format a plan for the user
+     * @param {Object} plan - Plan
+     * @returns {string} Markdown plan
+     */
+    formatPlan(plan) {
+        const lines = plan.steps.map((step, index) => {
+            if (step.type === 'select') {
+                return `${index + 1}. ${step.description} (select from ${step.from}: "${step.criteria}")`;
+            }
+            const actionConfig = this.apiService.config.actions[step.action];
+            const repeat = step.forEach ? ` for each item of ${step.forEach}` : '';
+            return `${index + 1}. ${step.description} (\`${actionConfig.method} ${actionConfig.endpoint}\`${repeat})`;
+        });
+
+        return ['**Plan**', '', ...lines].join('\n');
+    }
+
+    /**
+     * Format the per-step results of a plan run
+     * @param {Object} run - Result of executePlan
+     * @returns {string} Markdown report
+     */
+    formatResults(run) {
+        const icons = { success: '✅', partial: '⚠️', failed: '❌', skipped: '⏭️' };
+
+        const lines = run.steps.map((step, index) => {
+            let detail = step.status;
+            if (step.calls.length > 1) {
+                detail = `${step.calls.filter(call => call.success).length} of ${step.calls.length} calls succeeded`;
+            } else if (step.selected !== undefined) {
+                detail = `${step.selected} selected`;
+            } else if (step.note) {
+                detail = step.note;
+            }
+
+            const line = `${index + 1}. ${icons[step.status]} ${step.description}: ${detail}`;
+            const errors = [
+                ...(step.error ? [step.error] : []),
+                ...step.calls
+                    .filter(call => !call.success && call.error)
+                    .map(call => `${JSON.stringify(call.parameters)}: ${call.error}`)
+            ];
+
+            return [line, ...errors.map(error => `   - ${error}`)].join('\n');
+        });
+
+        const heading = run.success ? '**Results**: every step succeeded' : '**Results**: some steps did not succeed';
+        return [heading, '', ...lines].join('\n');
+    }
+}
+
+module.exports = ActionPlannerService;
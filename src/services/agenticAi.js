@@ -5,21 +5,89 @@
  */
 
 const { aiService } = require('./aiService');
+const { promptRegistry } = require('./promptRegistry');
 const ConversationService = require('./conversationService');
 const ApiService = require('./apiService');
 const EvaluatorConnectionService = require('./evaluatorConnectionService');
+const OptimizationFlowService = require('./optimizationFlowService');
+const OptimizationJobService = require('./optimizationJobService');
+const CommandService = require('./commandService');
+const ActionConfirmationService = require('./actionConfirmationService');
+const ActionPlannerService = require('./actionPlannerService');
+const { retrievalService } = require('./retrievalService');
+const { groundingService } = require('./groundingService');
+const GraphEngine = require('./graphEngine');
+const agentGraph = require('../config/agentGraph');
+const { getOutputSchema } = require('../config/outputSchemas');
+const {
+  mergeProfileUpdates,
+  markQuestionAsked,
+  setPhaseGuideProgress,
+  getQuestionStatus,
+} = require('../utils/onboardingProfile');
+const { getPhaseGuide } = require('../config/phaseGuides');
+const { ACTIVE_JOB_STATUSES } = require('../config/optimizationJobConfig');
+const { resolveSnippetStack, getSnippetStack } = require('../config/sdkSnippets');
+const { renderSnippets, applySnippets } = require('../utils/sdkSnippets');
+const {
+  isGroundingEnabled,
+  getGroundingMode,
+} = require('../config/groundingConfig');
+const {
+  analyzeIntegration,
+  formatFindings,
+  formatCheckAnswer,
+} = require('../utils/integrationChecker');
+const { getContext } = require('../utils/requestContext');
 
 class AgenticAI {
   constructor() {
     this.conversationService = new ConversationService();
     this.apiService = new ApiService();
-    this.evaluatorConnectionService = new EvaluatorConnectionService(
+    this.actionConfirmationService = new ActionConfirmationService(
       this.apiService
     );
+    this.evaluatorConnectionService = new EvaluatorConnectionService(
+      this.apiService,
+      this.actionConfirmationService
+    );
+    this.optimizationJobService = new OptimizationJobService(
+      this.conversationService
+    );
+    // The Phase 3 guide finishes when its optimization job completes
+    this.optimizationJobService.onJobFinished((job) =>
+      job.status === 'completed' && job.session_id
+        ? this.completePhaseGuide(job.session_id, 'phase3')
+        : null
+    );
+    this.optimizationFlowService = new OptimizationFlowService(
+      this.apiService,
+      this.actionConfirmationService,
+      this.optimizationJobService
+    );
+    this.actionPlannerService = new ActionPlannerService(this.apiService);
+    this.commandService = new CommandService(
+      this.conversationService,
+      this.evaluatorConnectionService,
+      this.actionConfirmationService,
+      this.optimizationFlowService
+    );
+    this.graphEngine = new GraphEngine(agentGraph, this);
+  }
+
+  /**
+   * Get the documentation chunks retrieved while processing the current turn
+   * @returns {Object} sources and totalSources fields for the response
+   */
+  getTurnSources() {
+    const sources = retrievalService.getSources();
+    return { sources: sources, totalSources: sources.length };
   }
 
   /**
    * Process user input with conversation history
+   * Control commands (/reset, /cancel, /status, /help) are answered first without
+   * an LLM call; every other message runs the agent graph defined in config/agentGraph
    * @param {string} userMessage - Latest user message
    * @param {string} sessionId - Session identifier
    * @param {string} userApiToken - Optional API token from user for external API calls
@@ -37,90 +105,50 @@ class AgenticAI {
       // Store current session ID for access by other methods
       this.currentSessionId = sessionId;
 
-      // Get conversation history
-      const conversationHistory =
-        await this.conversationService.getConversationHistory(sessionId, 20);
-
-      // Call RouterIntention LLM to classify user intention
-      const intentionResult = await this.routerIntention(
+      const commandResponse = await this.commandService.handle(
         userMessage,
-        conversationHistory
+        sessionId
       );
-
-      // Check if user intention is about handit
-      if (intentionResult.handit === false) {
-        // Redirect to anotherTopic LLM for polite redirection
-        const redirectResponse = await this.anotherTopic(
-          userMessage,
-          conversationHistory,
-          intentionResult
-        );
+      if (commandResponse) {
         return {
-          answer: redirectResponse.answer,
           sessionId: sessionId,
           userMessage: userMessage,
-          conversationHistory: conversationHistory,
-          intention: intentionResult,
-          nodeType: 'another_topic_redirect',
+          graphPath: [],
+          sources: [],
+          totalSources: 0,
+          ...commandResponse,
         };
-      } else {
-        console.log('🔄 User intention is about Handit');
-        // Continue with handit-related processing - call orientIntention
-        const orientResult = await this.orientIntention(
-          userMessage,
-          conversationHistory,
-          intentionResult
-        );
-        console.log('🔄 Orient Result:', orientResult);
-        // Check if user needs onboarding
-        if (orientResult.on_boarding === true) {
-          // Redirect to onBoarding LLM
-          const onBoardingResponse = await this.onBoarding(
-            userMessage,
-            conversationHistory,
-            intentionResult,
-            userApiToken,
-            handitToken
-          );
+      }
 
-          return {
-            answer: onBoardingResponse.answer,
-            sessionId: sessionId,
-            userMessage: userMessage,
-            conversationHistory: conversationHistory,
-            intention: intentionResult,
-            orientation: orientResult,
-            onBoarding: onBoardingResponse,
-            extractedInfo: onBoardingResponse.extractedInfo,
-            nodeType: 'on_boarding_process',
-            evaluators_added: onBoardingResponse.evaluators_added,
-            custom_evaluator_management:
-              onBoardingResponse.custom_evaluator_management,
-            on_boarding_observability_finished:
-              onBoardingResponse.on_boarding_observability_finished,
-              ...onBoardingResponse,
-          };
-        } else {
-          // Handle general inquiries (non-onboarding) - send to generalKnowledge LLM
-          const generalResponse = await this.generalKnowledge(
-            userMessage,
-            conversationHistory,
-            userApiToken
-          );
+      // Get conversation history
+      const conversationHistory =
+        await this.conversationService.getConversationHistory(sessionId, 20);
 
-          return {
-            answer: generalResponse.answer,
-            sessionId: sessionId,
-            userMessage: userMessage,
-            conversationHistory: conversationHistory,
-            intention: intentionResult,
-            orientation: orientResult,
-            generalKnowledge: generalResponse,
-            nodeType: 'general_inquiry',
-            ...generalResponse,
-          };
-        }
-      }
+      const state = {
+        userMessage: userMessage,
+        sessionId: sessionId,
+        conversationHistory: conversationHistory,
+        userApiToken: userApiToken,
+        handitToken: handitToken,
+        pendingAction: this.actionConfirmationService.get(sessionId),
+        // Code the user attached to the message, checked by checkIntegration
+        attachments: getContext()?.attachments || [],
+      };
+      const nodeResponse = await this.graphEngine.run(state);
+
+      console.log('🗺️ Graph path:', state.path.join(' → '));
+
+      return {
+        answer: nodeResponse.answer,
+        sessionId: sessionId,
+        userMessage: userMessage,
+        conversationHistory: conversationHistory,
+        intention: state.intention,
+        orientation: state.orientation,
+        graphPath: state.path,
+        ...nodeResponse,
+        ...this.getTurnSources(),
+      };
     } catch (error) {
       console.error('❌ Error in simple agentic system:', error);
       throw error;
@@ -128,18 +156,23 @@ class AgenticAI {
   }
 
   /**
-   * Router Intention LLM - Classifies user intention based on context
+   * Intent Classifier LLM - Makes every routing decision of the turn in one call
+   * Used instead of the serial classifier nodes when CLASSIFIER_MODE is "unified"
    * @param {string} userMessage - Current user message
    * @param {Object} conversationHistory - Conversation history
-   * @returns {Promise<Object>} Intention classification result
+   * @param {string} userApiToken - Optional API token from user
+   * @returns {Promise<Object>} Results keyed like the serial classifier nodes
    */
-  async routerIntention(userMessage, conversationHistory) {
+  async classifyIntent(userMessage, conversationHistory, userApiToken = null) {
     try {
-      // Import handitKnowledgeBase from pinecone.js
-      const { handitKnowledgeBase } = require('../config/pinecone');
+      console.log('🧩 Intent Classifier LLM: Classifying all routing decisions');
 
-      // Use handitKnowledgeBase as context
-      const context = handitKnowledgeBase;
+      // Retrieve only the documentation chunks relevant to this node
+      const { context } = await retrievalService.retrieveContext(
+        'classifyIntent',
+        userMessage,
+        conversationHistory
+      );
 
       // Prepare conversation history for context
       const conversationContext =
@@ -147,60 +180,207 @@ class AgenticAI {
           ?.map((msg) => `${msg.role}: ${msg.content}`)
           .join('\n') || 'No previous conversation';
 
-      const intentionPrompt = `You are a Router Intention LLM. Your goal is to classify the user intention based on the DOCUMENTATION CONTEXT.
+      // API actions are only offered when they can be executed
+      const apiAvailable = this.apiService.isAvailable() || !!userApiToken;
+      const availableActions = apiAvailable
+        ? this.apiService.getActionsDescription()
+        : 'None (API not configured and no user token provided)';
+
+      const classifierPrompt = promptRegistry.render('classifyIntent', {
+        context: context,
+        conversationContext: conversationContext,
+        userMessage: userMessage,
+        availableActions: availableActions,
+      });
+
+      const { data: rawResult } = await aiService.generateStructured(
+        classifierPrompt,
+        {
+          schema: getOutputSchema('classifyIntent'),
+          nodeName: 'classifyIntent',
+          maxTokens: 800,
+          temperature: 0.1,
+          fallback: {},
+        }
+      );
+
+      const classification = this.normalizeClassification(
+        rawResult,
+        apiAvailable
+      );
+
+      console.log('🧩 Intent Classification:', classification);
+
+      return classification;
+    } catch (error) {
+      console.warn(
+        '⚠️ Error in Intent Classifier, using defaults:',
+        error.message
+      );
+      return this.normalizeClassification(
+        {},
+        this.apiService.isAvailable() || !!userApiToken
+      );
+    }
+  }
+
+  /**
+   * Fill in and validate the unified classifier output so each part has the
+   * shape and defaults of the matching serial classifier node
+   * @param {Object} rawResult - Parsed classifier output
+   * @param {boolean} apiAvailable - Whether API actions can be executed
+   * @returns {Object} Normalized classification
+   */
+  normalizeClassification(rawResult, apiAvailable) {
+    const intention =
+      typeof rawResult.intention?.handit === 'boolean'
+        ? rawResult.intention
+        : { handit: true };
+
+    const phase = rawResult.phase
+      ? this.normalizePhase(rawResult.phase)
+      : {
+          phase1_observability: true,
+          phase2_evaluation: false,
+          phase3_selfimproving: false,
+          isStarting: true,
+          phase: 'Phase 1: AI Observability',
+          explanation: 'No phase classification, defaulting to Phase 1',
+        };
 
-DOCUMENTATION CONTEXT:
-${context}
+    const apiAction = apiAvailable
+      ? rawResult.apiAction || {
+          shouldExecute: false,
+          reasoning: 'No API evaluation, defaulting to documentation response',
+          confidence: 0.5,
+        }
+      : {
+          shouldExecute: false,
+          reason: 'API not configured and no user token provided',
+          isOptional: true,
+        };
 
-CONVERSATION HISTORY:
-${conversationContext}
+    return {
+      intention: intention,
+      orientation: this.normalizeOrientation(
+        rawResult.orientation || { on_boarding: true, general: false }
+      ),
+      phase: phase,
+      profileUpdates: rawResult.profileUpdates || {},
+      evaluatorRequest: rawResult.evaluatorRequest || {
+        isEvaluatorRequest: false,
+        confidence: 0.0,
+        reasoning: 'No evaluator request classification',
+      },
+      optimizationRequest: rawResult.optimizationRequest || {
+        isOptimizationRequest: false,
+        confidence: 0.0,
+        extractedInfo: null,
+      },
+      apiAction: apiAction,
+    };
+  }
 
-CURRENT USER MESSAGE: "${userMessage}"
+  /**
+   * Validate an orientation result - it cannot be both onboarding and general false
+   * @param {Object} orientResult - Parsed orientation result
+   * @returns {Object} Orientation result with boolean flags
+   */
+  normalizeOrientation(orientResult) {
+    // Validate result - cannot be both false
+    if (!orientResult.on_boarding && !orientResult.general) {
+      console.warn('⚠️ Both flags are false, defaulting to on_boarding: true');
+      orientResult.on_boarding = true;
+    }
 
-TASK: Analyze if the user's intention is about Handit or any topic based on the DOCUMENTATION CONTEXT.
+    // Ensure boolean values
+    orientResult.on_boarding = Boolean(orientResult.on_boarding);
+    orientResult.general = Boolean(orientResult.general);
 
-DECISION RULES:
+    return orientResult;
+  }
 
-1.- translate the user's message and the conversation history to english.
-2.- GO THROUGH THE DOCUMENTATION CONTEXT AND CHECK IF THE USER'S MESSAGE OR THE CONVERSATION HISTORY IS ABOUT Handit or any topic covered in the DOCUMENTATION CONTEXT.
-3.- If the user's message or the conversation history is about Handit or any topic covered in the DOCUMENTATION CONTEXT → Return handit: true
-4.- If the user's message or the conversation history is about Handit but not mentioned directly, like <i want to install it>, or something about AI or Engineering → Return handit: true
-4.- If the user's message is clearly about something NOT covered in the DOCUMENTATION CONTEXT → Return handit: false
-5.- Give a brief explanation of your decision in the explanation field.
+  /**
+   * Validate a phase result - exactly one phase, isStarting only for Phase 1
+   * @param {Object} phaseResult - Parsed phase result
+   * @returns {Object} Phase result with boolean flags
+   */
+  normalizePhase(phaseResult) {
+    // Validate result - ensure only one phase is true
+    const phases = [
+      phaseResult.phase1_observability,
+      phaseResult.phase2_evaluation,
+      phaseResult.phase3_selfimproving,
+    ];
+    const trueCount = phases.filter((p) => p === true).length;
+
+    if (trueCount === 0) {
+      console.warn('⚠️ No phase selected, defaulting to Phase 1');
+      phaseResult.phase1_observability = true;
+      phaseResult.phase = 'Phase 1: AI Observability';
+      phaseResult.isStarting = true;
+    } else if (trueCount > 1) {
+      console.warn('⚠️ Multiple phases selected, defaulting to Phase 1');
+      phaseResult.phase1_observability = true;
+      phaseResult.phase2_evaluation = false;
+      phaseResult.phase3_selfimproving = false;
+      phaseResult.phase = 'Phase 1: AI Observability';
+    }
 
-Return ONLY valid JSON:
-{"handit": true, "explanation": "Brief explanation of your decision"} or {"handit": false, "explanation": "Brief explanation of your decision"}`;
+    // Ensure isStarting is only relevant for Phase 1
+    if (!phaseResult.phase1_observability) {
+      phaseResult.isStarting = false;
+    }
 
-      const response = await aiService.generateResponse(intentionPrompt, {
-        maxTokens: 100,
-      });
+    // Ensure boolean values
+    phaseResult.phase1_observability = Boolean(
+      phaseResult.phase1_observability
+    );
+    phaseResult.phase2_evaluation = Boolean(phaseResult.phase2_evaluation);
+    phaseResult.phase3_selfimproving = Boolean(
+      phaseResult.phase3_selfimproving
+    );
+    phaseResult.isStarting = Boolean(phaseResult.isStarting);
 
-      console.log('🎯 Router Intention Response:', response.answer);
+    return phaseResult;
+  }
 
-      let intentionResult;
-      try {
-        let jsonText = response.answer.trim();
+  /**
+   * Router Intention LLM - Classifies user intention based on context
+   * @param {string} userMessage - Current user message
+   * @param {Object} conversationHistory - Conversation history
+   * @returns {Promise<Object>} Intention classification result
+   */
+  async routerIntention(userMessage, conversationHistory) {
+    try {
+      // Retrieve only the documentation chunks relevant to this node
+      const { context } = await retrievalService.retrieveContext(
+        'routerIntention',
+        userMessage,
+        conversationHistory
+      );
 
-        // Extract JSON if wrapped in other text
-        const jsonMatch = jsonText.match(/\{[^}]*\}/);
-        if (jsonMatch) {
-          jsonText = jsonMatch[0];
-        }
+      // Prepare conversation history for context
+      const conversationContext =
+        conversationHistory.messages
+          ?.map((msg) => `${msg.role}: ${msg.content}`)
+          .join('\n') || 'No previous conversation';
 
-        intentionResult = JSON.parse(jsonText);
+      const intentionPrompt = promptRegistry.render('routerIntention', {
+        context: context,
+        conversationContext: conversationContext,
+        userMessage: userMessage,
+      });
 
-        // Validate result
-        if (typeof intentionResult.handit !== 'boolean') {
-          console.warn('⚠️ Invalid handit field, defaulting to handit: true');
-          intentionResult = { handit: true };
+      const { data: intentionResult } = await aiService.generateStructured(
+        intentionPrompt,
+        {
+          schema: getOutputSchema('routerIntention'),
+          nodeName: 'routerIntention',
+          maxTokens: 100,
+          fallback: { handit: true },
         }
-      } catch (error) {
-        console.warn(
-          '⚠️ Router Intention JSON parse failed, defaulting to handit: true:',
-          error.message
-        );
-        intentionResult = { handit: true };
-      }
+      );
 
       console.log('🎯 Intention Classification:', intentionResult);
 
@@ -231,49 +411,16 @@ Return ONLY valid JSON:
           ?.map((msg) => `${msg.role}: ${msg.content}`)
           .join('\n') || 'No previous conversation';
 
-      const redirectPrompt = `You are a helpful Handit.ai assistant. The user asked about something unrelated to Handit.ai. Generate a polite response to redirect them to ask about Handit.ai topics.
-
-CONVERSATION HISTORY:
-${conversationContext}
-
-USER MESSAGE: "${userMessage}"
-
-ROUTER INTENTION RESULT: ${JSON.stringify(intentionResult)}
-
-ABOUT HANDIT.AI:
-Handit: The Open Source Engine that Auto-Improves Your AI.
-Handit evaluates every agent decision, auto-generates better prompts and datasets, A/B-tests the fix, and lets you control what goes live.
-
-Here's what we'll accomplish in three phases:
-
-Phase 1: AI Observability
-Set up comprehensive tracing to see inside your AI agents and understand what they're doing
-
-Phase 2: Quality Evaluation
-Add automated evaluation to continuously assess performance across multiple quality dimensions
-
-Phase 3: Self-Improving AI
-Enable automatic optimization that generates better prompts, tests them, and provides proven improvements
-
-TASK: Generate a short, polite response that:
-1. Acknowledges their question respectfully
-2. Explains that you're specifically designed to help with Handit.ai
-3. Mentions what you CAN help with (observability, evaluation, optimizatio and more about Handit.ai)
-4. Politely redirects them to ask about Handit.ai topics
-5. Respond in the same language as the user
-6. This key words AI Observability, Quality Evaluation, Self-Improving AI, Handit.ai, keep them in english, or any key word from Handit.ai don't translate them.
-
-EXAMPLES:
-- Be friendly and helpful
-- Don't be dismissive of their question
-- Keep it concise but informative
-- Don't be verbose
-- Suggest specific Handit.ai topics they might be interested in
-
-Generate ONLY the response text (no JSON, no quotes).`;
+      const redirectPrompt = promptRegistry.render('anotherTopic', {
+        conversationContext: conversationContext,
+        userMessage: userMessage,
+        intentionResult: JSON.stringify(intentionResult),
+      });
 
       const response = await aiService.generateResponse(redirectPrompt, {
         maxTokens: 300,
+        stream: true,
+        nodeName: 'anotherTopic',
       });
 
       console.log('🔄 Another Topic Response Generated');
@@ -310,11 +457,12 @@ Generate ONLY the response text (no JSON, no quotes).`;
         '🧭 Orient Intention LLM: Classifying onboarding vs general inquiry'
       );
 
-      // Import handitKnowledgeBase from pinecone.js
-      const { handitKnowledgeBase } = require('../config/pinecone');
-
-      // Use handitKnowledgeBase as context
-      const context = handitKnowledgeBase;
+      // Retrieve only the documentation chunks relevant to this node
+      const { context } = await retrievalService.retrieveContext(
+        'orientIntention',
+        userMessage,
+        conversationHistory
+      );
 
       // Prepare conversation history for context
       const conversationContext =
@@ -322,100 +470,24 @@ Generate ONLY the response text (no JSON, no quotes).`;
           ?.map((msg) => `${msg.role}: ${msg.content}`)
           .join('\n') || 'No previous conversation';
 
-      const orientPrompt = `You are an Orient Intention LLM. Your goal is to determine if the user is in an onboarding setup process or has a general inquiry about Handit.ai.
-
-HANDIT.AI CONTEXT:
-${context}
-
-CONVERSATION HISTORY:
-${conversationContext}
-
-CURRENT USER MESSAGE: "${userMessage}"
-
-ROUTER INTENTION RESULT: ${JSON.stringify(intentionResult)}
-
-ONBOARDING PROCESS DEFINITION:
-The onboarding process includes these 3 phases:
-
-Phase 1: AI Observability
-Set up comprehensive tracing to see inside your AI agents and understand what they're doing
-
-Phase 2: Quality Evaluation  
-Add automated evaluation to continuously assess performance across multiple quality dimensions
-
-Phase 3: Self-Improving AI
-Enable automatic optimization that generates better prompts, tests them, and provides proven improvements
-
-TASK: Analyze the last message and conversation history to determine:
-
-1. Go through the HANDIT.AI CONTEXT
-
-2. Is the user in or wants to start the ONBOARDING SETUP PROCESS? 
-   - Looking to setup/configure/install Handit.ai
-   - Asking about getting started with Handit.ai
-   - Asking about any of the 3 phases (AI Observability, Quality Evaluation, Self-Improving AI)
-   - Wanting to integrate Handit.ai into their system
-
-3. Is this a GENERAL INQUIRY about Handit.ai?
-   - Asking what Handit.ai is
-   - Asking about features without wanting to set up
-   - General questions about capabilities
-   - Information requests without setup intent
-
-CRITICAL RULES:
-- Can return both true (user wants onboarding AND has general questions)
-- CANNOT return both false (must be at least one true)
-- If in doubt, favor on_boarding: true
-
-RESPONSE FORMAT (JSON):
-{
-  "on_boarding": true/false,
-  "general": true/false,
-  "reasoning": "Brief explanation of classification"
-}
-
-Return ONLY valid JSON.`;
-
-      const response = await aiService.generateResponse(orientPrompt, {
-        maxTokens: 200,
+      const orientPrompt = promptRegistry.render('orientIntention', {
+        context: context,
+        conversationContext: conversationContext,
+        userMessage: userMessage,
+        intentionResult: JSON.stringify(intentionResult),
       });
 
-      console.log('🧭 Orient Intention Response:', response.answer);
-
-      let orientResult;
-      try {
-        let jsonText = response.answer.trim();
-
-        // Extract JSON if wrapped in other text
-        const jsonMatch = jsonText.match(/\{[\s\S]*?\}/);
-        if (jsonMatch) {
-          jsonText = jsonMatch[0];
-        }
-
-        orientResult = JSON.parse(jsonText);
-
-        // Validate result - cannot be both false
-        if (!orientResult.on_boarding && !orientResult.general) {
-          console.warn(
-            '⚠️ Both flags are false, defaulting to on_boarding: true'
-          );
-          orientResult.on_boarding = true;
-        }
-
-        // Ensure boolean values
-        orientResult.on_boarding = Boolean(orientResult.on_boarding);
-        orientResult.general = Boolean(orientResult.general);
-      } catch (error) {
-        console.warn(
-          '⚠️ Orient Intention JSON parse failed, defaulting to on_boarding: true:',
-          error.message
-        );
-        orientResult = {
+      const { data } = await aiService.generateStructured(orientPrompt, {
+        schema: getOutputSchema('orientIntention'),
+        nodeName: 'orientIntention',
+        maxTokens: 200,
+        fallback: {
           on_boarding: true,
           general: false,
-          reasoning: 'JSON parse failed, defaulting to onboarding',
-        };
-      }
+          reasoning: 'Invalid output, defaulting to onboarding',
+        },
+      });
+      const orientResult = this.normalizeOrientation(data);
 
       console.log('🧭 Orientation Classification:', orientResult);
 
@@ -434,327 +506,173 @@ Return ONLY valid JSON.`;
   }
 
   /**
-   * OnBoarding LLM - Handles user onboarding process
+   * Phase Classification LLM - Classifies which phase the user is in
    * @param {string} userMessage - Current user message
    * @param {Object} conversationHistory - Conversation history
    * @param {Object} intentionResult - Router intention result
-   * @returns {Promise<Object>} OnBoarding response
-   *
-   * FLOW EXPLANATION:
-   * 1. Check if all questions have been asked step by step
-   * 2. If not all questions asked → Ask next question
-   * 3. If all questions asked → Extract context info and proceed with setup
-   *
-   * RESULT STRUCTURE:
-   * - questionsCompleted = false → Ask next question step by step
-   * - questionsCompleted = true → Extract info and provide setup instructions
+   * @returns {Promise<Object>} Phase classification result
    */
-  async onBoarding(
-    userMessage,
-    conversationHistory,
-    intentionResult,
-    userApiToken,
-    handitToken = null
-  ) {
+  async phaseClassification(userMessage, conversationHistory, intentionResult) {
     try {
-      console.log('🚀 OnBoarding LLM: Processing user onboarding request');
-
-      // First, classify which phase the user is in
-      const phaseResult = await this.phaseClassification(
-        userMessage,
-        conversationHistory,
-        intentionResult
-      );
+      console.log('📊 Phase Classification LLM: Analyzing user phase');
 
-      // Check question status - step by step approach
-      const questionStatus = await this.checkQuestionStatus(
+      // Retrieve only the documentation chunks relevant to this node
+      const { context } = await retrievalService.retrieveContext(
+        'phaseClassification',
         userMessage,
         conversationHistory
       );
 
-      // DECISION LOGIC EXPLANATION:
-      // If all questions have been asked step by step, extract info and proceed with setup
-      if (questionStatus.allQuestionsAsked === true) {
-        console.log(
-          '✅ All questions completed - extracting info and proceeding with setup'
-        );
+      // Prepare conversation history for context
+      const conversationContext =
+        conversationHistory.messages
+          ?.map((msg) => `${msg.role}: ${msg.content}`)
+          .join('\n') || 'No previous conversation';
 
-        // NOW extract context information after all questions have been asked
-        const extractedInfo = await this.extractContextInfo(
-          userMessage,
-          conversationHistory
-        );
-        const setupInfo = await this.setupHandit(
-          userMessage,
-          conversationHistory,
-          extractedInfo,
-          handitToken
-        );
+      const phasePrompt = promptRegistry.render('phaseClassification', {
+        context: context,
+        conversationContext: conversationContext,
+        userMessage: userMessage,
+        intentionResult: JSON.stringify(intentionResult),
+      });
 
-        return {
-          answer: setupInfo.answer,
-          type: 'onboarding_with_setup',
-          phase: phaseResult.phase,
-          isStarting: phaseResult.isStarting,
-          phaseDetails: phaseResult,
-          extractedInfo: extractedInfo,
-          setupInfo: setupInfo,
-          nextSteps: setupInfo.nextSteps || [],
+      const { data } = await aiService.generateStructured(phasePrompt, {
+        schema: getOutputSchema('phaseClassification'),
+        nodeName: 'phaseClassification',
+        maxTokens: 250,
+        fallback: {
+          phase1_observability: true,
+          phase2_evaluation: false,
+          phase3_selfimproving: false,
+          isStarting: true,
+          phase: 'Phase 1: AI Observability',
           explanation:
-            'All questions completed, proceeding with tailored setup instructions',
-          on_boarding_observability_finished: true,
-          questionStatus: questionStatus,
-        };
-      }
-      // If user is starting from scratch in Phase 1, ask questions step by step
-      else if (phaseResult.isStarting === true) {
-        console.log(
-          '❓ User starting from scratch - asking next question step by step'
-        );
-        const contextQuestions = await this.questionContext(
-          userMessage,
-          conversationHistory,
-          questionStatus
-        );
+            'Invalid output, defaulting to Phase 1 starting from scratch',
+        },
+      });
+      const phaseResult = this.normalizePhase(data);
 
-        return {
-          answer: contextQuestions.answer,
-          type: 'onboarding_questions',
-          phase: phaseResult.phase,
-          isStarting: phaseResult.isStarting,
-          phaseDetails: phaseResult,
-          extractedInfo: null, // Don't extract until all questions are asked
-          contextQuestions: contextQuestions,
-          nextSteps: [],
-          explanation:
-            'User starting from scratch, asking questions step by step',
-          questionStatus: questionStatus,
-        };
-      } else {
-        // For users not starting from scratch, send to generalKnowledge LLM
-        console.log(
-          '🎯 User not starting from scratch - sending to generalKnowledge'
-        );
-        const generalResponse = await this.generalKnowledge(
-          userMessage,
-          conversationHistory,
-          userApiToken
-        );
+      console.log('📊 Phase Classification Result:', phaseResult);
 
-        return {
-          answer: generalResponse.answer,
-          type: 'onboarding_general_knowledge',
-          phase: phaseResult.phase,
-          isStarting: phaseResult.isStarting,
-          phaseDetails: phaseResult,
-          extractedInfo: null,
-          generalKnowledge: generalResponse,
-          evaluators_added: generalResponse.evaluators_added,
-          custom_evaluator_management:
-            generalResponse.custom_evaluator_management,
-          nextSteps: [],
-          explanation:
-            'User not starting from scratch, providing contextual response via generalKnowledge',
-          ...generalResponse,
-        };
-      }
+      return phaseResult;
     } catch (error) {
       console.warn(
-        '⚠️ Error in OnBoarding LLM, using default response:',
+        '⚠️ Error in Phase Classification, defaulting to Phase 1:',
         error.message
       );
-
       return {
-        answer:
-          "Welcome to Handit.ai onboarding! We're here to help you get started.",
-        type: 'onboarding_error',
-        phase: 'error_fallback',
-        nextSteps: [],
-        explanation: 'Error occurred during onboarding process',
+        phase1_observability: true,
+        phase2_evaluation: false,
+        phase3_selfimproving: false,
+        isStarting: true,
+        phase: 'Phase 1: AI Observability',
+        explanation:
+          'Error occurred, defaulting to Phase 1 starting from scratch',
       };
     }
   }
 
   /**
-   * Phase Classification LLM - Classifies which phase the user is in
+   * Update Onboarding Profile - Stores the setup answers given in this message
+   * Uses the unified classifier extraction when available, otherwise makes its own call
+   * @param {string} sessionId - Session identifier
    * @param {string} userMessage - Current user message
    * @param {Object} conversationHistory - Conversation history
-   * @param {Object} intentionResult - Router intention result
-   * @returns {Promise<Object>} Phase classification result
+   * @param {Object} [profileUpdates] - Answers extracted by classifyIntent
+   * @returns {Promise<Object>} { profile, questionStatus, updatedFields }
    */
-  async phaseClassification(userMessage, conversationHistory, intentionResult) {
-    try {
-      console.log('📊 Phase Classification LLM: Analyzing user phase');
-
-      // Import handitKnowledgeBase from pinecone.js
-      const { handitKnowledgeBase } = require('../config/pinecone');
-
-      // Use handitKnowledgeBase as context
-      const context = handitKnowledgeBase;
+  async updateOnboardingProfile(
+    sessionId,
+    userMessage,
+    conversationHistory,
+    profileUpdates = null
+  ) {
+    const storedProfile =
+      await this.conversationService.getOnboardingProfile(sessionId);
 
-      // Prepare conversation history for context
-      const conversationContext =
-        conversationHistory.messages
-          ?.map((msg) => `${msg.role}: ${msg.content}`)
-          .join('\n') || 'No previous conversation';
+    const updates =
+      profileUpdates ||
+      (await this.extractProfileUpdates(
+        userMessage,
+        conversationHistory,
+        storedProfile
+      ));
 
-      const phasePrompt = `You are a Phase Classification LLM. Your goal is to classify which phase the user is in based on the DOCUMENTATION CONTEXT and conversation history.
+    const { profile, updatedFields } = mergeProfileUpdates(
+      storedProfile,
+      updates
+    );
+    if (updatedFields.length > 0) {
+      await this.conversationService.saveOnboardingProfile(sessionId, profile);
+    }
 
-DOCUMENTATION CONTEXT:
-${context}
+    const questionStatus = getQuestionStatus(profile);
 
-CONVERSATION HISTORY:
-${conversationContext}
+    console.log('🗂️ Onboarding Profile:', profile, 'updated:', updatedFields);
 
-CURRENT USER MESSAGE: "${userMessage}"
+    return { profile, questionStatus, updatedFields };
+  }
 
-ROUTER INTENTION RESULT: ${JSON.stringify(intentionResult)}
+  /**
+   * Extract Profile Updates LLM - Reads the setup answers given in the current message
+   * @param {string} userMessage - Current user message
+   * @param {Object} conversationHistory - Conversation history
+   * @param {Object} profile - Stored onboarding profile
+   * @returns {Promise<Object>} Answers keyed by profile field (null when not mentioned)
+   */
+  async extractProfileUpdates(userMessage, conversationHistory, profile) {
+    try {
+      const lastAssistantMessage =
+        conversationHistory.messages
+          ?.filter((msg) => msg.role === 'assistant')
+          .slice(-1)[0]?.content || 'None';
 
-HANDIT.AI PHASES:
+      const extractPrompt = promptRegistry.render('extractProfileUpdates', {
+        profile: JSON.stringify(profile),
+        lastAssistantMessage: lastAssistantMessage,
+        userMessage: userMessage,
+      });
 
-Phase 1: AI Observability
-Set up comprehensive tracing to see inside your AI agents and understand what they're doing
-
-Phase 2: Quality Evaluation 
-Add automated evaluation to continuously assess performance across multiple quality dimensions
-
-Phase 3: Self-Improving AI 
-Enable automatic optimization that generates better prompts, tests them, and provides proven improvements
-
-TASK: 
-1. Translate the user's message and the conversation history to english.
-2. GO THROUGH THE ENTIRE DOCUMENTATION CONTEXT THOROUGHLY
-3. Analyze the conversation history and current user message to determine which phase the user is interested in or currently working on
-4. Classify the user's current phase based on their questions, concerns, or setup needs
-5. If it's about Observability (Phase 1), determine if they're starting from scratch (0 progress, no installation, no configuration)
-
-OBSERVABILITY STARTING INDICATORS:
-- No previous installation mentioned
-- Asking "how to get started"
-- Asking "how to install"
-- No configuration mentioned in history
-- First time setup
-- General "what do I need to do" questions
-
-RESPONSE FORMAT (JSON):
-{
-  "phase1_observability": true/false,
-  "phase2_evaluation": true/false,
-  "phase3_selfimproving": true/false,
-  "isStarting": true/false,
-  "phase": "Phase 1: AI Observability" | "Phase 2: Quality Evaluation" | "Phase 3: Self-Improving AI",
-  "explanation": "Brief explanation of why this phase was selected and if they're starting from scratch"
-}
-
-RULES:
-- Only ONE phase can be true at a time
-- If uncertain, default to Phase 1 (AI Observability)
-- isStarting only applies to Phase 1 (Observability)
-- If not Phase 1, isStarting should be false
-
-Return ONLY valid JSON.`;
-
-      const response = await aiService.generateResponse(phasePrompt, {
-        maxTokens: 250,
+      const { data } = await aiService.generateStructured(extractPrompt, {
+        schema: getOutputSchema('extractProfileUpdates'),
+        nodeName: 'extractProfileUpdates',
+        maxTokens: 200,
+        temperature: 0.1,
+        fallback: {},
       });
 
-      console.log('📊 Phase Classification Response:', response.answer);
-
-      let phaseResult;
-      try {
-        let jsonText = response.answer.trim();
-
-        // Extract JSON if wrapped in other text
-        const jsonMatch = jsonText.match(/\{[\s\S]*?\}/);
-        if (jsonMatch) {
-          jsonText = jsonMatch[0];
-        }
-
-        phaseResult = JSON.parse(jsonText);
-
-        // Validate result - ensure only one phase is true
-        const phases = [
-          phaseResult.phase1_observability,
-          phaseResult.phase2_evaluation,
-          phaseResult.phase3_selfimproving,
-        ];
-        const trueCount = phases.filter((p) => p === true).length;
-
-        if (trueCount === 0) {
-          console.warn('⚠️ No phase selected, defaulting to Phase 1');
-          phaseResult.phase1_observability = true;
-          phaseResult.phase = 'Phase 1: AI Observability';
-          phaseResult.isStarting = true;
-        } else if (trueCount > 1) {
-          console.warn('⚠️ Multiple phases selected, defaulting to Phase 1');
-          phaseResult.phase1_observability = true;
-          phaseResult.phase2_evaluation = false;
-          phaseResult.phase3_selfimproving = false;
-          phaseResult.phase = 'Phase 1: AI Observability';
-        }
-
-        // Ensure isStarting is only relevant for Phase 1
-        if (!phaseResult.phase1_observability) {
-          phaseResult.isStarting = false;
-        }
-
-        // Ensure boolean values
-        phaseResult.phase1_observability = Boolean(
-          phaseResult.phase1_observability
-        );
-        phaseResult.phase2_evaluation = Boolean(phaseResult.phase2_evaluation);
-        phaseResult.phase3_selfimproving = Boolean(
-          phaseResult.phase3_selfimproving
-        );
-        phaseResult.isStarting = Boolean(phaseResult.isStarting);
-      } catch (error) {
-        console.warn(
-          '⚠️ Phase Classification JSON parse failed, defaulting to Phase 1:',
-          error.message
-        );
-        phaseResult = {
-          phase1_observability: true,
-          phase2_evaluation: false,
-          phase3_selfimproving: false,
-          isStarting: true,
-          phase: 'Phase 1: AI Observability',
-          explanation:
-            'JSON parse failed, defaulting to Phase 1 starting from scratch',
-        };
-      }
-
-      console.log('📊 Phase Classification Result:', phaseResult);
-
-      return phaseResult;
+      return data;
     } catch (error) {
       console.warn(
-        '⚠️ Error in Phase Classification, defaulting to Phase 1:',
+        '⚠️ Error in Extract Profile Updates, keeping stored profile:',
         error.message
       );
-      return {
-        phase1_observability: true,
-        phase2_evaluation: false,
-        phase3_selfimproving: false,
-        isStarting: true,
-        phase: 'Phase 1: AI Observability',
-        explanation:
-          'Error occurred, defaulting to Phase 1 starting from scratch',
-      };
+      return {};
     }
   }
 
   /**
-   * Question Context LLM - Asks context questions step by step for users starting from scratch
+   * Question Context LLM - Asks the next setup question of the onboarding profile
+   * @param {string} sessionId - Session identifier
    * @param {string} userMessage - Current user message
    * @param {Object} conversationHistory - Conversation history
-   * @param {Object} questionStatus - Question status from checkQuestionStatus
+   * @param {Object} onboarding - Result of updateOnboardingProfile
    * @returns {Promise<Object>} Context questions response
    */
-  async questionContext(userMessage, conversationHistory, questionStatus) {
+  async questionContext(sessionId, userMessage, conversationHistory, onboarding) {
+    const { profile, questionStatus } = onboarding;
+    const questionToAsk = questionStatus.nextQuestionToAsk;
+    const defaultQuestions = {
+      appName:
+        "Welcome! To help you get started with Handit.ai, what's the name of your application or project?",
+      agentProjectType:
+        'Perfect! What type of AI project are you building?\n 1. Document Processing\n 2. Customer Service Agent\n 3. Chatbot\n 4. Other',
+      stack:
+        'Excellent! What technologies are you using to build your app?\n 1. JavaScript\n 2. Python\n 3. LangChain\n 4. LangGraph\n 5. n8n\n 6. etc.',
+    };
+
     try {
-      console.log(
-        '❓ Question Context LLM: Determining next question to ask step by step'
-      );
+      console.log(`❓ Question Context LLM: Asking ${questionToAsk}`);
 
       // Prepare conversation history for context
       const conversationContext =
@@ -762,106 +680,33 @@ Return ONLY valid JSON.`;
           ?.map((msg) => `${msg.role}: ${msg.content}`)
           .join('\n') || 'No previous conversation';
 
-      const questionPrompt = `You are a Question Context LLM. Your goal is to ask the NEXT context question in the step-by-step onboarding process.
-
-CONVERSATION HISTORY:
-${conversationContext}
-
-CURRENT USER MESSAGE: "${userMessage}"
-
-QUESTION STATUS: ${JSON.stringify(questionStatus)}
-
-REQUIRED CONTEXT INFORMATION (ask ONE by ONE):
-1. AppName - What is the name of their application/project?
-2. agentProjectType - What type of AI project are you building? 1. Document Processing, 2. Customer Service Agent, 3. Chatbot, 4. Other
-3. Stack - What technologies are you using to build your app? JavaScript / Python / LangChain / LangGraph/ n8n / etc.
-
-ENUMERATE EACH OPTION ON A LIST SEPARATED BY NEW LINES \n
-
-TASK:
-1. FIRST: Detect the user's language from their message and conversation history
-2. Based on the QUESTION STATUS, determine which question to ask NEXT
-3. Ask ONLY the next question that hasn't been asked yet
-4. If a question was already asked but user didn't answer, SKIP to the next question
-5. Never repeat questions that were already asked
-6. Respond in the SAME LANGUAGE as the user
-
-STEP-BY-STEP LOGIC (use QUESTION STATUS to determine):
-- If appNameAsked = false → Ask for AppName
-- If appNameAsked = true AND agentProjectTypeAsked = false → Ask for AgentProjectType  
-- If appNameAsked = true AND agentProjectTypeAsked = true AND stackAsked = false → Ask for Stack
-- If all questions asked → Acknowledge completion
-
-RESPONSE RULES:
-- Ask ONLY ONE question at a time
-- NEVER repeat questions that were already asked (check questionStatus)
-- If user skipped a previous question, don't ask it again
-- Keep questions natural and conversational
-- Respond in the user's detected language
-- Be friendly and welcoming
-
-EXAMPLES of asking ONE question:
-- AppName: "Great! To help you get started with Handit.ai, what's the name of your application or project?"
-- AgentProjectType: "Perfect! What type of AI project are you building?\n 1. Document Processing\n 2. Customer Service Agent\n 3. Chatbot\n 4. Other"
-- Stack: "Excellent! What technologies are you using to build your app?\n 1. JavaScript\n 2. Python\n 3. LangChain\n 4. LangGraph\n 5. n8n\n 6. etc."
-
-RESPONSE FORMAT (JSON):
-{
-  "questionToAsk": "appName" | "agentProjectType" | "stack" | "completed",
-  "userLanguage": "detected language",
-  "answer": "Single question in user's language or completion message"
-}
-
-Return ONLY valid JSON.`;
+      const questionPrompt = promptRegistry.render('questionContext', {
+        conversationContext: conversationContext,
+        userMessage: userMessage,
+        profile: JSON.stringify({
+          appName: profile.appName,
+          agentProjectType: profile.agentProjectType,
+          stack: profile.stack,
+        }),
+        questionToAsk: questionToAsk,
+      });
 
-      const response = await aiService.generateResponse(questionPrompt, {
+      const { data } = await aiService.generateStructured(questionPrompt, {
+        schema: getOutputSchema('questionContext'),
+        nodeName: 'questionContext',
         maxTokens: 400,
+        fallback: {
+          userLanguage: 'English',
+          answer: defaultQuestions[questionToAsk],
+        },
       });
 
-      console.log('❓ Question Context Response:', response.answer);
-
-      let questionResult;
-      try {
-        let jsonText = response.answer.trim();
-
-        // Extract JSON if wrapped in other text
-        const jsonMatch = jsonText.match(/\{[\s\S]*?\}/);
-        if (jsonMatch) {
-          jsonText = jsonMatch[0];
-        }
-
-        questionResult = JSON.parse(jsonText);
-
-        // Validate result
-        if (!questionResult.answer) {
-          console.warn('⚠️ No answer provided, using default');
-          questionResult.answer =
-            "Welcome! To help you get started with Handit.ai, what's the name of your application or project?";
-          questionResult.questionToAsk = 'appName';
-        }
+      await this.conversationService.saveOnboardingProfile(
+        sessionId,
+        markQuestionAsked(profile, questionToAsk)
+      );
 
-        // Validate questionToAsk
-        const validQuestions = [
-          'appName',
-          'agentPurpose',
-          'stack',
-          'completed',
-        ];
-        if (!validQuestions.includes(questionResult.questionToAsk)) {
-          questionResult.questionToAsk = 'appName';
-        }
-      } catch (error) {
-        console.warn(
-          '⚠️ Question Context JSON parse failed, using default:',
-          error.message
-        );
-        questionResult = {
-          questionToAsk: 'appName',
-          userLanguage: 'English',
-          answer:
-            "Welcome! To help you get started with Handit.ai, what's the name of your application or project?",
-        };
-      }
+      const questionResult = { questionToAsk, ...data };
 
       console.log('❓ Question Context Result:', questionResult);
 
@@ -872,24 +717,44 @@ Return ONLY valid JSON.`;
         error.message
       );
       return {
-        questionToAsk: 'appName',
+        questionToAsk: questionToAsk,
         userLanguage: 'English',
-        answer:
-          "Welcome! To help you get started with Handit.ai, what's the name of your application or project?",
+        answer: defaultQuestions[questionToAsk],
       };
     }
   }
 
   /**
-   * Check Question Status LLM - Determines the status of each context question
+   * Setup Handit LLM - Provides tailored setup information based on the onboarding profile
+   * The LLM only writes the prose; installation and tracing code comes from the
+   * vetted snippet library (config/sdkSnippets) with the token and agent name filled in.
    * @param {string} userMessage - Current user message
    * @param {Object} conversationHistory - Conversation history
-   * @returns {Promise<Object>} Question status result
+   * @param {Object} profile - Onboarding profile
+   * @param {string} handitToken - Optional Handit token used in the snippets
+   * @returns {Promise<Object>} Setup information response
    */
-  async checkQuestionStatus(userMessage, conversationHistory) {
+  async setupHandit(
+    userMessage,
+    conversationHistory,
+    profile,
+    handitToken = null
+  ) {
     try {
-      console.log(
-        '🔄 Check Question Status LLM: Analyzing step-by-step question progress'
+      console.log('🛠️ Setup Handit LLM: Providing tailored setup information');
+
+      const snippetStack = resolveSnippetStack(profile);
+      const { label } = getSnippetStack(snippetStack);
+      const snippets = renderSnippets(snippetStack, {
+        handitToken,
+        appName: profile.appName,
+      });
+
+      // Retrieve only the documentation chunks relevant to this node
+      const { context } = await retrievalService.retrieveContext(
+        'setupHandit',
+        userMessage,
+        conversationHistory
       );
 
       // Prepare conversation history for context
@@ -898,554 +763,633 @@ Return ONLY valid JSON.`;
           ?.map((msg) => `${msg.role}: ${msg.content}`)
           .join('\n') || 'No previous conversation';
 
-      const statusPrompt = `You are a Check Question Status LLM. Your goal is to determine the status of each context question in the step-by-step onboarding process.
-
-CONVERSATION HISTORY:
-${conversationContext}
-
-CURRENT USER MESSAGE: "${userMessage}"
-
-REQUIRED CONTEXT QUESTIONS (step by step):
-1. AppName - What is the name of their application/project?
-2. Agent Purpose - What does their AI agent do?
-3. Stack - What programming language are you using?
-
-TASK: Analyze the conversation history to determine:
-1. Which questions have been ASKED by the assistant
-2. Which questions have been ANSWERED by the user
-3. If ALL 3 questions have been both asked OR answered
-
-ANALYSIS RULES:
-- appNameAsked: Has the assistant asked about app/project name?
-- appNameAnswered: Has the user provided their app/project name?
-- agentPurposeAsked: Has the assistant asked about what the AI agent does?
-- agentPurposeAnswered: Has the user explained what their AI agent does?
-- stackAsked: Has the assistant asked about programming language?
-- stackAnswered: Has the user mentioned their programming language/tech stack?
-- allQuestionsCompleted: Are ALL 3 questions both asked OR answered?
-
-RESPONSE FORMAT (JSON):
-{
-  "appNameAsked": true/false,
-  "appNameAnswered": true/false,
-  "agentPurposeAsked": true/false,
-  "agentPurposeAnswered": true/false,
-  "stackAsked": true/false,
-  "stackAnswered": true/false,
-  "allQuestionsCompleted": true/false,
-  "nextQuestionToAsk": "appName" | "agentPurpose" | "stack" | "none",
-  "reasoning": "Brief explanation of current status"
-}
-
-Return ONLY valid JSON.`;
-
-      const response = await aiService.generateResponse(statusPrompt, {
-        maxTokens: 250,
+      const snippetList = snippets
+        .map((snippet) => `- {{SNIPPET:${snippet.id}}} - ${snippet.title}`)
+        .join('\n');
+
+      const setupPrompt = promptRegistry.render('setupHandit', {
+        context: context,
+        conversationContext: conversationContext,
+        userMessage: userMessage,
+        profile: JSON.stringify({
+          appName: profile.appName,
+          agentProjectType: profile.agentProjectType,
+          stack: profile.stack,
+          programmingLanguage: profile.programmingLanguage,
+        }),
+        label: label,
+        snippetList: snippetList,
+        tokenInstruction: handitToken
+          ? "6. The user's Handit token is already filled into the snippets, so DO NOT mention the step where the user needs to get the token from the dashboard"
+          : '6. Tell the user to copy their API token from the Handit.ai dashboard and replace the placeholder in the env snippet',
       });
 
-      console.log('🔄 Check Question Status Response:', response.answer);
-
-      let statusResult;
-      try {
-        let jsonText = response.answer.trim();
-
-        // Extract JSON if wrapped in other text
-        const jsonMatch = jsonText.match(/\{[\s\S]*?\}/);
-        if (jsonMatch) {
-          jsonText = jsonMatch[0];
-        }
+      // Not streamed: the markers are replaced before the answer is sent
+      const response = await aiService.generateResponse(setupPrompt, {
+        maxTokens: 1800,
+        nodeName: 'setupHandit',
+      });
 
-        statusResult = JSON.parse(jsonText);
+      const answer = applySnippets(response.answer, snippets);
 
-        // Validate result and ensure boolean values
-        statusResult.appNameAsked = Boolean(statusResult.appNameAsked);
-        statusResult.appNameAnswered = Boolean(statusResult.appNameAnswered);
-        statusResult.agentPurposeAsked = Boolean(
-          statusResult.agentPurposeAsked
-        );
-        statusResult.agentPurposeAnswered = Boolean(
-          statusResult.agentPurposeAnswered
-        );
-        statusResult.stackAsked = Boolean(statusResult.stackAsked);
-        statusResult.stackAnswered = Boolean(statusResult.stackAnswered);
-        statusResult.allQuestionsCompleted = Boolean(
-          statusResult.allQuestionsCompleted
-        );
-
-        // For backward compatibility with onBoarding method
-        statusResult.allQuestionsAsked = statusResult.allQuestionsCompleted;
+      console.log('🛠️ Setup Handit Response Generated');
 
-        // Validate nextQuestionToAsk
-        const validNextQuestions = ['appName', 'agentPurpose', 'stack', 'none'];
-        if (!validNextQuestions.includes(statusResult.nextQuestionToAsk)) {
-          statusResult.nextQuestionToAsk = 'appName';
-        }
-      } catch (error) {
-        console.warn(
-          '⚠️ Check Question Status JSON parse failed, using defaults:',
-          error.message
-        );
-        statusResult = {
-          appNameAsked: false,
-          appNameAnswered: false,
-          agentPurposeAsked: false,
-          agentPurposeAnswered: false,
-          stackAsked: false,
-          stackAnswered: false,
-          allQuestionsCompleted: false,
-          allQuestionsAsked: false,
-          nextQuestionToAsk: 'appName',
-          reasoning: 'JSON parse failed, using defaults',
-        };
+      // Generate next steps based on the onboarding profile
+      const nextSteps = [];
+      if (profile.programmingLanguage) {
+        nextSteps.push(`Install Handit.ai for ${profile.programmingLanguage}`);
+        nextSteps.push('Configure your project settings');
       }
+      if (profile.appName) {
+        nextSteps.push(`Set up tracing for ${profile.appName}`);
+      }
+      nextSteps.push('Test your AI Observability setup');
 
-      console.log('🔄 Question Status:', statusResult);
-
-      return statusResult;
+      return {
+        answer: answer,
+        language: profile.programmingLanguage || null,
+        agentName: profile.appName || null,
+        snippetStack: snippetStack,
+        snippets: snippets.map((snippet) => snippet.id),
+        nextSteps: nextSteps,
+      };
     } catch (error) {
       console.warn(
-        '⚠️ Error in Check Question Status, using defaults:',
+        '⚠️ Error in Setup Handit LLM, using default response:',
         error.message
       );
+
       return {
-        appNameAsked: false,
-        appNameAnswered: false,
-        agentPurposeAsked: false,
-        agentPurposeAnswered: false,
-        stackAsked: false,
-        stackAnswered: false,
-        allQuestionsCompleted: false,
-        allQuestionsAsked: false,
-        nextQuestionToAsk: 'appName',
-        reasoning: 'Error occurred, using defaults',
+        answer:
+          'Handit.ai is a powerful tool that helps you optimize your AI applications. You can integrate it with your existing codebase to collect data and improve your models. I can help you with AI Observability, Quality Evaluation, and Self-Improving AI systems. Would you like to know more about how Handit.ai can help optimize your AI applications?',
+        nextSteps: [],
       };
     }
   }
 
   /**
-   * Extract Context Info LLM - Detects and extracts important information from chat history
+   * Phase Guide - Walks onboarding users through Phase 2 or Phase 3 step by step
+   * Each turn either answers a question about the current step or moves to the
+   * next one. Action steps start the evaluator connection flow (Phase 2) or the
+   * optimization flow (Phase 3) once, when they are reached; afterwards the
+   * guide answers questions and starts the flow again only when asked.
+   * @param {string} sessionId - Session identifier
    * @param {string} userMessage - Current user message
    * @param {Object} conversationHistory - Conversation history
-   * @returns {Promise<Object>} Extracted context information
+   * @param {string} guideKey - Guide key ('phase2' or 'phase3')
+   * @param {Object} profile - Onboarding profile
+   * @param {string} userApiToken - Optional API token from user
+   * @returns {Promise<Object>} Guide response with the current step
    */
-  async extractContextInfo(userMessage, conversationHistory) {
-    try {
-      console.log(
-        '🔍 Extract Context Info LLM: Analyzing conversation for important information'
-      );
+  async phaseGuide(
+    sessionId,
+    userMessage,
+    conversationHistory,
+    guideKey,
+    profile,
+    userApiToken = null
+  ) {
+    const guide = getPhaseGuide(guideKey);
+    const progress = profile.phaseGuides?.[guideKey];
+    let stepIndex = progress ? progress.step : 0;
+    let answer = null;
 
-      // Prepare conversation history for context
-      const conversationContext =
-        conversationHistory.messages
-          ?.map((msg) => `${msg.role}: ${msg.content}`)
-          .join('\n') || 'No previous conversation';
+    console.log(
+      `🧭 Phase Guide: ${guide.phase}, ${progress ? `at step ${stepIndex + 1}` : 'starting'}`
+    );
 
-      const extractPrompt = `You are an Extract Context Info LLM. Your goal is to detect and extract important information from the conversation history.
-
-CONVERSATION HISTORY:
-${conversationContext}
-
-CURRENT USER MESSAGE: "${userMessage}"
-
-IMPORTANT INFORMATION TO DETECT:
-1. What's the name of your application or project? (agent_name)
-2. What type of AI project are you building? (agentProjectType) - Document Processing, Customer Service Agent, Chatbot, Other
-3. What technologies are you using to build your app? (stack) - JavaScript, Python, LangChain, LangGraph, n8n, etc.
-
-TASK:
-1. Go through the ENTIRE conversation history thoroughly and the current user message
-2. Look for answers to the 3 important questions (IMPORTANT INFORMATION TO DETECT) anywhere in the conversation and similar questions
-3. Extract any information that answers these questions (IMPORTANT INFORMATION TO DETECT), even if asked differently
-4. Detect if the user was asked these questions but ignored/avoided answering at least one
-5. If you find partial information, extract what you can
-6. Prioritize the most recent answers to the important questions, as users may update their responses during the conversation
-
-DETECTION RULES:
-- App/Project Name: Look for mentions of app names, project names, company names, product names, etc
-- Agent Project Type: Look for mentions of Document Processing, Customer Service Agent, Chatbot, or other project types
-- Stack/Technologies: Look for mentions of technologies (JavaScript, Python, LangChain, LangGraph, n8n, etc.), frameworks, programming languages, etc
-- Programming Language: Look for mentions of programming language (JavaScript, Python, etc), Only pick one language that is most likely to be used by the user
-- Questions Ignored: If questions were asked but user changed topic, didn't answer, or avoided responding
-
-
-RESPONSE FORMAT (JSON):
-{
-  "agent_name": "extracted name or null",
-  "agentProjectType": "extracted project type or null", 
-  "stack": "extracted technologies or null",
-  "programming_language": "extracted latest programing language mentioned by the user or null",
-  "questions": true/false,
-  "extraction_confidence": "high" | "medium" | "low",
-  "missing_info": ["agent_name", "agentProjectType", "stack"], // array of missing information
-  "explanation": "Brief explanation of the extraction process"
-}
+    const currentStep = progress ? guide.steps[stepIndex] : null;
 
-RULES:
+    // While the optimization started by the guide runs, report it instead of starting another
+    if (currentStep?.action === 'run_optimization' && progress.jobId) {
+      const jobResponse = await this.getGuideJobResponse(progress.jobId);
+      if (jobResponse) {
+        return {
+          ...jobResponse,
+          guide: this.describeGuideStep(guideKey, guide, stepIndex),
+        };
+      }
+    }
 
-- questions: set true ONLY if at leats one IMPORTANT INFORMATION appears in the conversation history
-- questions: set false ONLY if none of the IMPORTANT INFORMATION in the conversation history
-- default to questions: false
-- Be generous in extraction - if there's any hint, extract it
-- extraction_confidence based on how clear the information is
+    // A flow action runs on the turn its step is reached; later turns are
+    // answered by the guide LLM, which starts it again when the user asks
+    let runAction = Boolean(currentStep?.action && !progress.actionStarted);
+    if (!runAction) {
+      const nextIndex = progress ? stepIndex + 1 : 0;
+      const nextStep = guide.steps[nextIndex] || null;
 
-Return ONLY valid JSON.`;
+      const stepResult = await this.generatePhaseGuideStep(
+        userMessage,
+        conversationHistory,
+        profile,
+        guide,
+        currentStep,
+        nextStep
+      );
 
-      const response = await aiService.generateResponse(extractPrompt, {
-        maxTokens: 300,
-      });
+      if (nextStep && (stepResult.advance || !currentStep)) {
+        stepIndex = nextIndex;
+      }
+      answer = stepResult.answer;
 
-      console.log('🔍 Extract Context Info Response:', response.answer);
+      const reachedStep = guide.steps[stepIndex];
+      runAction = Boolean(
+        reachedStep.action &&
+          (reachedStep !== currentStep || stepResult.startAction)
+      );
+    }
 
-      let extractResult;
-      try {
-        let jsonText = response.answer.trim();
+    const step = guide.steps[stepIndex];
+    let actionResult = {};
+    if (runAction && step.action === 'connect_evaluators') {
+      actionResult = await this.startEvaluatorConnection(
+        sessionId,
+        userApiToken
+      );
+      answer = actionResult.answer;
+    } else if (runAction && step.action === 'run_optimization') {
+      actionResult = await this.handleOptimizationRequest(
+        { extractedInfo: null },
+        userApiToken,
+        sessionId
+      );
+      answer = actionResult.answer;
+    }
 
-        // Extract JSON if wrapped in other text
-        const jsonMatch = jsonText.match(/\{[\s\S]*?\}/);
-        if (jsonMatch) {
-          jsonText = jsonMatch[0];
-        }
+    await this.conversationService.saveOnboardingProfile(
+      sessionId,
+      setPhaseGuideProgress(profile, guideKey, {
+        step: stepIndex,
+        completed: false,
+        actionStarted: Boolean(
+          step.action && (runAction || progress?.actionStarted)
+        ),
+        // A restarted optimization replaces the job of the previous run
+        ...(runAction && step.action === 'run_optimization'
+          ? { jobId: null }
+          : {}),
+      })
+    );
 
-        extractResult = JSON.parse(jsonText);
+    return {
+      ...actionResult,
+      answer: answer,
+      guide: this.describeGuideStep(guideKey, guide, stepIndex),
+    };
+  }
 
-        // Validate result
-        if (!extractResult.hasOwnProperty('questions')) {
-          extractResult.questions = false;
-        }
+  /**
+   * Describe the current step of a phase guide for the response
+   * @param {string} guideKey - Guide key ('phase2' or 'phase3')
+   * @param {Object} guide - Phase guide definition
+   * @param {number} stepIndex - Index of the current step
+   * @returns {Object} Guide step details
+   */
+  describeGuideStep(guideKey, guide, stepIndex) {
+    const step = guide.steps[stepIndex];
+    return {
+      key: guideKey,
+      phase: guide.phase,
+      step: step.id,
+      title: step.title,
+      stepNumber: stepIndex + 1,
+      totalSteps: guide.steps.length,
+      action: step.action || null,
+    };
+  }
 
-        // Ensure boolean value for questions
-        extractResult.questions = Boolean(extractResult.questions);
-
-        // Ensure missing_info is an array
-        if (!Array.isArray(extractResult.missing_info)) {
-          extractResult.missing_info = [];
-          if (!extractResult.agent_name)
-            extractResult.missing_info.push('agent_name');
-          if (!extractResult.agent_description)
-            extractResult.missing_info.push('agent_description');
-          if (!extractResult.language)
-            extractResult.missing_info.push('language');
-        }
-      } catch (error) {
-        console.warn(
-          '⚠️ Extract Context Info JSON parse failed, using default:',
-          error.message
-        );
-        extractResult = {
-          agent_name: null,
-          agent_description: null,
-          language: null,
-          questions: false,
-          extraction_confidence: 'low',
-          missing_info: ['agent_name', 'agent_description', 'language'],
-        };
+  /**
+   * Report the optimization job started by the Phase 3 guide while it has not finished
+   * @param {string} jobId - Optimization job id
+   * @returns {Promise<Object|null>} Job status response, or null when the job finished or is unknown
+   */
+  async getGuideJobResponse(jobId) {
+    try {
+      const job = await this.optimizationJobService.getJob(jobId);
+      if (!job || !ACTIVE_JOB_STATUSES.includes(job.status)) {
+        return null;
       }
 
-      console.log('🔍 Extract Context Info Result:', extractResult);
-
-      return extractResult;
-    } catch (error) {
-      console.warn(
-        '⚠️ Error in Extract Context Info, using default response:',
-        error.message
-      );
+      const progress = job.progress ? ` (${job.progress}%)` : '';
       return {
-        agent_name: null,
-        agent_description: null,
-        language: null,
-        questions: false,
-        extraction_confidence: 'low',
-        missing_info: ['agent_name', 'agent_description', 'language'],
+        answer: `⏳ Your optimization of model ${job.modelId} from log entry ${job.modelLogId} is still ${job.status}${progress}. I'll post the result here as soon as it finishes, and you can keep asking me questions meanwhile.`,
+        success: true,
+        optimizationJob: job,
       };
+    } catch (error) {
+      console.error('❌ Error getting the guide optimization job:', error.message);
+      return null;
     }
   }
 
   /**
-   * Setup Handit LLM - Provides tailored setup information based on extracted context
+   * Phase Guide LLM - Presents a guide step or answers a question about the current one
    * @param {string} userMessage - Current user message
    * @param {Object} conversationHistory - Conversation history
-   * @param {Object} extractedInfo - Extracted context information
-   * @returns {Promise<Object>} Setup information response
+   * @param {Object} profile - Onboarding profile
+   * @param {Object} guide - Phase guide definition
+   * @param {Object|null} currentStep - Step shown in the previous turn (null when starting)
+   * @param {Object|null} nextStep - Following step (null when the current step is the last)
+   * @returns {Promise<Object>} { advance, answer, startAction }
    */
-  async setupHandit(
+  async generatePhaseGuideStep(
     userMessage,
     conversationHistory,
-    extractedInfo,
-    handitToken = null
+    profile,
+    guide,
+    currentStep,
+    nextStep
   ) {
     try {
-      console.log('🛠️ Setup Handit LLM: Providing tailored setup information');
-
-      // Import handitKnowledgeBase from pinecone.js
-      const { handitKnowledgeBase } = require('../config/pinecone');
-
-      // Use handitKnowledgeBase as context
-      const context = handitKnowledgeBase;
+      // Retrieve only the documentation chunks relevant to this node
+      const { context } = await retrievalService.retrieveContext(
+        'phaseGuide',
+        userMessage,
+        conversationHistory
+      );
 
       // Prepare conversation history for context
       const conversationContext =
         conversationHistory.messages
-          ?.map((msg) => `${msg.role}: ${msg.content}`)
+          ?.slice(-6)
+          .map((msg) => `${msg.role}: ${msg.content}`)
           .join('\n') || 'No previous conversation';
 
-      const setupPrompt = `You are a Setup Handit LLM. Your goal is to provide tailored setup information for AI Observability based on the extracted context and documentation.
+      const describeStep = (step) =>
+        step
+          ? `${guide.steps.indexOf(step) + 1}/${guide.steps.length} - ${step.title}: ${step.instructions}`
+          : 'None';
+
+      const guidePrompt = promptRegistry.render('phaseGuide', {
+        phase: guide.phase,
+        context: context,
+        conversationContext: conversationContext,
+        userMessage: userMessage,
+        profile: JSON.stringify({
+          appName: profile.appName,
+          agentProjectType: profile.agentProjectType,
+          stack: profile.stack,
+          programmingLanguage: profile.programmingLanguage,
+        }),
+        currentStep: describeStep(currentStep),
+        currentAction: currentStep?.action ? currentStep.title : 'None',
+        nextStep: describeStep(nextStep),
+        totalSteps: guide.steps.length,
+      });
+
+      const { data } = await aiService.generateStructured(guidePrompt, {
+        schema: getOutputSchema('phaseGuide'),
+        nodeName: 'phaseGuide',
+        maxTokens: 1500,
+        fallback: {
+          advance: false,
+          answer: `Let's continue with ${guide.phase}. Tell me when you are ready for the next step, or ask me anything about the current one.`,
+        },
+      });
+
+      return data;
+    } catch (error) {
+      console.warn(
+        '⚠️ Error in Phase Guide LLM, using default response:',
+        error.message
+      );
+      return {
+        advance: false,
+        answer: `Let's continue with ${guide.phase}. Tell me when you are ready for the next step, or ask me anything about the current one.`,
+      };
+    }
+  }
 
-DOCUMENTATION CONTEXT:
-${context}
+  /**
+   * Mark a phase guide as completed once its final action succeeded
+   * @param {string} sessionId - Session identifier
+   * @param {string} guideKey - Guide key ('phase2' or 'phase3')
+   * @returns {Promise<void>}
+   */
+  async completePhaseGuide(sessionId, guideKey) {
+    const profile =
+      await this.conversationService.getOnboardingProfile(sessionId);
+    await this.conversationService.saveOnboardingProfile(
+      sessionId,
+      setPhaseGuideProgress(profile, guideKey, {
+        completed: true,
+        completedAt: new Date().toISOString(),
+      })
+    );
+    console.log(`🏁 Phase guide ${guideKey} completed`);
+  }
 
-CONVERSATION HISTORY:
-${conversationContext}
+  /**
+   * Continue an active optimization flow
+   * Records the job it starts on an unfinished Phase 3 guide, which then
+   * reports the job status until the job finishes
+   * @param {string} sessionId - Session identifier
+   * @param {string} userMessage - Current user message
+   * @returns {Promise<Object>} Flow response
+   */
+  async continueOptimizationFlow(sessionId, userMessage) {
+    const result = await this.optimizationFlowService.continueFlow(
+      sessionId,
+      userMessage
+    );
 
-CURRENT USER MESSAGE: "${userMessage}"
+    if (result.optimizationJob) {
+      const profile =
+        await this.conversationService.getOnboardingProfile(sessionId);
+      const progress = profile.phaseGuides?.phase3;
+      if (progress && !progress.completed) {
+        await this.conversationService.saveOnboardingProfile(
+          sessionId,
+          setPhaseGuideProgress(profile, 'phase3', {
+            jobId: result.optimizationJob.id,
+          })
+        );
+      }
+    }
 
-EXTRACTED CONTEXT INFO: ${JSON.stringify(extractedInfo)}
-${
-  handitToken
-    ? `
-USER'S HANDIT TOKEN: ${handitToken}
-IMPORTANT: Use this EXACT token in ALL code examples where HANDIT_API_KEY is needed. Replace "your-api-key" or "handit_12345_abcde" with "${handitToken}" in all examples.`
-    : ''
-}
+    return result;
+  }
 
-TASK:
-1. GO THROUGH THE ENTIRE DOCUMENTATION CONTEXT THOROUGHLY
-2. Based on the extracted information (agent_name, agentProjectType, stack, programming_language), provide COMPLETE personalized setup instructions for AI Observability
-3. If there's a technology stack in the extracted info (JS/JavaScript, Python, LangChain, etc.), ONLY provide information related to those specific technologies BUT ONLY IN ONE PROGRAMMING LANGUAGE, if the user is not using the programming language, then set as default python
-4. Use the agent_name if available to personalize the setup instructions
-5. Focus on Phase 1: AI Observability - setting up comprehensive tracing to see inside AI agents
-6. Provide THE WHOLE setup instructions tailored to their specific context and project type
-7. Detect user's language and respond in the same language
-${
-  handitToken
-    ? `8. CRITICAL: Use the provided token "${handitToken}" in ALL code examples instead of placeholder tokens`
-    : ''
-}
+  /**
+   * Continue an active evaluator connection flow
+   * Finishes the Phase 2 guide when the evaluators are connected
+   * @param {string} sessionId - Session identifier
+   * @param {string} userMessage - Current user message
+   * @returns {Promise<Object>} Flow response
+   */
+  async continueEvaluatorFlow(sessionId, userMessage) {
+    const result = await this.evaluatorConnectionService.continueFlow(
+      sessionId,
+      userMessage
+    );
 
-RESPONSE STRUCTURE:
-- Personalized greeting using their agent_name if available
-- Language-specific installation instructions
-- Configuration steps tailored to their use case with REAL working examples using their token
-- Next steps for AI Observability setup
-- Keep technical terms like "AI Observability", "Quality Evaluation", "Self-Improving AI", "Handit.ai" in English
+    if (result.evaluators_added === true) {
+      await this.completePhaseGuide(sessionId, 'phase2');
+      return { ...result, on_boarding_evaluation_finished: true };
+    }
 
-IF THE ${handitToken} IS NOT NULL, THEN NOT MENTION THE STEP WHERE THE USER NEEDS TO GET THE TOKEN FROM THE DASHBOARD
+    return result;
+  }
 
-Generate ONLY the response text (no JSON, no quotes).`;
+  /**
+   * Start a new evaluator connection flow, which needs the user's API token
+   * @param {string} sessionId - Session identifier
+   * @param {string} userApiToken - User's API token
+   * @returns {Promise<Object>} First step of the evaluator connection flow
+   */
+  async startEvaluatorConnection(sessionId, userApiToken) {
+    console.log('🔗 New evaluator connection request detected');
 
-      const response = await aiService.generateResponse(setupPrompt, {
-        maxTokens: 2600,
+    if (!userApiToken) {
+      return {
+        answer:
+          'To connect evaluators to your models, I need your API token. Please include your API token in the Authorization header of your request.',
+        success: false,
+        requiresApiToken: true,
+      };
+    }
+
+    return await this.evaluatorConnectionService.startEvaluatorConnectionFlow(
+      sessionId,
+      userApiToken
+    );
+  }
+
+  /**
+   * Start the flow that lists, detaches and replaces the evaluators attached
+   * to the user's models, which needs the user's API token
+   * @param {string} sessionId - Session identifier
+   * @param {string} userApiToken - User's API token
+   * @returns {Promise<Object>} Attached evaluators and the first question of the flow
+   */
+  async startEvaluatorManagement(sessionId, userApiToken) {
+    console.log('🧰 Evaluator management request detected');
+
+    if (!userApiToken) {
+      return {
+        answer:
+          'To manage the evaluators of your models, I need your API token. Please include your API token in the Authorization header of your request.',
+        success: false,
+        requiresApiToken: true,
+      };
+    }
+
+    return await this.evaluatorConnectionService.startEvaluatorManagementFlow(
+      sessionId,
+      userApiToken
+    );
+  }
+
+  /**
+   * Start the flow that writes a custom LLM-as-judge evaluator with the user,
+   * which needs the user's API token to create it
+   * @param {string} sessionId - Session identifier
+   * @param {string} userApiToken - User's API token
+   * @returns {Object} First question of the flow
+   */
+  startEvaluatorAuthoring(sessionId, userApiToken) {
+    console.log('✍️ Custom evaluator request detected');
+
+    if (!userApiToken) {
+      return {
+        answer:
+          'To create a custom evaluator, I need your API token. Please include your API token in the Authorization header of your request.',
+        success: false,
+        requiresApiToken: true,
+      };
+    }
+
+    return this.evaluatorConnectionService.startEvaluatorAuthoringFlow(
+      sessionId,
+      userApiToken
+    );
+  }
+
+  /**
+   * General Knowledge LLM - Answers general inquiries about Handit.ai from the documentation
+   * The answer is verified against the retrieved documentation before it is sent
+   * (see services/groundingService). It streams unless GROUNDING_MODE is rewrite,
+   * which replaces the answer after it is generated
+   * @param {string} userMessage - Current user message
+   * @param {Object} conversationHistory - Conversation history
+   * @returns {Promise<Object>} General knowledge response
+   */
+  async generalKnowledge(userMessage, conversationHistory) {
+    try {
+      console.log(
+        '🧠 General Knowledge LLM: Processing general Handit.ai inquiry'
+      );
+
+      // Retrieve only the documentation chunks relevant to this node
+      const { context } = await retrievalService.retrieveContext(
+        'generalKnowledge',
+        userMessage,
+        conversationHistory
+      );
+
+      // Prepare conversation history for context
+      const conversationContext =
+        conversationHistory.messages
+          ?.map((msg) => `${msg.role}: ${msg.content}`)
+          .join('\n') || 'No previous conversation';
+
+      const generalPrompt = promptRegistry.render('generalKnowledge', {
+        context: context,
+        conversationContext: conversationContext,
+        userMessage: userMessage,
       });
 
-      console.log('🛠️ Setup Handit Response Generated');
+      const verifyAnswer = isGroundingEnabled('generalKnowledge');
+      const response = await aiService.generateResponse(generalPrompt, {
+        maxTokens: 1500,
+        stream: getGroundingMode() !== 'rewrite',
+        nodeName: 'generalKnowledge',
+      });
 
-      // Generate next steps based on extracted info
-      const nextSteps = [];
-      if (extractedInfo.language) {
-        nextSteps.push(`Install Handit.ai for ${extractedInfo.language}`);
-        nextSteps.push('Configure your project settings');
-      }
-      if (extractedInfo.agent_name) {
-        nextSteps.push(`Set up tracing for ${extractedInfo.agent_name}`);
+      console.log('🧠 General Knowledge Response Generated');
+
+      const { answer, grounding } = verifyAnswer
+        ? await groundingService.verify(response.answer, context, {
+            userMessage: userMessage,
+            nodeName: 'generalKnowledge',
+          })
+        : { answer: response.answer, grounding: null };
+
+      // A flag note goes out after the streamed answer
+      if (response.streamed && answer.length > response.answer.length) {
+        getContext()?.onToken?.(answer.slice(response.answer.length));
       }
-      nextSteps.push('Test your AI Observability setup');
 
       return {
-        answer: response.answer,
-        language: extractedInfo.language || null,
-        agentName: extractedInfo.agent_name || null,
-        nextSteps: nextSteps,
+        answer: answer,
+        topic: 'general_handit_knowledge',
+        context_used: true,
+        grounding: grounding,
       };
     } catch (error) {
       console.warn(
-        '⚠️ Error in Setup Handit LLM, using default response:',
+        '⚠️ Error in General Knowledge LLM, using default response:',
         error.message
       );
 
+      // Default helpful response
       return {
         answer:
-          'Handit.ai is a powerful tool that helps you optimize your AI applications. You can integrate it with your existing codebase to collect data and improve your models. I can help you with AI Observability, Quality Evaluation, and Self-Improving AI systems. Would you like to know more about how Handit.ai can help optimize your AI applications?',
-        nextSteps: [],
+          "I'm here to help you with any questions about Handit.ai! I can provide information about our AI observability features, quality evaluation system, self-improving AI capabilities, and technical implementation details. What would you like to know about Handit.ai?",
+        topic: 'general_handit_knowledge',
+        context_used: false,
       };
     }
   }
 
   /**
-   * General Knowledge LLM - Handles general inquiries about Handit.ai topics
+   * Integration Checker LLM - Checks pasted agent code against the Handit SDK setup
+   * The static checks of utils/integrationChecker find the SDK calls and likely
+   * problems; the LLM confirms them against the setup docs and patches the code.
    * @param {string} userMessage - Current user message
    * @param {Object} conversationHistory - Conversation history
-   * @returns {Promise<Object>} General knowledge response
+   * @param {Array<Object>} attachments - Code attachments { content, language?, filename? }
+   * @returns {Promise<Object>} Answer with the integration check
    */
-  async generalKnowledge(
-    userMessage,
-    conversationHistory,
-    userApiToken = null
-  ) {
-    try {
-      console.log(
-        '🧠 General Knowledge LLM: Processing general Handit.ai inquiry'
-      );
-
-      // Get session ID from the current processing context
-      const sessionId = this.currentSessionId || 'default_session';
-
-      // FIRST: Check if there's an active evaluator connection flow
-      if (this.evaluatorConnectionService.hasActiveFlow(sessionId)) {
-        console.log('🔄 Continuing existing evaluator connection flow');
-        return await this.evaluatorConnectionService.continueFlow(
-          sessionId,
-          userMessage
-        );
-      }
-
-      // SECOND: Check if user is requesting NEW evaluator connection
-      const evaluatorRequest =
-        await this.evaluatorConnectionService.detectEvaluatorConnectionRequest(
-          userMessage,
-          conversationHistory
-        );
-
-      if (
-        evaluatorRequest.isEvaluatorRequest &&
-        evaluatorRequest.confidence > 0.7
-      ) {
-        console.log('🔗 New evaluator connection request detected');
-
-        if (!userApiToken) {
-          return {
-            answer:
-              'To connect evaluators to your models, I need your API token. Please include your API token in the Authorization header of your request.',
-            success: false,
-            requiresApiToken: true,
-          };
-        }
+  async checkIntegration(userMessage, conversationHistory, attachments) {
+    const report = analyzeIntegration(attachments);
+    console.log(
+      `🔌 Integration Checker: ${report.findings.length} static findings in ${report.language} code`
+    );
 
-        return await this.evaluatorConnectionService.startEvaluatorConnectionFlow(
-          sessionId,
-          userApiToken
-        );
-      }
+    const integrationCheck = (result) => ({
+      language: report.language,
+      files: report.files,
+      sdk: report.sdk,
+      calls: report.calls,
+      staticFindings: report.findings,
+      findings: result.findings,
+      patchedCode: result.patchedCode,
+    });
 
-      // THIRD: Check if user is requesting optimization
-      const optimizationRequest = await this.detectOptimizationRequest(
-        userMessage,
+    try {
+      // The setup docs of the code's language are what the code is checked against
+      const { context } = await retrievalService.retrieveContext(
+        'checkIntegration',
+        `${userMessage}\nPhase 1 AI Observability ${report.language} setup: start tracing, track node, end tracing, HANDIT_API_KEY`,
         conversationHistory
       );
 
-      if (
-        optimizationRequest.isOptimizationRequest &&
-        optimizationRequest.confidence > 0.7
-      ) {
-        console.log('🚀 Optimization request detected');
-
-        if (!userApiToken) {
-          return {
-            answer:
-              'To run optimization processes, I need your API token. Please include your API token in the Authorization header of your request.',
-            success: false,
-            requiresApiToken: true,
-          };
-        }
-
-        return await this.handleOptimizationRequest(
-          optimizationRequest,
-          userApiToken
-        );
-      }
-
-      // First, check if this request requires API action
-      const apiEvaluation = await this.evaluateApiAction(
-        userMessage,
-        conversationHistory,
-        userApiToken
-      );
-
-      // If API action is needed, execute it
-      if (apiEvaluation.shouldExecute) {
-        console.log('🔧 API action required, executing...');
-        return await this.executeApiAction(
-          apiEvaluation.actionName,
-          apiEvaluation.parameters || {},
-          userMessage,
-          conversationHistory,
-          userApiToken
-        );
-      }
-
-      console.log('📚 No API action needed, providing documentation response');
-
-      // Import handitKnowledgeBase from pinecone.js
-      const { handitKnowledgeBase } = require('../config/pinecone');
-
-      // Use handitKnowledgeBase as context
-      const context = handitKnowledgeBase;
-
       // Prepare conversation history for context
       const conversationContext =
         conversationHistory.messages
-          ?.map((msg) => `${msg.role}: ${msg.content}`)
+          ?.slice(-6)
+          .map((msg) => `${msg.role}: ${msg.content}`)
           .join('\n') || 'No previous conversation';
 
-      const generalPrompt = `You are a General Knowledge LLM for Handit.ai. Your goal is to provide comprehensive and helpful answers about Handit.ai topics for users who have general inquiries.
-
-HANDIT.AI DOCUMENTATION CONTEXT:
-${context}
-
-CONVERSATION HISTORY:
-${conversationContext}
-
-{CURRENT_USER_MESSAGE}: "${userMessage}"
-
-TASK:
-1. FIRST: Detect the user's language from their message and conversation history
-2. GO THROUGH THE ENTIRE HANDIT.AI DOCUMENTATION CONTEXT THOROUGHLY
-3. Response the user las meesage {CURRENT_USER_MESSAGE} Provideing comprehensive, accurate information but all based on HANDIT.AI DOCUMENTATION CONTEXT
-4. Stay STRICTLY within Handit.ai topics - don't answer questions outside this scope
-5. Respond in the SAME LANGUAGE as the user
-6. Keep key terms like "AI Observability", "Quality Evaluation", "Self-Improving AI", "Handit.ai" in English, and all keywords about Handit.ai in English
-
-RESPONSE GUIDELINES:
-- Be comprehensive and informative
-- Provide specific examples when helpful
-- Include relevant technical details from documentation
-- Be friendly and professional
-- If the question is about getting started, mention both direct answers and onboarding option
-- Focus on being helpful while staying within Handit.ai scope
-- If is something not about code, then not be too verbose, just answer the question
-- Respond in the SAME LANGUAGE as the user 
-- If you using key terms like "AI Observability", "Quality Evaluation", "Self-Improving AI", "Handit.ai" in English, and all keywords about Handit.ai, then for this words keep it in English
-
-
-Generate ONLY the response text (no JSON, no quotes).`;
+      const checkPrompt = promptRegistry.render('checkIntegration', {
+        context: context,
+        conversationContext: conversationContext,
+        userMessage: userMessage,
+        language: report.language,
+        code: attachments
+          .map(
+            (file, index) =>
+              `--- ${report.files[index].filename} (${report.files[index].language}) ---\n${file.content}`
+          )
+          .join('\n\n'),
+        staticFindings: formatFindings(report),
+      });
 
-      const response = await aiService.generateResponse(generalPrompt, {
-        maxTokens: 1500,
+      const { data } = await aiService.generateStructured(checkPrompt, {
+        schema: getOutputSchema('checkIntegration'),
+        nodeName: 'checkIntegration',
+        maxTokens: 4000,
+        temperature: 0.2,
       });
 
-      console.log('🧠 General Knowledge Response Generated');
+      console.log(
+        `🔌 Integration Check Generated: ${data.findings.length} findings`
+      );
 
       return {
-        answer: response.answer,
-        topic: 'general_handit_knowledge',
+        answer: formatCheckAnswer(data, report),
+        topic: 'integration_check',
         context_used: true,
+        integrationCheck: integrationCheck(data),
       };
     } catch (error) {
       console.warn(
-        '⚠️ Error in General Knowledge LLM, using default response:',
+        '⚠️ Error in Integration Checker LLM, using static findings:',
         error.message
       );
 
-      // Default helpful response
+      // The static findings still tell the user what to fix, without a patch
+      const result = {
+        summary:
+          report.findings.length > 0
+            ? `I checked your code against the Handit.ai setup and found ${report.findings.length} possible problem${report.findings.length > 1 ? 's' : ''} that can keep traces from showing up.`
+            : 'I checked your code against the Handit.ai setup and did not find a problem in the SDK calls. Check that HANDIT_API_KEY is set where the agent runs.',
+        findings: report.findings.map((finding) => ({
+          id: finding.id,
+          severity: finding.severity,
+          title: finding.id.replace(/_/g, ' '),
+          explanation: finding.message,
+          fix: null,
+        })),
+        patchedCode: null,
+      };
+
       return {
-        answer:
-          "I'm here to help you with any questions about Handit.ai! I can provide information about our AI observability features, quality evaluation system, self-improving AI capabilities, and technical implementation details. What would you like to know about Handit.ai?",
-        topic: 'general_handit_knowledge',
+        answer: formatCheckAnswer(result, report),
+        topic: 'integration_check',
         context_used: false,
+        integrationCheck: integrationCheck(result),
       };
     }
   }
 
   /**
    * Evaluate if an API action should be executed based on user intent
+   * The actions are offered as function-calling tools generated from
+   * config/apiActions.json; the model picks one and fills its arguments through
+   * a tool call, or answers without calling a tool when no action is needed.
+   * Requests that need several calls go to the planner through the plan tool.
    * @param {string} userMessage - Current user message
    * @param {Object} conversationHistory - Conversation history
    * @param {string} userApiToken - Optional API token from user
@@ -1474,82 +1418,60 @@ Generate ONLY the response text (no JSON, no quotes).`;
           ?.map((msg) => `${msg.role}: ${msg.content}`)
           .join('\n') || 'No previous conversation';
 
-      // Get available actions description
-      const availableActions = this.apiService.getActionsDescription();
-
-      const evaluationPrompt = `You are an API Action Evaluator. Your job is to determine if the user's request requires executing an action via the external API.
-
-CONVERSATION HISTORY:
-${conversationContext}
-
-CURRENT USER MESSAGE: "${userMessage}"
-
-AVAILABLE API ACTIONS:
-${availableActions}
-
-EVALUATION RULES:
-1. The user must be explicitly asking for something that requires API interaction
-2. Examples of API-worthy requests:
-   - "create an integration token"
-   - "show me evaluators"
-   - "get my integration tokens"
-   - "revoke a token"
-   - "list my models"
-   - "get providers"
-
-3. Examples of NON-API requests (answer with documentation):
-   - "how do I use the system?"
-   - "what are integration tokens?"
-   - "how to install the SDK?"
-   - "explain the features"
-   - "help me with setup"
-   - "connect evaluators" (handled by specialized flow)
-   - "associate evaluators" (handled by specialized flow)
-
-4. If the user is asking for general information, configuration help, or documentation → shouldExecute: false
-5. If the user is asking to perform a specific action that requires API calls → shouldExecute: true
-6. If the user is asking to connect/associate evaluators → this is handled by the specialized evaluator connection flow
-
-TASK: Analyze the user's message and determine if it requires API action.
-
-RESPONSE FORMAT (JSON):
-{
-  "shouldExecute": true/false,
-  "actionName": "action_name_if_needed",
-  "parameters": {"key": "value"},
-  "reasoning": "Brief explanation of decision",
-  "confidence": 0.8
-}
-
-Return ONLY valid JSON.`;
+      const evaluationPrompt = promptRegistry.render('evaluateApiAction', {
+        conversationContext: conversationContext,
+        userMessage: userMessage,
+      });
 
       const response = await aiService.generateResponse(evaluationPrompt, {
         maxTokens: 300,
+        temperature: 0.1,
+        nodeName: 'evaluateApiAction',
+        tools: [
+          ...this.apiService.getToolDefinitions(),
+          this.actionPlannerService.getPlanToolDefinition(),
+        ],
       });
 
-      console.log('🔍 API Action Evaluation Response:', response.answer);
+      const toolCall = response.toolCalls?.[0];
+      if (!toolCall) {
+        return {
+          shouldExecute: false,
+          reasoning: response.answer || 'No API action needed',
+          confidence: 0.8,
+        };
+      }
 
-      let evaluationResult;
+      let parameters;
       try {
-        let jsonText = response.answer.trim();
-        const jsonMatch = jsonText.match(/\{[\s\S]*\}/);
-        if (jsonMatch) {
-          jsonText = jsonMatch[0];
-        }
-        evaluationResult = JSON.parse(jsonText);
-      } catch (error) {
+        parameters = JSON.parse(toolCall.arguments || '{}');
+      } catch (parseError) {
         console.warn(
-          'API evaluation JSON parse failed, defaulting to no action:',
-          error.message
+          `⚠️ Tool call arguments for ${toolCall.name} are not valid JSON:`,
+          parseError.message
         );
-        evaluationResult = {
-          shouldExecute: false,
-          reasoning: 'Parse error - defaulting to documentation response',
-          confidence: 0.5,
+        parameters = null;
+      }
+
+      console.log(`🔧 Tool call: ${toolCall.name}`, parameters);
+
+      if (this.actionPlannerService.isPlanToolCall(toolCall.name)) {
+        return {
+          shouldExecute: true,
+          needsPlan: true,
+          goal: parameters?.goal || userMessage,
+          reasoning: 'Request needs several API calls',
+          confidence: 0.9,
         };
       }
 
-      return evaluationResult;
+      return {
+        shouldExecute: true,
+        actionName: toolCall.name,
+        parameters: parameters,
+        reasoning: `Tool call: ${toolCall.name}`,
+        confidence: 0.9,
+      };
     } catch (error) {
       console.error('❌ Error in API action evaluation:', error);
       return {
@@ -1562,27 +1484,68 @@ Return ONLY valid JSON.`;
 
   /**
    * Execute an API action and format the response
+   * Mutating (non-GET) actions are not run until the user confirms them: the
+   * first call returns a confirmation payload and stores the action for the session.
    * @param {string} actionName - Name of the action to execute
    * @param {Object} parameters - Parameters for the action
    * @param {string} userMessage - Original user message
    * @param {Object} conversationHistory - Conversation history
    * @param {string} userApiToken - Optional API token from user
-   * @returns {Promise<Object>} Formatted API response
+   * @param {string} sessionId - Session identifier, used to store pending confirmations
+   * @param {boolean} confirmed - Whether the user already approved the action
+   * @returns {Promise<Object>} Formatted API response or confirmation payload
    */
   async executeApiAction(
     actionName,
     parameters,
     userMessage,
     conversationHistory,
-    userApiToken = null
+    userApiToken = null,
+    sessionId = null,
+    confirmed = false
   ) {
     try {
       console.log(`🚀 Executing API action: ${actionName}`);
 
+      // Check the tool call arguments before anything is sent to the API
+      const validation = this.apiService.validateParameters(
+        actionName,
+        parameters
+      );
+      if (!validation.valid) {
+        console.log('⚠️ Invalid API action parameters:', validation.errors);
+        return {
+          answer: `To run ${actionName} I need some more details:\n${validation.errors
+            .map((error) => `- ${error.replace(/^arguments\./, '')}`)
+            .join('\n')}\n\nPlease provide them and I'll run it.`,
+          success: false,
+          requiresUserInput: true,
+          actionName: actionName,
+          parameterErrors: validation.errors,
+        };
+      }
+
+      if (
+        !confirmed &&
+        this.actionConfirmationService.requiresConfirmation(actionName)
+      ) {
+        return {
+          ...this.actionConfirmationService.create(
+            sessionId,
+            actionName,
+            validation.parameters,
+            userMessage
+          ),
+          success: true,
+          actionName: actionName,
+          parameters: validation.parameters,
+        };
+      }
+
       // Execute the API action with user's token if provided
       const apiResult = await this.apiService.executeAction(
         actionName,
-        parameters,
+        validation.parameters,
         userApiToken
       );
 
@@ -1594,8 +1557,7 @@ Return ONLY valid JSON.`;
         if (apiResult.isOptional) {
           const fallbackResponse = await this.generalKnowledge(
             userMessage,
-            conversationHistory,
-            userApiToken
+            conversationHistory
           );
           return {
             ...fallbackResponse,
@@ -1614,32 +1576,18 @@ Return ONLY valid JSON.`;
       }
 
       // Format the successful API response for the user
-      const formattingPrompt = `You are a Response Formatter for API results. Your job is to present API results in a user-friendly way.
-
-USER REQUEST: "${userMessage}"
-API ACTION EXECUTED: ${actionName}
-API RESULT: ${JSON.stringify(apiResult.data, null, 2)}
-
-TASK: Create a clear, helpful response that:
-1. Confirms the action was completed successfully
-2. Presents the data in a user-friendly format
-3. Includes relevant details from the API response
-4. Suggests next steps if appropriate
-5. Responds in the same language as the user
-
-RESPONSE GUIDELINES:
-- Be conversational and helpful
-- Format data clearly (use bullets, numbers, etc.)
-- Include relevant details but avoid overwhelming the user
-- Suggest related actions they might want to take
-- If the data is empty or minimal, acknowledge that appropriately
-
-Generate ONLY the formatted response text (no JSON wrapper).`;
+      const formattingPrompt = promptRegistry.render('executeApiAction', {
+        userMessage: userMessage,
+        actionName: actionName,
+        apiResult: JSON.stringify(apiResult.data, null, 2),
+      });
 
       const formatResponse = await aiService.generateResponse(
         formattingPrompt,
         {
           maxTokens: 800,
+          stream: true,
+          nodeName: 'executeApiAction',
         }
       );
 
@@ -1650,7 +1598,7 @@ Generate ONLY the formatted response text (no JSON wrapper).`;
         success: true,
         apiData: apiResult.data,
         actionName: actionName,
-        parameters: parameters,
+        parameters: validation.parameters,
       };
     } catch (error) {
       console.error('❌ Error executing API action:', error);
@@ -1658,8 +1606,7 @@ Generate ONLY the formatted response text (no JSON wrapper).`;
       // Fallback to documentation
       const fallbackResponse = await this.generalKnowledge(
         userMessage,
-        conversationHistory,
-        userApiToken
+        conversationHistory
       );
       return {
         ...fallbackResponse,
@@ -1670,168 +1617,263 @@ Generate ONLY the formatted response text (no JSON wrapper).`;
   }
 
   /**
-   * Detect if user is requesting optimization
-   * @param {string} userMessage - User's message
-   * @param {Object} conversationHistory - Conversation history
-   * @returns {Promise<Object>} Optimization request detection result
+   * Read the user's reply to the pending action of the session
+   * The pending action is removed whatever the reply: approved actions run this
+   * turn, and any other message means the user moved on.
+   * @param {string} sessionId - Session identifier
+   * @param {string} userMessage - Current user message
+   * @param {Object} pendingAction - Pending action waiting for confirmation
+   * @returns {Object} { decision, pendingAction } with decision 'approve', 'reject' or 'other'
    */
-  async detectOptimizationRequest(userMessage, conversationHistory) {
-    try {
-      console.log('🔍 Detecting optimization request...');
+  resolvePendingAction(sessionId, userMessage, pendingAction) {
+    const decision =
+      this.actionConfirmationService.classifyReply(userMessage);
+    this.actionConfirmationService.clear(sessionId);
 
-      const optimizationPrompt = `You are an Optimization Request Detector. Your job is to detect if a user wants to run an optimization process.
+    console.log(
+      `✋ Pending action "${pendingAction.description}": ${decision} (${pendingAction.id})`
+    );
 
-USER MESSAGE: "${userMessage}"
+    return { decision, pendingAction };
+  }
 
-CONVERSATION HISTORY:
-${
-  conversationHistory.messages
-    ?.map((msg) => `${msg.role}: ${msg.content}`)
-    .join('\n') || 'No previous conversation'
-}
+  /**
+   * Run the pending action the user just approved
+   * @param {Object} pendingAction - Approved action or plan
+   * @param {Object} conversationHistory - Conversation history
+   * @param {string} userApiToken - Optional API token from user
+   * @param {string} sessionId - Session identifier
+   * @returns {Promise<Object>} Action or plan response
+   */
+  async runPendingAction(
+    pendingAction,
+    conversationHistory,
+    userApiToken = null,
+    sessionId = null
+  ) {
+    if (pendingAction.kind === 'plan') {
+      return this.executeActionPlan(
+        pendingAction.plan,
+        userApiToken,
+        pendingAction.userMessage
+      );
+    }
 
-TASK: Analyze if the user is requesting to optimize a prompt/model based on specific IDs.
-
-OPTIMIZATION PATTERNS TO DETECT:
-- "optimize the prompt of agent with id X"
-- "optimize based on the result of entry with id Y"
-- "run optimization for model X using log Y"
-- "optimize prompt using model log"
-- "I want to optimize" + mentions of IDs
-- "optimize from error" + mentions of IDs
-
-RESPONSE FORMAT (JSON only):
-{
-  "isOptimizationRequest": true/false,
-  "confidence": 0.0-1.0,
-  "extractedInfo": {
-    "modelId": "extracted model/agent ID",
-    "modelLogId": "extracted log/entry ID",
-    "reasoning": "explanation of what was detected"
+    return this.executeApiAction(
+      pendingAction.actionName,
+      pendingAction.parameters,
+      pendingAction.userMessage,
+      conversationHistory,
+      userApiToken,
+      sessionId,
+      true
+    );
   }
-}
 
-If it's NOT an optimization request, return:
-{
-  "isOptimizationRequest": false,
-  "confidence": 0.0,
-  "extractedInfo": null
-}`;
+  /**
+   * Plan API Actions - Builds a multi-step plan and runs it
+   * Plans that only read data run right away; plans with mutating actions are
+   * shown and wait for the user's confirmation.
+   * @param {string} sessionId - Session identifier
+   * @param {string} goal - Goal passed by the plan tool call
+   * @param {string} userMessage - Current user message
+   * @param {Object} conversationHistory - Conversation history
+   * @param {string} userApiToken - Optional API token from user
+   * @returns {Promise<Object>} Plan response
+   */
+  async planApiActions(
+    sessionId,
+    goal,
+    userMessage,
+    conversationHistory,
+    userApiToken = null
+  ) {
+    try {
+      console.log(`📋 Planning API actions for: ${goal}`);
+
+      const plan = await this.actionPlannerService.buildPlan(
+        goal,
+        userMessage,
+        conversationHistory
+      );
 
-      const response = await aiService.generateResponse(optimizationPrompt, {
-        maxTokens: 500,
-        temperature: 0.1,
-      });
+      if (!plan.feasible || plan.errors.length > 0) {
+        console.log('⚠️ Plan rejected:', plan.reason, plan.errors);
+        return {
+          answer: plan.feasible
+            ? `I couldn't build a reliable plan for this request:\n${plan.errors
+                .map((error) => `- ${error}`)
+                .join('\n')}\n\nCould you rephrase it or give me more details?`
+            : `I can't do this with the available actions: ${plan.reason}`,
+          success: false,
+          plan: plan,
+        };
+      }
 
-      // Parse the JSON response
-      let detectionResult;
-      try {
-        detectionResult = JSON.parse(response.answer);
-      } catch (parseError) {
-        console.error(
-          '❌ Failed to parse optimization detection response:',
-          parseError
-        );
+      const planText = this.actionPlannerService.formatPlan(plan);
+
+      if (this.actionPlannerService.isMutating(plan)) {
         return {
-          isOptimizationRequest: false,
-          confidence: 0.0,
-          extractedInfo: null,
+          ...this.actionConfirmationService.createPlan(
+            sessionId,
+            plan,
+            planText,
+            userMessage
+          ),
+          success: true,
+          plan: plan,
         };
       }
 
-      console.log('🔍 Optimization detection result:', detectionResult);
-      return detectionResult;
+      const planResponse = await this.executeActionPlan(
+        plan,
+        userApiToken,
+        userMessage
+      );
+
+      return {
+        ...planResponse,
+        answer: `${planText}\n\n${planResponse.answer}`,
+      };
     } catch (error) {
-      console.error('❌ Error detecting optimization request:', error);
+      console.error('❌ Error planning API actions:', error);
       return {
-        isOptimizationRequest: false,
-        confidence: 0.0,
-        extractedInfo: null,
+        answer:
+          'I encountered an error while planning these actions. Please try again, or ask for one action at a time.',
+        success: false,
+        apiError: error.message,
       };
     }
   }
 
   /**
-   * Handle optimization request
-   * @param {Object} optimizationRequest - Detected optimization request
-   * @param {string} userApiToken - User's API token
-   * @returns {Promise<Object>} Optimization response
+   * Execute an action plan and report the result of each step
+   * The per-step report is built from the results; the LLM only summarizes the
+   * data the steps returned.
+   * @param {Object} plan - Validated plan
+   * @param {string} userApiToken - Optional API token from user
+   * @param {string} userMessage - Message that asked for the plan
+   * @returns {Promise<Object>} Plan results response
    */
-  async handleOptimizationRequest(optimizationRequest, userApiToken) {
+  async executeActionPlan(plan, userApiToken = null, userMessage = '') {
+    const run = await this.actionPlannerService.executePlan(
+      plan,
+      userApiToken
+    );
+    const report = this.actionPlannerService.formatResults(run);
+
+    let summary = '';
     try {
-      console.log('🚀 Handling optimization request...');
+      const summaryPrompt = promptRegistry.render('executeActionPlan', {
+        userMessage: userMessage,
+        stepOutputs: JSON.stringify(run.outputs).slice(0, 6000),
+      });
 
-      const { extractedInfo } = optimizationRequest;
+      const response = await aiService.generateResponse(summaryPrompt, {
+        maxTokens: 600,
+        nodeName: 'executeActionPlan',
+      });
+      summary = response.answer || '';
+    } catch (error) {
+      console.warn('⚠️ Error summarizing plan results:', error.message);
+    }
 
-      if (
-        !extractedInfo ||
-        !extractedInfo.modelId ||
-        !extractedInfo.modelLogId
-      ) {
-        return {
-          answer:
-            "I detected you want to run an optimization, but I need both the model/agent ID and the log/entry ID. Please provide both IDs clearly. For example: 'I want to optimize the prompt of agent with id 28, based on the result of the entry with id 17'",
-          success: false,
-          requiresMoreInfo: true,
-        };
-      }
+    return {
+      answer: summary ? `${summary}\n\n${report}` : report,
+      success: run.success,
+      plan: plan,
+      planResults: run.steps,
+    };
+  }
 
-      // Validate that modelLogId is a number
-      const modelLogId = parseInt(extractedInfo.modelLogId);
-      if (isNaN(modelLogId)) {
-        return {
-          answer: `I found the log/entry ID "${extractedInfo.modelLogId}" but it doesn't appear to be a valid number. Please provide a numeric ID.`,
-          success: false,
-          invalidLogId: true,
-        };
-      }
+  /**
+   * Answer a rejected pending action
+   * @param {Object} pendingAction - Rejected action
+   * @returns {Object} Cancellation response
+   */
+  rejectPendingAction(pendingAction) {
+    return {
+      answer: `Okay, I cancelled it: nothing was sent to your account (${pendingAction.description}). What would you like to do next?`,
+      success: true,
+      actionName: pendingAction.actionName,
+      cancelledAction: pendingAction.id,
+    };
+  }
 
-      console.log(
-        `🚀 Running optimization for model: ${extractedInfo.modelId}, log: ${modelLogId}`
-      );
+  /**
+   * Detect if user is requesting optimization
+   * @param {string} userMessage - User's message
+   * @param {Object} conversationHistory - Conversation history
+   * @returns {Promise<Object>} Optimization request detection result
+   */
+  async detectOptimizationRequest(userMessage, conversationHistory) {
+    try {
+      console.log('🔍 Detecting optimization request...');
 
-      // Import and use the optimization service
-      const OptimizationService = require('./optimizationService');
-      const optimizationService = new OptimizationService();
+      const optimizationPrompt = promptRegistry.render('detectOptimizationRequest', {
+        userMessage: userMessage,
+        conversationContext:
+          conversationHistory.messages
+            ?.map((msg) => `${msg.role}: ${msg.content}`)
+            .join('\n') || 'No previous conversation',
+      });
 
-      // Run the optimization
-      const result = await optimizationService.runOptimization(
-        extractedInfo.modelId,
-        modelLogId,
-        userApiToken
+      const { data: detectionResult } = await aiService.generateStructured(
+        optimizationPrompt,
+        {
+          schema: getOutputSchema('detectOptimizationRequest'),
+          nodeName: 'detectOptimizationRequest',
+          maxTokens: 500,
+          temperature: 0.1,
+          fallback: {
+            isOptimizationRequest: false,
+            confidence: 0.0,
+            extractedInfo: null,
+          },
+        }
       );
 
-      if (result.success) {
-        return {
-          answer: `✅ Optimization process finished successfully! I've optimized the prompt for model ${extractedInfo.modelId} based on the results from log entry ${modelLogId}. The optimization has been completed and your model should now have improved performance.`,
-          success: true,
-          optimization_completed: true,
-          optimization_success: true,
-          modelId: extractedInfo.modelId,
-          modelLogId: modelLogId,
-          optimizationId: result.optimizationId,
-          flags: result.flags,
-        };
-      } else {
-        return {
-          answer: `❌ Optimization failed: ${result.message}. Please check that the model ID and log ID are correct, and that you have the necessary permissions.`,
-          success: false,
-          optimization_completed: true,
-          optimization_success: false,
-          modelId: extractedInfo.modelId,
-          modelLogId: modelLogId,
-          error: result.error,
-        };
-      }
+      console.log('🔍 Optimization detection result:', detectionResult);
+      return detectionResult;
     } catch (error) {
-      console.error('❌ Error handling optimization request:', error);
+      console.error('❌ Error detecting optimization request:', error);
+      return {
+        isOptimizationRequest: false,
+        confidence: 0.0,
+        extractedInfo: null,
+      };
+    }
+  }
+
+  /**
+   * Handle optimization request by starting the optimization flow
+   * IDs found in the request skip the matching selection steps
+   * @param {Object} optimizationRequest - Detected optimization request
+   * @param {string} userApiToken - User's API token
+   * @param {string} sessionId - Session identifier
+   * @returns {Promise<Object>} First step of the optimization flow
+   */
+  async handleOptimizationRequest(
+    optimizationRequest,
+    userApiToken,
+    sessionId = null
+  ) {
+    console.log('🚀 Handling optimization request...');
 
+    if (!userApiToken) {
       return {
-        answer: `I encountered an error while trying to run the optimization: ${error.message}. Please try again or contact support if the issue persists.`,
+        answer:
+          'To run optimization processes, I need your API token. Please include your API token in the Authorization header of your request.',
         success: false,
-        error: error.message,
+        requiresApiToken: true,
       };
     }
+
+    return await this.optimizationFlowService.startOptimizationFlow(
+      sessionId,
+      userApiToken,
+      optimizationRequest?.extractedInfo
+    );
   }
 }
 
@@ -2,10 +2,16 @@
  * Simplified Agentic System for Handit.ai
  * Single node that processes conversation history and user message
  * @module services/agenticSystem
+ *
+ * Selected with the agentic-system pipeline mode (config/pipelineConfig).
+ * processUserInput has the same signature and response shape as AgenticAI's,
+ * so the controller can run either pipeline.
  */
 
 const { aiService } = require('./aiService');
+const { promptRegistry } = require('./promptRegistry');
 const ConversationService = require('./conversationService');
+const { getContext } = require('../utils/requestContext');
 
 
 class AgenticSystem {
@@ -17,11 +23,14 @@ class AgenticSystem {
 
     /**
      * Process user input with conversation history
+     * API tokens are accepted for interface compatibility; this pipeline makes no API calls
      * @param {string} userMessage - Latest user message
      * @param {string} sessionId - Session identifier
+     * @param {string} [userApiToken] - Unused
+     * @param {string} [handitToken] - Unused
      * @returns {Promise<Object>} Simple response
      */
-    async processUserInput(userMessage, sessionId) {
+    async processUserInput(userMessage, sessionId, userApiToken = null, handitToken = null) {
         try {
             console.log(`🧠 Processing single node for session: ${sessionId}`);
             
@@ -49,7 +58,7 @@ class AgenticSystem {
             
             console.log('\n✅ Processing completed');
             
-            return routerResponse;
+            return this.toPipelineResponse(routerResponse, userMessage, sessionId, conversationHistory);
             
         } catch (error) {
             console.error('❌ Error in simple agentic system:', error);
@@ -57,6 +66,31 @@ class AgenticSystem {
         }
     }
 
+    /**
+     * Shape a specialist response like the AgenticAI response
+     * The documentation pasted into the prompts is dropped, and the LLM nodes
+     * called during the turn become the graphPath
+     * @param {Object} nodeResponse - Response of the last node
+     * @param {string} userMessage - Latest user message
+     * @param {string} sessionId - Session identifier
+     * @param {Object} conversationHistory - Conversation history
+     * @returns {Object} Pipeline response
+     */
+    toPipelineResponse(nodeResponse, userMessage, sessionId, conversationHistory) {
+        const { availableContext, filteredContext, ...response } = nodeResponse;
+        const spans = getContext()?.spans || [];
+
+        return {
+            ...response,
+            sessionId: sessionId,
+            userMessage: userMessage,
+            conversationHistory: conversationHistory,
+            graphPath: spans.map(span => span.nodeName),
+            sources: [],
+            totalSources: 0
+        };
+    }
+
     /**
      * Router LLM Agent - Decides if topic is about Handit.ai or not
      * @param {string} userMessage - Current user message
@@ -78,26 +112,10 @@ class AgenticSystem {
             // Create conversation context for router
             const conversationContext = conversationHistory.messages?.map(msg => `${msg.role}: ${msg.content}`).join('\n') || 'No previous conversation';
 
-            const routerPrompt = `You are a Router Agent. Determine if the user's message is related to the topics covered in the available documentation or completely unrelated.
-
-USER MESSAGE: "${userMessage}"
-
-AVAILABLE DOCUMENTATION CONTEXT:
-${availableContext}
-
-TASK: Check if the user's question is about ANY topic mentioned or covered in the documentation above.
-
-DECISION RULES:
-- If the user's message relates to ANY topic, concept, feature, or process mentioned in the documentation → Return "HANDIT_AI"
-- If the user's message is clearly about something NOT covered in the documentation (weather, food, general chat, etc.) → Return "OFF_TOPIC"
-
-EXAMPLES:
-- Question about something mentioned in the docs → "HANDIT_AI"
-- "what's the weather?" → "OFF_TOPIC" (not in docs)
-- "how to cook pasta?" → "OFF_TOPIC" (not in docs)
-
-Return ONLY valid JSON:
-{"decision": "HANDIT_AI", "reasoning": "brief reason"}`;
+            const routerPrompt = promptRegistry.render('routerAgent', {
+                userMessage: userMessage,
+                availableContext: availableContext
+            });
 
             const routerResponse = await aiService.generateResponse(routerPrompt, {
                 maxTokens: 300
@@ -190,70 +208,11 @@ Return ONLY valid JSON:
             }
             console.log(`- Contexto completo de handitKnowledgeBase`);
             
-            const questionAnalysisPrompt = `You are a Context Questioner for Handit.ai. Analyze if the user wants help with observability/setup topics from the documentation.
-
-USER MESSAGE: "${userMessage}"
-CONVERSATION HISTORY: ${conversationContext}
-
-AVAILABLE DOCUMENTATION: 
-${availableContext}
-
-TASK: Analyze if the user's message is asking about ANY observability, setup, installation, configuration, or getting started.
-
-1. DETECT user's language (Spanish/English) from their message
-2. CHECK: Is the user asking about observability/setup topics from the documentation?
-   - Look for questions about: setup, installation, configuration, tracing, monitoring, SDK setup, getting started, integration
-   - If user wants help with ANY of these topics → set needsUserInput = TRUE and ask 3 questions
-   - If user is just asking general questions about what Handit is → set needsUserInput = FALSE
-3. ANALIZE THE CONVERSATION HISTORY AND CHECK IF THERE ARE ANY OF THESE QUESTIONS ASKED TO THE USER.
-   - If you there are some questions already asked to the user, set needsUserInput = FALSE
-   - If user just ignored these questions, set needsUserInput = FALSE
-   - If user didnt answer all your questions, set needsUserInput = FALSE
-   - If user answered all your questions, set needsUserInput = FALSE
-   - If user is asking about something else, set needsUserInput = FALSE
-   - If user is asking about something that is not in the documentation, set needsUserInput = FALSE
-   - If user is already in on-boarding process, set needsUserInput = FALSE
- 
-4. IF YOU HAVE ALREADY ASKED THE USER THESE QUESTIONS, SET needsUserInput = FALSE
-5. ANALIZE THE CONVERSATION HISTORY and user Message. IF USER IS ALREADY IN ON-BOARDING PROCESS, SET needsUserInput = FALSE
-
-
-QUESTIONS TO ASK (when needsUserInput = TRUE):
-
-SPANISH:
-- "¿Sobre qué es tu aplicación IA, qué es lo que hace?"
-- "¿En qué lenguaje de programación está construido?"
-- "¿Qué framework estás usando?"
-
-ENGLISH:
-- "What is your AI application about, what does it do?"
-- "What programming language is it built in?"
-- "What framework are you using?"
-
-EXAMPLES:
-- "quiero settear handit" → needsUserInput: TRUE (wants setup help)
-- "como configurar handit" → needsUserInput: TRUE (wants configuration help)
-- "i want to connect my agent to handit" → needsUserInput: TRUE (wants integration help)
-- "help me with handit observability" → needsUserInput: TRUE (wants observability help)
-- "what is handit?" → needsUserInput: FALSE (just asking what it is)
-- "tell me about handit features" → needsUserInput: FALSE (just asking about features)
-
-CRITICAL: Base your decision on whether they want PRACTICAL HELP with setup/observability topics from the documentation, not just general information.
-
-RESPONSE FORMAT (JSON):
-{
-  "detectedLanguage": "spanish|english",
-  "needsUserInput": true/false,
-  "reasoning": "Brief reason - is user asking for setup/observability help?",
-  "questions": [
-    {
-      "question": "question text in user language",
-      "category": "application_context|technical_stack",
-      "importance": "helpful",
-      "purpose": "To provide better setup guidance"
-    }
-  ]
-}`;
+            const questionAnalysisPrompt = promptRegistry.render('contextQuestioner', {
+                userMessage: userMessage,
+                conversationContext: conversationContext,
+                availableContext: availableContext
+            });
 
             const questionAnalysisResponse = await aiService.generateResponse(questionAnalysisPrompt, {
                 maxTokens: 800
@@ -409,28 +368,12 @@ RESPONSE FORMAT (JSON):
                 const userQuestions = questionAnalysis.questions.map(q => q.question).join('\n\n');
                 
                 // Generate natural intro message using LLM
-                const introPrompt = `You are a helpful Handit.ai assistant. Generate a natural, friendly introduction for asking the user some questions.
-
-USER MESSAGE: "${userMessage}"
-USER INTENT: ${routerDecision.userIntent}
-DETECTED LANGUAGE: ${questionAnalysis.detectedLanguage || 'spanish'}
-
-QUESTIONS TO ASK:
-${userQuestions}
-
-INSTRUCTIONS:
-- Generate a natural, conversational introduction in ${questionAnalysis.detectedLanguage || 'spanish'}
-- Explain briefly why you need this information
-- Be friendly and helpful
-- Keep it concise but warm
-- Include the questions naturally in your response
-- Don't use formal templates, make it sound conversational
-
-RESPONSE FORMAT: Just generate the complete message text that will be sent to the user (no JSON, no quotes, just the natural text).
-
-EXAMPLES:
-Spanish: "¡Perfecto! Para ayudarte con la configuración de Handit.ai, necesito conocer un poco más sobre tu proyecto..."
-English: "Great! To help you set up Handit.ai properly, I'd like to know a bit more about your project..."`;
+                const introPrompt = promptRegistry.render('contextQuestionerIntro', {
+                    userMessage: userMessage,
+                    userIntent: routerDecision.userIntent,
+                    language: questionAnalysis.detectedLanguage || 'spanish',
+                    userQuestions: userQuestions
+                });
 
                 const introResponse = await aiService.generateResponse(introPrompt, {
                     maxTokens: 300
@@ -482,40 +425,12 @@ English: "Great! To help you set up Handit.ai properly, I'd like to know a bit m
             // Prepare conversation history
             const conversationContext = conversationHistory.messages?.map(msg => `${msg.role}: ${msg.content}`).join('\n') || 'No previous conversation';
             
-            const phaseRouterPrompt = `You are a Phase Router for Handit.ai. Your job is to determine which phase of Handit.ai setup the user needs help with.
-
-USER MESSAGE: "${userMessage}"
-USER INTENT: ${routerDecision.userIntent}
-
-CONVERSATION HISTORY:
-${conversationContext}
-
-HANDIT.AI PHASES:
-1. OBSERVABILITY (Phase 1): Setup SDK, tracing, installation, getting started
-2. EVALUATION (Phase 2): Quality evaluation, evaluators, metrics, assessment
-3. SELF_IMPROVING (Phase 3): Optimization, A/B testing, prompt improvements
-
-PHASE DETERMINATION RULES:
-- If user asks about "setup", "install", "getting started", "tracing", "observability" → OBSERVABILITY
-- If user asks about "evaluation", "quality", "metrics", "assessment", "evaluators" → EVALUATION  
-- If user asks about "optimization", "A/B testing", "self-improving", "prompt optimization", "prompt engineering", "prompt management" → SELF_IMPROVING
-
-
-CRITICAL: Phase 1 (Observability) is a prerequisite for Phase 2 and 3. Always start with Phase 1 unless user explicitly has it working.
-
-RESPONSE FORMAT (JSON):
-{
-  "selectedPhase": "OBSERVABILITY|EVALUATION|SELF_IMPROVING",
-  "reasoning": "Brief explanation of why this phase was selected",
-  "userReadiness": "ready|needs_prerequisites|unclear",
-  "detectedLanguage": "${questionAnalysis.detectedLanguage || 'spanish'}"
-}
-
-CRITICAL RULES:
-- Only return JSON format
-- Default to OBSERVABILITY if uncertain
-- Consider conversation history and user's journey
-- Respond in detected language: ${questionAnalysis.detectedLanguage || 'spanish'}`;
+            const phaseRouterPrompt = promptRegistry.render('phaseRouter', {
+                userMessage: userMessage,
+                userIntent: routerDecision.userIntent,
+                conversationContext: conversationContext,
+                language: questionAnalysis.detectedLanguage || 'spanish'
+            });
 
             const phaseRouterResponse = await aiService.generateResponse(phaseRouterPrompt, {
                 maxTokens: 300
@@ -585,60 +500,13 @@ CRITICAL RULES:
             // Prepare conversation history
             const conversationContext = conversationHistory.messages?.map(msg => `${msg.role}: ${msg.content}`).join('\n') || 'No previous conversation';
             
-            const observabilityPrompt = `You are an Observability Expert for Handit.ai Phase 1. Your ONLY job is to guide users through COMPLETE AI Observability and Tracing setup.
-
-CRITICAL: Respond in ${phaseDecision.detectedLanguage} language consistently.
-
-USER MESSAGE: "${userMessage}"
-USER INTENT: ${routerDecision.userIntent}
-
-CONVERSATION HISTORY:
-${conversationContext}
-
-DOCUMENTATION CONTEXT: ${observabilityContext} (THIS IS THE WHOLE CONTEXT OF THE KNOWLEDGE BASE, INSIDE INCLUDES THE OBSERVABILITY SECTION)
-
-
-CRITICAL ANALYSIS - IDENTIFY USER'S CURRENT OBSERVABILITY STEP:
-Analyze the conversation history to determine exactly which observability setup step the user is currently on or needs help with:
-
-
-PHASE 1 OBSERVABILITY STEPS (for reference):
-📦 PASO 1: Instalación del SDK (pip install handit-sdk OR npm install @handit.ai/node)
-📝 PASO 2: Obtener Token de Integración (from dashboard settings)
-⚙️ PASO 3: Crear archivo de configuración (handit_service.py/js)
-🔐 PASO 4: Configurar variables de entorno (.env file with HANDIT_API_KEY)
-🚀 PASO 5: Implementar tracking en tu agente (CRÍTICO) - start_tracing, track_node, end_tracing
-✅ PASO 6: Verificar que funciona (test and check dashboard)
-
-YOUR MISSION (STEP-BY-STEP CONVERSATIONAL APPROACH):
-1. ANALYZE conversation history to identify their current step
-2. Provide ONLY the NEXT step they need
-3. Give detailed instructions for that ONE step only
-4. Wait for user confirmation before proceeding to next step
-5. If they haven't started → Suggest ONLY Step 1 (installation)
-6. DETECT user's tech stack and provide tech-specific instructions for that step
-7. Also provide examples of how to use the functions in the code
-
-CRITICAL REQUIREMENTS:
-- ANALYZE conversation history first to detect their progress
-- Provide ONLY ONE step at a time, not the complete guide
-- If they're starting fresh → Only suggest Step 1 (installation) and wait for response
-- If they completed a step → Suggest the NEXT step only
-- Give detailed, copy-paste ready instructions for the current step
-- DETECT user's tech stack from conversation history (Python vs JavaScript)
-- If no tech stack mentioned, ask which one they prefer OR provide both options
-- Make each step practical and immediately actionable
-- Focus ONLY on observability/Phase 1 content
-
-RESPONSE STRUCTURE (CONVERSATIONAL):
-1. Brief greeting acknowledging their current progress (if any)
-2. Identify which step they need next (or Step 1 if starting)
-3. Provide detailed instructions for THAT ONE step only
-4. Ask for confirmation when they complete it before moving to next step
-
-CRITICAL: You MUST include complete code examples that users can copy-paste and adapt to their specific use case. Don't just mention the functions, show them how to use them in a complete workflow.
-
-`;
+            const observabilityPrompt = promptRegistry.render('observabilityExpert', {
+                language: phaseDecision.detectedLanguage,
+                userMessage: userMessage,
+                userIntent: routerDecision.userIntent,
+                conversationContext: conversationContext,
+                observabilityContext: observabilityContext
+            });
 
             const observabilityResponse = await aiService.generateResponse(observabilityPrompt, {
                 maxTokens: 1200
@@ -687,45 +555,13 @@ CRITICAL: You MUST include complete code examples that users can copy-paste and
             // Prepare conversation history
             const conversationContext = conversationHistory.messages?.map(msg => `${msg.role}: ${msg.content}`).join('\n') || 'No previous conversation';
             
-            const evaluationPrompt = `You are an Evaluation Expert for Handit.ai Phase 2. Your ONLY job is to guide users through Quality Evaluation setup.
-
-CRITICAL: Respond in ${phaseDecision.detectedLanguage} language consistently.
-
-USER MESSAGE: "${userMessage}"
-USER INTENT: ${routerDecision.userIntent}
-
-CONVERSATION HISTORY:
-${conversationContext}
-
-DOCUMENTATION CONTEXT: ${evaluationContext} (THIS IS THE WHOLE CONTEXT OF THE KNOWLEDGE BASE, INSIDE INCLUDES THE EVALUATION SECTION)
-
-
-
-YOUR SPECIALIZATION - PHASE 2: QUALITY EVALUATION
-✅ Connect Evaluation Models (OpenAI, other LLMs)
-✅ Create Focused Evaluators (one per quality dimension)
-✅ Associate Evaluators to LLM Nodes
-✅ Monitor Evaluation Results
-✅ Quality Metrics and Scoring
-
-PREREQUISITE CHECK:
-- Phase 1 (Observability) must be completed first
-- If user hasn't completed Phase 1, redirect them to set up tracing first
-
-RESPONSE GUIDELINES:
-- Focus ONLY on Phase 2 (Quality Evaluation)
-- Provide step-by-step evaluation setup
-- Explain evaluator creation (one per quality dimension)
-- Guide through dashboard configuration
-- Ask for confirmation after each step
-
-CRITICAL: 
-- Check if they have Phase 1 working
-- Guide through evaluator creation
-- Explain how to associate evaluators to nodes
-- Focus on quality assessment setup
-
-Generate a complete, step-by-step response for Phase 2 evaluation setup.`;
+            const evaluationPrompt = promptRegistry.render('evaluationExpert', {
+                language: phaseDecision.detectedLanguage,
+                userMessage: userMessage,
+                userIntent: routerDecision.userIntent,
+                conversationContext: conversationContext,
+                evaluationContext: evaluationContext
+            });
 
             const evaluationResponse = await aiService.generateResponse(evaluationPrompt, {
                 maxTokens: 1200
@@ -774,45 +610,13 @@ Generate a complete, step-by-step response for Phase 2 evaluation setup.`;
             // Prepare conversation history
             const conversationContext = conversationHistory.messages?.map(msg => `${msg.role}: ${msg.content}`).join('\n') || 'No previous conversation';
             
-            const selfImprovingPrompt = `You are a Self-Improving AI Expert for Handit.ai Phase 3. Your ONLY job is to guide users through AI Optimization setup.
-
-CRITICAL: Respond in ${phaseDecision.detectedLanguage} language consistently.
-
-USER MESSAGE: "${userMessage}"
-USER INTENT: ${routerDecision.userIntent}
-
-CONVERSATION HISTORY:
-${conversationContext}
-
-DOCUMENTATION CONTEXT ${optimizationContext}, (THIS IS THE WHOLE CONTEXT OF THE KNOWLEDGE BASE, INSIDE INCLUDES THE SELF-IMPROVING SECTION)
-
-
-YOUR SPECIALIZATION - PHASE 3: SELF-IMPROVING AI
-✅ Connect Optimization Models
-✅ Monitor Optimization Results
-✅ Deploy Optimizations via SDK
-✅ A/B Testing and Performance Comparison
-✅ Prompt Optimization and Release Hub
-
-PREREQUISITE CHECK:
-- Phase 1 (Observability) must be completed
-- Phase 2 (Evaluation) must be completed
-- If user hasn't completed previous phases, redirect them appropriately
-
-RESPONSE GUIDELINES:
-- Focus ONLY on Phase 3 (Self-Improving/Optimization)
-- Provide step-by-step optimization setup
-- Guide through Release Hub usage
-- Explain SDK integration for optimized prompts
-- Ask for confirmation after each step
-
-CRITICAL: 
-- Check if they have Phase 1 and 2 working
-- Guide through optimization model setup
-- Explain how to deploy optimizations
-- Focus on self-improving AI capabilities
-
-Generate a complete, step-by-step response for Phase 3 optimization setup.`;
+            const selfImprovingPrompt = promptRegistry.render('selfImprovingExpert', {
+                language: phaseDecision.detectedLanguage,
+                userMessage: userMessage,
+                userIntent: routerDecision.userIntent,
+                conversationContext: conversationContext,
+                optimizationContext: optimizationContext
+            });
 
             const selfImprovingResponse = await aiService.generateResponse(selfImprovingPrompt, {
                 maxTokens: 1200
@@ -848,32 +652,10 @@ Generate a complete, step-by-step response for Phase 3 optimization setup.`;
         try {
             console.log('🤖 Generating polite off-topic response');
 
-            const offTopicPrompt = `You are a polite Handit.ai Copilot assistant. The user asked about something unrelated to Handit.ai.
-
-USER MESSAGE: "${userMessage}"
-USER INTENT: ${routerDecision.userIntent}
-
-Generate a polite response that:
-1. Acknowledges their question respectfully
-2. Explains that you're specifically designed to help with Handit.ai
-3. Mentions what you CAN help with (setup, explore features, integration, etc.)
-4. Suggests they ask about Handit.ai topics instead
-
-RESPONSE GUIDELINES:
-- Be friendly and helpful
-- Don't be dismissive
-- Keep it concise
-- Respond in the same language as the user
-- Include some specific Handit.ai features you can help with
-
-EXAMPLES OF WHAT YOU CAN HELP WITH:
-- Setting up Handit.ai in your tech stack
-- Configuring tracing for your AI agents
-- Understanding evaluation features
-- Prompt optimization
-- Troubleshooting integration issues
-
-Generate ONLY the response text, not JSON.`;
+            const offTopicPrompt = promptRegistry.render('offTopicResponse', {
+                userMessage: userMessage,
+                userIntent: routerDecision.userIntent
+            });
 
             const offTopicResponse = await aiService.generateResponse(offTopicPrompt, {
                 maxTokens: 200
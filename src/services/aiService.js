@@ -10,12 +10,28 @@
 const { Pinecone } = require('@pinecone-database/pinecone');
 const OpenAI = require('openai');
 const { initializePinecone } = require('../config/pinecone');
-const { buildCompletionParams, optimizeMessagesForModel, getRecommendedSettings } = require('../config/modelConfig');
+const { buildCompletionParams, optimizeMessagesForModel, getRecommendedSettings, getModelConfig } = require('../config/modelConfig');
 const ConversationService = require('./conversationService');
+const { getContext } = require('../utils/requestContext');
+const { recordSpan, setParsedResult } = require('../utils/traceRecorder');
+const { selfTracingService } = require('./selfTracingService');
+const { validateSchema, parseJsonOutput } = require('../utils/jsonSchema');
 const dotenv = require('dotenv');
 
 dotenv.config();
 
+/**
+ * Normalize a prompt argument
+ * @param {string|Object} prompt - Plain text or a prompt rendered by the prompt registry
+ * @returns {Object} { name, version, text } (name and version are null for plain text)
+ */
+function toPrompt(prompt) {
+    if (prompt && typeof prompt === 'object') {
+        return { name: prompt.name || null, version: prompt.version || null, text: prompt.text };
+    }
+    return { name: null, version: null, text: prompt };
+}
+
 /**
  * Optimized AI Service class with intelligent caching and efficient processing
  */
@@ -36,6 +52,9 @@ class AIService {
         this.maxCacheSize = 1000;
         this.cacheHitCount = 0;
         this.cacheMissCount = 0;
+
+        // Structured output stats per node
+        this.structuredOutputStats = new Map();
     }
 
     /**
@@ -166,52 +185,332 @@ class AIService {
 
     /**
      * Simple response generation - direct OpenAI call with model from .env
-     * @param {string} question - User question
+     * @param {string|Object} question - User question, or a prompt rendered by the prompt registry
+     *   ({ name, version, text }), whose name and version are recorded in the turn trace
      * @param {Object} options - Simple options
-     * @returns {Promise<Object>} Simple response
+     * @param {boolean} [options.stream=false] - Stream tokens to the current request's onToken listener when there is one
+     * @param {string} [options.nodeName] - Node making the call, recorded in the turn trace (defaults to the prompt name)
+     * @param {Object} [options.responseFormat] - OpenAI response_format (see generateStructured)
+     * @param {Array} [options.tools] - Function-calling tool definitions; tool calls are never streamed
+     * @param {string|Object} [options.toolChoice='auto'] - OpenAI tool_choice, used with tools
+     * @returns {Promise<Object>} Simple response, with toolCalls [{ id, name, arguments }] when tools were given
      */
     async generateResponse(question, options = {}) {
         if (!this.initialized) {
             await this.initialize();
         }
 
+        const prompt = toPrompt(question);
+        const { 
+            maxTokens = 10000,
+            temperature = 0.7,
+            systemPrompt = null,
+            stream = false,
+            nodeName = prompt.name || 'unnamed',
+            responseFormat = null,
+            tools = null,
+            toolChoice = 'auto'
+        } = options;
+        const startTime = Date.now();
+
+        // Get model from environment variable
+        const modelName = process.env.OPENAI_MODEL || 'gpt-4o-mini';
+
         try {
-            const { 
-                maxTokens = 10000,
-                temperature = 0.7,
-                systemPrompt = null
-            } = options;
-
-            // Get model from environment variable
-            const modelName = process.env.OPENAI_MODEL || 'gpt-4o-mini';
-            
             // Build messages
             const messages = [];
             if (systemPrompt) {
                 messages.push({ role: 'system', content: systemPrompt });
             }
-            messages.push({ role: 'user', content: question });
-            
-            // Simple OpenAI call
-            const completion = await this.openaiClient.chat.completions.create({
+            messages.push({ role: 'user', content: prompt.text });
+
+            const completionParams = {
                 model: modelName,
                 messages: messages,
                 max_tokens: maxTokens,
                 temperature: temperature
-            });
-            
-            return {
-                answer: completion.choices[0].message.content,
-                model: modelName,
-                tokensUsed: completion.usage?.total_tokens || null
             };
+            if (responseFormat) {
+                completionParams.response_format = responseFormat;
+            }
+            if (tools && tools.length > 0) {
+                completionParams.tools = tools;
+                completionParams.tool_choice = toolChoice;
+            }
+
+            let response;
+
+            // Only stream when someone is listening and the model supports it
+            const context = getContext();
+            if (stream && !completionParams.tools && typeof context?.onToken === 'function' && getModelConfig(modelName).supportedParams.stream) {
+                response = await this.generateStreamingResponse(completionParams, context.onToken);
+            } else {
+                // Simple OpenAI call
+                const completion = await this.openaiClient.chat.completions.create(completionParams);
+                const message = completion.choices[0].message;
+
+                response = {
+                    answer: message.content,
+                    model: modelName,
+                    tokensUsed: completion.usage?.total_tokens || null
+                };
+                if (completionParams.tools) {
+                    response.toolCalls = (message.tool_calls || []).map(toolCall => ({
+                        id: toolCall.id,
+                        name: toolCall.function.name,
+                        arguments: toolCall.function.arguments
+                    }));
+                }
+            }
+
+            recordSpan({
+                nodeName: nodeName,
+                model: modelName,
+                prompt: prompt.text,
+                promptName: prompt.name,
+                promptVersion: prompt.version,
+                rawOutput: response.toolCalls?.length > 0 ? JSON.stringify(response.toolCalls) : response.answer,
+                latencyMs: Date.now() - startTime,
+                tokensUsed: response.tokensUsed,
+                startedAt: new Date(startTime).toISOString()
+            });
+            selfTracingService.trackNode({
+                nodeName: nodeName,
+                nodeType: 'llm',
+                input: this.buildTraceInput(prompt, { systemPrompt, model: modelName, temperature, maxTokens, tools, tokensUsed: response.tokensUsed }),
+                output: response.toolCalls?.length > 0 ? { toolCalls: response.toolCalls } : response.answer,
+                startTime: startTime
+            });
+
+            return response;
             
         } catch (error) {
             console.error('❌ Error in simple response generation:', error);
+            recordSpan({
+                nodeName: nodeName,
+                model: modelName,
+                prompt: prompt.text,
+                promptName: prompt.name,
+                promptVersion: prompt.version,
+                rawOutput: null,
+                latencyMs: Date.now() - startTime,
+                tokensUsed: null,
+                error: error.message,
+                startedAt: new Date(startTime).toISOString()
+            });
+            selfTracingService.trackNode({
+                nodeName: nodeName,
+                nodeType: 'llm',
+                input: this.buildTraceInput(prompt, { systemPrompt, model: modelName, temperature, maxTokens, tools, tokensUsed: null }),
+                output: null,
+                startTime: startTime,
+                error: error.message
+            });
             throw error;
         }
     }
 
+    /**
+     * Build the Handit trace input of an LLM call
+     * @param {Object} prompt - Normalized prompt { name, version, text }
+     * @param {Object} details - { systemPrompt, model, temperature, maxTokens, tools, tokensUsed }
+     * @returns {Object} { systemPrompt, userPrompt, extraDetails }
+     */
+    buildTraceInput(prompt, { systemPrompt, model, temperature, maxTokens, tools, tokensUsed }) {
+        return {
+            systemPrompt: systemPrompt,
+            userPrompt: prompt.text,
+            extraDetails: {
+                model: model,
+                temperature: temperature,
+                maxTokens: maxTokens,
+                promptName: prompt.name,
+                promptVersion: prompt.version,
+                tools: tools && tools.length > 0 ? tools.map(tool => tool.function.name) : null,
+                tokensUsed: tokensUsed
+            }
+        };
+    }
+
+    /**
+     * Generate a JSON output validated against a schema
+     *
+     * Uses the model's JSON schema or JSON object mode when available. Output that
+     * cannot be parsed or does not match the schema is sent back to the model with
+     * the errors for a bounded number of repair attempts. Failures are counted per
+     * node in getStructuredOutputStats().
+     * @param {string|Object} prompt - Prompt asking for JSON output, plain or rendered by the prompt registry
+     * @param {Object} options - Structured output options
+     * @param {Object} options.schema - JSON schema of the expected output
+     * @param {string} options.nodeName - Node making the call
+     * @param {number} [options.maxTokens=500] - Max tokens per attempt
+     * @param {number} [options.temperature=0.7] - Sampling temperature
+     * @param {number} [options.maxRepairAttempts=1] - Repair attempts after the first call
+     * @param {Object} [options.fallback] - Result used when every attempt fails; without it the call throws
+     * @returns {Promise<Object>} { data, valid, attempts, errors }
+     */
+    async generateStructured(prompt, options = {}) {
+        const {
+            schema,
+            nodeName = 'unnamed',
+            maxTokens = 500,
+            temperature = 0.7,
+            maxRepairAttempts = 1,
+            fallback
+        } = options;
+
+        const stats = this.getNodeStructuredStats(nodeName);
+        stats.calls++;
+
+        const responseFormat = this.buildResponseFormat(schema, nodeName);
+        const basePrompt = toPrompt(prompt);
+        let currentPrompt = basePrompt;
+        let errors = [];
+
+        for (let attempt = 1; attempt <= maxRepairAttempts + 1; attempt++) {
+            const response = await this.generateResponse(currentPrompt, {
+                maxTokens,
+                temperature,
+                nodeName,
+                responseFormat
+            });
+
+            let data;
+            try {
+                data = parseJsonOutput(response.answer);
+                errors = validateSchema(data, schema);
+                if (errors.length > 0) {
+                    stats.validationFailures++;
+                }
+            } catch (error) {
+                errors = [`Output is not valid JSON: ${error.message}`];
+                stats.parseFailures++;
+            }
+
+            if (errors.length === 0) {
+                stats.valid++;
+                if (attempt > 1) {
+                    stats.repaired++;
+                }
+                setParsedResult(nodeName, data);
+                return { data, valid: true, attempts: attempt, errors: [] };
+            }
+
+            console.warn(`⚠️ Invalid structured output from ${nodeName} (attempt ${attempt}):`, errors.join('; '));
+            setParsedResult(nodeName, { invalid: true, errors });
+
+            currentPrompt = {
+                ...basePrompt,
+                text: `${basePrompt.text}
+
+YOUR PREVIOUS OUTPUT:
+${response.answer}
+
+IT WAS REJECTED FOR THESE REASONS:
+${errors.map(error => `- ${error}`).join('\n')}
+
+Return ONLY the corrected JSON, matching this schema:
+${JSON.stringify(schema)}`
+            };
+        }
+
+        if (fallback !== undefined) {
+            stats.fallbacks++;
+            console.warn(`⚠️ Using fallback for ${nodeName} after ${maxRepairAttempts + 1} attempts`);
+            return { data: fallback, valid: false, attempts: maxRepairAttempts + 1, errors };
+        }
+
+        throw new Error(`Structured output from ${nodeName} is invalid: ${errors.join('; ')}`);
+    }
+
+    /**
+     * Build the response_format parameter supported by the configured model
+     * @param {Object} schema - JSON schema of the expected output
+     * @param {string} nodeName - Node name, used as schema name
+     * @returns {Object|null} response_format or null when the model has no JSON mode
+     */
+    buildResponseFormat(schema, nodeName) {
+        const modelName = process.env.OPENAI_MODEL || 'gpt-4o-mini';
+        const { mode } = getModelConfig(modelName).structuredOutput;
+
+        if (mode === 'json_schema') {
+            return {
+                type: 'json_schema',
+                json_schema: {
+                    name: nodeName.replace(/[^a-zA-Z0-9_-]/g, '_'),
+                    schema: schema,
+                    strict: false
+                }
+            };
+        }
+        if (mode === 'json_object') {
+            return { type: 'json_object' };
+        }
+        return null;
+    }
+
+    /**
+     * Get (and create if needed) the structured output counters of a node
+     * @param {string} nodeName - Node name
+     * @returns {Object} Mutable counters
+     */
+    getNodeStructuredStats(nodeName) {
+        if (!this.structuredOutputStats.has(nodeName)) {
+            this.structuredOutputStats.set(nodeName, {
+                calls: 0,
+                valid: 0,
+                repaired: 0,
+                parseFailures: 0,
+                validationFailures: 0,
+                fallbacks: 0
+            });
+        }
+        return this.structuredOutputStats.get(nodeName);
+    }
+
+    /**
+     * Get structured output statistics per node
+     * @returns {Object} Counters keyed by node name
+     */
+    getStructuredOutputStats() {
+        return Object.fromEntries(this.structuredOutputStats);
+    }
+
+    /**
+     * Stream a completion, forwarding each token as it arrives
+     * @param {Object} completionParams - OpenAI chat completion parameters
+     * @param {Function} onToken - Called with each content delta
+     * @returns {Promise<Object>} Response with the full answer once the stream ends
+     */
+    async generateStreamingResponse(completionParams, onToken) {
+        const completionStream = await this.openaiClient.chat.completions.create({
+            ...completionParams,
+            stream: true,
+            stream_options: { include_usage: true }
+        });
+
+        let answer = '';
+        let tokensUsed = null;
+
+        for await (const chunk of completionStream) {
+            const delta = chunk.choices?.[0]?.delta?.content;
+            if (delta) {
+                answer += delta;
+                onToken(delta);
+            }
+            if (chunk.usage) {
+                tokensUsed = chunk.usage.total_tokens;
+            }
+        }
+
+        return {
+            answer: answer,
+            model: completionParams.model,
+            tokensUsed: tokensUsed,
+            streamed: true
+        };
+    }
+
     /**
      * Create optimized system prompt
      * @param {string} retrievedContext - Retrieved context
@@ -6,6 +6,9 @@
 
 const axios = require('axios');
 const apiConfig = require('../config/apiActions.json');
+const { buildToolDefinition, validateActionArguments } = require('../utils/actionTools');
+const { selfTracingService } = require('./selfTracingService');
+const { maskSecrets } = require('../utils/secretMasking');
 
 class ApiService {
     constructor() {
@@ -58,14 +61,138 @@ class ApiService {
         }));
     }
 
+    /**
+     * Get the function-calling tool definitions of the available actions
+     * @returns {Array} OpenAI tool definitions generated from apiActions.json
+     */
+    getToolDefinitions() {
+        if (!this.apiUrl) {
+            return [];
+        }
+
+        return Object.entries(this.config.actions).map(([actionName, actionConfig]) =>
+            buildToolDefinition(actionName, actionConfig)
+        );
+    }
+
+    /**
+     * Validate the parameters of an action against its tool schema
+     * @param {string} actionName - Name of the action
+     * @param {Object} parameters - Parameters chosen by the model
+     * @returns {Object} { valid, parameters, errors } with undeclared parameters dropped
+     */
+    validateParameters(actionName, parameters) {
+        const actionConfig = this.config.actions[actionName];
+        if (!actionConfig) {
+            return { valid: false, parameters: {}, errors: [`Unknown action: ${actionName}`] };
+        }
+
+        return validateActionArguments(actionConfig, parameters);
+    }
+
+    /**
+     * Build the HTTP request of an action from its parameters
+     * @param {Object} actionConfig - Action definition from apiActions.json
+     * @param {Object} parameters - Action parameters
+     * @returns {Object} { method, endpoint, query, body } with path parameters substituted
+     * @throws {Error} If a path parameter is missing
+     */
+    buildRequest(actionConfig, parameters = {}) {
+        // Build the endpoint URL with parameter substitution
+        let endpoint = actionConfig.endpoint;
+        
+        // Replace path parameters (e.g., {agentId} with actual values)
+        const pathParamMatches = endpoint.match(/\{([^}]+)\}/g);
+        if (pathParamMatches) {
+            for (const match of pathParamMatches) {
+                const paramName = match.slice(1, -1); // Remove { and }
+                if (parameters[paramName]) {
+                    endpoint = endpoint.replace(match, parameters[paramName]);
+                } else {
+                    throw new Error(`Missing required parameter: ${paramName}`);
+                }
+            }
+        }
+        
+        const request = {
+            method: actionConfig.method,
+            endpoint: endpoint,
+            query: null,
+            body: null
+        };
+        
+        // Add query parameters for GET requests
+        if (actionConfig.method === 'GET') {
+            const queryParams = {};
+            if (actionConfig.parameters?.optional) {
+                for (const param of actionConfig.parameters.optional) {
+                    if (parameters[param] !== undefined) {
+                        queryParams[param] = parameters[param];
+                    }
+                }
+            }
+            if (Object.keys(queryParams).length > 0) {
+                request.query = queryParams;
+            }
+        }
+        
+        // Add request body for POST/PUT/PATCH requests
+        if (['POST', 'PUT', 'PATCH'].includes(actionConfig.method)) {
+            const requestBody = {};
+            if (actionConfig.requestBody) {
+                for (const key of Object.keys(actionConfig.requestBody)) {
+                    if (parameters[key] !== undefined) {
+                        requestBody[key] = parameters[key];
+                    }
+                }
+            }
+            request.body = requestBody;
+        }
+        
+        return request;
+    }
+
     /**
      * Execute an action on the API
+     * Each execution is tracked as a Handit "tool" node, with secret fields masked
      * @param {string} actionName - Name of the action to execute
      * @param {Object} parameters - Parameters for the action
      * @param {string} userApiToken - Optional user-provided API token
      * @returns {Promise<Object>} API response or error
      */
     async executeAction(actionName, parameters = {}, userApiToken = null) {
+        const startTime = Date.now();
+        const result = await this.runAction(actionName, parameters, userApiToken);
+        const actionConfig = this.config.actions[actionName];
+
+        selfTracingService.trackNode({
+            nodeName: actionName,
+            nodeType: 'tool',
+            input: {
+                toolName: actionName,
+                parameters: maskSecrets(parameters),
+                extraDetails: {
+                    method: actionConfig?.method || null,
+                    endpoint: actionConfig?.endpoint || null,
+                    tokenSource: userApiToken ? 'user-provided' : 'environment'
+                }
+            },
+            output: result.success ? maskSecrets(result.data) : null,
+            startTime: startTime,
+            error: result.success ? null : result.error
+        });
+
+        return result;
+    }
+
+    /**
+     * Send the request of an action
+     * @param {string} actionName - Name of the action to execute
+     * @param {Object} parameters - Parameters for the action
+     * @param {string} userApiToken - Optional user-provided API token
+     * @returns {Promise<Object>} API response or error
+     */
+    async runAction(actionName, parameters = {}, userApiToken = null) {
         // Check if we have API URL configured (API_KEY is optional if user provides token)
         if (!this.apiUrl) {
             return {
@@ -101,26 +228,12 @@ class ApiService {
             const tokenSource = userApiToken ? 'user-provided' : 'environment';
             console.log(`🔑 Using ${tokenSource} API token for request`);
             
-            // Build the endpoint URL with parameter substitution
-            let endpoint = actionConfig.endpoint;
-            
-            // Replace path parameters (e.g., {agentId} with actual values)
-            const pathParamMatches = endpoint.match(/\{([^}]+)\}/g);
-            if (pathParamMatches) {
-                for (const match of pathParamMatches) {
-                    const paramName = match.slice(1, -1); // Remove { and }
-                    if (parameters[paramName]) {
-                        endpoint = endpoint.replace(match, parameters[paramName]);
-                    } else {
-                        throw new Error(`Missing required parameter: ${paramName}`);
-                    }
-                }
-            }
-            
+            const request = this.buildRequest(actionConfig, parameters);
+
             // Prepare request options
             const requestOptions = {
-                method: actionConfig.method.toLowerCase(),
-                url: endpoint,
+                method: request.method.toLowerCase(),
+                url: request.endpoint,
                 headers: {
                     'Content-Type': 'application/json'
                 }
@@ -131,32 +244,11 @@ class ApiService {
                 requestOptions.headers['Authorization'] = `Bearer ${tokenToUse}`;
             }
             
-            // Add query parameters for GET requests
-            if (actionConfig.method === 'GET') {
-                const queryParams = {};
-                if (actionConfig.parameters?.optional) {
-                    for (const param of actionConfig.parameters.optional) {
-                        if (parameters[param] !== undefined) {
-                            queryParams[param] = parameters[param];
-                        }
-                    }
-                }
-                if (Object.keys(queryParams).length > 0) {
-                    requestOptions.params = queryParams;
-                }
+            if (request.query) {
+                requestOptions.params = request.query;
             }
-            
-            // Add request body for POST/PUT/PATCH requests
-            if (['POST', 'PUT', 'PATCH'].includes(actionConfig.method)) {
-                const requestBody = {};
-                if (actionConfig.requestBody) {
-                    for (const [key, type] of Object.entries(actionConfig.requestBody)) {
-                        if (parameters[key] !== undefined) {
-                            requestBody[key] = parameters[key];
-                        }
-                    }
-                }
-                requestOptions.data = requestBody;
+            if (request.body) {
+                requestOptions.data = request.body;
             }
             
             // Execute the request using axios directly for better control over headers
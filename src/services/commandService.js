@@ -0,0 +1,239 @@
+/**
+ * Command Service
+ * Handles the chat control commands (/reset, /cancel, /status, /help) and their
+ * natural-language equivalents before the agent graph runs, without an LLM call
+ * @module services/commandService
+ */
+
+const { chatCommands, capabilities, matchCommand } = require('../config/chatCommands');
+const { phaseGuides } = require('../config/phaseGuides');
+const {
+    createEmptyProfile,
+    cancelActivePhaseGuides,
+    getQuestionStatus
+} = require('../utils/onboardingProfile');
+
+class CommandService {
+    constructor(conversationService, evaluatorConnectionService, actionConfirmationService, optimizationFlowService) {
+        this.conversationService = conversationService;
+        this.evaluatorConnectionService = evaluatorConnectionService;
+        this.actionConfirmationService = actionConfirmationService;
+        this.optimizationFlowService = optimizationFlowService;
+    }
+
+    /**
+     * Handle a message if it is a control command
+     * @param {string} userMessage - User message
+     * @param {string} sessionId - Session identifier
+     * @returns {Promise<Object|null>} Command response, or null when the message is not a command
+     */
+    async handle(userMessage, sessionId) {
+        const command = matchCommand(userMessage);
+        if (!command) {
+            return null;
+        }
+
+        console.log(`⌨️ Chat command: ${command}`);
+
+        const handlers = {
+            reset: () => this.reset(sessionId),
+            cancel: () => this.cancel(sessionId),
+            status: () => this.status(sessionId),
+            help: () => this.help()
+        };
+
+        const result = await handlers[command]();
+
+        return {
+            ...result,
+            type: 'command',
+            nodeType: 'command',
+            command: command
+        };
+    }
+
+    /**
+     * Cancel every active flow and clear the onboarding profile
+     * @param {string} sessionId - Session identifier
+     * @returns {Promise<Object>} Command result
+     */
+    async reset(sessionId) {
+        const cancelledFlows = this.cancelPendingFlows(sessionId);
+        await this.conversationService.saveOnboardingProfile(sessionId, createEmptyProfile());
+
+        return {
+            answer: 'Done, everything is reset: any flow in progress was cancelled and your onboarding answers were cleared. Tell me about your project whenever you want to start again, or type /help to see what I can do.',
+            cancelledFlows: cancelledFlows,
+            profileCleared: true
+        };
+    }
+
+    /**
+     * Cancel the evaluator connection and optimization flows, the pending API
+     * action and the unfinished onboarding guides
+     * @param {string} sessionId - Session identifier
+     * @returns {Promise<Object>} Command result
+     */
+    async cancel(sessionId) {
+        const cancelledFlows = this.cancelPendingFlows(sessionId);
+
+        const storedProfile = await this.conversationService.getOnboardingProfile(sessionId);
+        const { profile, cancelled } = cancelActivePhaseGuides(storedProfile);
+        if (cancelled.length > 0) {
+            await this.conversationService.saveOnboardingProfile(sessionId, profile);
+            cancelledFlows.push(...cancelled.map(key => `${key}_guide`));
+        }
+
+        return {
+            answer: cancelledFlows.length > 0
+                ? `Cancelled: ${cancelledFlows.map(flow => this.describeFlow(flow)).join(', ')}. What would you like to do next?`
+                : 'There is nothing in progress to cancel. What would you like to do next?',
+            cancelledFlows: cancelledFlows
+        };
+    }
+
+    /**
+     * Describe the flow and onboarding step of the session
+     * @param {string} sessionId - Session identifier
+     * @returns {Promise<Object>} Command result
+     */
+    async status(sessionId) {
+        const evaluatorFlowStep = this.evaluatorConnectionService.getCurrentStep(sessionId);
+        const optimizationFlowStep = this.optimizationFlowService.getCurrentStep(sessionId);
+        const pendingAction = this.actionConfirmationService.get(sessionId);
+        const profile = await this.conversationService.getOnboardingProfile(sessionId);
+        const questionStatus = getQuestionStatus(profile);
+
+        const lines = ['**Session status**', ''];
+
+        lines.push(evaluatorFlowStep
+            ? `- Evaluator connection: in progress (step: ${evaluatorFlowStep})`
+            : '- Evaluator connection: no flow in progress');
+        lines.push(optimizationFlowStep
+            ? `- Optimization: in progress (step: ${optimizationFlowStep})`
+            : '- Optimization: no flow in progress');
+        if (pendingAction) {
+            lines.push(`- Waiting for your confirmation: ${pendingAction.description} (expires ${pendingAction.expiresAt})`);
+        }
+
+        const answered = ['appName', 'agentProjectType', 'stack', 'programmingLanguage']
+            .filter(field => profile[field])
+            .map(field => `${field}: ${profile[field]}`);
+        lines.push(`- Onboarding answers: ${answered.length > 0 ? answered.join(', ') : 'none yet'}`);
+        lines.push(questionStatus.allQuestionsAsked
+            ? '- Setup questions: done'
+            : `- Setup questions: next is ${questionStatus.nextQuestionToAsk}`);
+
+        for (const [key, guide] of Object.entries(phaseGuides)) {
+            const progress = profile.phaseGuides?.[key];
+            if (!progress) {
+                lines.push(`- ${guide.phase}: not started`);
+            } else if (progress.completed) {
+                lines.push(`- ${guide.phase}: completed`);
+            } else {
+                const step = guide.steps[progress.step];
+                lines.push(`- ${guide.phase}: step ${progress.step + 1} of ${guide.steps.length} (${step?.title})`);
+            }
+        }
+
+        lines.push('', 'Type /cancel to stop a flow or /reset to start over.');
+
+        return {
+            answer: lines.join('\n'),
+            status: {
+                evaluatorFlowStep: evaluatorFlowStep,
+                optimizationFlowStep: optimizationFlowStep,
+                pendingAction: pendingAction,
+                questionStatus: questionStatus,
+                phaseGuides: profile.phaseGuides || {}
+            },
+            onboardingProfile: profile
+        };
+    }
+
+    /**
+     * List the commands and the capabilities of the assistant
+     * @returns {Object} Command result
+     */
+    help() {
+        const commands = Object.values(chatCommands)
+            .map(command => `- \`${command.aliases[0]}\` - ${command.description}`);
+
+        return {
+            answer: [
+                '**What I can do**',
+                '',
+                ...capabilities.map(capability => `- ${capability}`),
+                '',
+                '**Commands**',
+                '',
+                ...commands
+            ].join('\n')
+        };
+    }
+
+    /**
+     * List the evaluator connection and optimization flows and the pending API action of a session
+     * @param {string} sessionId - Session identifier
+     * @returns {Array<string>} Active flow names
+     */
+    getPendingFlows(sessionId) {
+        const pendingFlows = [];
+
+        if (this.evaluatorConnectionService.getCurrentStep(sessionId)) {
+            pendingFlows.push('evaluator_connection');
+        }
+        if (this.optimizationFlowService.getCurrentStep(sessionId)) {
+            pendingFlows.push('optimization');
+        }
+        if (this.actionConfirmationService.get(sessionId)) {
+            pendingFlows.push('action_confirmation');
+        }
+
+        return pendingFlows;
+    }
+
+    /**
+     * Cancel the evaluator connection and optimization flows and the pending API action of a session
+     * @param {string} sessionId - Session identifier
+     * @returns {Array<string>} Cancelled flow names
+     */
+    cancelPendingFlows(sessionId) {
+        const cancelledFlows = [];
+
+        if (this.evaluatorConnectionService.getCurrentStep(sessionId)) {
+            this.evaluatorConnectionService.cancelFlow(sessionId);
+            cancelledFlows.push('evaluator_connection');
+        }
+        if (this.optimizationFlowService.getCurrentStep(sessionId)) {
+            this.optimizationFlowService.cancelFlow(sessionId);
+            cancelledFlows.push('optimization');
+        }
+        if (this.actionConfirmationService.clear(sessionId)) {
+            cancelledFlows.push('action_confirmation');
+        }
+
+        return cancelledFlows;
+    }
+
+    /**
+     * Get the user-facing name of a cancelled flow
+     * @param {string} flow - Flow name
+     * @returns {string} Flow description
+     */
+    describeFlow(flow) {
+        if (flow === 'evaluator_connection') {
+            return 'the evaluator connection';
+        }
+        if (flow === 'optimization') {
+            return 'the optimization request';
+        }
+        if (flow === 'action_confirmation') {
+            return 'the API action waiting for your confirmation';
+        }
+        const guide = phaseGuides[flow.replace(/_guide$/, '')];
+        return guide ? `the ${guide.phase} guide` : flow;
+    }
+}
+
+module.exports = CommandService;
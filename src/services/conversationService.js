@@ -5,6 +5,7 @@
 
 const { Pool } = require('pg');
 const { v4: uuidv4 } = require('uuid');
+const { createEmptyProfile } = require('../utils/onboardingProfile');
 
 class ConversationService {
     constructor() {
@@ -109,21 +110,25 @@ class ConversationService {
 
     /**
      * Get conversation history
+     * Superseded messages (replaced by a regenerate or edit) are left out unless asked for
      * @param {string} sessionId - Session identifier
      * @param {number} limit - Maximum number of messages to retrieve
      * @param {number} offset - Offset for pagination
+     * @param {Object} [options] - { includeSuperseded }
      * @returns {Promise<Object>} Object with messages array and metadata
      */
-    async getConversationHistory(sessionId, limit = 50, offset = 0) {
+    async getConversationHistory(sessionId, limit = 50, offset = 0, options = {}) {
         try {
+            const { includeSuperseded = false } = options;
             const result = await this.pool.query(`
                 SELECT m.*, c.session_id
                 FROM messages m
                 JOIN conversations c ON m.conversation_id = c.id
                 WHERE c.session_id = $1
+                AND ($4::boolean OR m.superseded_at IS NULL)
                 ORDER BY m.timestamp DESC
                 LIMIT $2 OFFSET $3
-            `, [sessionId, limit, offset]);
+            `, [sessionId, limit, offset, includeSuperseded]);
 
             const messages = result.rows.reverse(); // Return in chronological order
             
@@ -142,6 +147,78 @@ class ConversationService {
         }
     }
 
+    /**
+     * Get the last turn of a conversation: the last active user message and the
+     * assistant reply that answered it. Follow-up messages posted by optimization
+     * jobs (metadata.optimizationJob) are not replies to a question and are skipped
+     * @param {string} sessionId - Session identifier
+     * @returns {Promise<Object|null>} { userMessage, assistantMessage } (assistantMessage is null when the
+     *   question was never answered), or null when the conversation has no active user message
+     */
+    async getLastTurn(sessionId) {
+        try {
+            const userResult = await this.pool.query(`
+                SELECT m.*
+                FROM messages m
+                JOIN conversations c ON m.conversation_id = c.id
+                WHERE c.session_id = $1
+                AND m.role = 'user'
+                AND m.superseded_at IS NULL
+                ORDER BY m.timestamp DESC
+                LIMIT 1
+            `, [sessionId]);
+
+            const userMessage = userResult.rows[0];
+            if (!userMessage) {
+                return null;
+            }
+
+            const assistantResult = await this.pool.query(`
+                SELECT *
+                FROM messages
+                WHERE conversation_id = $1
+                AND role = 'assistant'
+                AND superseded_at IS NULL
+                AND timestamp >= $2
+                AND metadata->'optimizationJob' IS NULL
+                ORDER BY timestamp ASC
+                LIMIT 1
+            `, [userMessage.conversation_id, userMessage.timestamp]);
+
+            return { userMessage: userMessage, assistantMessage: assistantResult.rows[0] || null };
+        } catch (error) {
+            console.error('Error getting last turn:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Mark messages as superseded so they leave the conversation context
+     * @param {Array<string>} messageIds - Message UUIDs
+     * @returns {Promise<number>} Number of messages marked
+     */
+    async supersedeMessages(messageIds) {
+        const result = await this.pool.query(`
+            UPDATE messages SET superseded_at = CURRENT_TIMESTAMP
+            WHERE id = ANY($1::uuid[]) AND superseded_at IS NULL
+        `, [messageIds]);
+        return result.rowCount;
+    }
+
+    /**
+     * Put superseded messages back in the conversation context
+     * Used when the turn that replaced them fails
+     * @param {Array<string>} messageIds - Message UUIDs
+     * @returns {Promise<number>} Number of messages restored
+     */
+    async restoreMessages(messageIds) {
+        const result = await this.pool.query(`
+            UPDATE messages SET superseded_at = NULL
+            WHERE id = ANY($1::uuid[])
+        `, [messageIds]);
+        return result.rowCount;
+    }
+
     /**
      * Get conversation context for AI agent
      * @param {string} sessionId - Session identifier
@@ -209,6 +286,50 @@ class ConversationService {
         }
     }
 
+    /**
+     * Get the onboarding profile stored in the conversation metadata
+     * @param {string} sessionId - Session identifier
+     * @returns {Promise<Object>} Onboarding profile (empty if none stored yet)
+     */
+    async getOnboardingProfile(sessionId) {
+        try {
+            const result = await this.pool.query(
+                `SELECT metadata->'onboardingProfile' AS profile FROM conversations WHERE session_id = $1`,
+                [sessionId]
+            );
+
+            return {
+                ...createEmptyProfile(),
+                ...(result.rows[0]?.profile || {})
+            };
+        } catch (error) {
+            console.error('Error getting onboarding profile:', error);
+            return createEmptyProfile();
+        }
+    }
+
+    /**
+     * Save the onboarding profile in the conversation metadata
+     * Creates the conversation when the profile is saved before the first message
+     * @param {string} sessionId - Session identifier
+     * @param {Object} profile - Onboarding profile
+     * @returns {Promise<boolean>} Success status
+     */
+    async saveOnboardingProfile(sessionId, profile) {
+        try {
+            await this.pool.query(`
+                INSERT INTO conversations (session_id, metadata)
+                VALUES ($1, jsonb_build_object('onboardingProfile', $2::jsonb))
+                ON CONFLICT (session_id) DO UPDATE
+                SET metadata = jsonb_set(COALESCE(conversations.metadata, '{}'::jsonb), '{onboardingProfile}', $2::jsonb)
+            `, [sessionId, JSON.stringify(profile)]);
+            return true;
+        } catch (error) {
+            console.error('Error saving onboarding profile:', error);
+            return false;
+        }
+    }
+
     /**
      * Track knowledge base usage
      * @param {string} messageId - Message UUID
@@ -232,6 +353,92 @@ class ConversationService {
         }
     }
 
+    /**
+     * Save the user feedback of an assistant message
+     * The rating is copied to the knowledge_usage rows of the chunks the answer used,
+     * so chunk reports (getTopKnowledgeChunks) reflect it. Sending feedback again replaces it.
+     * @param {string} messageId - Assistant message UUID
+     * @param {Object} feedback - { rating, reason, comment }
+     * @returns {Promise<Object|null>} { messageId, conversationId, rating, reason, comment, feedbackAt, chunksUpdated }, or null if there is no such assistant message
+     */
+    async saveMessageFeedback(messageId, { rating, reason = null, comment = null }) {
+        try {
+            const result = await this.pool.query(`
+                UPDATE messages
+                SET feedback_rating = $2, feedback_reason = $3, feedback_comment = $4, feedback_at = CURRENT_TIMESTAMP
+                WHERE id = $1 AND role = 'assistant'
+                RETURNING id, conversation_id, feedback_at
+            `, [messageId, rating, reason, comment]);
+
+            if (result.rows.length === 0) {
+                return null;
+            }
+
+            const chunks = await this.pool.query(`
+                UPDATE knowledge_usage
+                SET user_feedback = $2
+                WHERE message_id = $1 AND used_in_response = true
+            `, [messageId, rating]);
+
+            return {
+                messageId: result.rows[0].id,
+                conversationId: result.rows[0].conversation_id,
+                rating: rating,
+                reason: reason,
+                comment: comment,
+                feedbackAt: result.rows[0].feedback_at,
+                chunksUpdated: chunks.rowCount || 0
+            };
+        } catch (error) {
+            console.error('Error saving message feedback:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get aggregate feedback of assistant messages
+     * @param {number} days - Only count feedback from the last days
+     * @returns {Promise<Object>} { ratedMessages, avgRating, ratings: {1..5}, reasons: {reason: count} }
+     */
+    async getFeedbackStats(days = 30) {
+        try {
+            const result = await this.pool.query(`
+                SELECT feedback_rating, feedback_reason, COUNT(*) AS count
+                FROM messages
+                WHERE role = 'assistant'
+                AND feedback_rating IS NOT NULL
+                AND feedback_at > CURRENT_TIMESTAMP - make_interval(days => $1::int)
+                GROUP BY feedback_rating, feedback_reason
+            `, [days]);
+
+            const ratings = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+            const reasons = {};
+            let ratedMessages = 0;
+            let ratingSum = 0;
+
+            for (const row of result.rows) {
+                const count = parseInt(row.count);
+                ratings[row.feedback_rating] += count;
+                ratedMessages += count;
+                ratingSum += row.feedback_rating * count;
+                if (row.feedback_reason) {
+                    reasons[row.feedback_reason] = (reasons[row.feedback_reason] || 0) + count;
+                }
+            }
+
+            return {
+                days: days,
+                ratedMessages: ratedMessages,
+                avgRating: ratedMessages > 0 ? Number((ratingSum / ratedMessages).toFixed(2)) : null,
+                ratings: ratings,
+                reasons: reasons
+            };
+        } catch (error) {
+            console.error('Error getting feedback stats:', error);
+            return { days: days, ratedMessages: 0, avgRating: null, ratings: {}, reasons: {} };
+        }
+    }
+
     /**
      * Get conversation statistics
      * @param {string} sessionId - Session identifier
@@ -1,14 +1,31 @@
 /**
  * Evaluator Connection Service
- * Handles the multi-step flow for connecting evaluators to models
+ * Handles the multi-step flows for connecting evaluators to models, for
+ * detaching or replacing the evaluators already attached, and for writing
+ * custom evaluators
  * @module services/evaluatorConnectionService
  */
 
 const { aiService } = require('./aiService');
+const { promptRegistry } = require('./promptRegistry');
+const { getOutputSchema } = require('../config/outputSchemas');
+const { SCORING_SCALES, MIN_CRITERIA_LENGTH, matchScoringScale } = require('../config/evaluatorAuthoringConfig');
+
+/**
+ * Verbs of the evaluator management flow ("detach 1, 3", "replace 2 with Accuracy")
+ */
+const REPLACE_VERB = /\b(replace|swap|switch|change|reemplaza|reemplazar|cambia|cambiar)\b/i;
+const DETACH_VERB = /\b(detach|remove|delete|unlink|disconnect|quita|quitar|elimina|eliminar|desconecta|desconectar)\b/i;
+
+/**
+ * Models whose attached evaluators the management flow lists; each one costs a request
+ */
+const MANAGED_MODELS_LIMIT = 20;
 
 class EvaluatorConnectionService {
-    constructor(apiService) {
+    constructor(apiService, actionConfirmationService) {
         this.apiService = apiService;
+        this.actionConfirmationService = actionConfirmationService;
         // Store conversation states for multi-step flows
         this.conversationStates = new Map();
     }
@@ -20,41 +37,18 @@ class EvaluatorConnectionService {
      * @returns {Promise<Object>} Detection result
      */
     async detectEvaluatorConnectionRequest(userMessage, conversationHistory) {
-        const detectionPrompt = `Analyze if the user is requesting to START a NEW evaluator connection process for their AI agent/model.
-
-USER MESSAGE: "${userMessage}"
-
-CONVERSATION CONTEXT: ${conversationHistory.messages?.slice(-3).map(m => `${m.role}: ${m.content}`).join('\n') || 'No context'}
-
-INITIAL EVALUATOR CONNECTION INDICATORS:
-- "connect evaluators"
-- "associate evaluators" 
-- "set up evaluators"
-- "add evaluators to my model"
-- "configure evaluation"
-- "enable evaluation"
-- "attach evaluators"
-- "I want to connect/associate evaluators"
-
-NOT EVALUATOR CONNECTION REQUESTS (these are flow responses):
-- "create a new token" (user responding to token selection)
-- "use existing" (user responding to token selection)
-- "all evaluators" (user selecting evaluators)
-- "yes" / "no" / "continue" (flow responses)
-- specific names of tokens/providers/evaluators (flow responses)
-
-TASK: Only detect INITIAL requests to start evaluator connection, NOT responses within an existing flow.
-
-Return JSON:
-{
-  "isEvaluatorRequest": true/false,
-  "confidence": 0.0-1.0,
-  "reasoning": "brief explanation"
-}`;
+        const detectionPrompt = promptRegistry.render('detectEvaluatorConnectionRequest', {
+            userMessage: userMessage,
+            conversationContext: conversationHistory.messages?.slice(-3).map(m => `${m.role}: ${m.content}`).join('\n') || 'No context'
+        });
 
         try {
-            const response = await aiService.generateResponse(detectionPrompt, { maxTokens: 200 });
-            const result = JSON.parse(response.answer.match(/\{[\s\S]*\}/)?.[0] || '{"isEvaluatorRequest": false, "confidence": 0.0, "reasoning": "Parse error"}');
+            const { data: result } = await aiService.generateStructured(detectionPrompt, {
+                schema: getOutputSchema('detectEvaluatorConnectionRequest'),
+                nodeName: 'detectEvaluatorConnectionRequest',
+                maxTokens: 200,
+                fallback: { isEvaluatorRequest: false, confidence: 0.0, reasoning: 'Invalid output' }
+            });
             return result;
         } catch (error) {
             console.error('Error detecting evaluator connection request:', error);
@@ -121,29 +115,11 @@ Return JSON:
                 ? evaluators.map(evaluator => `- ${evaluator.name || evaluator.title}: ${evaluator.description || 'Evaluation tool'}`).join('\n')
                 : 'No evaluators found';
 
-            const aiPrompt = `You are helping a user associate evaluators with their AI models. Start by helping them select an evaluator.
-
-AVAILABLE EVALUATORS:
-${evaluatorsContext}
-
-CONTEXT: The user wants to associate evaluators with their AI models. They need to first choose which evaluator to work with.
-
-TASK: Generate a brief response that:
-1. Acknowledges their request to associate evaluators
-2. Explains they need to select an evaluator first
-3. Lists the available evaluators clearly
-4. Offers the option to create a new evaluator or edit existing ones
-5. Asks them to choose an evaluator or let you know if they want to create/edit
-
-GUIDELINES:
-- Be helpful but very concise
-- Keep explanations brief and to the point
-- Make it conversational but brief
-- Mention they can also create new or edit existing evaluators
-
-Generate a brief evaluator selection response:`;
+            const aiPrompt = promptRegistry.render('generateInitialEvaluatorSelectionResponse', {
+                evaluatorsContext: evaluatorsContext
+            });
 
-            const response = await aiService.generateResponse(aiPrompt, { maxTokens: 200 });
+            const response = await aiService.generateResponse(aiPrompt, { maxTokens: 200, nodeName: 'generateInitialEvaluatorSelectionResponse' });
 
             console.log(`✅ Generated AI evaluator response: ${response.answer.substring(0, 100)}...`);
 
@@ -181,28 +157,11 @@ Generate a brief evaluator selection response:`;
                 ? existingTokens.map(token => `- ${token.name} (Provider: ${token.provider?.name || 'Unknown'}, Status: ${token.status || 'Active'})`).join('\n')
                 : 'No existing integration tokens found';
 
-            const aiPrompt = `You are helping a user connect evaluators to their AI models. You need to guide them through the token selection process.
-
-EXISTING INTEGRATION TOKENS:
-${tokenContext}
-
-CONTEXT: The user wants to connect evaluators to their AI agent. To do this, they need an integration token to authenticate with the evaluation service.
-
-TASK: Generate a helpful response that:
-1. Acknowledges their request to connect evaluators
-2. Explains the current token situation
-3. Guides them on next steps clearly
-
-GUIDELINES:
-- Be conversational but concise
-- Explain why tokens are needed for evaluator connection
-- If tokens exist, suggest using them or creating new ones
-- If no tokens exist, guide them to create one
-- Ask what they'd prefer to do next
-
-Generate a helpful, conversational response:`;
+            const aiPrompt = promptRegistry.render('generateAITokenResponse', {
+                tokenContext: tokenContext
+            });
 
-            const response = await aiService.generateResponse(aiPrompt, { maxTokens: 300 });
+            const response = await aiService.generateResponse(aiPrompt, { maxTokens: 300, nodeName: 'generateAITokenResponse' });
 
             console.log(`✅ Generated AI token response: ${response.answer.substring(0, 100)}...`);
 
@@ -289,39 +248,17 @@ Generate a helpful, conversational response:`;
                 `${index}: ${token.name} (${token.provider || 'Unknown provider'})`
             ).join('\n');
 
-            const intentPrompt = `Analyze the user's response to understand their intent for token selection.
-
-USER RESPONSE: "${userResponse}"
-
-AVAILABLE TOKENS:
-${tokensContext}
-
-POSSIBLE ACTIONS:
-1. "create_new" - User wants to create a new integration token
-2. "use_existing" - User wants to use an existing token
-3. "unclear" - User's intent is not clear
-
-TASK: Determine the user's intent and extract any specific token selection.
-
-RESPONSE FORMAT (JSON):
-{
-  "action": "create_new|use_existing|unclear",
-  "selectedTokenIndex": null_or_number,
-  "confidence": 0.0-1.0,
-  "reasoning": "brief explanation"
-}
-
-EXAMPLES:
-- "create a new one" → {"action": "create_new", "selectedTokenIndex": null}
-- "use the first one" → {"action": "use_existing", "selectedTokenIndex": 0}
-- "production token" → {"action": "use_existing", "selectedTokenIndex": token_index_if_found}
-- "existing" → {"action": "use_existing", "selectedTokenIndex": null}
-- "I don't know" → {"action": "unclear", "selectedTokenIndex": null}
-
-Return ONLY valid JSON:`;
+            const intentPrompt = promptRegistry.render('analyzeUserTokenIntent', {
+                userResponse: userResponse,
+                tokensContext: tokensContext
+            });
 
-            const response = await aiService.generateResponse(intentPrompt, { maxTokens: 200 });
-            const result = JSON.parse(response.answer.match(/\{[\s\S]*\}/)?.[0] || '{"action": "unclear", "selectedTokenIndex": null, "confidence": 0.0, "reasoning": "Parse error"}');
+            const { data: result } = await aiService.generateStructured(intentPrompt, {
+                schema: getOutputSchema('analyzeUserTokenIntent'),
+                nodeName: 'analyzeUserTokenIntent',
+                maxTokens: 200,
+                fallback: { action: 'unclear', selectedTokenIndex: null, confidence: 0.0, reasoning: 'Invalid output' }
+            });
             
             return result;
 
@@ -343,28 +280,12 @@ Return ONLY valid JSON:`;
                 `- ${token.name} (${token.provider || 'Unknown provider'})`
             ).join('\n');
 
-            const clarificationPrompt = `The user gave an unclear response about token selection. Generate a helpful clarification request.
-
-USER'S PREVIOUS RESPONSE: "${userResponse}"
-
-AVAILABLE TOKENS:
-${tokensContext}
-
-TASK: Generate a natural, conversational response that:
-1. Acknowledges their response
-2. Gently asks for clarification
-3. Mentions the available options without being rigid
-4. Keeps the conversation flowing naturally
-
-GUIDELINES:
-- Be friendly and understanding
-- Don't repeat numbered lists
-- Make it conversational
-- Guide them naturally to make a choice
-
-Generate a helpful clarification response:`;
+            const clarificationPrompt = promptRegistry.render('generateTokenClarificationResponse', {
+                userResponse: userResponse,
+                tokensContext: tokensContext
+            });
 
-            const response = await aiService.generateResponse(clarificationPrompt, { maxTokens: 200 });
+            const response = await aiService.generateResponse(clarificationPrompt, { maxTokens: 200, nodeName: 'generateTokenClarificationResponse' });
 
             return {
                 answer: response.answer,
@@ -442,28 +363,11 @@ Generate a helpful clarification response:`;
                 `- ${provider.name}: ${provider.description || 'Integration provider'}`
             ).join('\n');
 
-            const aiPrompt = `You are helping a user create a new integration token. They need to choose a provider for the token.
-
-AVAILABLE PROVIDERS:
-${providersContext}
-
-CONTEXT: The user has decided to create a new integration token and now needs to select which provider/service they want to create the token for.
-
-TASK: Generate a concise response that:
-1. Acknowledges they're creating a new token
-2. Explains what providers are briefly
-3. Lists the available providers clearly
-4. Asks them to choose which provider they want
-
-GUIDELINES:
-- Be helpful but concise
-- Explain that providers are the services they want to integrate with
-- Make it conversational and clear
-- Ask them to mention the provider name they prefer
-
-Generate a helpful provider selection response:`;
+            const aiPrompt = promptRegistry.render('generateProviderSelectionResponse', {
+                providersContext: providersContext
+            });
 
-            const response = await aiService.generateResponse(aiPrompt, { maxTokens: 300 });
+            const response = await aiService.generateResponse(aiPrompt, { maxTokens: 300, nodeName: 'generateProviderSelectionResponse' });
 
             console.log(`✅ Generated AI provider response: ${response.answer.substring(0, 100)}...`);
 
@@ -542,36 +446,17 @@ Generate a helpful provider selection response:`;
                 `${index}: ${provider.name} - ${provider.description || 'Integration provider'}`
             ).join('\n');
 
-            const analysisPrompt = `Analyze the user's response to identify which provider they want to select for token creation.
-
-USER RESPONSE: "${userResponse}"
-
-AVAILABLE PROVIDERS:
-${providersContext}
-
-TASK: Identify which specific provider the user wants based on their response. They might mention:
-- Provider names or partial names
-- Service types or descriptions
-- Keywords that match provider descriptions
-- Company names or platform names
-
-RESPONSE FORMAT (JSON):
-{
-  "selectedProvider": provider_object_or_null,
-  "confidence": 0.0-1.0,
-  "reasoning": "explanation of how selection was made"
-}
-
-EXAMPLES:
-- "OpenAI" → find provider with OpenAI in name
-- "I want to use Google" → find provider with Google in name
-- "the first one" → select first provider
-- "evaluation service" → find provider matching description
-
-Return ONLY valid JSON with the actual provider object:`;
+            const analysisPrompt = promptRegistry.render('analyzeProviderSelection', {
+                userResponse: userResponse,
+                providersContext: providersContext
+            });
 
-            const response = await aiService.generateResponse(analysisPrompt, { maxTokens: 400 });
-            const result = JSON.parse(response.answer.match(/\{[\s\S]*\}/)?.[0] || '{"selectedProvider": null, "confidence": 0.0, "reasoning": "Parse error"}');
+            const { data: result } = await aiService.generateStructured(analysisPrompt, {
+                schema: getOutputSchema('analyzeProviderSelection'),
+                nodeName: 'analyzeProviderSelection',
+                maxTokens: 400,
+                fallback: { selectedProvider: null, confidence: 0.0, reasoning: 'Invalid output' }
+            });
             
             // Validate and find the actual provider
             let selectedProvider = null;
@@ -609,27 +494,12 @@ Return ONLY valid JSON with the actual provider object:`;
                 `- ${provider.name}: ${provider.description || 'Integration provider'}`
             ).join('\n');
 
-            const clarificationPrompt = `The user gave an unclear response about provider selection. Generate a helpful clarification.
-
-USER'S RESPONSE: "${userResponse}"
-
-AVAILABLE PROVIDERS:
-${providersContext}
-
-TASK: Generate a concise response that:
-1. Acknowledges their response
-2. Asks for clarification about which provider they want
-3. Suggests they can mention provider names
-4. Keeps it conversational
-
-GUIDELINES:
-- Be understanding and helpful
-- Make it conversational but concise
-- Give examples of how they can specify providers
-
-Generate a helpful clarification response:`;
+            const clarificationPrompt = promptRegistry.render('generateProviderClarificationResponse', {
+                userResponse: userResponse,
+                providersContext: providersContext
+            });
 
-            const response = await aiService.generateResponse(clarificationPrompt, { maxTokens: 200 });
+            const response = await aiService.generateResponse(clarificationPrompt, { maxTokens: 200, nodeName: 'generateProviderClarificationResponse' });
 
             return {
                 answer: response.answer,
@@ -654,25 +524,12 @@ Generate a helpful clarification response:`;
      */
     async generateTokenNamePromptResponse(selectedProvider) {
         try {
-            const namePrompt = `Generate a natural response acknowledging the provider selection and asking for a token name.
-
-SELECTED PROVIDER: ${selectedProvider.name} - ${selectedProvider.description || 'Integration provider'}
-
-TASK: Generate a concise response that:
-1. Acknowledges the provider selection
-2. Explains what happens next (token name)
-3. Gives helpful examples of good token names
-4. Asks for the token name clearly
-
-GUIDELINES:
-- Be helpful and concise
-- Make it conversational
-- Give practical examples
-- Keep it brief
-
-Generate a helpful token name prompt:`;
+            const namePrompt = promptRegistry.render('generateTokenNamePromptResponse', {
+                providerName: selectedProvider.name,
+                providerDescription: selectedProvider.description || 'Integration provider'
+            });
 
-            const response = await aiService.generateResponse(namePrompt, { maxTokens: 200 });
+            const response = await aiService.generateResponse(namePrompt, { maxTokens: 200, nodeName: 'generateTokenNamePromptResponse' });
 
             return {
                 answer: response.answer,
@@ -742,42 +599,17 @@ Generate a helpful token name prompt:`;
      */
     async analyzeTokenNameInput(userResponse, providerName) {
         try {
-            const analysisPrompt = `Analyze the user's response to extract a suitable token name from their natural language input.
-
-USER RESPONSE: "${userResponse}"
-PROVIDER: ${providerName}
-
-TASK: Extract a clean, meaningful token name from the user's response. They might say:
-- Direct names: "Production Token", "My API Key", "Development Token"
-- Conversational: "I'll call it my production token", "Let's name it dev-api-key"
-- Descriptive: "Something for my production environment", "My main integration token"
-- Simple: "production", "dev", "main"
-
-RULES:
-1. Extract the core name/identifier from their response
-2. Clean it up (remove extra words like "I want to call it", "let's name it")
-3. Ensure it's at least 3 characters long
-4. Make it descriptive and professional
-5. If they give a very short name, expand it appropriately
-
-RESPONSE FORMAT (JSON):
-{
-  "extractedName": "cleaned_token_name_or_null",
-  "confidence": 0.0-1.0,
-  "reasoning": "explanation of extraction process"
-}
-
-EXAMPLES:
-- "I want to call it my production token" → {"extractedName": "Production Token"}
-- "dev api key" → {"extractedName": "Dev API Key"}
-- "something for testing" → {"extractedName": "Testing Token"}
-- "prod" → {"extractedName": "Production Token"}
-- "main" → {"extractedName": "Main Integration Token"}
-
-Return ONLY valid JSON:`;
+            const analysisPrompt = promptRegistry.render('analyzeTokenNameInput', {
+                userResponse: userResponse,
+                providerName: providerName
+            });
 
-            const response = await aiService.generateResponse(analysisPrompt, { maxTokens: 300 });
-            const result = JSON.parse(response.answer.match(/\{[\s\S]*\}/)?.[0] || '{"extractedName": null, "confidence": 0.0, "reasoning": "Parse error"}');
+            const { data: result } = await aiService.generateStructured(analysisPrompt, {
+                schema: getOutputSchema('analyzeTokenNameInput'),
+                nodeName: 'analyzeTokenNameInput',
+                maxTokens: 300,
+                fallback: { extractedName: null, confidence: 0.0, reasoning: 'Invalid output' }
+            });
             
             return result;
 
@@ -795,26 +627,12 @@ Return ONLY valid JSON:`;
      */
     async generateTokenNameClarificationResponse(userResponse, providerName) {
         try {
-            const clarificationPrompt = `The user gave an unclear response about token naming. Generate a helpful clarification.
-
-USER'S RESPONSE: "${userResponse}"
-PROVIDER: ${providerName}
-
-TASK: Generate a concise response that:
-1. Acknowledges their response
-2. Asks for a clearer token name
-3. Gives helpful examples specific to the provider
-4. Keeps it conversational
-
-GUIDELINES:
-- Be understanding and helpful
-- Give practical examples
-- Make it conversational but concise
-- Suggest meaningful names for the provider
-
-Generate a helpful clarification response:`;
+            const clarificationPrompt = promptRegistry.render('generateTokenNameClarificationResponse', {
+                userResponse: userResponse,
+                providerName: providerName
+            });
 
-            const response = await aiService.generateResponse(clarificationPrompt, { maxTokens: 200 });
+            const response = await aiService.generateResponse(clarificationPrompt, { maxTokens: 200, nodeName: 'generateTokenNameClarificationResponse' });
 
             return {
                 answer: response.answer,
@@ -840,27 +658,12 @@ Generate a helpful clarification response:`;
      */
     async generateTokenValuePromptResponse(tokenName, providerName) {
         try {
-            const valuePrompt = `Generate a natural response acknowledging the token name and asking for the API token value.
-
-TOKEN NAME: "${tokenName}"
-PROVIDER: ${providerName}
-
-TASK: Generate a concise response that:
-1. Acknowledges the token name choice
-2. Explains what they need to provide next (the actual API token)
-3. Gives helpful context about where to find the token
-4. Mentions security best practices briefly
-5. Asks for the token value clearly
-
-GUIDELINES:
-- Be helpful and concise
-- Make security feel natural, not scary
-- Give practical guidance for finding the token
-- Keep it conversational but brief
-
-Generate a helpful token value request:`;
+            const valuePrompt = promptRegistry.render('generateTokenValuePromptResponse', {
+                tokenName: tokenName,
+                providerName: providerName
+            });
 
-            const response = await aiService.generateResponse(valuePrompt, { maxTokens: 250 });
+            const response = await aiService.generateResponse(valuePrompt, { maxTokens: 250, nodeName: 'generateTokenValuePromptResponse' });
 
             return {
                 answer: response.answer,
@@ -908,24 +711,17 @@ Generate a helpful token value request:`;
                 return await this.generateTokenValueClarificationResponse(userResponse, state.tokenCreation.providerName);
             }
 
-            // Create the integration token
-            const createResult = await this.apiService.executeAction('create_integration_token_new', {
+            const parameters = {
                 providerId: state.tokenCreation.providerId,
                 name: state.tokenCreation.name,
                 type: 'token',
                 token: tokenAnalysis.extractedToken
-            }, state.userApiToken);
-
-            if (!createResult.success) {
-                return await this.generateTokenCreationErrorResponse(createResult.error, state.tokenCreation.providerName);
-            }
+            };
 
-            // Store the created token and proceed
-            state.selectedToken = createResult.data;
-            console.log(`✅ Created integration token: ${state.tokenCreation.name}`);
-            
-            // After token creation, ask for provider model selection
-            return await this.proceedToProviderModelSelection(sessionId);
+            return this.confirmFlowRequests(sessionId,
+                `Create the ${state.tokenCreation.providerName} integration token "${state.tokenCreation.name}"`,
+                [{ actionName: 'create_integration_token_new', parameters }],
+                () => this.createIntegrationToken(sessionId, parameters));
 
         } catch (error) {
             console.error('Error in AI token value input:', error);
@@ -937,6 +733,29 @@ Generate a helpful token value request:`;
         }
     }
 
+    /**
+     * Create the confirmed integration token and ask for the provider model
+     * @param {string} sessionId - Session identifier
+     * @param {Object} parameters - create_integration_token_new parameters
+     * @returns {Promise<Object>} Flow response
+     */
+    async createIntegrationToken(sessionId, parameters) {
+        const state = this.conversationStates.get(sessionId);
+
+        const createResult = await this.apiService.executeAction('create_integration_token_new', parameters, state.userApiToken);
+
+        if (!createResult.success) {
+            return await this.generateTokenCreationErrorResponse(createResult.error, state.tokenCreation.providerName);
+        }
+
+        // Store the created token and proceed
+        state.selectedToken = createResult.data;
+        console.log(`✅ Created integration token: ${state.tokenCreation.name}`);
+
+        // After token creation, ask for provider model selection
+        return await this.proceedToProviderModelSelection(sessionId);
+    }
+
     /**
      * Analyze token value input using AI
      * @param {string} userResponse - User's response
@@ -945,42 +764,17 @@ Generate a helpful token value request:`;
      */
     async analyzeTokenValueInput(userResponse, providerName) {
         try {
-            const analysisPrompt = `Analyze the user's response to extract an API token from their natural language input.
-
-USER RESPONSE: "${userResponse}"
-PROVIDER: ${providerName}
-
-TASK: Extract the actual API token from the user's response. They might say:
-- Direct tokens: "sk-1234567890abcdef", "api_key_abc123xyz"
-- Conversational: "Here's my token: sk-abc123", "The token is api_key_xyz"
-- With context: "My API key from OpenAI is sk-...", "I got this from the dashboard: api_..."
-
-TOKEN VALIDATION RULES:
-1. Look for long strings (typically 20+ characters)
-2. Common patterns: starts with "sk-", "api_", "key_", "ak_", etc.
-3. Contains alphanumeric characters, possibly with dashes/underscores
-4. Should be the longest meaningful string in the response
-5. Exclude obvious non-tokens (URLs, explanations, etc.)
-
-SECURITY NOTE: Extract only the token itself, no surrounding context.
-
-RESPONSE FORMAT (JSON):
-{
-  "extractedToken": "actual_token_string_or_null",
-  "confidence": 0.0-1.0,
-  "reasoning": "explanation of extraction process"
-}
-
-EXAMPLES:
-- "Here's my token: sk-1234567890abcdef" → {"extractedToken": "sk-1234567890abcdef"}
-- "api_key_xyz123456789" → {"extractedToken": "api_key_xyz123456789"}
-- "My key is abc123" → {"extractedToken": "abc123"}
-- "I don't have it yet" → {"extractedToken": null}
-
-Return ONLY valid JSON:`;
+            const analysisPrompt = promptRegistry.render('analyzeTokenValueInput', {
+                userResponse: userResponse,
+                providerName: providerName
+            });
 
-            const response = await aiService.generateResponse(analysisPrompt, { maxTokens: 300 });
-            const result = JSON.parse(response.answer.match(/\{[\s\S]*\}/)?.[0] || '{"extractedToken": null, "confidence": 0.0, "reasoning": "Parse error"}');
+            const { data: result } = await aiService.generateStructured(analysisPrompt, {
+                schema: getOutputSchema('analyzeTokenValueInput'),
+                nodeName: 'analyzeTokenValueInput',
+                maxTokens: 300,
+                fallback: { extractedToken: null, confidence: 0.0, reasoning: 'Invalid output' }
+            });
             
             // Additional validation - ensure minimum length
             if (result.extractedToken && result.extractedToken.length < 10) {
@@ -1005,27 +799,12 @@ Return ONLY valid JSON:`;
      */
     async generateTokenValueClarificationResponse(userResponse, providerName) {
         try {
-            const clarificationPrompt = `The user gave an unclear response about the API token. Generate a helpful clarification.
-
-USER'S RESPONSE: "${userResponse}"
-PROVIDER: ${providerName}
-
-TASK: Generate a concise response that:
-1. Acknowledges their response
-2. Asks for the actual API token
-3. Gives helpful guidance about finding the token
-4. Mentions what a valid token looks like
-5. Keeps it conversational
-
-GUIDELINES:
-- Be understanding and helpful
-- Give practical guidance for the specific provider
-- Make it conversational but concise
-- Briefly mention security
-
-Generate a helpful clarification response:`;
+            const clarificationPrompt = promptRegistry.render('generateTokenValueClarificationResponse', {
+                userResponse: userResponse,
+                providerName: providerName
+            });
 
-            const response = await aiService.generateResponse(clarificationPrompt, { maxTokens: 200 });
+            const response = await aiService.generateResponse(clarificationPrompt, { maxTokens: 200, nodeName: 'generateTokenValueClarificationResponse' });
 
             return {
                 answer: response.answer,
@@ -1051,26 +830,12 @@ Generate a helpful clarification response:`;
      */
     async generateTokenCreationErrorResponse(error, providerName) {
         try {
-            const errorPrompt = `Generate a helpful error response for token creation failure.
-
-ERROR: "${error}"
-PROVIDER: ${providerName}
-
-TASK: Generate a concise response that:
-1. Explains the issue in user-friendly terms
-2. Suggests possible solutions
-3. Asks them to try again
-4. Keeps it helpful
-
-GUIDELINES:
-- Don't just repeat the technical error
-- Give actionable suggestions
-- Make it conversational but concise
-- Stay helpful and professional
-
-Generate a helpful error response:`;
+            const errorPrompt = promptRegistry.render('generateTokenCreationErrorResponse', {
+                error: error,
+                providerName: providerName
+            });
 
-            const response = await aiService.generateResponse(errorPrompt, { maxTokens: 200 });
+            const response = await aiService.generateResponse(errorPrompt, { maxTokens: 200, nodeName: 'generateTokenCreationErrorResponse' });
 
             return {
                 answer: response.answer,
@@ -1096,25 +861,11 @@ Generate a helpful error response:`;
      */
     async generateTokenCreationSuccessResponse(tokenName, sessionId) {
         try {
-            const successPrompt = `Generate a confirmation response for successful token creation and transition to evaluator selection.
-
-TOKEN NAME: "${tokenName}"
-
-TASK: Generate a concise response that:
-1. Confirms the successful token creation
-2. Explains what happens next (evaluator selection)
-3. Makes a smooth transition to the next step
-4. Keeps it conversational
-
-GUIDELINES:
-- Be helpful and concise
-- Make the transition clear
-- Keep it brief
-- Focus on the next step
-
-Generate a helpful success response:`;
+            const successPrompt = promptRegistry.render('generateTokenCreationSuccessResponse', {
+                tokenName: tokenName
+            });
 
-            const response = await aiService.generateResponse(successPrompt, { maxTokens: 200 });
+            const response = await aiService.generateResponse(successPrompt, { maxTokens: 200, nodeName: 'generateTokenCreationSuccessResponse' });
 
             // Get the actual evaluator selection response
             const evaluatorResponse = await this.proceedToEvaluatorSelection(sessionId);
@@ -1192,29 +943,12 @@ Generate a helpful success response:`;
                 `- ${evaluator.name || evaluator.title}: ${evaluator.description || 'Evaluation tool'}`
             ).join('\n');
 
-            const selectionPrompt = `You are guiding a user through evaluator selection for their AI models. Generate a helpful, concise response.
-
-CONTEXT: The user has selected the integration token "${selectedToken?.name || 'their token'}" and now needs to choose evaluators.
-
-AVAILABLE EVALUATORS:
-${evaluatorsContext}
-
-TASK: Generate a conversational response that:
-1. Acknowledges the token selection
-2. Explains what evaluators do briefly
-3. Lists the available evaluators clearly
-4. Asks them to choose which evaluators they want
-5. Makes the selection process natural
-
-GUIDELINES:
-- Be helpful but concise
-- Explain the purpose of evaluators briefly
-- Make it conversational but to the point
-- Ask them to pick what matches their needs
-
-Generate a helpful evaluator selection response:`;
+            const selectionPrompt = promptRegistry.render('generateEvaluatorSelectionResponse', {
+                tokenName: selectedToken?.name || 'their token',
+                evaluatorsContext: evaluatorsContext
+            });
 
-            const response = await aiService.generateResponse(selectionPrompt, { maxTokens: 400 });
+            const response = await aiService.generateResponse(selectionPrompt, { maxTokens: 400, nodeName: 'generateEvaluatorSelectionResponse' });
 
             return {
                 answer: response.answer,
@@ -1252,9 +986,13 @@ Generate a helpful evaluator selection response:`;
             // Check if user wants to create new or edit evaluators
             const createEditAnalysis = await this.analyzeCreateEditIntent(userResponse);
             
+            if (createEditAnalysis.wantsToCreateEdit && createEditAnalysis.mode !== 'edit') {
+                return this.startEvaluatorAuthoringFlow(sessionId, state.userApiToken);
+            }
+
             if (createEditAnalysis.wantsToCreateEdit) {
                 return {
-                    answer: "To create a new evaluator or edit an existing one, please use the evaluator management section in your dashboard. You can create custom evaluators with specific prompts and configurations there. Once you've created your evaluator, come back and I'll help you associate it with your models.",
+                    answer: "To edit an existing evaluator, please use the evaluator management section in your dashboard. If you'd rather write a new one, tell me and I'll draft it with you here. Once your evaluator is ready, come back and I'll help you associate it with your models.",
                     success: true,
                     step: 'evaluator_management_redirect',
                     customAction: 'redirect_to_evaluator_management',
@@ -1296,29 +1034,16 @@ Generate a helpful evaluator selection response:`;
      */
     async analyzeCreateEditIntent(userResponse) {
         try {
-            const intentPrompt = `Analyze if the user wants to create a new evaluator or edit existing evaluators.
-
-USER RESPONSE: "${userResponse}"
-
-TASK: Determine if the user wants to create/edit evaluators rather than select from existing ones.
-
-INDICATORS FOR CREATE/EDIT:
-- "create new", "new evaluator", "make new"
-- "edit", "modify", "change", "customize"
-- "create custom", "build my own"
-- "none of these", "don't want any of these"
-
-RESPONSE FORMAT (JSON):
-{
-  "wantsToCreateEdit": true/false,
-  "confidence": 0.0-1.0,
-  "reasoning": "brief explanation"
-}
-
-Return ONLY valid JSON:`;
+            const intentPrompt = promptRegistry.render('analyzeCreateEditIntent', {
+                userResponse: userResponse
+            });
 
-            const response = await aiService.generateResponse(intentPrompt, { maxTokens: 150 });
-            const result = JSON.parse(response.answer.match(/\{[\s\S]*\}/)?.[0] || '{"wantsToCreateEdit": false, "confidence": 0.0, "reasoning": "Parse error"}');
+            const { data: result } = await aiService.generateStructured(intentPrompt, {
+                schema: getOutputSchema('analyzeCreateEditIntent'),
+                nodeName: 'analyzeCreateEditIntent',
+                maxTokens: 150,
+                fallback: { wantsToCreateEdit: false, confidence: 0.0, reasoning: 'Invalid output' }
+            });
             
             return result;
 
@@ -1340,32 +1065,17 @@ Return ONLY valid JSON:`;
                 `${index}: ${evaluator.name || evaluator.title} - ${evaluator.description || 'Evaluation tool'}`
             ).join('\n');
 
-            const analysisPrompt = `Analyze the user's response to identify which single evaluator they want to select.
-
-USER RESPONSE: "${userResponse}"
-
-AVAILABLE EVALUATORS:
-${evaluatorsContext}
-
-TASK: Identify which specific evaluator the user wants. They can only select ONE evaluator at a time.
-
-RESPONSE FORMAT (JSON):
-{
-  "selectedEvaluator": evaluator_object_or_null,
-  "confidence": 0.0-1.0,
-  "reasoning": "explanation of how selection was made"
-}
-
-EXAMPLES:
-- "safety evaluator" → find evaluator with safety in name or description
-- "content safety" → find exact or close name match
-- "the first one" → select first evaluator
-- "accuracy checker" → find evaluator matching description
-
-Return ONLY valid JSON with the actual evaluator object:`;
+            const analysisPrompt = promptRegistry.render('analyzeSingleEvaluatorSelection', {
+                userResponse: userResponse,
+                evaluatorsContext: evaluatorsContext
+            });
 
-            const response = await aiService.generateResponse(analysisPrompt, { maxTokens: 300 });
-            const result = JSON.parse(response.answer.match(/\{[\s\S]*\}/)?.[0] || '{"selectedEvaluator": null, "confidence": 0.0, "reasoning": "Parse error"}');
+            const { data: result } = await aiService.generateStructured(analysisPrompt, {
+                schema: getOutputSchema('analyzeSingleEvaluatorSelection'),
+                nodeName: 'analyzeSingleEvaluatorSelection',
+                maxTokens: 300,
+                fallback: { selectedEvaluator: null, confidence: 0.0, reasoning: 'Invalid output' }
+            });
             
             // Validate and find the actual evaluator
             let selectedEvaluator = null;
@@ -1403,38 +1113,17 @@ Return ONLY valid JSON with the actual evaluator object:`;
                 `${index}: ${evaluator.name || evaluator.title} - ${evaluator.description || 'Evaluation tool'}`
             ).join('\n');
 
-            const analysisPrompt = `Analyze the user's response to identify which evaluators they want to select.
-
-USER RESPONSE: "${userResponse}"
-
-AVAILABLE EVALUATORS:
-${evaluatorsContext}
-
-TASK: Identify which specific evaluators the user wants based on their response. They might mention:
-- Evaluator names or partial names
-- Types of evaluation (safety, accuracy, bias, etc.)
-- Keywords that match evaluator descriptions
-- "all" or "everything"
-- Specific preferences
-
-RESPONSE FORMAT (JSON):
-{
-  "selectedEvaluators": [array_of_evaluator_objects],
-  "confidence": 0.0-1.0,
-  "reasoning": "explanation of how selections were made"
-}
-
-EXAMPLES:
-- "safety and accuracy" → find evaluators with safety/accuracy in name or description
-- "all of them" → select all evaluators
-- "content safety evaluator" → find exact or close name match
-- "bias detection and accuracy" → find matching evaluators
-- "the first two" → select first two evaluators
-
-Return ONLY valid JSON with the actual evaluator objects:`;
+            const analysisPrompt = promptRegistry.render('analyzeEvaluatorSelection', {
+                userResponse: userResponse,
+                evaluatorsContext: evaluatorsContext
+            });
 
-            const response = await aiService.generateResponse(analysisPrompt, { maxTokens: 500 });
-            const result = JSON.parse(response.answer.match(/\{[\s\S]*\}/)?.[0] || '{"selectedEvaluators": [], "confidence": 0.0, "reasoning": "Parse error"}');
+            const { data: result } = await aiService.generateStructured(analysisPrompt, {
+                schema: getOutputSchema('analyzeEvaluatorSelection'),
+                nodeName: 'analyzeEvaluatorSelection',
+                maxTokens: 500,
+                fallback: { selectedEvaluators: [], confidence: 0.0, reasoning: 'Invalid output' }
+            });
             
             // Validate and map the selected evaluators
             const validatedEvaluators = [];
@@ -1476,27 +1165,12 @@ Return ONLY valid JSON with the actual evaluator objects:`;
                 `- ${evaluator.name || evaluator.title}: ${evaluator.description || 'Evaluation tool'}`
             ).join('\n');
 
-            const clarificationPrompt = `The user gave an unclear response about evaluator selection. Generate a helpful clarification.
-
-USER'S RESPONSE: "${userResponse}"
-
-AVAILABLE EVALUATORS:
-${evaluatorsContext}
-
-TASK: Generate a concise response that:
-1. Acknowledges their response
-2. Asks for clarification
-3. Suggests they can mention evaluator names or types
-4. Keeps it conversational
-
-GUIDELINES:
-- Be understanding and helpful
-- Make it conversational but concise
-- Give examples of how they can specify evaluators
-
-Generate a helpful clarification response:`;
+            const clarificationPrompt = promptRegistry.render('generateEvaluatorClarificationResponse', {
+                userResponse: userResponse,
+                evaluatorsContext: evaluatorsContext
+            });
 
-            const response = await aiService.generateResponse(clarificationPrompt, { maxTokens: 200 });
+            const response = await aiService.generateResponse(clarificationPrompt, { maxTokens: 200, nodeName: 'generateEvaluatorClarificationResponse' });
 
             return {
                 answer: response.answer,
@@ -1574,30 +1248,12 @@ Generate a helpful clarification response:`;
 
             const evaluatorNames = selectedEvaluators.map(e => e.name || e.title).join(', ');
 
-            const selectionPrompt = `You are guiding a user through the final step of evaluator connection. Generate a natural, engaging response.
-
-CONTEXT: The user has selected these evaluators: ${evaluatorNames}
-Now they need to choose which models to associate these evaluators with.
-
-AVAILABLE MODELS:
-${modelsContext}
-
-TASK: Generate a conversational response that:
-1. Explains this is the final step
-2. Presents the available models in a concise way
-3. Asks them to choose which models they want
-4. Makes the selection process feel natural and flexible
-
-GUIDELINES:
-- Be helpful but concise
-- Explain that evaluators will monitor these models
-- Make it conversational and encouraging
-- Suggest they can choose specific models or all models
-- Always list all the models
-
-Generate an engaging final step response:`;
+            const selectionPrompt = promptRegistry.render('generateModelSelectionResponse', {
+                evaluatorNames: evaluatorNames,
+                modelsContext: modelsContext
+            });
 
-            const response = await aiService.generateResponse(selectionPrompt, { maxTokens: 300 });
+            const response = await aiService.generateResponse(selectionPrompt, { maxTokens: 300, nodeName: 'generateModelSelectionResponse' });
 
             return {
                 answer: response.answer,
@@ -1645,8 +1301,9 @@ Generate an engaging final step response:`;
             
             console.log(`🔗 Starting associations for ${selectedModels.length} models and ${state.selectedEvaluators.length} evaluators`);
             
-            // Perform all associations
-            return await this.performAssociations(sessionId, selectedModels, state.selectedEvaluators, state.userApiToken);
+            // Perform all associations once the user confirms them
+            return this.confirmAssociations(sessionId, selectedModels, state.selectedEvaluators,
+                () => this.performAssociations(sessionId, selectedModels, state.selectedEvaluators, state.userApiToken));
 
         } catch (error) {
             console.error('Error in AI model selection:', error);
@@ -1670,37 +1327,17 @@ Generate an engaging final step response:`;
                 `${index}: ${model.name} - ${model.description || 'AI model'}`
             ).join('\n');
 
-            const analysisPrompt = `Analyze the user's response to identify which models they want to select for evaluator association.
-
-USER RESPONSE: "${userResponse}"
-
-AVAILABLE MODELS:
-${modelsContext}
-
-TASK: Identify which specific models the user wants based on their response. They might mention:
-- Model names or partial names
-- "all" or "everything" or "all models"
-- Specific model types or purposes
-- "the first one", "both", etc.
-
-RESPONSE FORMAT (JSON):
-{
-  "selectedModels": [array_of_model_objects],
-  "confidence": 0.0-1.0,
-  "reasoning": "explanation of how selections were made"
-}
-
-EXAMPLES:
-- "all of them" → select all models
-- "customer support bot" → find model with similar name
-- "both" → select all available models
-- "the production model" → find model matching description
-- "first two" → select first two models
-
-Return ONLY valid JSON with the actual model objects:`;
+            const analysisPrompt = promptRegistry.render('analyzeModelSelection', {
+                userResponse: userResponse,
+                modelsContext: modelsContext
+            });
 
-            const response = await aiService.generateResponse(analysisPrompt, { maxTokens: 400 });
-            const result = JSON.parse(response.answer.match(/\{[\s\S]*\}/)?.[0] || '{"selectedModels": [], "confidence": 0.0, "reasoning": "Parse error"}');
+            const { data: result } = await aiService.generateStructured(analysisPrompt, {
+                schema: getOutputSchema('analyzeModelSelection'),
+                nodeName: 'analyzeModelSelection',
+                maxTokens: 400,
+                fallback: { selectedModels: [], confidence: 0.0, reasoning: 'Invalid output' }
+            });
             
             // Validate and map the selected models
             const validatedModels = [];
@@ -1742,27 +1379,12 @@ Return ONLY valid JSON with the actual model objects:`;
                 `- ${model.name}: ${model.description || 'AI model'}`
             ).join('\n');
 
-            const clarificationPrompt = `The user gave an unclear response about model selection. Generate a helpful clarification.
-
-USER'S RESPONSE: "${userResponse}"
-
-AVAILABLE MODELS:
-${modelsContext}
-
-TASK: Generate a concise response that:
-1. Acknowledges their response
-2. Asks for clarification about which models they want
-3. Suggests they can mention model names or say "all"
-4. Keeps it conversational
-
-GUIDELINES:
-- Be understanding and helpful
-- Make it conversational but concise
-- Give examples of how they can specify models
-
-Generate a helpful clarification response:`;
+            const clarificationPrompt = promptRegistry.render('generateModelClarificationResponse', {
+                userResponse: userResponse,
+                modelsContext: modelsContext
+            });
 
-            const response = await aiService.generateResponse(clarificationPrompt, { maxTokens: 200 });
+            const response = await aiService.generateResponse(clarificationPrompt, { maxTokens: 200, nodeName: 'generateModelClarificationResponse' });
 
             return {
                 answer: response.answer,
@@ -1780,6 +1402,99 @@ Generate a helpful clarification response:`;
         }
     }
 
+    /**
+     * Show the exact requests a flow step is about to send and wait for the user's approval
+     * Flows change the account only through this step, like the API actions of the chat
+     * @param {string} sessionId - Session identifier
+     * @param {string} description - What the requests do
+     * @param {Array<Object>} requests - [{ actionName, parameters }]
+     * @param {Function} send - Sends the requests and returns the next flow response
+     * @returns {Object} Flow response
+     */
+    confirmFlowRequests(sessionId, description, requests, send) {
+        const state = this.conversationStates.get(sessionId);
+        const { answer, customAction } = this.actionConfirmationService.buildFlowConfirmation(description, requests);
+
+        state.pendingRequests = { send: send, step: state.step };
+        state.step = 'request_confirmation';
+
+        return {
+            answer: answer,
+            success: true,
+            step: 'request_confirmation',
+            requiresConfirmation: true,
+            customAction: customAction
+        };
+    }
+
+    /**
+     * Ask to confirm the evaluator-model associations
+     * @param {string} sessionId - Session identifier
+     * @param {Array} models - Selected models
+     * @param {Array} evaluators - Selected evaluators
+     * @param {Function} send - Performs the associations
+     * @returns {Object} Flow response
+     */
+    confirmAssociations(sessionId, models, evaluators, send) {
+        const requests = [];
+        for (const model of models) {
+            for (const evaluator of evaluators) {
+                requests.push({
+                    actionName: 'associate_evaluator_to_model_new',
+                    parameters: { modelId: model.id, evaluationPromptId: evaluator.id }
+                });
+            }
+        }
+
+        const names = evaluators.map(evaluator => evaluator.name || evaluator.title).join(', ');
+        return this.confirmFlowRequests(sessionId,
+            `Connect ${names} to ${models.map(model => model.name).join(', ')}`,
+            requests, send);
+    }
+
+    /**
+     * Send or drop the requests waiting for confirmation
+     * @param {string} sessionId - Session identifier
+     * @param {string} userResponse - User's response
+     * @returns {Promise<Object>} Flow response
+     */
+    async handleRequestConfirmation(sessionId, userResponse) {
+        const state = this.conversationStates.get(sessionId);
+        const reply = this.actionConfirmationService.classifyReply(userResponse);
+
+        if (reply === 'reject') {
+            this.conversationStates.delete(sessionId);
+            return {
+                answer: 'Okay, I stopped here. Nothing was changed on your account.',
+                success: true,
+                step: 'completed'
+            };
+        }
+        if (reply !== 'approve') {
+            return {
+                answer: 'Please reply **yes** to send the request or **no** to cancel.',
+                success: true,
+                step: 'request_confirmation',
+                requiresConfirmation: true
+            };
+        }
+
+        const { send, step } = state.pendingRequests;
+        delete state.pendingRequests;
+        state.step = step;
+
+        try {
+            return await send();
+        } catch (error) {
+            console.error('Error sending the confirmed requests:', error);
+            return {
+                answer: 'I encountered an error sending the request. Please try again.',
+                success: false,
+                step: step
+            };
+        }
+    }
+
     /**
      * Perform the actual evaluator-model associations
      * @param {string} sessionId - Session identifier
@@ -1928,6 +1643,26 @@ Generate a helpful clarification response:`;
                 return await this.handleProviderModelSelection(sessionId, userResponse);
             case 'user_model_selection':
                 return await this.handleUserModelSelection(sessionId, userResponse);
+            case 'association_management':
+                return await this.handleAssociationManagement(sessionId, userResponse);
+            case 'replacement_selection':
+                return await this.handleReplacementSelection(sessionId, userResponse);
+            case 'association_confirmation':
+                return await this.handleAssociationConfirmation(sessionId, userResponse);
+            case 'request_confirmation':
+                return await this.handleRequestConfirmation(sessionId, userResponse);
+            case 'authoring_criteria':
+                return this.handleAuthoringCriteria(sessionId, userResponse);
+            case 'authoring_scale':
+                return this.handleAuthoringScale(sessionId, userResponse);
+            case 'authoring_examples':
+                return await this.handleAuthoringExamples(sessionId, userResponse);
+            case 'authoring_review':
+                return await this.handleAuthoringReview(sessionId, userResponse);
+            case 'authoring_preview':
+                return await this.handleAuthoringPreview(sessionId, userResponse);
+            case 'authoring_attach':
+                return await this.handleAuthoringAttach(sessionId, userResponse);
             default:
                 // Use AI to understand what the user wants to do
                 return await this.handleUnknownStep(sessionId, userResponse, state);
@@ -1943,20 +1678,12 @@ Generate a helpful clarification response:`;
      */
     async handleUnknownStep(sessionId, userResponse, state) {
         try {
-            const contextPrompt = `The user is in an evaluator connection flow but we're not sure what step they're on.
-
-USER RESPONSE: "${userResponse}"
-CURRENT STATE: ${JSON.stringify(state, null, 2)}
-
-TASK: Generate a helpful response that:
-1. Acknowledges their message
-2. Asks what they'd like to do next
-3. Offers to restart the evaluator connection process if needed
-4. Keeps it conversational and helpful
-
-Generate a helpful response:`;
+            const contextPrompt = promptRegistry.render('handleUnknownStep', {
+                userResponse: userResponse,
+                flowState: JSON.stringify(state, null, 2)
+            });
 
-            const response = await aiService.generateResponse(contextPrompt, { maxTokens: 200 });
+            const response = await aiService.generateResponse(contextPrompt, { maxTokens: 200, nodeName: 'handleUnknownStep' });
 
             return {
                 answer: response.answer,
@@ -1974,21 +1701,920 @@ Generate a helpful response:`;
     }
 
     /**
-     * Check if there's an active flow for a session
+     * Start the flow that lists the evaluators attached to each model and
+     * detaches or replaces them
      * @param {string} sessionId - Session identifier
-     * @returns {boolean} Whether there's an active flow
+     * @param {string} userApiToken - User's API token
+     * @returns {Promise<Object>} Flow response
      */
-    hasActiveFlow(sessionId) {
-        const hasFlow = this.conversationStates.has(sessionId);
-        const currentStep = hasFlow ? this.conversationStates.get(sessionId).step : null;
-        console.log(`🔍 Active flow check for session ${sessionId}: ${hasFlow ? `YES (step: ${currentStep})` : 'NO'}`);
-        return hasFlow;
+    async startEvaluatorManagementFlow(sessionId, userApiToken) {
+        try {
+            console.log(`🧰 Starting evaluator management flow for session: ${sessionId}`);
+
+            const { associations, modelsOmitted, error } = await this.loadAssociations(userApiToken);
+            if (error) {
+                return {
+                    answer: `I couldn't get the evaluators attached to your models: ${error}. Please make sure you have the correct API access.`,
+                    success: false,
+                    step: 'error'
+                };
+            }
+
+            if (associations.length === 0) {
+                return {
+                    answer: "None of your models has evaluators attached yet. Would you like me to connect evaluators to your models?",
+                    success: true,
+                    step: 'completed',
+                    associations: []
+                };
+            }
+
+            this.conversationStates.set(sessionId, {
+                step: 'association_management',
+                userApiToken: userApiToken,
+                associations: associations
+            });
+
+            return this.buildAssociationsResponse(associations, modelsOmitted > 0
+                ? `You have more models than I can check at once, so I looked at the first ${MANAGED_MODELS_LIMIT} (${modelsOmitted} left out). `
+                : '');
+
+        } catch (error) {
+            console.error('Error starting evaluator management flow:', error);
+            this.conversationStates.delete(sessionId);
+            return {
+                answer: "I encountered an error getting the evaluators attached to your models. Please try again.",
+                success: false,
+                step: 'error'
+            };
+        }
     }
 
     /**
-     * Get the current step of an active flow
-     * @param {string} sessionId - Session identifier
-     * @returns {string|null} Current step or null
+     * Get the evaluators attached to each of the user's models
+     * Models are requested one at a time, up to MANAGED_MODELS_LIMIT
+     * @param {string} userApiToken - User's API token
+     * @returns {Promise<Object>} { associations: [{ model, evaluator }], modelsOmitted, error }
+     */
+    async loadAssociations(userApiToken) {
+        const modelsResult = await this.apiService.executeAction('get_user_models', {}, userApiToken);
+        if (!modelsResult.success) {
+            return { associations: [], modelsOmitted: 0, error: modelsResult.error };
+        }
+
+        const allModels = this.toList(modelsResult.data);
+        const models = allModels.slice(0, MANAGED_MODELS_LIMIT);
+
+        const associations = [];
+        for (const model of models) {
+            const result = await this.apiService.executeAction('get_model_evaluators', { modelId: model.id }, userApiToken);
+            if (!result.success) {
+                console.warn(`⚠️ Could not get the evaluators of model ${model.id}: ${result.error}`);
+                continue;
+            }
+            for (const item of this.toList(result.data)) {
+                // Associations may come wrapped ({ evaluationPromptId, evaluationPrompt }) or as evaluation prompts
+                const evaluator = item.evaluationPrompt || item;
+                associations.push({
+                    model: model,
+                    evaluator: { ...evaluator, id: item.evaluationPromptId ?? evaluator.id }
+                });
+            }
+        }
+
+        return { associations: associations, modelsOmitted: allModels.length - models.length, error: null };
+    }
+
+    /**
+     * Read a list from an API response, wrapped in data or not
+     * @param {*} data - API response data
+     * @returns {Array} Items
+     */
+    toList(data) {
+        if (Array.isArray(data)) {
+            return data;
+        }
+        return Array.isArray(data?.data) ? data.data : [];
+    }
+
+    /**
+     * Build the numbered list of associations grouped by model
+     * @param {Array} associations - Associations { model, evaluator }
+     * @param {string} [prefix] - Text before the list
+     * @returns {Object} Flow response
+     */
+    buildAssociationsResponse(associations, prefix = '') {
+        const lines = [`${prefix}These are the evaluators attached to your models:`];
+        let currentModelId = null;
+
+        associations.forEach((association, index) => {
+            if (association.model.id !== currentModelId) {
+                currentModelId = association.model.id;
+                lines.push('', `**${association.model.name || association.model.id}**`);
+            }
+            lines.push(`${index + 1}. ${association.evaluator.name || association.evaluator.title}`);
+        });
+
+        lines.push(
+            '',
+            'What would you like to change? For example:',
+            '- "detach 1, 3" to remove evaluators from a model',
+            '- "replace 2 with Hallucination" to swap an evaluator for another one',
+            '- "done" if everything looks right'
+        );
+
+        return {
+            answer: lines.join('\n'),
+            success: true,
+            step: 'association_management',
+            associations: associations.map(association => this.describeAssociation(association))
+        };
+    }
+
+    /**
+     * Handle the detach or replace request on the listed associations
+     * @param {string} sessionId - Session identifier
+     * @param {string} userResponse - User's response
+     * @returns {Promise<Object>} Flow response
+     */
+    async handleAssociationManagement(sessionId, userResponse) {
+        const state = this.conversationStates.get(sessionId);
+        const reply = userResponse.trim();
+
+        if (/^(done|nothing|that's all|thats all|all good|looks good|listo|nada)[.!]?$/i.test(reply) ||
+            this.actionConfirmationService.classifyReply(reply) === 'reject') {
+            this.conversationStates.delete(sessionId);
+            return {
+                answer: "Okay, I'll leave your evaluators as they are.",
+                success: true,
+                step: 'completed'
+            };
+        }
+
+        const wantsReplace = REPLACE_VERB.test(reply);
+        const wantsDetach = DETACH_VERB.test(reply);
+
+        if (!wantsReplace && !wantsDetach) {
+            return this.buildAssociationsResponse(state.associations, "I didn't catch whether you want to detach or replace an evaluator. ");
+        }
+
+        if (wantsReplace) {
+            // "replace 2 with Accuracy": the text after "with" names the new evaluator
+            const [target, replacementHint = ''] = reply.split(/\b(?:with|for|by|por|con)\b/i);
+            const [association] = await this.selectAssociations(target, state.associations, true);
+            if (!association) {
+                return this.buildAssociationsResponse(state.associations, "I couldn't tell which evaluator you want to replace. ");
+            }
+            return await this.proceedToReplacementSelection(sessionId, association, replacementHint.trim());
+        }
+
+        const selected = await this.selectAssociations(reply, state.associations, false);
+        if (selected.length === 0) {
+            return this.buildAssociationsResponse(state.associations, "I couldn't tell which evaluators you want to detach. ");
+        }
+
+        state.step = 'association_confirmation';
+        state.pendingChange = { type: 'detach', associations: selected };
+
+        return {
+            answer: [
+                'Please confirm you want to detach:',
+                '',
+                ...selected.map(association => `- ${this.associationLabel(association)}`),
+                '',
+                'Detached evaluators stop evaluating new entries of the model. Reply **yes** to detach or **no** to cancel.'
+            ].join('\n'),
+            success: true,
+            step: 'association_confirmation',
+            requiresConfirmation: true
+        };
+    }
+
+    /**
+     * Pick listed associations: list numbers first ("1, 3", "2-4"), then AI
+     * A reply is read as list numbers only when it holds nothing else than the
+     * verb, so numbers inside names ("from gpt-4", "on v2") go to the AI selection
+     * @param {string} userResponse - User's response
+     * @param {Array} associations - Listed associations
+     * @param {boolean} single - Whether exactly one association is expected
+     * @returns {Promise<Array>} Selected associations
+     */
+    async selectAssociations(userResponse, associations, single) {
+        const listPart = userResponse
+            .replace(REPLACE_VERB, ' ')
+            .replace(DETACH_VERB, ' ')
+            .replace(/\b(and|y)\b|#/gi, ',')
+            .replace(/[.!]\s*$/, '')
+            .trim();
+        const numbers = /^[\d,\s-]+$/.test(listPart)
+            ? this.parseNumberSelection(listPart.replace(/\s*-\s*/g, '-').replace(/[\s,]+/g, ',').replace(/^,|,$/g, ''), associations.length)
+            : [];
+        if (numbers.length > 0) {
+            const selected = numbers.map(number => associations[number - 1]);
+            return single ? selected.slice(0, 1) : selected;
+        }
+
+        // The AI selection reads each association as "<evaluator> on <model>"
+        const options = associations.map(association => ({
+            id: `${association.model.id}:${association.evaluator.id}`,
+            name: this.associationLabel(association),
+            description: association.evaluator.description,
+            association: association
+        }));
+
+        if (single) {
+            const { selectedEvaluator } = await this.analyzeSingleEvaluatorSelection(userResponse, options);
+            return selectedEvaluator ? [selectedEvaluator.association] : [];
+        }
+        const { selectedEvaluators } = await this.analyzeEvaluatorSelection(userResponse, options);
+        return selectedEvaluators.map(option => option.association);
+    }
+
+    /**
+     * Ask for the evaluator that replaces an association, or confirm it when already named
+     * @param {string} sessionId - Session identifier
+     * @param {Object} association - Association to replace
+     * @param {string} replacementHint - Text naming the new evaluator, if any
+     * @returns {Promise<Object>} Flow response
+     */
+    async proceedToReplacementSelection(sessionId, association, replacementHint) {
+        const state = this.conversationStates.get(sessionId);
+
+        const evaluatorsResult = await this.apiService.executeAction('get_evaluation_prompts', {}, state.userApiToken);
+        if (!evaluatorsResult.success) {
+            return {
+                answer: `I couldn't get the available evaluators: ${evaluatorsResult.error}. Please try again.`,
+                success: false,
+                step: 'association_management'
+            };
+        }
+
+        // Evaluators already attached to the model are not offered
+        const attachedIds = state.associations
+            .filter(item => item.model.id === association.model.id)
+            .map(item => String(item.evaluator.id));
+        const candidates = (evaluatorsResult.data.data || [])
+            .filter(evaluator => !attachedIds.includes(String(evaluator.id)));
+
+        if (candidates.length === 0) {
+            return this.buildAssociationsResponse(state.associations, `Every available evaluator is already attached to **${association.model.name || association.model.id}**, so there is nothing to replace it with. `);
+        }
+
+        state.step = 'replacement_selection';
+        state.pendingChange = { type: 'replace', association: association, candidates: candidates };
+
+        if (replacementHint) {
+            const replacement = await this.selectReplacement(replacementHint, candidates);
+            if (replacement) {
+                return this.proceedToReplacementConfirmation(sessionId, replacement);
+            }
+        }
+
+        return {
+            answer: [
+                `Which evaluator should replace ${this.associationLabel(association)}?`,
+                '',
+                ...candidates.map((evaluator, index) => `${index + 1}. **${evaluator.name || evaluator.title}**${evaluator.description ? ` - ${evaluator.description}` : ''}`),
+                '',
+                'Reply with the number or the name of the evaluator.'
+            ].join('\n'),
+            success: true,
+            step: 'replacement_selection',
+            availableEvaluators: candidates
+        };
+    }
+
+    /**
+     * Handle the evaluator picked as replacement
+     * @param {string} sessionId - Session identifier
+     * @param {string} userResponse - User's response
+     * @returns {Promise<Object>} Flow response
+     */
+    async handleReplacementSelection(sessionId, userResponse) {
+        const state = this.conversationStates.get(sessionId);
+        const replacement = await this.selectReplacement(userResponse, state.pendingChange.candidates);
+
+        if (!replacement) {
+            return await this.generateEvaluatorClarificationResponse(userResponse, state.pendingChange.candidates);
+        }
+
+        return this.proceedToReplacementConfirmation(sessionId, replacement);
+    }
+
+    /**
+     * Pick the replacement evaluator: list number or name first, then AI
+     * @param {string} userResponse - User's response
+     * @param {Array} candidates - Evaluators that can replace the association
+     * @returns {Promise<Object|null>} Selected evaluator
+     */
+    async selectReplacement(userResponse, candidates) {
+        const [number] = this.parseNumberSelection(userResponse.trim().replace(/^#/, ''), candidates.length);
+        if (number) {
+            return candidates[number - 1];
+        }
+
+        const reply = userResponse.toLowerCase();
+        const byName = candidates.find(evaluator => (evaluator.name || evaluator.title) && reply.includes((evaluator.name || evaluator.title).toLowerCase()));
+        if (byName) {
+            return byName;
+        }
+
+        const { selectedEvaluator } = await this.analyzeSingleEvaluatorSelection(userResponse, candidates);
+        return selectedEvaluator;
+    }
+
+    /**
+     * Ask the user to confirm the replacement
+     * @param {string} sessionId - Session identifier
+     * @param {Object} replacement - New evaluator
+     * @returns {Object} Flow response
+     */
+    proceedToReplacementConfirmation(sessionId, replacement) {
+        const state = this.conversationStates.get(sessionId);
+        const { association } = state.pendingChange;
+
+        state.step = 'association_confirmation';
+        state.pendingChange.replacement = replacement;
+
+        return {
+            answer: `Please confirm: on **${association.model.name || association.model.id}**, replace **${association.evaluator.name || association.evaluator.title}** with **${replacement.name || replacement.title}**. Reply **yes** to replace it or **no** to cancel.`,
+            success: true,
+            step: 'association_confirmation',
+            requiresConfirmation: true
+        };
+    }
+
+    /**
+     * Apply or drop the confirmed detach/replace change
+     * @param {string} sessionId - Session identifier
+     * @param {string} userResponse - User's response
+     * @returns {Promise<Object>} Flow response
+     */
+    async handleAssociationConfirmation(sessionId, userResponse) {
+        const state = this.conversationStates.get(sessionId);
+        const reply = this.actionConfirmationService.classifyReply(userResponse);
+
+        if (reply === 'reject') {
+            state.step = 'association_management';
+            delete state.pendingChange;
+            return this.buildAssociationsResponse(state.associations, "Okay, nothing was changed. ");
+        }
+        if (reply !== 'approve') {
+            return {
+                answer: 'Please reply **yes** to apply the change or **no** to cancel.',
+                success: true,
+                step: 'association_confirmation',
+                requiresConfirmation: true
+            };
+        }
+
+        const change = state.pendingChange;
+        this.conversationStates.delete(sessionId);
+
+        return change.type === 'detach'
+            ? await this.performDetachments(change.associations, state.userApiToken)
+            : await this.performReplacement(change.association, change.replacement, state.userApiToken);
+    }
+
+    /**
+     * Detach evaluators from models
+     * @param {Array} associations - Associations to remove
+     * @param {string} userApiToken - User's API token
+     * @returns {Promise<Object>} Flow response
+     */
+    async performDetachments(associations, userApiToken) {
+        const results = [];
+        const errors = [];
+
+        for (const association of associations) {
+            const detachResult = await this.apiService.executeAction('detach_evaluator_from_model', {
+                modelId: association.model.id,
+                evaluationPromptId: association.evaluator.id
+            }, userApiToken);
+
+            if (detachResult.success) {
+                results.push(`✅ ${this.associationLabel(association)}`);
+            } else {
+                errors.push(`❌ ${this.associationLabel(association)}: ${detachResult.error}`);
+            }
+        }
+
+        let response = '**Evaluators detached**\n\n';
+        if (results.length > 0) {
+            response += `${results.join('\n')}\n\n`;
+        }
+        if (errors.length > 0) {
+            response += `**Failed:**\n${errors.join('\n')}\n\n`;
+        }
+        response += `Summary: ${results.length} detached, ${errors.length} failed.`;
+
+        return {
+            answer: response,
+            success: results.length > 0,
+            step: 'completed',
+            evaluators_updated: results.length > 0,
+            summary: {
+                successful: results.length,
+                failed: errors.length,
+                total: associations.length
+            }
+        };
+    }
+
+    /**
+     * Swap the evaluator of an association: the new one is attached before the old one is detached
+     * @param {Object} association - Association to replace
+     * @param {Object} replacement - New evaluator
+     * @param {string} userApiToken - User's API token
+     * @returns {Promise<Object>} Flow response
+     */
+    async performReplacement(association, replacement, userApiToken) {
+        const { model, evaluator } = association;
+        const modelName = model.name || model.id;
+        const oldName = evaluator.name || evaluator.title;
+        const newName = replacement.name || replacement.title;
+
+        const associateResult = await this.apiService.executeAction('associate_evaluator_to_model_new', {
+            modelId: model.id,
+            evaluationPromptId: replacement.id
+        }, userApiToken);
+
+        if (!associateResult.success) {
+            return {
+                answer: `❌ I couldn't attach **${newName}** to **${modelName}**: ${associateResult.error}. **${oldName}** is still attached.`,
+                success: false,
+                step: 'completed',
+                evaluators_updated: false
+            };
+        }
+
+        const detachResult = await this.apiService.executeAction('detach_evaluator_from_model', {
+            modelId: model.id,
+            evaluationPromptId: evaluator.id
+        }, userApiToken);
+
+        if (!detachResult.success) {
+            return {
+                answer: `⚠️ I attached **${newName}** to **${modelName}**, but couldn't detach **${oldName}**: ${detachResult.error}. Both evaluators are attached for now; ask me to detach **${oldName}** again.`,
+                success: false,
+                step: 'completed',
+                evaluators_updated: true
+            };
+        }
+
+        return {
+            answer: `✅ On **${modelName}**, **${oldName}** was replaced with **${newName}**. New entries of the model will be evaluated by **${newName}**.`,
+            success: true,
+            step: 'completed',
+            evaluators_updated: true
+        };
+    }
+
+    /**
+     * Name an association in messages
+     * @param {Object} association - Association { model, evaluator }
+     * @returns {string} "**Evaluator** on **Model**"
+     */
+    associationLabel(association) {
+        return `**${association.evaluator.name || association.evaluator.title}** on **${association.model.name || association.model.id}**`;
+    }
+
+    /**
+     * Describe an association in the response data
+     * @param {Object} association - Association { model, evaluator }
+     * @returns {Object} { modelId, modelName, evaluatorId, evaluatorName }
+     */
+    describeAssociation(association) {
+        return {
+            modelId: association.model.id,
+            modelName: association.model.name,
+            evaluatorId: association.evaluator.id,
+            evaluatorName: association.evaluator.name || association.evaluator.title
+        };
+    }
+
+    /**
+     * Start the flow that writes a custom LLM-as-judge evaluator: criteria,
+     * scoring scale and examples, then a drafted evaluation prompt to preview,
+     * revise, create and optionally attach to models
+     * @param {string} sessionId - Session identifier
+     * @param {string} userApiToken - User's API token
+     * @returns {Object} Flow response
+     */
+    startEvaluatorAuthoringFlow(sessionId, userApiToken) {
+        console.log(`✍️ Starting custom evaluator authoring flow for session: ${sessionId}`);
+
+        this.conversationStates.set(sessionId, {
+            step: 'authoring_criteria',
+            userApiToken: userApiToken,
+            authoring: {}
+        });
+
+        return {
+            answer: [
+                "Let's write a custom evaluator. It works as an LLM-as-judge: it reads the input and output of each entry of your model and scores the output.",
+                '',
+                'First, what should it check? Describe the criteria of a good output (for example: "the answer only uses facts from the retrieved documents and cites them").'
+            ].join('\n'),
+            success: true,
+            step: 'authoring_criteria',
+            custom_evaluator_management: true
+        };
+    }
+
+    /**
+     * Store the evaluation criteria and ask for the scoring scale
+     * @param {string} sessionId - Session identifier
+     * @param {string} userResponse - User's response
+     * @returns {Object} Flow response
+     */
+    handleAuthoringCriteria(sessionId, userResponse) {
+        const state = this.conversationStates.get(sessionId);
+        const criteria = userResponse.trim();
+
+        if (criteria.length < MIN_CRITERIA_LENGTH) {
+            return {
+                answer: 'Could you describe the criteria in a bit more detail? Tell me what a good output does and what a bad one gets wrong.',
+                success: true,
+                step: 'authoring_criteria',
+                custom_evaluator_management: true
+            };
+        }
+
+        state.authoring.criteria = criteria;
+        state.step = 'authoring_scale';
+
+        return this.buildScaleResponse();
+    }
+
+    /**
+     * Ask for the scoring scale
+     * @param {string} [prefix] - Text shown before the question
+     * @returns {Object} Flow response
+     */
+    buildScaleResponse(prefix = '') {
+        return {
+            answer: [
+                `${prefix}How should the evaluator score each output?`,
+                '',
+                ...SCORING_SCALES.map((scale, index) => `${index + 1}. ${scale.label}`),
+                '',
+                'Reply with the number of the scale.'
+            ].join('\n'),
+            success: true,
+            step: 'authoring_scale',
+            custom_evaluator_management: true
+        };
+    }
+
+    /**
+     * Store the scoring scale and ask for examples
+     * @param {string} sessionId - Session identifier
+     * @param {string} userResponse - User's response
+     * @returns {Object} Flow response
+     */
+    handleAuthoringScale(sessionId, userResponse) {
+        const state = this.conversationStates.get(sessionId);
+        const scale = matchScoringScale(userResponse);
+
+        if (!scale) {
+            return this.buildScaleResponse("I didn't catch which scale you want. ");
+        }
+
+        state.authoring.scale = scale;
+        state.step = 'authoring_examples';
+
+        return {
+            answer: `Scoring: **${scale.label}**. Do you have examples of good and bad outputs? Paste them with a short note on how each should score, or reply **skip**.`,
+            success: true,
+            step: 'authoring_examples',
+            custom_evaluator_management: true
+        };
+    }
+
+    /**
+     * Store the examples (if any) and draft the evaluation prompt
+     * @param {string} sessionId - Session identifier
+     * @param {string} userResponse - User's response
+     * @returns {Promise<Object>} Flow response
+     */
+    async handleAuthoringExamples(sessionId, userResponse) {
+        const state = this.conversationStates.get(sessionId);
+        const reply = userResponse.trim();
+
+        const skipped = /^(skip|none|no examples|no|omitir|ninguno|sin ejemplos)[.!]?$/i.test(reply);
+        state.authoring.examples = skipped ? null : reply;
+
+        return await this.draftEvaluationPrompt(sessionId);
+    }
+
+    /**
+     * Draft the evaluation prompt, or revise the current draft with the user's feedback
+     * @param {string} sessionId - Session identifier
+     * @param {string} [feedback] - Requested changes to the current draft
+     * @returns {Promise<Object>} Flow response
+     */
+    async draftEvaluationPrompt(sessionId, feedback = null) {
+        const state = this.conversationStates.get(sessionId);
+        const { criteria, scale, examples, draft } = state.authoring;
+
+        try {
+            const draftPrompt = promptRegistry.render('draftEvaluationPrompt', {
+                criteria: criteria,
+                scoringScale: `${scale.label}: ${scale.instructions}`,
+                examples: examples || 'None',
+                currentDraft: draft ? JSON.stringify(draft, null, 2) : 'None',
+                feedback: feedback || 'None'
+            });
+
+            const { data: result } = await aiService.generateStructured(draftPrompt, {
+                schema: getOutputSchema('draftEvaluationPrompt'),
+                nodeName: 'draftEvaluationPrompt',
+                maxTokens: 1200,
+                temperature: 0.3,
+                fallback: null
+            });
+
+            if (!result?.prompt) {
+                throw new Error('Invalid draft');
+            }
+
+            state.authoring.draft = {
+                name: result.name,
+                description: result.description || '',
+                prompt: result.prompt
+            };
+            state.step = 'authoring_review';
+
+            return this.buildDraftResponse(state.authoring.draft, feedback ? 'I updated the draft.\n\n' : '');
+
+        } catch (error) {
+            console.error('Error drafting evaluation prompt:', error);
+            state.step = 'authoring_review';
+
+            if (draft) {
+                return this.buildDraftResponse(draft, "I couldn't apply that change. Here is the current draft again.\n\n");
+            }
+            return {
+                answer: "I had trouble drafting the evaluation prompt. Reply **retry** to try again or **cancel** to stop.",
+                success: true,
+                step: 'authoring_review',
+                custom_evaluator_management: true
+            };
+        }
+    }
+
+    /**
+     * Show the drafted evaluator and the review options
+     * @param {Object} draft - { name, description, prompt }
+     * @param {string} [prefix] - Text shown before the draft
+     * @returns {Object} Flow response
+     */
+    buildDraftResponse(draft, prefix = '') {
+        return {
+            answer: [
+                `${prefix}**${draft.name}**${draft.description ? ` - ${draft.description}` : ''}`,
+                '',
+                '```',
+                draft.prompt,
+                '```',
+                '',
+                'Reply **preview** to test it on a sample input/output, **create** to save it, tell me what to change, or **cancel**.'
+            ].join('\n'),
+            success: true,
+            step: 'authoring_review',
+            custom_evaluator_management: true,
+            evaluatorDraft: draft
+        };
+    }
+
+    /**
+     * Preview, create, revise or drop the drafted evaluator
+     * @param {string} sessionId - Session identifier
+     * @param {string} userResponse - User's response
+     * @returns {Promise<Object>} Flow response
+     */
+    async handleAuthoringReview(sessionId, userResponse) {
+        const state = this.conversationStates.get(sessionId);
+        const reply = userResponse.trim();
+
+        // Only whole commands act on the draft: "stop penalizing short answers" is a change request
+        if (/^(cancel|discard|stop|cancelar|descartar)[.!]?$/i.test(reply) ||
+            this.actionConfirmationService.classifyReply(reply) === 'reject') {
+            this.conversationStates.delete(sessionId);
+            return {
+                answer: "Okay, I discarded the draft. No evaluator was created.",
+                success: true,
+                step: 'completed'
+            };
+        }
+
+        if (!state.authoring.draft) {
+            return await this.draftEvaluationPrompt(sessionId);
+        }
+
+        // "preview input: ... output: ..." runs right away
+        const sample = /^(preview|test|try|probar|prueba)\b/i.test(reply) ? this.parseEvaluationSample(reply) : null;
+        if (sample) {
+            return await this.previewEvaluator(sessionId, sample);
+        }
+
+        if (/^(preview|test|try|probar|prueba)[.!]?$/i.test(reply)) {
+            state.step = 'authoring_preview';
+            return {
+                answer: 'Paste a sample in this format:\n\n```\ninput: <what your model received>\noutput: <what your model answered>\n```',
+                success: true,
+                step: 'authoring_preview',
+                custom_evaluator_management: true
+            };
+        }
+
+        if (/^(create|save|crear|crea|guardar|guarda)( it)?[.!]?$/i.test(reply) ||
+            this.actionConfirmationService.classifyReply(reply) === 'approve') {
+            return await this.createCustomEvaluator(sessionId);
+        }
+
+        // Anything else is a change to the draft
+        return await this.draftEvaluationPrompt(sessionId, reply);
+    }
+
+    /**
+     * Run the preview with the pasted sample
+     * @param {string} sessionId - Session identifier
+     * @param {string} userResponse - User's response
+     * @returns {Promise<Object>} Flow response
+     */
+    async handleAuthoringPreview(sessionId, userResponse) {
+        const state = this.conversationStates.get(sessionId);
+
+        if (/^(back|cancel|skip|volver|cancelar)[.!]?$/i.test(userResponse.trim())) {
+            state.step = 'authoring_review';
+            return this.buildDraftResponse(state.authoring.draft);
+        }
+
+        const sample = this.parseEvaluationSample(userResponse);
+        if (!sample) {
+            return {
+                answer: 'I need both parts of the sample: a line starting with **input:** and one starting with **output:**. Reply **back** to return to the draft.',
+                success: true,
+                step: 'authoring_preview',
+                custom_evaluator_management: true
+            };
+        }
+
+        return await this.previewEvaluator(sessionId, sample);
+    }
+
+    /**
+     * Read "input: ... output: ..." from a message
+     * @param {string} text - Message
+     * @returns {Object|null} { input, output }, or null when a part is missing
+     */
+    parseEvaluationSample(text) {
+        const match = (text || '').match(/input\s*:\s*([\s\S]*?)\s*output\s*:\s*([\s\S]*)$/i);
+        if (!match || !match[1].trim() || !match[2].trim()) {
+            return null;
+        }
+        return { input: match[1].trim(), output: match[2].trim() };
+    }
+
+    /**
+     * Score a sample with the drafted evaluation prompt and return to the review
+     * @param {string} sessionId - Session identifier
+     * @param {Object} sample - { input, output }
+     * @returns {Promise<Object>} Flow response
+     */
+    async previewEvaluator(sessionId, sample) {
+        const state = this.conversationStates.get(sessionId);
+        const { draft, scale } = state.authoring;
+        state.step = 'authoring_review';
+
+        try {
+            const previewPrompt = promptRegistry.render('previewEvaluation', {
+                evaluationPrompt: draft.prompt,
+                sampleInput: sample.input,
+                sampleOutput: sample.output
+            });
+
+            const { data: result } = await aiService.generateStructured(previewPrompt, {
+                schema: getOutputSchema('previewEvaluation'),
+                nodeName: 'previewEvaluation',
+                maxTokens: 400,
+                temperature: 0,
+                fallback: null
+            });
+
+            if (!result || result.score === null || result.score === undefined) {
+                throw new Error('Invalid preview');
+            }
+
+            const response = this.buildDraftResponse(draft,
+                `Preview on your sample: **score ${result.score}/${scale.max}**. ${result.reasoning || ''}\n\nIf that is not the score you expected, tell me what to change.\n\n`);
+            response.evaluatorPreview = { score: result.score, reasoning: result.reasoning || '' };
+            return response;
+
+        } catch (error) {
+            console.error('Error previewing evaluator:', error);
+            return this.buildDraftResponse(draft, "I couldn't run the preview on that sample. You can try another sample or continue with the draft.\n\n");
+        }
+    }
+
+    /**
+     * Create the drafted evaluator and offer to attach it to models
+     * @param {string} sessionId - Session identifier
+     * @returns {Promise<Object>} Flow response
+     */
+    async createCustomEvaluator(sessionId) {
+        const state = this.conversationStates.get(sessionId);
+        const { draft } = state.authoring;
+
+        const createResult = await this.apiService.executeAction('create_evaluation_prompt', {
+            name: draft.name,
+            description: draft.description,
+            prompt: draft.prompt
+        }, state.userApiToken);
+
+        if (!createResult.success) {
+            return this.buildDraftResponse(draft, `I couldn't create the evaluator: ${createResult.error}. You can try again or change the draft.\n\n`);
+        }
+
+        const created = createResult.data?.data || createResult.data || {};
+        const evaluator = { ...created, name: created.name || draft.name };
+        console.log(`✅ Custom evaluator created: ${evaluator.name} (${evaluator.id})`);
+
+        if (!evaluator.id) {
+            this.conversationStates.delete(sessionId);
+            return {
+                answer: `✅ I created the evaluator **${evaluator.name}**. Ask me to connect evaluators when you want to attach it to your models.`,
+                success: true,
+                step: 'completed',
+                custom_evaluator_management: true,
+                evaluatorCreated: evaluator
+            };
+        }
+
+        state.step = 'authoring_attach';
+        state.createdEvaluator = evaluator;
+
+        return {
+            answer: `✅ I created the evaluator **${evaluator.name}**. Would you like to attach it to your models now? Reply **yes** or **no**.`,
+            success: true,
+            step: 'authoring_attach',
+            custom_evaluator_management: true,
+            evaluatorCreated: evaluator
+        };
+    }
+
+    /**
+     * Attach the created evaluator through the connection flow, or finish
+     * @param {string} sessionId - Session identifier
+     * @param {string} userResponse - User's response
+     * @returns {Promise<Object>} Flow response
+     */
+    async handleAuthoringAttach(sessionId, userResponse) {
+        const state = this.conversationStates.get(sessionId);
+        const reply = this.actionConfirmationService.classifyReply(userResponse);
+
+        if (reply === 'reject') {
+            this.conversationStates.delete(sessionId);
+            return {
+                answer: `Okay. **${state.createdEvaluator.name}** is saved; ask me to connect evaluators when you want to attach it to your models.`,
+                success: true,
+                step: 'completed',
+                custom_evaluator_management: true
+            };
+        }
+        if (reply !== 'approve') {
+            return {
+                answer: `Would you like to attach **${state.createdEvaluator.name}** to your models now? Reply **yes** or **no**.`,
+                success: true,
+                step: 'authoring_attach',
+                custom_evaluator_management: true
+            };
+        }
+
+        // Same path as an evaluator picked in the connection flow: token, provider model, models
+        state.selectedEvaluator = state.createdEvaluator;
+        delete state.authoring;
+        return await this.checkEvaluatorToken(sessionId);
+    }
+
+    /**
+     * Check if there's an active flow for a session
+     * @param {string} sessionId - Session identifier
+     * @returns {boolean} Whether there's an active flow
+     */
+    hasActiveFlow(sessionId) {
+        const hasFlow = this.conversationStates.has(sessionId);
+        const currentStep = hasFlow ? this.conversationStates.get(sessionId).step : null;
+        console.log(`🔍 Active flow check for session ${sessionId}: ${hasFlow ? `YES (step: ${currentStep})` : 'NO'}`);
+        return hasFlow;
+    }
+
+    /**
+     * Get the current step of an active flow
+     * @param {string} sessionId - Session identifier
+     * @returns {string|null} Current step or null
      */
     getCurrentStep(sessionId) {
         const state = this.conversationStates.get(sessionId);
@@ -2111,8 +2737,18 @@ Generate a helpful response:`;
             // Store selected provider model
             state.selectedProviderModel = modelAnalysis.selectedModel;
             
-            // Update evaluator with default token and model
-            return await this.updateEvaluatorWithDefaults(sessionId);
+            // Update evaluator with default token and model once the user confirms it
+            return this.confirmFlowRequests(sessionId,
+                `Set ${state.selectedProviderModel} and the selected integration token as the defaults of ${state.selectedEvaluator.name || state.selectedEvaluator.title || 'the evaluator'}`,
+                [{
+                    actionName: 'update_evaluator_defaults',
+                    parameters: {
+                        id: state.selectedEvaluator.id,
+                        defaultIntegrationTokenId: state.selectedToken.id,
+                        defaultProviderModel: state.selectedProviderModel
+                    }
+                }],
+                () => this.updateEvaluatorWithDefaults(sessionId));
 
         } catch (error) {
             console.error('Error in provider model selection:', error);
@@ -2136,26 +2772,17 @@ Generate a helpful response:`;
                 `${index}: ${model}`
             ).join('\n');
 
-            const analysisPrompt = `Analyze the user's response to identify which provider model they want to select.
-
-USER RESPONSE: "${userResponse}"
-
-AVAILABLE PROVIDER MODELS:
-${modelsContext}
-
-TASK: Identify which specific provider model the user wants based on their response.
-
-RESPONSE FORMAT (JSON):
-{
-  "selectedModel": model_name,
-  "confidence": 0.0-1.0,
-  "reasoning": "explanation of how selection was made"
-}
-
-Return ONLY valid JSON with the actual model object:`;
+            const analysisPrompt = promptRegistry.render('analyzeProviderModelSelection', {
+                userResponse: userResponse,
+                modelsContext: modelsContext
+            });
 
-            const response = await aiService.generateResponse(analysisPrompt, { maxTokens: 200 });
-            const result = JSON.parse(response.answer.match(/\{[\s\S]*\}/)?.[0] || '{"selectedModel": null, "confidence": 0.0, "reasoning": "Parse error"}');
+            const { data: result } = await aiService.generateStructured(analysisPrompt, {
+                schema: getOutputSchema('analyzeProviderModelSelection'),
+                nodeName: 'analyzeProviderModelSelection',
+                maxTokens: 200,
+                fallback: { selectedModel: null, confidence: 0.0, reasoning: 'Invalid output' }
+            });
             
             // Validate and find the actual model
             let selectedModel = null;
@@ -2190,18 +2817,12 @@ Return ONLY valid JSON with the actual model object:`;
                 `- ${model}`
             ).join('\n');
 
-            const clarificationPrompt = `The user gave an unclear response about provider model selection. Generate a brief clarification.
-
-USER'S RESPONSE: "${userResponse}"
-
-AVAILABLE MODELS:
-${modelsContext}
-
-TASK: Generate a brief response that asks for clarification about which provider model they want.
-
-Generate a brief clarification response:`;
+            const clarificationPrompt = promptRegistry.render('generateProviderModelClarificationResponse', {
+                userResponse: userResponse,
+                modelsContext: modelsContext
+            });
 
-            const response = await aiService.generateResponse(clarificationPrompt, { maxTokens: 150 });
+            const response = await aiService.generateResponse(clarificationPrompt, { maxTokens: 150, nodeName: 'generateProviderModelClarificationResponse' });
 
             return {
                 answer: response.answer,
@@ -2317,28 +2938,12 @@ Generate a brief clarification response:`;
 
             const evaluatorName = selectedEvaluator.name || selectedEvaluator.title;
 
-            const selectionPrompt = `You are guiding a user through the final step of evaluator association. Generate a brief response.
-
-CONTEXT: The user has configured the evaluator "${evaluatorName}" and now needs to choose which of their models to associate it with.
-
-AVAILABLE MODELS:
-${modelsContext}
-
-TASK: Generate a brief response that:
-1. Explains this is the final step
-2. Presents the available models clearly
-3. Asks them to choose which models they want to associate with the evaluator
-
-GUIDELINES:
-- Be helpful but very concise
-- Explain that the evaluator will monitor these models briefly
-- Make it conversational but brief
-- Suggest they can choose specific models or all models
-- Always list all the models
-
-Generate a brief final step response:`;
+            const selectionPrompt = promptRegistry.render('generateUserModelSelectionResponse', {
+                evaluatorName: evaluatorName,
+                modelsContext: modelsContext
+            });
 
-            const response = await aiService.generateResponse(selectionPrompt, { maxTokens: 200 });
+            const response = await aiService.generateResponse(selectionPrompt, { maxTokens: 200, nodeName: 'generateUserModelSelectionResponse' });
 
             return {
                 answer: response.answer,
@@ -2452,8 +3057,9 @@ Generate a brief final step response:`;
             
             console.log(`🔗 Starting associations for ${selectedModels.length} models and 1 evaluator`);
             
-            // Perform associations (single evaluator to multiple models)
-            return await this.performSingleEvaluatorAssociations(sessionId, selectedModels, state.selectedEvaluator, state.userApiToken);
+            // Perform associations (single evaluator to multiple models) once the user confirms them
+            return this.confirmAssociations(sessionId, selectedModels, [state.selectedEvaluator],
+                () => this.performSingleEvaluatorAssociations(sessionId, selectedModels, state.selectedEvaluator, state.userApiToken));
 
         } catch (error) {
             console.error('Error in AI user model selection:', error);
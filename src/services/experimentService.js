@@ -0,0 +1,162 @@
+/**
+ * Experiment Service - Compares the variants of prompt experiments
+ * @module services/experimentService
+ * @requires pg
+ * @requires ../config/promptExperiments
+ *
+ * Each assistant message records the experiment variants it was generated
+ * with in metadata.experiments. Variants are compared on the evaluation
+ * scores and user feedback of those messages and on the retrieval relevance
+ * stored in knowledge_usage for them.
+ */
+
+const { Pool } = require('pg');
+const { PROMPT_EXPERIMENTS, getExperiment, areExperimentsEnabled } = require('../config/promptExperiments');
+
+class ExperimentService {
+    constructor() {
+        this.pool = new Pool({
+            host: process.env.DB_HOST || 'localhost',
+            port: process.env.DB_PORT || 5432,
+            database: process.env.DB_NAME || 'handit_ai',
+            user: process.env.DB_USER || 'postgres',
+            password: process.env.DB_PASSWORD || 'postgres',
+            max: 20,
+            idleTimeoutMillis: 30000,
+            connectionTimeoutMillis: 2000,
+        });
+    }
+
+    /**
+     * List the experiment definitions
+     * @returns {Array<Object>} Experiments { id, prompt, enabled, variants: [{ name, version, weight, trafficShare }] }
+     */
+    listExperiments() {
+        return PROMPT_EXPERIMENTS.map(experiment => this.describe(experiment));
+    }
+
+    /**
+     * Describe an experiment with the traffic share of each variant
+     * @param {Object} experiment - Experiment definition
+     * @returns {Object} Experiment summary
+     */
+    describe(experiment) {
+        const totalWeight = experiment.variants.reduce((sum, variant) => sum + variant.weight, 0);
+
+        return {
+            id: experiment.id,
+            prompt: experiment.prompt,
+            enabled: experiment.enabled && areExperimentsEnabled(),
+            variants: experiment.variants.map(variant => ({
+                name: variant.name,
+                version: variant.version,
+                weight: variant.weight,
+                trafficShare: Number((variant.weight / totalWeight).toFixed(3))
+            }))
+        };
+    }
+
+    /**
+     * Compare the variants of an experiment
+     * @param {string} experimentId - Experiment identifier
+     * @param {number} [days] - Only count messages from the last days
+     * @returns {Promise<Object|null>} Experiment with per-variant results, or null if it does not exist
+     */
+    async compareVariants(experimentId, days = null) {
+        const experiment = getExperiment(experimentId);
+        if (!experiment) {
+            return null;
+        }
+
+        const result = await this.pool.query(`
+            WITH variant_messages AS (
+                SELECT
+                    m.id,
+                    m.conversation_id,
+                    m.metadata->'experiments'->$1->>'variant' AS variant,
+                    m.processing_time_ms,
+                    m.tokens_used,
+                    (m.evaluation_scores->>'groundedness')::float AS groundedness,
+                    m.feedback_rating AS feedback,
+                    (SELECT AVG(ku.relevance_score) FROM knowledge_usage ku WHERE ku.message_id = m.id) AS relevance
+                FROM messages m
+                WHERE m.role = 'assistant'
+                AND m.metadata->'experiments' ? $1
+                AND ($2::int IS NULL OR m.timestamp > CURRENT_TIMESTAMP - make_interval(days => $2::int))
+            )
+            SELECT
+                variant,
+                COUNT(*) AS messages,
+                COUNT(DISTINCT conversation_id) AS sessions,
+                AVG(groundedness) AS avg_groundedness,
+                COUNT(groundedness) AS scored_messages,
+                AVG(feedback) AS avg_feedback,
+                COUNT(feedback) AS rated_messages,
+                AVG(relevance) AS avg_relevance,
+                AVG(processing_time_ms) AS avg_processing_time_ms,
+                AVG(tokens_used) AS avg_tokens_used
+            FROM variant_messages
+            GROUP BY variant
+        `, [experimentId, days]);
+
+        const rowsByVariant = new Map(result.rows.map(row => [row.variant, row]));
+        const variants = this.describe(experiment).variants.map(variant => ({
+            ...variant,
+            ...this.formatResults(rowsByVariant.get(variant.name))
+        }));
+
+        // The first variant is the control the others are compared with
+        const control = variants[0];
+        for (const variant of variants.slice(1)) {
+            variant.vsControl = {
+                groundedness: this.difference(variant.avgGroundedness, control.avgGroundedness),
+                feedback: this.difference(variant.avgFeedback, control.avgFeedback),
+                processingTimeMs: this.difference(variant.avgProcessingTimeMs, control.avgProcessingTimeMs)
+            };
+        }
+
+        return {
+            ...this.describe(experiment),
+            control: control.name,
+            variants: variants
+        };
+    }
+
+    /**
+     * Convert an aggregate row into variant results
+     * @param {Object} [row] - Aggregate row, missing when the variant has no messages yet
+     * @returns {Object} Variant results
+     */
+    formatResults(row = {}) {
+        const toNumber = (value, digits = 3) => value === null || value === undefined
+            ? null
+            : Number(Number(value).toFixed(digits));
+
+        return {
+            messages: parseInt(row.messages) || 0,
+            sessions: parseInt(row.sessions) || 0,
+            avgGroundedness: toNumber(row.avg_groundedness),
+            scoredMessages: parseInt(row.scored_messages) || 0,
+            avgFeedback: toNumber(row.avg_feedback),
+            ratedMessages: parseInt(row.rated_messages) || 0,
+            avgRelevance: toNumber(row.avg_relevance),
+            avgProcessingTimeMs: toNumber(row.avg_processing_time_ms, 0),
+            avgTokensUsed: toNumber(row.avg_tokens_used, 0)
+        };
+    }
+
+    /**
+     * Difference between a variant metric and the control metric
+     * @param {number|null} value - Variant value
+     * @param {number|null} controlValue - Control value
+     * @returns {number|null} Difference, or null when either side has no data
+     */
+    difference(value, controlValue) {
+        if (value === null || controlValue === null) {
+            return null;
+        }
+        return Number((value - controlValue).toFixed(3));
+    }
+}
+
+module.exports = ExperimentService;
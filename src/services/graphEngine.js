@@ -0,0 +1,152 @@
+/**
+ * Graph Engine - Runs a declarative agent graph
+ * @module services/graphEngine
+ * @requires ../utils/requestContext
+ * @requires ../utils/traceRecorder
+ */
+
+const { emitEvent } = require('../utils/requestContext');
+const { setParsedResult } = require('../utils/traceRecorder');
+
+/**
+ * Executes the nodes of an agent graph, following the first matching edge
+ * after each node until a terminal node builds the response
+ */
+class GraphEngine {
+    /**
+     * @param {Object} graph - Graph definition (see config/agentGraph)
+     * @param {Object} agent - Object passed to every node handler
+     */
+    constructor(graph, agent) {
+        this.graph = graph;
+        this.agent = agent;
+        this.validate();
+    }
+
+    /**
+     * Check that the graph is well formed
+     * @throws {Error} If the entry or an edge target is unknown, or a node has no way out
+     */
+    validate() {
+        const { nodes } = this.graph;
+
+        for (const edge of this.getEntryEdges()) {
+            if (!nodes[edge.to]) {
+                throw new Error(`Graph entry node "${edge.to}" is not defined`);
+            }
+        }
+
+        for (const [name, node] of Object.entries(nodes)) {
+            if (typeof node.run !== 'function') {
+                throw new Error(`Graph node "${name}" has no run handler`);
+            }
+            if (!node.respond && (!node.edges || node.edges.length === 0)) {
+                throw new Error(`Graph node "${name}" has neither edges nor respond`);
+            }
+            for (const edge of node.edges || []) {
+                if (!nodes[edge.to]) {
+                    throw new Error(`Graph node "${name}" has an edge to unknown node "${edge.to}"`);
+                }
+            }
+        }
+    }
+
+    /**
+     * Get the entry of the graph as a list of edges
+     * @returns {Array<Object>} Entry edges
+     */
+    getEntryEdges() {
+        const { entry } = this.graph;
+        return Array.isArray(entry) ? entry : [{ to: entry }];
+    }
+
+    /**
+     * Run the graph from the entry node
+     * @param {Object} state - Initial turn state, filled with each node output
+     * @returns {Promise<Object>} Response fields built by the terminal node
+     */
+    async run(state) {
+        const maxSteps = Object.keys(this.graph.nodes).length;
+        state.path = [];
+
+        let nodeName = this.pickEdge(this.getEntryEdges(), state, 'entry');
+        while (state.path.length < maxSteps) {
+            const node = this.graph.nodes[nodeName];
+
+            const startTime = Date.now();
+            const result = await node.run(this.agent, state);
+            if (node.output) {
+                state[node.output] = result;
+            }
+            state.path.push(nodeName);
+            setParsedResult(nodeName, result);
+
+            emitEvent('node', {
+                node: nodeName,
+                durationMs: Date.now() - startTime,
+                result: result
+            });
+
+            if (node.respond) {
+                return node.respond(state);
+            }
+
+            nodeName = this.nextNode(nodeName, state);
+        }
+
+        throw new Error(`Graph did not reach a terminal node after ${maxSteps} steps: ${state.path.join(' → ')}`);
+    }
+
+    /**
+     * Pick the next node from the edges of the current one
+     * @param {string} nodeName - Current node
+     * @param {Object} state - Turn state
+     * @returns {string} Next node name
+     */
+    nextNode(nodeName, state) {
+        return this.pickEdge(this.graph.nodes[nodeName].edges, state, `graph node "${nodeName}"`);
+    }
+
+    /**
+     * Pick the first edge whose condition matches the state
+     * @param {Array<Object>} edges - Candidate edges
+     * @param {Object} state - Turn state
+     * @param {string} source - Edge source, for error messages
+     * @returns {string} Target node name
+     */
+    pickEdge(edges, state, source) {
+        const edge = edges.find(candidate => !candidate.when || candidate.when(state));
+        if (!edge) {
+            throw new Error(`No edge of ${source} matched the current state`);
+        }
+        return edge.to;
+    }
+
+    /**
+     * Export the graph as a Mermaid flowchart
+     * Terminal nodes are drawn with rounded borders
+     * @returns {string} Mermaid diagram source
+     */
+    toMermaid() {
+        const lines = ['flowchart TD'];
+
+        for (const edge of this.getEntryEdges()) {
+            lines.push(edge.label ? `    start((start)) -->|${edge.label}| ${edge.to}` : `    start((start)) --> ${edge.to}`);
+        }
+
+        for (const [name, node] of Object.entries(this.graph.nodes)) {
+            const label = node.description ? `${name}<br/><small>${node.description}</small>` : name;
+            lines.push(node.respond ? `    ${name}(["${label}"])` : `    ${name}["${label}"]`);
+        }
+
+        for (const [name, node] of Object.entries(this.graph.nodes)) {
+            for (const edge of node.edges || []) {
+                lines.push(edge.label ? `    ${name} -->|${edge.label}| ${edge.to}` : `    ${name} --> ${edge.to}`);
+            }
+        }
+
+        return lines.join('\n');
+    }
+}
+
+module.exports = GraphEngine;
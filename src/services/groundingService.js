@@ -0,0 +1,157 @@
+/**
+ * Grounding Service - Verifies generated answers against the documentation they were built from
+ * @module services/groundingService
+ * @requires ./aiService
+ * @requires ../config/groundingConfig
+ * @requires ../utils/grounding
+ *
+ * Two checks feed the groundedness score:
+ * - code identifiers in the answer must appear in the documentation (utils/grounding)
+ * - a verifier LLM checks each factual claim (features, dashboard screens,
+ *   parameters, steps) against the documentation
+ * Unsupported statements are then rewritten or flagged, depending on GROUNDING_MODE.
+ */
+
+const { aiService } = require('./aiService');
+const { promptRegistry } = require('./promptRegistry');
+const { getOutputSchema } = require('../config/outputSchemas');
+const { getGroundingMode } = require('../config/groundingConfig');
+const { checkCodeIdentifiers, computeGroundednessScore } = require('../utils/grounding');
+
+class GroundingService {
+    /**
+     * Verify an answer and correct or flag its unsupported statements
+     * @param {string} answer - Generated answer
+     * @param {string} documentation - Documentation context used to generate it
+     * @param {Object} options - { userMessage, nodeName }
+     * @returns {Promise<Object>} { answer, grounding } with the final answer and the verification report
+     */
+    async verify(answer, documentation, options = {}) {
+        const { userMessage = '', nodeName = 'generalKnowledge' } = options;
+        const mode = getGroundingMode();
+
+        if (mode === 'off' || !answer) {
+            return { answer, grounding: null };
+        }
+
+        try {
+            const identifiers = checkCodeIdentifiers(answer, documentation);
+            const checkedClaims = await this.checkClaims(answer, documentation, identifiers);
+            const claims = checkedClaims || [];
+            const score = computeGroundednessScore(claims, identifiers);
+
+            const unsupportedClaims = claims.filter(claim => !claim.supported);
+            const hasUnsupported = unsupportedClaims.length > 0 || identifiers.unsupported.length > 0;
+
+            let finalAnswer = answer;
+            if (hasUnsupported && mode === 'rewrite') {
+                finalAnswer = await this.rewrite(answer, documentation, unsupportedClaims, identifiers.unsupported, userMessage);
+            } else if (hasUnsupported && mode === 'flag') {
+                finalAnswer = this.flag(answer, unsupportedClaims, identifiers.unsupported);
+            }
+
+            console.log(`🔎 Groundedness of ${nodeName}: ${score} (${unsupportedClaims.length} unsupported claims, ${identifiers.unsupported.length} unsupported identifiers)`);
+
+            return {
+                answer: finalAnswer,
+                grounding: {
+                    verified: true,
+                    mode: mode,
+                    score: score,
+                    claims: claims,
+                    claimsChecked: checkedClaims !== null,
+                    identifiers: identifiers,
+                    unsupported: [
+                        ...unsupportedClaims.map(claim => claim.claim),
+                        ...identifiers.unsupported
+                    ],
+                    rewritten: finalAnswer !== answer && mode === 'rewrite',
+                    flagged: finalAnswer !== answer && mode === 'flag'
+                }
+            };
+        } catch (error) {
+            console.warn(`⚠️ Grounding verification failed for ${nodeName}, keeping the answer:`, error.message);
+            return {
+                answer,
+                grounding: { verified: false, mode: mode, score: null, error: error.message }
+            };
+        }
+    }
+
+    /**
+     * Verifier LLM - Checks each factual claim of an answer against the documentation
+     * @param {string} answer - Generated answer
+     * @param {string} documentation - Documentation context
+     * @param {Object} identifiers - Result of checkCodeIdentifiers
+     * @returns {Promise<Array<Object>|null>} Claims { claim, supported, evidence, correction }, or null when the verifier output was invalid
+     */
+    async checkClaims(answer, documentation, identifiers) {
+        const verifyPrompt = promptRegistry.render('verifyGrounding', {
+            documentation: documentation || 'No documentation was retrieved.',
+            answer: answer,
+            unsupportedIdentifiers: identifiers.unsupported.length > 0 ? identifiers.unsupported.join(', ') : 'none'
+        });
+
+        const { data, valid } = await aiService.generateStructured(verifyPrompt, {
+            schema: getOutputSchema('verifyGrounding'),
+            nodeName: 'verifyGrounding',
+            maxTokens: 1200,
+            temperature: 0,
+            fallback: { claims: [] }
+        });
+
+        return valid ? data.claims : null;
+    }
+
+    /**
+     * Rewriter LLM - Corrects or removes the unsupported statements of an answer
+     * @param {string} answer - Generated answer
+     * @param {string} documentation - Documentation context
+     * @param {Array<Object>} unsupportedClaims - Claims the documentation does not support
+     * @param {Array<string>} unsupportedIdentifiers - Code identifiers missing from the documentation
+     * @param {string} userMessage - User message the answer replies to
+     * @returns {Promise<string>} Rewritten answer (the original one if the rewrite is empty)
+     */
+    async rewrite(answer, documentation, unsupportedClaims, unsupportedIdentifiers, userMessage) {
+        const issues = [
+            ...unsupportedClaims.map(claim => `- Claim: ${claim.claim}${claim.correction ? ` → documentation says: ${claim.correction}` : ' → not in the documentation'}`),
+            ...unsupportedIdentifiers.map(identifier => `- Code identifier: ${identifier} → not in the documentation`)
+        ].join('\n');
+
+        const rewritePrompt = promptRegistry.render('rewriteGrounding', {
+            documentation: documentation || 'No documentation was retrieved.',
+            userMessage: userMessage,
+            answer: answer,
+            issues: issues
+        });
+
+        const response = await aiService.generateResponse(rewritePrompt, {
+            maxTokens: 1500,
+            temperature: 0.2,
+            nodeName: 'rewriteGrounding'
+        });
+
+        return response.answer?.trim() || answer;
+    }
+
+    /**
+     * Append a note listing the statements the documentation does not support
+     * @param {string} answer - Generated answer
+     * @param {Array<Object>} unsupportedClaims - Claims the documentation does not support
+     * @param {Array<string>} unsupportedIdentifiers - Code identifiers missing from the documentation
+     * @returns {string} Answer with the note
+     */
+    flag(answer, unsupportedClaims, unsupportedIdentifiers) {
+        const lines = [
+            ...unsupportedClaims.map(claim => `- ${claim.claim}`),
+            ...unsupportedIdentifiers.map(identifier => `- \`${identifier}\``)
+        ];
+
+        return `${answer}\n\n> ⚠️ I could not verify these points in the Handit.ai documentation, please double-check them:\n${lines.map(line => `> ${line}`).join('\n')}`;
+    }
+}
+
+// Create singleton instance
+const groundingService = new GroundingService();
+
+module.exports = { GroundingService, groundingService };
@@ -0,0 +1,485 @@
+/**
+ * Optimization Flow Service
+ * Handles the multi-step flow for running a prompt optimization from chat
+ * @module services/optimizationFlowService
+ *
+ * Steps: model_selection → log_selection → confirmation. The user picks a
+ * model from get_user_models and a failing entry from get_model_logs, and
+ * the optimization job only starts after an explicit yes. IDs already given
+ * in the request skip their step.
+ */
+
+const { aiService } = require('./aiService');
+const { promptRegistry } = require('./promptRegistry');
+const { getOutputSchema } = require('../config/outputSchemas');
+
+/**
+ * Number of failing log entries offered to pick from
+ */
+const LOG_LIST_LIMIT = 5;
+
+class OptimizationFlowService {
+    constructor(apiService, actionConfirmationService, optimizationJobService) {
+        this.apiService = apiService;
+        this.actionConfirmationService = actionConfirmationService;
+        this.optimizationJobService = optimizationJobService;
+        // Store conversation states for multi-step flows
+        this.conversationStates = new Map();
+    }
+
+    /**
+     * Start the optimization flow
+     * @param {string} sessionId - Session identifier
+     * @param {string} userApiToken - User's API token
+     * @param {Object} [extractedInfo] - IDs detected in the request { modelId, modelLogId }
+     * @returns {Promise<Object>} Flow response
+     */
+    async startOptimizationFlow(sessionId, userApiToken, extractedInfo = null) {
+        try {
+            console.log(`🚀 Starting optimization flow for session: ${sessionId}`);
+
+            const modelsResult = await this.apiService.executeAction('get_user_models', {}, userApiToken);
+            if (!modelsResult.success) {
+                return {
+                    answer: `I couldn't get your models: ${modelsResult.error}. Please make sure you have the correct API access.`,
+                    success: false,
+                    step: 'error'
+                };
+            }
+
+            const models = this.toList(modelsResult.data);
+            if (models.length === 0) {
+                return {
+                    answer: "You don't have any models yet. Connect your agent with the Handit SDK first, then come back to optimize its prompts.",
+                    success: false,
+                    step: 'error'
+                };
+            }
+
+            this.conversationStates.set(sessionId, {
+                step: 'model_selection',
+                userApiToken: userApiToken,
+                availableModels: models,
+                selectedModel: null,
+                availableLogs: [],
+                selectedLog: null
+            });
+
+            const requestedModelId = extractedInfo?.modelId ? String(extractedInfo.modelId) : null;
+            const requestedModel = requestedModelId
+                ? models.find(model => String(model.id) === requestedModelId)
+                : null;
+
+            if (!requestedModel) {
+                const notFound = requestedModelId
+                    ? `I couldn't find a model with id ${requestedModelId} in your account. `
+                    : '';
+                return this.buildModelSelectionResponse(models, notFound);
+            }
+
+            const requestedLogId = parseInt(extractedInfo?.modelLogId);
+            if (!isNaN(requestedLogId)) {
+                return this.proceedToConfirmation(sessionId, requestedModel, { id: requestedLogId });
+            }
+
+            return await this.proceedToLogSelection(sessionId, requestedModel);
+
+        } catch (error) {
+            console.error('Error starting optimization flow:', error);
+            this.conversationStates.delete(sessionId);
+            return {
+                answer: 'I encountered an error starting the optimization process. Please try again.',
+                success: false,
+                step: 'error'
+            };
+        }
+    }
+
+    /**
+     * Continue the optimization flow
+     * @param {string} sessionId - Session identifier
+     * @param {string} userResponse - User's response
+     * @returns {Promise<Object>} Flow response
+     */
+    async continueFlow(sessionId, userResponse) {
+        const state = this.conversationStates.get(sessionId);
+
+        if (!state) {
+            return {
+                answer: "I don't have an active optimization session. Would you like to start optimizing one of your prompts?",
+                success: false
+            };
+        }
+
+        console.log(`🔄 Continuing optimization flow at step: ${state.step} with user response: "${userResponse}"`);
+
+        try {
+            switch (state.step) {
+                case 'model_selection':
+                    return await this.handleModelSelection(sessionId, userResponse);
+                case 'log_selection':
+                    return await this.handleLogSelection(sessionId, userResponse);
+                case 'confirmation':
+                    return await this.handleConfirmation(sessionId, userResponse);
+                default:
+                    this.conversationStates.delete(sessionId);
+                    return {
+                        answer: "I lost track of the optimization process. Tell me which model you'd like to optimize to start over.",
+                        success: false
+                    };
+            }
+        } catch (error) {
+            console.error('Error continuing optimization flow:', error);
+            return {
+                answer: 'I encountered an error in the optimization process. Please try again, or type /cancel to stop.',
+                success: false,
+                step: state.step
+            };
+        }
+    }
+
+    /**
+     * Handle the model picked by the user
+     * @param {string} sessionId - Session identifier
+     * @param {string} userResponse - User's response
+     * @returns {Promise<Object>} Flow response
+     */
+    async handleModelSelection(sessionId, userResponse) {
+        const state = this.conversationStates.get(sessionId);
+        const model = await this.selectItem(userResponse, state.availableModels, 'model', model => this.describeModel(model));
+
+        if (!model) {
+            return this.buildModelSelectionResponse(state.availableModels, "I couldn't tell which model you meant. ");
+        }
+
+        return await this.proceedToLogSelection(sessionId, model);
+    }
+
+    /**
+     * Fetch the recent failing entries of the selected model
+     * @param {string} sessionId - Session identifier
+     * @param {Object} model - Selected model
+     * @returns {Promise<Object>} Flow response
+     */
+    async proceedToLogSelection(sessionId, model) {
+        const state = this.conversationStates.get(sessionId);
+        state.selectedModel = model;
+        state.step = 'log_selection';
+
+        const logsResult = await this.apiService.executeAction(
+            'get_model_logs',
+            { modelId: model.id, status: 'failed', limit: LOG_LIST_LIMIT },
+            state.userApiToken
+        );
+
+        if (!logsResult.success) {
+            return {
+                answer: `I couldn't get the log entries of **${model.name || model.id}**: ${logsResult.error}. You can still reply with "entry <id>" for the entry you want to optimize from, or type /cancel to stop.`,
+                success: false,
+                step: 'log_selection'
+            };
+        }
+
+        state.availableLogs = this.toList(logsResult.data).slice(0, LOG_LIST_LIMIT);
+        console.log(`🎯 Found ${state.availableLogs.length} failing entries for model ${model.id}`);
+
+        return this.buildLogSelectionResponse(model, state.availableLogs);
+    }
+
+    /**
+     * Handle the log entry picked by the user
+     * @param {string} sessionId - Session identifier
+     * @param {string} userResponse - User's response
+     * @returns {Promise<Object>} Flow response
+     */
+    async handleLogSelection(sessionId, userResponse) {
+        const state = this.conversationStates.get(sessionId);
+
+        // Entries outside the list can be picked by id ("entry 1234")
+        const explicitId = userResponse.match(/\b(?:entry|log|id)\s*#?\s*(\d+)\b/i);
+        const log = explicitId
+            ? state.availableLogs.find(item => String(item.id) === explicitId[1]) || { id: parseInt(explicitId[1]) }
+            : await this.selectItem(userResponse, state.availableLogs, 'log entry', item => this.describeLog(item));
+
+        if (!log) {
+            const question = this.buildLogSelectionResponse(state.selectedModel, state.availableLogs);
+            return { ...question, answer: `I couldn't tell which entry you meant. ${question.answer}` };
+        }
+
+        return this.proceedToConfirmation(sessionId, state.selectedModel, log);
+    }
+
+    /**
+     * Ask the user to confirm the optimization
+     * @param {string} sessionId - Session identifier
+     * @param {Object} model - Selected model
+     * @param {Object} log - Selected log entry
+     * @returns {Object} Flow response
+     */
+    proceedToConfirmation(sessionId, model, log) {
+        const state = this.conversationStates.get(sessionId);
+        state.selectedModel = model;
+        state.selectedLog = log;
+        state.step = 'confirmation';
+
+        return {
+            answer: [
+                'Before I run this on your account, please confirm:',
+                '',
+                `- Model: **${model.name || model.id}** (id ${model.id})`,
+                `- Log entry: **${log.id}**`,
+                '',
+                "The optimization generates a new prompt version for this model from the failing entry. Reply **yes** to run it or **no** to cancel."
+            ].join('\n'),
+            success: true,
+            step: 'confirmation',
+            requiresConfirmation: true,
+            modelId: model.id,
+            modelLogId: log.id
+        };
+    }
+
+    /**
+     * Start the optimization job or cancel the flow from the user's reply
+     * @param {string} sessionId - Session identifier
+     * @param {string} userResponse - User's response
+     * @returns {Promise<Object>} Flow response
+     */
+    async handleConfirmation(sessionId, userResponse) {
+        const state = this.conversationStates.get(sessionId);
+        const { selectedModel: model, selectedLog: log } = state;
+        const reply = this.actionConfirmationService.classifyReply(userResponse);
+
+        if (reply === 'reject') {
+            this.conversationStates.delete(sessionId);
+            return {
+                answer: "Okay, I won't run the optimization. Let me know if you want to pick a different model or entry.",
+                success: true,
+                step: 'cancelled'
+            };
+        }
+
+        if (reply !== 'approve') {
+            return {
+                answer: `Please reply **yes** to optimize **${model.name || model.id}** from entry **${log.id}**, or **no** to cancel.`,
+                success: true,
+                step: 'confirmation',
+                requiresConfirmation: true
+            };
+        }
+
+        this.conversationStates.delete(sessionId);
+
+        const job = await this.optimizationJobService.startJob({
+            sessionId: sessionId,
+            modelId: model.id,
+            modelLogId: log.id,
+            userApiToken: state.userApiToken
+        });
+
+        return {
+            answer: `🚀 I started the optimization of **${model.name || model.id}** from log entry **${log.id}**. It runs in the background and usually takes a few minutes: check back here, I'll post a message in this conversation when it finishes.`,
+            success: true,
+            step: 'started',
+            optimization_started: true,
+            optimizationJob: job,
+            modelId: model.id,
+            modelLogId: log.id
+        };
+    }
+
+    /**
+     * Pick one item from a numbered list: list number, id or name first, then AI
+     * @param {string} userResponse - User's response
+     * @param {Array} items - Listed items
+     * @param {string} itemType - Item name for the AI prompt
+     * @param {Function} describe - Item description for the AI prompt
+     * @returns {Promise<Object|null>} Selected item, or null if unclear
+     */
+    async selectItem(userResponse, items, itemType, describe) {
+        if (items.length === 0) {
+            return null;
+        }
+
+        const reply = (userResponse || '').trim().toLowerCase();
+
+        const listNumber = reply.match(/^#?\s*(\d+)[.)]?$/);
+        if (listNumber) {
+            const number = parseInt(listNumber[1]);
+            if (number >= 1 && number <= items.length) {
+                return items[number - 1];
+            }
+        }
+
+        const tokens = reply.split(/[^a-z0-9_-]+/);
+        const byId = items.find(item => tokens.includes(String(item.id).toLowerCase()));
+        if (byId) {
+            return byId;
+        }
+
+        const byName = items.find(item => item.name && reply.includes(item.name.toLowerCase()));
+        if (byName) {
+            return byName;
+        }
+
+        return await this.analyzeSelection(userResponse, items, itemType, describe);
+    }
+
+    /**
+     * Analyze which listed item the user picked using AI
+     * @param {string} userResponse - User's response
+     * @param {Array} items - Listed items
+     * @param {string} itemType - Item name for the prompt
+     * @param {Function} describe - Item description for the prompt
+     * @returns {Promise<Object|null>} Selected item, or null if unclear
+     */
+    async analyzeSelection(userResponse, items, itemType, describe) {
+        try {
+            const analysisPrompt = promptRegistry.render('analyzeOptimizationSelection', {
+                userResponse: userResponse,
+                itemType: itemType,
+                itemsContext: items.map((item, index) => `${index + 1}. ${describe(item)}`).join('\n')
+            });
+
+            const { data: result } = await aiService.generateStructured(analysisPrompt, {
+                schema: getOutputSchema('analyzeOptimizationSelection'),
+                nodeName: 'analyzeOptimizationSelection',
+                maxTokens: 200,
+                fallback: { selectedNumber: null, confidence: 0.0, reasoning: 'Invalid output' }
+            });
+
+            const number = result.selectedNumber;
+            if (!Number.isInteger(number) || number < 1 || number > items.length || (result.confidence ?? 1) < 0.5) {
+                return null;
+            }
+            return items[number - 1];
+
+        } catch (error) {
+            console.error('Error analyzing optimization selection:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Build the model selection question
+     * @param {Array} models - User's models
+     * @param {string} [prefix] - Text before the question
+     * @returns {Object} Flow response
+     */
+    buildModelSelectionResponse(models, prefix = '') {
+        return {
+            answer: [
+                `${prefix}Which model would you like to optimize?`,
+                '',
+                ...models.map((model, index) => `${index + 1}. ${this.describeModel(model)}`),
+                '',
+                'Reply with the number or the name of the model.'
+            ].join('\n'),
+            success: true,
+            step: 'model_selection',
+            availableModels: models
+        };
+    }
+
+    /**
+     * Build the log entry selection question
+     * @param {Object} model - Selected model
+     * @param {Array} logs - Failing entries of the model
+     * @returns {Object} Flow response
+     */
+    buildLogSelectionResponse(model, logs) {
+        const modelName = model.name || model.id;
+        const lines = logs.length > 0
+            ? [
+                `These are the most recent failing entries of **${modelName}**. Which one should the optimization learn from?`,
+                '',
+                ...logs.map((log, index) => `${index + 1}. ${this.describeLog(log)}`),
+                '',
+                'Reply with the number of the entry, or with "entry <id>" for one that is not listed.'
+            ]
+            : [
+                `I didn't find recent failing entries for **${modelName}**. Once its evaluators flag an entry you can optimize from it; if you already know the entry, reply with "entry <id>".`
+            ];
+
+        return {
+            answer: lines.join('\n'),
+            success: true,
+            step: 'log_selection',
+            availableLogs: logs
+        };
+    }
+
+    /**
+     * Describe a model in a list
+     * @param {Object} model - Model
+     * @returns {string} Description
+     */
+    describeModel(model) {
+        const name = model.name ? `**${model.name}** (id ${model.id})` : `**${model.id}**`;
+        return model.description ? `${name} - ${model.description}` : name;
+    }
+
+    /**
+     * Describe a log entry in a list; log fields vary, so each one is optional
+     * @param {Object} log - Log entry
+     * @returns {string} Description
+     */
+    describeLog(log) {
+        const parts = [`Entry **${log.id}**`];
+        const createdAt = new Date(log.createdAt || log.created_at);
+        if (!isNaN(createdAt)) {
+            parts.push(createdAt.toISOString().replace('T', ' ').slice(0, 16));
+        }
+        if (log.status) {
+            parts.push(log.status);
+        }
+
+        const input = typeof log.input === 'string' ? log.input : log.input ? JSON.stringify(log.input) : '';
+        if (input) {
+            parts.push(`"${input.length > 80 ? `${input.slice(0, 80)}...` : input}"`);
+        }
+        return parts.join(' · ');
+    }
+
+    /**
+     * Read a list from an API response, wrapped in data or not
+     * @param {*} data - API response data
+     * @returns {Array} Items
+     */
+    toList(data) {
+        if (Array.isArray(data)) {
+            return data;
+        }
+        return Array.isArray(data?.data) ? data.data : [];
+    }
+
+    /**
+     * Check if there's an active flow for a session
+     * @param {string} sessionId - Session identifier
+     * @returns {boolean} Whether there's an active flow
+     */
+    hasActiveFlow(sessionId) {
+        return this.conversationStates.has(sessionId);
+    }
+
+    /**
+     * Get the current step of an active flow
+     * @param {string} sessionId - Session identifier
+     * @returns {string|null} Current step or null
+     */
+    getCurrentStep(sessionId) {
+        const state = this.conversationStates.get(sessionId);
+        return state ? state.step : null;
+    }
+
+    /**
+     * Cancel an active flow
+     * @param {string} sessionId - Session identifier
+     * @returns {void}
+     */
+    cancelFlow(sessionId) {
+        this.conversationStates.delete(sessionId);
+    }
+}
+
+module.exports = OptimizationFlowService;
@@ -0,0 +1,353 @@
+/**
+ * Optimization Job Service - Runs prompt optimizations as background jobs
+ * @module services/optimizationJobService
+ * @requires pg
+ * @requires ./optimizationService
+ * @requires ../config/optimizationJobConfig
+ *
+ * Each optimization started from chat is stored in optimization_jobs and
+ * answered right away. The job requests the optimization, polls
+ * get_optimization_status until it ends, and then posts a follow-up message
+ * into the session and calls the onJobFinished listeners.
+ *
+ * Polling runs in the instance that started the job, which records itself in
+ * locked_by and refreshes heartbeat_at on every update. Jobs are not resumed by
+ * another instance: when the heartbeat of an active job goes stale (the
+ * instance stopped, was removed or had its CPU throttled), recoverStaleJobs
+ * fails it. It runs at server startup and before jobs are read.
+ */
+
+const { Pool } = require('pg');
+const { v4: uuidv4 } = require('uuid');
+const OptimizationService = require('./optimizationService');
+const { ACTIVE_JOB_STATUSES, toJobStatus, getOptimizationJobConfig } = require('../config/optimizationJobConfig');
+
+/**
+ * Id of this server instance, stored on the jobs it polls
+ */
+const INSTANCE_ID = uuidv4();
+
+class OptimizationJobService {
+    /**
+     * @param {Object} [conversationService] - Used to post the follow-up messages; listing jobs does not need it
+     */
+    constructor(conversationService = null) {
+        this.conversationService = conversationService;
+        this.optimizationService = new OptimizationService();
+        this.config = getOptimizationJobConfig();
+        this.listeners = [];
+        this.pool = new Pool({
+            host: process.env.DB_HOST || 'localhost',
+            port: process.env.DB_PORT || 5432,
+            database: process.env.DB_NAME || 'handit_ai',
+            user: process.env.DB_USER || 'postgres',
+            password: process.env.DB_PASSWORD || 'postgres',
+            max: 20,
+            idleTimeoutMillis: 30000,
+            connectionTimeoutMillis: 2000,
+        });
+    }
+
+    /**
+     * Register a callback called with the job row when a job completes or fails
+     * @param {Function} listener - async (job) => void
+     * @returns {void}
+     */
+    onJobFinished(listener) {
+        this.listeners.push(listener);
+    }
+
+    /**
+     * Fail the active jobs whose heartbeat is stale, which no instance polls
+     * anymore, and post their follow-up messages
+     * @param {Object} [filters] - { jobId } to check a single job
+     * @returns {Promise<number>} Number of failed jobs
+     */
+    async recoverStaleJobs({ jobId = null } = {}) {
+        const result = await this.pool.query(`
+            UPDATE optimization_jobs
+            SET status = 'failed',
+                error = $1,
+                completed_at = CURRENT_TIMESTAMP,
+                updated_at = CURRENT_TIMESTAMP
+            WHERE status = ANY($2)
+            AND COALESCE(heartbeat_at, updated_at) < NOW() - make_interval(secs => $3)
+            AND ($4::uuid IS NULL OR id = $4)
+            RETURNING *
+        `, [
+            { code: 'POLLING_STOPPED', message: 'The server instance polling the optimization stopped before it finished' },
+            ACTIVE_JOB_STATUSES,
+            this.config.staleAfterMs / 1000,
+            jobId
+        ]);
+
+        for (const job of result.rows) {
+            await this.announceFinished(job);
+        }
+
+        if (result.rows.length > 0) {
+            console.log(`🧹 Failed ${result.rows.length} optimization job(s) that stopped being polled`);
+        }
+        return result.rows.length;
+    }
+
+    /**
+     * Store a job and start it in the background
+     * @param {Object} params - { sessionId, modelId, modelLogId, userApiToken }
+     * @returns {Promise<Object>} Job, still queued
+     */
+    async startJob({ sessionId, modelId, modelLogId, userApiToken }) {
+        const result = await this.pool.query(`
+            INSERT INTO optimization_jobs (session_id, model_id, model_log_id, locked_by, heartbeat_at)
+            VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP)
+            RETURNING *
+        `, [sessionId, String(modelId), modelLogId, INSTANCE_ID]);
+
+        const job = result.rows[0];
+        console.log(`🧪 Optimization job ${job.id} queued for model: ${modelId}, log: ${modelLogId}`);
+
+        // The token only lives in memory for the polls of this job
+        this.runJob(job, userApiToken).catch(error => {
+            console.error(`❌ Optimization job ${job.id} crashed:`, error);
+            return this.finishJob(job.id, 'failed', { error: { code: 'JOB_ERROR', message: error.message } });
+        }).catch(error => console.error(`❌ Could not mark optimization job ${job.id} as failed:`, error.message));
+
+        return this.formatJob(job);
+    }
+
+    /**
+     * Request the optimization and start polling it
+     * @param {Object} job - Job row
+     * @param {string} userApiToken - User's API token
+     * @returns {Promise<void>}
+     */
+    async runJob(job, userApiToken) {
+        if (!await this.updateJob(job.id, { status: 'running' })) {
+            return;
+        }
+
+        const result = await this.optimizationService.runOptimization(job.model_id, job.model_log_id, userApiToken);
+
+        if (!result.success) {
+            await this.finishJob(job.id, 'failed', { error: result.error });
+            return;
+        }
+        if (result.status === 'completed') {
+            await this.finishJob(job.id, 'completed', { optimizationId: result.optimizationId, result: result.result });
+            return;
+        }
+
+        await this.updateJob(job.id, { optimizationId: result.optimizationId });
+        this.schedulePoll(job.id, result.optimizationId, userApiToken, Date.now() + this.config.timeoutMs);
+    }
+
+    /**
+     * Schedule the next status poll of a job
+     * @param {string} jobId - Job id
+     * @param {string} optimizationId - Optimization id on Handit
+     * @param {string} userApiToken - User's API token
+     * @param {number} deadline - Time (ms) after which the job fails
+     * @returns {void}
+     */
+    schedulePoll(jobId, optimizationId, userApiToken, deadline) {
+        const timer = setTimeout(() => {
+            this.pollJob(jobId, optimizationId, userApiToken, deadline).catch(error => {
+                console.error(`❌ Error polling optimization job ${jobId}:`, error.message);
+
+                // A failed poll is retried until the deadline, then the job fails
+                if (Date.now() <= deadline) {
+                    this.schedulePoll(jobId, optimizationId, userApiToken, deadline);
+                    return;
+                }
+                this.finishJob(jobId, 'failed', {
+                    error: { code: 'POLL_ERROR', message: `The optimization status could not be read: ${error.message}` }
+                }).catch(finishError => console.error(`❌ Could not mark optimization job ${jobId} as failed:`, finishError.message));
+            });
+        }, this.config.pollIntervalMs);
+
+        // Pending polls do not keep the process alive
+        timer.unref();
+    }
+
+    /**
+     * Poll the optimization status once, then finish the job or poll again
+     * @param {string} jobId - Job id
+     * @param {string} optimizationId - Optimization id on Handit
+     * @param {string} userApiToken - User's API token
+     * @param {number} deadline - Time (ms) after which the job fails
+     * @returns {Promise<void>}
+     */
+    async pollJob(jobId, optimizationId, userApiToken, deadline) {
+        const status = await this.optimizationService.getOptimizationStatus(optimizationId, userApiToken);
+
+        // A failed status request is retried on the next poll
+        const jobStatus = status.success ? toJobStatus(status.status) : 'running';
+
+        if (jobStatus === 'completed') {
+            await this.finishJob(jobId, 'completed', { result: status.result });
+        } else if (jobStatus === 'failed') {
+            await this.finishJob(jobId, 'failed', {
+                result: status.result,
+                error: { code: 'OPTIMIZATION_FAILED', message: status.result?.error || 'The optimization failed on Handit' }
+            });
+        } else if (Date.now() > deadline) {
+            await this.finishJob(jobId, 'failed', {
+                error: { code: 'OPTIMIZATION_TIMEOUT', message: 'The optimization did not finish in time' }
+            });
+        } else {
+            // Every poll refreshes the heartbeat; a job failed meanwhile is no longer polled
+            const job = await this.updateJob(jobId, { progress: status.success ? (Math.round(status.progress) || 0) : null });
+            if (job) {
+                this.schedulePoll(jobId, optimizationId, userApiToken, deadline);
+            }
+        }
+    }
+
+    /**
+     * Store the final status of a job, post the follow-up message and call the listeners
+     * A job that already ended (for example failed as stale) is left as it is
+     * @param {string} jobId - Job id
+     * @param {string} status - 'completed' or 'failed'
+     * @param {Object} [fields] - { optimizationId, result, error }
+     * @returns {Promise<void>}
+     */
+    async finishJob(jobId, status, fields = {}) {
+        const job = await this.updateJob(jobId, { ...fields, status: status, progress: status === 'completed' ? 100 : null });
+        if (!job) {
+            console.log(`⚠️ Optimization job ${jobId} had already ended, ${status} status not stored`);
+            return;
+        }
+        await this.announceFinished(job);
+    }
+
+    /**
+     * Post the follow-up message of a finished job and call the listeners
+     * @param {Object} job - Finished job row
+     * @returns {Promise<void>}
+     */
+    async announceFinished(job) {
+        console.log(`${job.status === 'completed' ? '✅' : '❌'} Optimization job ${job.id} ${job.status}`);
+
+        try {
+            await this.postFollowUp(job);
+        } catch (error) {
+            console.error(`❌ Error posting the follow-up of optimization job ${job.id}:`, error.message);
+        }
+
+        for (const listener of this.listeners) {
+            try {
+                await listener(job);
+            } catch (error) {
+                console.error(`❌ Optimization job listener failed for ${job.id}:`, error.message);
+            }
+        }
+    }
+
+    /**
+     * Post the result of a finished job as an assistant message of its session
+     * @param {Object} job - Job row
+     * @returns {Promise<void>}
+     */
+    async postFollowUp(job) {
+        if (!this.conversationService || !job.session_id) {
+            return;
+        }
+
+        const answer = job.status === 'completed'
+            ? `✅ The optimization of model ${job.model_id} from log entry ${job.model_log_id} finished. The optimized prompt is ready to compare with your current prompt and deploy from the Release Hub.`
+            : `❌ The optimization of model ${job.model_id} from log entry ${job.model_log_id} failed: ${job.error?.message || 'unknown error'}. You can ask me to run it again.`;
+
+        const conversation = await this.conversationService.createOrGetConversation(job.session_id);
+        await this.conversationService.saveMessage(conversation.id, 'assistant', answer, {
+            metadata: {
+                optimizationJob: { id: job.id, status: job.status },
+                optimization_completed: true,
+                optimization_success: job.status === 'completed'
+            }
+        });
+    }
+
+    /**
+     * Update the stored fields of an active job and refresh its heartbeat; missing fields keep their value
+     * @param {string} jobId - Job id
+     * @param {Object} fields - { status, optimizationId, progress, result, error }
+     * @returns {Promise<Object|undefined>} Updated job row, undefined when the job already ended
+     */
+    async updateJob(jobId, { status = null, optimizationId = null, progress = null, result = null, error = null }) {
+        const updated = await this.pool.query(`
+            UPDATE optimization_jobs
+            SET status = COALESCE($2, status),
+                optimization_id = COALESCE($3, optimization_id),
+                progress = COALESCE($4, progress),
+                result = COALESCE($5, result),
+                error = COALESCE($6, error),
+                started_at = CASE WHEN $2 = 'running' THEN CURRENT_TIMESTAMP ELSE started_at END,
+                completed_at = CASE WHEN $2 IN ('completed', 'failed') THEN CURRENT_TIMESTAMP ELSE completed_at END,
+                locked_by = $7,
+                heartbeat_at = CURRENT_TIMESTAMP,
+                updated_at = CURRENT_TIMESTAMP
+            WHERE id = $1 AND status = ANY($8)
+            RETURNING *
+        `, [jobId, status, optimizationId ? String(optimizationId) : null, progress, result, error, INSTANCE_ID, ACTIVE_JOB_STATUSES]);
+
+        return updated.rows[0];
+    }
+
+    /**
+     * Get a job
+     * @param {string} jobId - Job id
+     * @returns {Promise<Object|null>} Job, or null if it does not exist
+     */
+    async getJob(jobId) {
+        await this.recoverStaleJobs({ jobId });
+        const result = await this.pool.query('SELECT * FROM optimization_jobs WHERE id = $1', [jobId]);
+        return result.rows.length > 0 ? this.formatJob(result.rows[0]) : null;
+    }
+
+    /**
+     * List jobs, newest first
+     * @param {Object} [filters] - { sessionId, modelId, status, limit, offset }
+     * @returns {Promise<Object>} { jobs, total }
+     */
+    async listJobs({ sessionId = null, modelId = null, status = null, limit = 20, offset = 0 } = {}) {
+        await this.recoverStaleJobs();
+        const result = await this.pool.query(`
+            SELECT *, COUNT(*) OVER() AS total
+            FROM optimization_jobs
+            WHERE ($1::varchar IS NULL OR session_id = $1)
+            AND ($2::varchar IS NULL OR model_id = $2)
+            AND ($3::varchar IS NULL OR status = $3)
+            ORDER BY created_at DESC
+            LIMIT $4 OFFSET $5
+        `, [sessionId, modelId, status, limit, offset]);
+
+        return {
+            jobs: result.rows.map(row => this.formatJob(row)),
+            total: result.rows.length > 0 ? parseInt(result.rows[0].total) : 0
+        };
+    }
+
+    /**
+     * Convert a job row into the API shape
+     * @param {Object} row - Job row
+     * @returns {Object} Job
+     */
+    formatJob(row) {
+        return {
+            id: row.id,
+            sessionId: row.session_id,
+            modelId: row.model_id,
+            modelLogId: row.model_log_id,
+            optimizationId: row.optimization_id,
+            status: row.status,
+            progress: row.progress,
+            result: row.result,
+            error: row.error,
+            createdAt: row.created_at,
+            startedAt: row.started_at,
+            completedAt: row.completed_at
+        };
+    }
+}
+
+module.exports = OptimizationJobService;
@@ -4,6 +4,7 @@
  */
 
 const ApiService = require('./apiService');
+const { toJobStatus } = require('../config/optimizationJobConfig');
 
 class OptimizationService {
     constructor() {
@@ -12,6 +13,8 @@ class OptimizationService {
 
     /**
      * Run optimization process based on model ID and model log ID
+     * When the API answers with an optimization id, the optimization keeps running
+     * on Handit: the status is 'running' and getOptimizationStatus follows it
      * @param {string} modelId - The model ID
      * @param {number} modelLogId - The model log ID
      * @param {string} userApiToken - Optional user API token
@@ -38,23 +41,35 @@ class OptimizationService {
             );
 
             console.log(`🔍 DEBUG - API Response:`, optimizationResult);
-            console.log(`✅ Optimization completed for model: ${modelId}, log: ${modelLogId}`);
+            if (!optimizationResult.success) {
+                throw new Error(optimizationResult.error);
+            }
+
+            const data = optimizationResult.data || {};
+            const optimizationId = data.optimizationId || data.id || null;
+            // Without an optimization id the API ran the optimization synchronously
+            const status = optimizationId ? toJobStatus(data.status) : 'completed';
+            if (status === 'failed') {
+                throw new Error(data.error || data.message || 'The optimization was rejected');
+            }
+            console.log(`✅ Optimization ${status === 'completed' ? 'completed' : 'started'} for model: ${modelId}, log: ${modelLogId}`);
 
             return {
                 success: true,
-                message: 'Optimization process finished successfully',
+                message: status === 'completed' ? 'Optimization process finished successfully' : 'Optimization process started',
                 modelId: modelId,
                 modelLogId: modelLogId,
-                optimizationId: optimizationResult.optimizationId || null,
-                status: 'completed',
+                optimizationId: optimizationId,
+                status: status,
+                result: status === 'completed' ? data : null,
                 timestamp: new Date().toISOString(),
                 flags: {
-                    optimization_completed: true,
+                    optimization_completed: status === 'completed',
                     optimization_success: true,
-                    has_optimization_results: true
+                    has_optimization_results: status === 'completed'
                 },
                 metadata: {
-                    processingTime: optimizationResult.processingTime || 0,
+                    processingTime: data.processingTime || 0,
                     apiUsed: !!userApiToken ? 'user_token' : 'environment_token'
                 }
             };
@@ -98,13 +113,17 @@ class OptimizationService {
                 },
                 userApiToken
             );
+            if (!statusResult.success) {
+                throw new Error(statusResult.error);
+            }
 
+            const data = statusResult.data || {};
             return {
                 success: true,
                 optimizationId: optimizationId,
-                status: statusResult.status || 'unknown',
-                progress: statusResult.progress || 0,
-                result: statusResult.result || null,
+                status: data.status || 'unknown',
+                progress: data.progress || 0,
+                result: data.result || null,
                 timestamp: new Date().toISOString()
             };
 
@@ -0,0 +1,321 @@
+/**
+ * Prompt Registry - Named, versioned prompt templates loaded from files
+ * @module services/promptRegistry
+ * @requires ../utils/promptTemplate
+ * @requires ../config/promptExperiments
+ *
+ * Each prompt lives in <PROMPTS_DIR>/<name>/v<version>.md (default src/prompts).
+ * The highest version of a prompt is the active one; callers may ask for a
+ * specific version. Templates are validated when they are loaded: every
+ * placeholder must be declared in variables and every declared variable must be
+ * used. With PROMPT_HOT_RELOAD enabled (default) the directory is watched and
+ * edited prompts are reloaded without a restart; a reload that fails validation
+ * keeps the previous prompts.
+ *
+ * Prompts under an enabled experiment (config/promptExperiments) render the
+ * version of the variant the session is bucketed into, and the assignment is
+ * recorded on the request context so it can be saved with the assistant message.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parsePromptFile, validateTemplate, fillTemplate } = require('../utils/promptTemplate');
+const { assignVariant, validateExperiment } = require('../utils/experimentBucketing');
+const { PROMPT_EXPERIMENTS, getActiveExperiment } = require('../config/promptExperiments');
+const { getContext } = require('../utils/requestContext');
+
+const DEFAULT_PROMPTS_DIR = path.join(__dirname, '..', 'prompts');
+const VERSION_FILE = /^v(\d+)\.md$/;
+const RELOAD_DELAY_MS = 200;
+
+class PromptRegistry {
+    constructor(promptsDir = process.env.PROMPTS_DIR || DEFAULT_PROMPTS_DIR) {
+        this.promptsDir = promptsDir;
+        // Prompt versions keyed by name, each a Map of version → prompt
+        this.prompts = new Map();
+        this.loadedAt = null;
+        this.watchers = [];
+        this.reloadTimer = null;
+    }
+
+    /**
+     * Load and validate every prompt file
+     * The registry only changes when all files are valid
+     * @returns {Object} { prompts, versions } counts
+     * @throws {Error} Listing every invalid file
+     */
+    load() {
+        const prompts = new Map();
+        const errors = [];
+
+        for (const name of fs.readdirSync(this.promptsDir).sort()) {
+            const promptDir = path.join(this.promptsDir, name);
+            if (!fs.statSync(promptDir).isDirectory()) {
+                continue;
+            }
+
+            const versions = new Map();
+            for (const file of fs.readdirSync(promptDir).sort()) {
+                const fileMatch = file.match(VERSION_FILE);
+                if (!fileMatch) {
+                    continue;
+                }
+
+                const filePath = path.join(name, file);
+                try {
+                    const prompt = this.parseFile(path.join(promptDir, file), name, Number(fileMatch[1]));
+                    versions.set(prompt.version, prompt);
+                } catch (error) {
+                    errors.push(`${filePath}: ${error.message}`);
+                }
+            }
+
+            if (versions.size > 0) {
+                prompts.set(name, versions);
+            }
+        }
+
+        errors.push(...this.checkExperiments(prompts));
+
+        if (errors.length > 0) {
+            throw new Error(`Invalid prompts:\n${errors.map(error => `- ${error}`).join('\n')}`);
+        }
+
+        this.prompts = prompts;
+        this.loadedAt = new Date().toISOString();
+
+        const versionCount = [...prompts.values()].reduce((sum, versions) => sum + versions.size, 0);
+        console.log(`📝 Loaded ${prompts.size} prompts (${versionCount} versions) from ${this.promptsDir}`);
+
+        return { prompts: prompts.size, versions: versionCount };
+    }
+
+    /**
+     * Read and validate one prompt file
+     * @param {string} filePath - Absolute file path
+     * @param {string} name - Prompt name (directory name)
+     * @param {number} version - Version from the file name
+     * @returns {Object} Prompt { name, version, description, variables, template }
+     * @throws {Error} If the front matter does not match the path or the template is invalid
+     */
+    parseFile(filePath, name, version) {
+        const { meta, template } = parsePromptFile(fs.readFileSync(filePath, 'utf8'));
+
+        if (meta.name !== name) {
+            throw new Error(`name "${meta.name}" does not match the directory "${name}"`);
+        }
+        if (meta.version !== version) {
+            throw new Error(`version ${meta.version} does not match the file name v${version}`);
+        }
+        if (!template.trim()) {
+            throw new Error('template is empty');
+        }
+
+        const variables = meta.variables || [];
+        const errors = validateTemplate(template, variables);
+        if (errors.length > 0) {
+            throw new Error(errors.join('; '));
+        }
+
+        return {
+            name: name,
+            version: version,
+            description: meta.description || '',
+            variables: variables,
+            template: template
+        };
+    }
+
+    /**
+     * Check the experiment definitions against the loaded prompts
+     * @param {Map} prompts - Prompt versions keyed by name
+     * @returns {Array<string>} Errors (empty when every experiment is valid)
+     */
+    checkExperiments(prompts) {
+        const errors = [];
+        const testedPrompts = new Set();
+
+        for (const experiment of PROMPT_EXPERIMENTS) {
+            const label = `experiment ${experiment.id || '(no id)'}`;
+            const experimentErrors = validateExperiment(experiment);
+            errors.push(...experimentErrors.map(error => `${label}: ${error}`));
+
+            if (!experiment.enabled || experimentErrors.length > 0) {
+                continue;
+            }
+            if (testedPrompts.has(experiment.prompt)) {
+                errors.push(`${label}: prompt "${experiment.prompt}" is already in another enabled experiment`);
+            }
+            testedPrompts.add(experiment.prompt);
+
+            const versions = prompts.get(experiment.prompt);
+            for (const variant of experiment.variants) {
+                if (!versions || !versions.has(variant.version)) {
+                    errors.push(`${label}: variant "${variant.name}" uses ${experiment.prompt} v${variant.version}, which does not exist`);
+                }
+            }
+        }
+
+        return errors;
+    }
+
+    /**
+     * Load the prompts on first use
+     */
+    ensureLoaded() {
+        if (!this.loadedAt) {
+            this.load();
+        }
+    }
+
+    /**
+     * Get a prompt version
+     * @param {string} name - Prompt name
+     * @param {number} [version] - Version, the active (highest) one when omitted
+     * @returns {Object} Prompt
+     * @throws {Error} If the prompt or version does not exist
+     */
+    get(name, version = null) {
+        this.ensureLoaded();
+
+        const versions = this.prompts.get(name);
+        if (!versions) {
+            throw new Error(`Unknown prompt "${name}"`);
+        }
+
+        const selectedVersion = version || Math.max(...versions.keys());
+        const prompt = versions.get(Number(selectedVersion));
+        if (!prompt) {
+            throw new Error(`Prompt "${name}" has no version ${selectedVersion}`);
+        }
+
+        return prompt;
+    }
+
+    /**
+     * Pick the version of a prompt for the session being processed
+     * Records the experiment assignment on the request context
+     * @param {string} name - Prompt name
+     * @returns {number|null} Variant version, or null when the prompt is not under test
+     */
+    resolveExperimentVersion(name) {
+        const experiment = getActiveExperiment(name);
+        const context = getContext();
+        if (!experiment || !context || !context.sessionId) {
+            return null;
+        }
+
+        const variant = assignVariant(experiment, context.sessionId);
+
+        if (!context.experiments) {
+            context.experiments = {};
+        }
+        context.experiments[experiment.id] = {
+            prompt: name,
+            variant: variant.name,
+            version: variant.version
+        };
+
+        return variant.version;
+    }
+
+    /**
+     * Render a prompt with its variables
+     * The result carries the prompt name and version so aiService can record
+     * them on the trace span of the call
+     * @param {string} name - Prompt name
+     * @param {Object} variables - Variable values; every declared variable must be present
+     * @param {Object} [options] - { version }; without a version the experiment variant or active version is used
+     * @returns {Object} Rendered prompt { name, version, text }
+     * @throws {Error} If the prompt does not exist or a variable is missing
+     */
+    render(name, variables = {}, options = {}) {
+        const prompt = this.get(name, options.version || this.resolveExperimentVersion(name));
+
+        const missing = prompt.variables.filter(variable => !(variable in variables));
+        if (missing.length > 0) {
+            throw new Error(`Prompt "${name}" v${prompt.version} is missing variables: ${missing.join(', ')}`);
+        }
+
+        return {
+            name: prompt.name,
+            version: prompt.version,
+            text: fillTemplate(prompt.template, variables)
+        };
+    }
+
+    /**
+     * List the prompts and their versions
+     * @returns {Array<Object>} Prompts { name, activeVersion, versions: [{ version, description, variables }] }
+     */
+    list() {
+        this.ensureLoaded();
+
+        return [...this.prompts.entries()].map(([name, versions]) => ({
+            name: name,
+            activeVersion: Math.max(...versions.keys()),
+            versions: [...versions.values()]
+                .sort((a, b) => a.version - b.version)
+                .map(prompt => ({
+                    version: prompt.version,
+                    description: prompt.description,
+                    variables: prompt.variables
+                }))
+        }));
+    }
+
+    /**
+     * Watch the prompts directory and reload on changes
+     * Disabled when PROMPT_HOT_RELOAD is "false"
+     */
+    watch() {
+        if (process.env.PROMPT_HOT_RELOAD === 'false' || this.watchers.length > 0) {
+            return;
+        }
+
+        const directories = [this.promptsDir, ...fs.readdirSync(this.promptsDir)
+            .map(name => path.join(this.promptsDir, name))
+            .filter(directory => fs.statSync(directory).isDirectory())];
+
+        for (const directory of directories) {
+            const watcher = fs.watch(directory, () => this.scheduleReload());
+            watcher.unref();
+            this.watchers.push(watcher);
+        }
+
+        console.log(`👀 Watching ${directories.length} prompt directories for changes`);
+    }
+
+    /**
+     * Reload shortly after the last change, so saving several files reloads once
+     */
+    scheduleReload() {
+        clearTimeout(this.reloadTimer);
+        this.reloadTimer = setTimeout(() => {
+            try {
+                this.load();
+                // New prompt directories need their own watcher
+                this.unwatch();
+                this.watch();
+            } catch (error) {
+                console.error('❌ Prompt reload failed, keeping the previous prompts:', error.message);
+            }
+        }, RELOAD_DELAY_MS);
+        this.reloadTimer.unref();
+    }
+
+    /**
+     * Stop watching the prompts directory
+     */
+    unwatch() {
+        for (const watcher of this.watchers) {
+            watcher.close();
+        }
+        this.watchers = [];
+    }
+}
+
+// Create singleton instance
+const promptRegistry = new PromptRegistry();
+
+module.exports = { PromptRegistry, promptRegistry };
@@ -0,0 +1,225 @@
+/**
+ * Retrieval Service - Selects the documentation chunks each agent node needs
+ * @module services/retrievalService
+ * @requires ./aiService
+ * @requires ../config/pinecone
+ * @requires ../config/retrievalConfig
+ */
+
+const { aiService } = require('./aiService');
+const { handitKnowledgeBase } = require('../config/pinecone');
+const { getRetrievalBudget } = require('../config/retrievalConfig');
+const { getContext } = require('../utils/requestContext');
+
+const STOP_WORDS = new Set([
+    'the', 'and', 'for', 'with', 'that', 'this', 'what', 'how', 'can', 'you',
+    'your', 'are', 'does', 'from', 'have', 'not', 'but', 'about', 'want', 'need',
+    'como', 'que', 'para', 'con', 'una', 'los', 'las', 'por', 'del', 'quiero'
+]);
+
+/**
+ * Retrieval service with vector search and a local lexical fallback
+ */
+class RetrievalService {
+    constructor() {
+        // Local index over handitKnowledgeBase, used when the vector index is unavailable
+        this.localChunks = handitKnowledgeBase.map((text, index) => ({
+            id: `handit-kb-${index}`,
+            text: text,
+            title: text.trim().split('\n')[0],
+            terms: this.tokenize(text)
+        }));
+    }
+
+    /**
+     * Retrieve documentation context for a node
+     * @param {string} nodeName - Agent node name, used to pick the retrieval budget
+     * @param {string} userMessage - Current user message
+     * @param {Object} conversationHistory - Conversation history
+     * @returns {Promise<Object>} Context text and the chunks it was built from
+     */
+    async retrieveContext(nodeName, userMessage, conversationHistory) {
+        const budget = getRetrievalBudget(nodeName);
+        const query = this.buildQuery(userMessage, conversationHistory, budget.historyMessages);
+
+        let chunks = [];
+        try {
+            const documents = await aiService.searchRelevantDocuments(query, {
+                topK: budget.topK,
+                minScore: budget.minScore
+            });
+
+            chunks = documents
+                .filter(doc => doc.text)
+                .map(doc => ({
+                    id: doc.id,
+                    score: doc.score,
+                    text: doc.text,
+                    title: doc.text.trim().split('\n')[0]
+                }));
+        } catch (error) {
+            console.warn(`⚠️ Vector search failed for ${nodeName}, using local ranking:`, error.message);
+        }
+
+        if (chunks.length === 0) {
+            chunks = this.rankLocalChunks(query, budget.topK);
+        }
+
+        if (budget.includeOverview && !chunks.some(chunk => chunk.id === this.localChunks[0].id)) {
+            const overview = this.localChunks[0];
+            chunks.unshift({ id: overview.id, score: 1, text: overview.text, title: overview.title });
+        }
+
+        const selected = this.applyCharBudget(chunks, budget.maxChars);
+        this.recordSources(nodeName, selected, budget.answerNode);
+
+        console.log(`📚 Retrieved ${selected.length} chunks for ${nodeName}`);
+
+        return {
+            context: selected.map(chunk => chunk.text).join('\n\n---\n\n'),
+            chunks: selected
+        };
+    }
+
+    /**
+     * Build the retrieval query from the current message and recent user messages
+     * @param {string} userMessage - Current user message
+     * @param {Object} conversationHistory - Conversation history
+     * @param {number} historyMessages - Number of previous user messages to include
+     * @returns {string} Retrieval query
+     */
+    buildQuery(userMessage, conversationHistory, historyMessages) {
+        const previousMessages = (conversationHistory?.messages || [])
+            .filter(msg => msg.role === 'user')
+            .slice(-historyMessages)
+            .map(msg => msg.content);
+
+        return [...previousMessages, userMessage].join('\n');
+    }
+
+    /**
+     * Rank the local knowledge base chunks against a query
+     * @param {string} query - Retrieval query
+     * @param {number} topK - Number of chunks to return
+     * @returns {Array<Object>} Ranked chunks with normalized scores
+     */
+    rankLocalChunks(query, topK) {
+        const queryTerms = [...new Set(this.tokenize(query))];
+        const totalChunks = this.localChunks.length;
+
+        const scored = this.localChunks.map(chunk => {
+            let score = 0;
+            for (const term of queryTerms) {
+                const frequency = chunk.terms.filter(t => t === term).length;
+                if (frequency === 0) continue;
+
+                const documentFrequency = this.localChunks.filter(c => c.terms.includes(term)).length;
+                const idf = Math.log(1 + totalChunks / documentFrequency);
+                const titleBoost = chunk.title.toLowerCase().includes(term) ? 2 : 1;
+                score += Math.log(1 + frequency) * idf * titleBoost;
+            }
+            return { chunk, score };
+        });
+
+        const maxScore = Math.max(...scored.map(item => item.score));
+        if (maxScore === 0) {
+            return [];
+        }
+
+        return scored
+            .filter(item => item.score > 0)
+            .sort((a, b) => b.score - a.score)
+            .slice(0, topK)
+            .map(({ chunk, score }) => ({
+                id: chunk.id,
+                score: Number((score / maxScore).toFixed(4)),
+                text: chunk.text,
+                title: chunk.title
+            }));
+    }
+
+    /**
+     * Keep chunks in rank order until the character budget is reached
+     * @param {Array<Object>} chunks - Ranked chunks
+     * @param {number} maxChars - Character budget
+     * @returns {Array<Object>} Chunks that fit the budget (at least one)
+     */
+    applyCharBudget(chunks, maxChars) {
+        const selected = [];
+        let usedChars = 0;
+
+        for (const chunk of chunks) {
+            if (selected.length > 0 && usedChars + chunk.text.length > maxChars) {
+                continue;
+            }
+            selected.push(chunk);
+            usedChars += chunk.text.length;
+        }
+
+        return selected;
+    }
+
+    /**
+     * Record retrieved chunks on the current request so they can be returned as sources
+     * @param {string} nodeName - Node that retrieved the chunks
+     * @param {Array<Object>} chunks - Retrieved chunks
+     * @param {boolean} answerNode - Whether the chunks feed the final answer
+     */
+    recordSources(nodeName, chunks, answerNode) {
+        const context = getContext();
+        if (!context) {
+            return;
+        }
+
+        if (!context.sources) {
+            context.sources = new Map();
+        }
+
+        for (const chunk of chunks) {
+            const existing = context.sources.get(chunk.id);
+            if (existing) {
+                existing.score = Math.max(existing.score, chunk.score);
+                existing.usedInResponse = existing.usedInResponse || answerNode;
+                if (!existing.nodes.includes(nodeName)) {
+                    existing.nodes.push(nodeName);
+                }
+            } else {
+                context.sources.set(chunk.id, {
+                    id: chunk.id,
+                    score: chunk.score,
+                    title: chunk.title,
+                    nodes: [nodeName],
+                    usedInResponse: answerNode
+                });
+            }
+        }
+    }
+
+    /**
+     * Get the sources recorded for the current request
+     * @returns {Array<Object>} Sources ordered by score
+     */
+    getSources() {
+        const context = getContext();
+        if (!context || !context.sources) {
+            return [];
+        }
+
+        return [...context.sources.values()].sort((a, b) => b.score - a.score);
+    }
+
+    /**
+     * Split text into lowercase search terms
+     * @param {string} text - Text to tokenize
+     * @returns {Array<string>} Terms
+     */
+    tokenize(text) {
+        return (text.toLowerCase().match(/[a-z0-9áéíóúñ_-]+/g) || [])
+            .filter(term => term.length > 2 && !STOP_WORDS.has(term));
+    }
+}
+
+// Create singleton instance
+const retrievalService = new RetrievalService();
+
+module.exports = { RetrievalService, retrievalService };
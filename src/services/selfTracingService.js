@@ -0,0 +1,224 @@
+/**
+ * Self-Tracing Service - Records the agent's own LLM calls and API actions as Handit traces
+ * @module services/selfTracingService
+ * @requires ./traceExporters
+ * @requires ../config/selfTracingConfig
+ *
+ * Events follow the Handit SDK tracing model (startTracing, trackNode,
+ * endTracing): each chat turn is one execution, and every LLM call ("llm"
+ * node) and API action ("tool" node) made while it is processed is tracked
+ * with its input, output, timing and error. Calls made outside a chat turn
+ * get an execution of their own. Events are queued and exported in batches.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const { getContext } = require('../utils/requestContext');
+const { getSelfTracingConfig } = require('../config/selfTracingConfig');
+const { createTraceExporter } = require('./traceExporters');
+
+class SelfTracingService {
+    constructor() {
+        this.config = null;
+        this.exporter = null;
+        this.queue = [];
+        this.flushTimer = null;
+        this.flushing = null;
+    }
+
+    /**
+     * Read the config and create the exporter on first use
+     * @returns {boolean} True when tracing is on
+     */
+    isEnabled() {
+        if (!this.config) {
+            this.config = getSelfTracingConfig();
+            this.exporter = createTraceExporter(this.config);
+            if (this.exporter) {
+                console.log(`🛰️ Self-tracing enabled: ${this.config.exporter} exporter → ${this.exporter.describe()}`);
+            }
+        }
+        return this.exporter !== null;
+    }
+
+    /**
+     * Start an execution
+     * @param {Object} [metadata] - Extra details, e.g. { sessionId, pipeline }
+     * @returns {Object|null} Execution { executionId, startedAt, nodeCount }, or null when tracing is off
+     */
+    startTracing(metadata = {}) {
+        if (!this.isEnabled()) {
+            return null;
+        }
+
+        const execution = { executionId: uuidv4(), startedAt: Date.now(), nodeCount: 0 };
+        this.enqueue({
+            type: 'startTracing',
+            executionId: execution.executionId,
+            agentName: this.config.agentName,
+            timestamp: new Date(execution.startedAt).toISOString(),
+            metadata: metadata
+        });
+
+        return execution;
+    }
+
+    /**
+     * End an execution
+     * @param {Object} execution - Execution returned by startTracing
+     * @param {string} [error] - Error that ended the execution
+     */
+    endTracing(execution, error = null) {
+        if (!execution || !this.isEnabled()) {
+            return;
+        }
+
+        this.enqueue({
+            type: 'endTracing',
+            executionId: execution.executionId,
+            agentName: this.config.agentName,
+            timestamp: new Date().toISOString(),
+            durationMs: Date.now() - execution.startedAt,
+            nodeCount: execution.nodeCount,
+            error: error
+        });
+    }
+
+    /**
+     * End the execution of the current chat turn, if one was started
+     * @param {Object} context - Request context of the turn
+     * @param {string} [error] - Error that ended the turn
+     */
+    endRequestTracing(context, error = null) {
+        if (context?.handitExecution) {
+            this.endTracing(context.handitExecution, error);
+            context.handitExecution = null;
+        }
+    }
+
+    /**
+     * Track a node of the current execution
+     * @param {Object} node - Node data
+     * @param {string} node.nodeName - Node name
+     * @param {string} node.nodeType - "llm" or "tool"
+     * @param {Object} node.input - { systemPrompt, userPrompt, extraDetails } for llm nodes, { toolName, parameters, extraDetails } for tool nodes
+     * @param {*} node.output - Node output
+     * @param {number} node.startTime - Start timestamp
+     * @param {string} [node.error] - Error message if the node failed
+     */
+    trackNode({ nodeName, nodeType, input, output, startTime, error = null }) {
+        if (!this.isEnabled()) {
+            return;
+        }
+
+        try {
+            // Nodes of a chat turn share its execution; other calls get their own
+            const context = getContext();
+            let execution = context?.handitExecution;
+            const standalone = !context;
+            if (!execution) {
+                execution = this.startTracing(context ? { sessionId: context.sessionId, pipeline: context.pipeline } : {});
+                if (context) {
+                    context.handitExecution = execution;
+                }
+            }
+
+            const endTime = Date.now();
+            execution.nodeCount++;
+            this.enqueue({
+                type: 'trackNode',
+                executionId: execution.executionId,
+                agentName: this.config.agentName,
+                nodeName: nodeName,
+                nodeType: nodeType,
+                input: input,
+                output: output === undefined ? null : output,
+                startedAt: new Date(startTime).toISOString(),
+                endedAt: new Date(endTime).toISOString(),
+                durationMs: endTime - startTime,
+                error: error
+            });
+
+            if (standalone) {
+                this.endTracing(execution, error);
+            }
+        } catch (trackError) {
+            console.warn(`⚠️ Could not track node ${nodeName}:`, trackError.message);
+        }
+    }
+
+    /**
+     * Queue an event and flush when a batch is full
+     * @param {Object} event - Trace event
+     */
+    enqueue(event) {
+        this.queue.push(event);
+
+        if (this.queue.length >= this.config.batchSize) {
+            this.flush();
+        } else if (!this.flushTimer) {
+            this.flushTimer = setTimeout(() => {
+                this.flushTimer = null;
+                this.flush();
+            }, this.config.flushIntervalMs);
+            this.flushTimer.unref();
+        }
+    }
+
+    /**
+     * Export the queued events in batches
+     * A batch that fails is put back in the queue for the next flush
+     * @returns {Promise<void>}
+     */
+    flush() {
+        if (this.flushing) {
+            return this.flushing;
+        }
+
+        this.flushing = (async () => {
+            while (this.queue.length > 0) {
+                const batch = this.queue.splice(0, this.config.batchSize);
+                try {
+                    await this.exporter.export(batch);
+                } catch (error) {
+                    this.queue.unshift(...batch);
+                    const dropped = this.queue.length - this.config.maxQueueSize;
+                    if (dropped > 0) {
+                        this.queue.splice(0, dropped);
+                    }
+                    console.warn(`⚠️ Trace export failed, ${this.queue.length} events queued${dropped > 0 ? ` (${dropped} dropped)` : ''}:`, error.message);
+                    break;
+                }
+            }
+        })().finally(() => {
+            this.flushing = null;
+            // Retry later what is still queued
+            if (this.queue.length > 0 && !this.flushTimer) {
+                this.flushTimer = setTimeout(() => {
+                    this.flushTimer = null;
+                    this.flush();
+                }, this.config.flushIntervalMs);
+                this.flushTimer.unref();
+            }
+        });
+
+        return this.flushing;
+    }
+
+    /**
+     * Export what is left in the queue before the process exits
+     * @returns {Promise<void>}
+     */
+    async shutdown() {
+        if (!this.exporter) {
+            return;
+        }
+        clearTimeout(this.flushTimer);
+        this.flushTimer = null;
+        await this.flush();
+    }
+}
+
+// Create singleton instance
+const selfTracingService = new SelfTracingService();
+
+module.exports = { SelfTracingService, selfTracingService };
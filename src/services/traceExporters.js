@@ -0,0 +1,99 @@
+/**
+ * Trace Exporters - Send batches of self-tracing events to their destination
+ * @module services/traceExporters
+ * @requires axios
+ *
+ * Every exporter has the same interface: export(events) resolves once the
+ * batch is stored and rejects when it could not be, so the caller can retry.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+
+/**
+ * POSTs batches to a trace collector
+ */
+class HttpTraceExporter {
+    /**
+     * @param {Object} options - { collectorUrl, apiKey }
+     */
+    constructor({ collectorUrl, apiKey }) {
+        this.collectorUrl = collectorUrl;
+        this.apiKey = apiKey;
+    }
+
+    /**
+     * Send a batch of events
+     * @param {Array<Object>} events - Trace events
+     * @returns {Promise<void>}
+     */
+    async export(events) {
+        const headers = { 'Content-Type': 'application/json' };
+        if (this.apiKey) {
+            headers['Authorization'] = `Bearer ${this.apiKey}`;
+        }
+
+        await axios.post(this.collectorUrl, { events }, { headers, timeout: 10000 });
+    }
+
+    /**
+     * Describe the destination for logs
+     * @returns {string} Collector URL
+     */
+    describe() {
+        return this.collectorUrl;
+    }
+}
+
+/**
+ * Appends batches to a JSON lines file, one event per line
+ */
+class FileTraceExporter {
+    /**
+     * @param {Object} options - { filePath }
+     */
+    constructor({ filePath }) {
+        this.filePath = filePath;
+    }
+
+    /**
+     * Append a batch of events
+     * @param {Array<Object>} events - Trace events
+     * @returns {Promise<void>}
+     */
+    async export(events) {
+        await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+        await fs.promises.appendFile(this.filePath, events.map(event => JSON.stringify(event)).join('\n') + '\n');
+    }
+
+    /**
+     * Describe the destination for logs
+     * @returns {string} File path
+     */
+    describe() {
+        return this.filePath;
+    }
+}
+
+/**
+ * Create the exporter selected in the self-tracing config
+ * @param {Object} config - Result of getSelfTracingConfig
+ * @returns {Object|null} Exporter, or null when tracing is off
+ */
+function createTraceExporter(config) {
+    switch (config.exporter) {
+        case 'http':
+            return new HttpTraceExporter(config);
+        case 'file':
+            return new FileTraceExporter(config);
+        default:
+            return null;
+    }
+}
+
+module.exports = {
+    HttpTraceExporter,
+    FileTraceExporter,
+    createTraceExporter
+};
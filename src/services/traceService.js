@@ -0,0 +1,130 @@
+/**
+ * Trace Service - Persists and reads the LLM spans of each chat turn
+ * @module services/traceService
+ * @requires pg
+ */
+
+const { Pool } = require('pg');
+
+class TraceService {
+    constructor() {
+        this.pool = new Pool({
+            host: process.env.DB_HOST || 'localhost',
+            port: process.env.DB_PORT || 5432,
+            database: process.env.DB_NAME || 'handit_ai',
+            user: process.env.DB_USER || 'postgres',
+            password: process.env.DB_PASSWORD || 'postgres',
+            max: 20,
+            idleTimeoutMillis: 30000,
+            connectionTimeoutMillis: 2000,
+        });
+    }
+
+    /**
+     * Save the spans of a turn against its assistant message
+     * @param {string} messageId - Assistant message ID
+     * @param {string} conversationId - Conversation ID
+     * @param {Array<Object>} spans - Spans recorded during the turn
+     * @returns {Promise<boolean>} Success status
+     */
+    async saveSpans(messageId, conversationId, spans) {
+        try {
+            for (const span of spans) {
+                await this.pool.query(`
+                    INSERT INTO trace_spans (
+                        message_id, conversation_id, sequence, node_name, model,
+                        prompt, prompt_name, prompt_version, raw_output, parsed_result,
+                        latency_ms, tokens_used, error, started_at
+                    )
+                    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
+                `, [
+                    messageId, conversationId, span.sequence, span.nodeName, span.model,
+                    span.prompt, span.promptName || null, span.promptVersion || null, span.rawOutput, JSON.stringify(span.parsedResult),
+                    span.latencyMs, span.tokensUsed, span.error || null, span.startedAt
+                ]);
+            }
+            return true;
+        } catch (error) {
+            console.error('Error saving trace spans:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Get the traced turns of a session, most recent last
+     * @param {string} sessionId - Session identifier
+     * @param {number} limit - Maximum number of turns
+     * @returns {Promise<Array<Object>>} Turns with their spans
+     */
+    async getSessionTraces(sessionId, limit = 20) {
+        try {
+            const messages = await this.pool.query(`
+                SELECT m.id, m.content, m.timestamp, m.processing_time_ms,
+                    (
+                        SELECT u.content FROM messages u
+                        WHERE u.conversation_id = m.conversation_id AND u.role = 'user'
+                            AND u.timestamp <= m.timestamp
+                        ORDER BY u.timestamp DESC
+                        LIMIT 1
+                    ) AS question
+                FROM messages m
+                JOIN conversations c ON m.conversation_id = c.id
+                WHERE c.session_id = $1 AND m.role = 'assistant'
+                    AND EXISTS (SELECT 1 FROM trace_spans s WHERE s.message_id = m.id)
+                ORDER BY m.timestamp DESC
+                LIMIT $2
+            `, [sessionId, limit]);
+
+            if (messages.rows.length === 0) {
+                return [];
+            }
+
+            const messageIds = messages.rows.map(row => row.id);
+            const spans = await this.pool.query(`
+                SELECT message_id, sequence, node_name, model, prompt, prompt_name, prompt_version,
+                    raw_output, parsed_result, latency_ms, tokens_used, error, started_at
+                FROM trace_spans
+                WHERE message_id = ANY($1)
+                ORDER BY sequence ASC
+            `, [messageIds]);
+
+            return messages.rows.reverse().map(message => {
+                const turnSpans = spans.rows.filter(span => span.message_id === message.id);
+                return {
+                    messageId: message.id,
+                    question: message.question,
+                    answer: message.content,
+                    timestamp: message.timestamp,
+                    processingTimeMs: message.processing_time_ms,
+                    totalTokens: turnSpans.reduce((sum, span) => sum + (span.tokens_used || 0), 0),
+                    spans: turnSpans.map(span => ({
+                        sequence: span.sequence,
+                        nodeName: span.node_name,
+                        model: span.model,
+                        prompt: span.prompt,
+                        promptName: span.prompt_name,
+                        promptVersion: span.prompt_version,
+                        rawOutput: span.raw_output,
+                        parsedResult: span.parsed_result,
+                        latencyMs: span.latency_ms,
+                        tokensUsed: span.tokens_used,
+                        error: span.error,
+                        startedAt: span.started_at
+                    }))
+                };
+            });
+        } catch (error) {
+            console.error('Error getting session traces:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Close database connection pool
+     */
+    async close() {
+        await this.pool.end();
+    }
+}
+
+module.exports = TraceService;
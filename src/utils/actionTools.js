@@ -0,0 +1,113 @@
+/**
+ * API Action Tools Utility Module
+ * @module utils/actionTools
+ *
+ * Generates OpenAI function-calling tool definitions from the actions in
+ * config/apiActions.json and validates the arguments of a tool call before the
+ * action is executed.
+ *
+ * Parameter types come from requestBody when declared there. Path parameters
+ * (e.g. {modelId}) accept a string or an integer ID, other parameters a string
+ * or a number.
+ */
+
+const { validateSchema } = require('./jsonSchema');
+
+/**
+ * Get the names of the path parameters of an endpoint
+ * @param {string} endpoint - Endpoint template such as /api/models/{modelId}
+ * @returns {Array<string>} Path parameter names
+ */
+function getPathParameters(endpoint) {
+    return (endpoint.match(/\{([^}]+)\}/g) || []).map(match => match.slice(1, -1));
+}
+
+/**
+ * Build the JSON schema of the arguments of an action
+ * @param {Object} actionConfig - Action definition from apiActions.json
+ * @returns {Object} JSON schema of the tool arguments
+ */
+function buildParameterSchema(actionConfig) {
+    const required = actionConfig.parameters?.required || [];
+    const optional = actionConfig.parameters?.optional || [];
+    const requestBody = actionConfig.requestBody || {};
+    const pathParameters = getPathParameters(actionConfig.endpoint);
+
+    const names = [...new Set([...required, ...optional, ...Object.keys(requestBody)])];
+    const properties = {};
+
+    for (const name of names) {
+        if (pathParameters.includes(name)) {
+            properties[name] = {
+                type: ['string', 'integer'],
+                minLength: 1,
+                description: `Path parameter of ${actionConfig.endpoint}`
+            };
+        } else if (requestBody[name]) {
+            properties[name] = {
+                type: requestBody[name],
+                description: 'Request body field'
+            };
+        } else {
+            properties[name] = {
+                type: ['string', 'number'],
+                description: actionConfig.method === 'GET' ? 'Query parameter' : 'Parameter'
+            };
+        }
+    }
+
+    return {
+        type: 'object',
+        properties: properties,
+        required: required
+    };
+}
+
+/**
+ * Build the function-calling tool definition of an action
+ * @param {string} actionName - Action name, used as the function name
+ * @param {Object} actionConfig - Action definition from apiActions.json
+ * @returns {Object} OpenAI tool definition
+ */
+function buildToolDefinition(actionName, actionConfig) {
+    return {
+        type: 'function',
+        function: {
+            name: actionName,
+            description: `${actionConfig.description} (${actionConfig.method} ${actionConfig.endpoint})`,
+            parameters: buildParameterSchema(actionConfig)
+        }
+    };
+}
+
+/**
+ * Validate the arguments of a tool call against the action schema
+ * Arguments the action does not declare are dropped.
+ * @param {Object} actionConfig - Action definition from apiActions.json
+ * @param {Object} args - Tool call arguments
+ * @returns {Object} { valid, parameters, errors }
+ */
+function validateActionArguments(actionConfig, args) {
+    const schema = buildParameterSchema(actionConfig);
+
+    if (!args || typeof args !== 'object' || Array.isArray(args)) {
+        return { valid: false, parameters: {}, errors: ['arguments should be an object'] };
+    }
+
+    const parameters = {};
+    for (const [key, value] of Object.entries(args)) {
+        if (schema.properties[key] && value !== null && value !== undefined) {
+            parameters[key] = value;
+        }
+    }
+
+    const errors = validateSchema(parameters, schema, 'arguments');
+
+    return { valid: errors.length === 0, parameters, errors };
+}
+
+module.exports = {
+    buildParameterSchema,
+    buildToolDefinition,
+    validateActionArguments
+};
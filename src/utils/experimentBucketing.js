@@ -0,0 +1,97 @@
+/**
+ * Experiment Bucketing Utility Module
+ * @module utils/experimentBucketing
+ *
+ * Deterministic assignment of sessions to experiment variants: the same
+ * session always lands in the same variant of an experiment, and each
+ * experiment buckets independently of the others.
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Get the bucket of a session in an experiment
+ * @param {string} experimentId - Experiment identifier
+ * @param {string} sessionId - Session identifier
+ * @returns {number} Bucket in [0, 1)
+ */
+function getBucket(experimentId, sessionId) {
+    const hash = crypto.createHash('sha1').update(`${experimentId}:${sessionId}`).digest();
+    return hash.readUInt32BE(0) / 0x100000000;
+}
+
+/**
+ * Pick the variant that owns a bucket
+ * Weights are relative: [80, 20] and [4, 1] split the traffic the same way
+ * @param {Array<Object>} variants - Variants with a weight
+ * @param {number} bucket - Bucket in [0, 1)
+ * @returns {Object} Selected variant
+ */
+function pickVariant(variants, bucket) {
+    const totalWeight = variants.reduce((sum, variant) => sum + variant.weight, 0);
+    let threshold = 0;
+
+    for (const variant of variants) {
+        threshold += variant.weight / totalWeight;
+        if (bucket < threshold) {
+            return variant;
+        }
+    }
+
+    // Rounding can leave the last bucket just above the final threshold
+    return variants[variants.length - 1];
+}
+
+/**
+ * Assign a session to a variant of an experiment
+ * @param {Object} experiment - Experiment with id and variants
+ * @param {string} sessionId - Session identifier
+ * @returns {Object} Selected variant
+ */
+function assignVariant(experiment, sessionId) {
+    return pickVariant(experiment.variants, getBucket(experiment.id, sessionId));
+}
+
+/**
+ * Check an experiment definition
+ * @param {Object} experiment - Experiment definition
+ * @returns {Array<string>} Errors (empty when the definition is valid)
+ */
+function validateExperiment(experiment) {
+    const errors = [];
+
+    if (!experiment.id) {
+        errors.push('missing id');
+    }
+    if (!experiment.prompt) {
+        errors.push('missing prompt');
+    }
+    if (!Array.isArray(experiment.variants) || experiment.variants.length < 2) {
+        errors.push('needs at least two variants');
+        return errors;
+    }
+
+    const names = new Set();
+    for (const variant of experiment.variants) {
+        if (!variant.name || names.has(variant.name)) {
+            errors.push(`variant name "${variant.name}" is missing or repeated`);
+        }
+        names.add(variant.name);
+
+        if (!Number.isInteger(variant.version) || variant.version < 1) {
+            errors.push(`variant "${variant.name}" has an invalid version`);
+        }
+        if (typeof variant.weight !== 'number' || variant.weight <= 0) {
+            errors.push(`variant "${variant.name}" needs a positive weight`);
+        }
+    }
+
+    return errors;
+}
+
+module.exports = {
+    getBucket,
+    pickVariant,
+    assignVariant,
+    validateExperiment
+};
@@ -0,0 +1,140 @@
+/**
+ * Grounding Utility Module
+ * @module utils/grounding
+ *
+ * Deterministic part of the answer grounding check: code identifiers (function
+ * calls, dotted names, imported modules and packages) written in the code of an
+ * answer must appear in the documentation the answer was generated from.
+ */
+
+/**
+ * Language built-ins and common library names that the documentation does not
+ * need to mention
+ */
+const COMMON_IDENTIFIERS = new Set([
+    'print', 'len', 'str', 'int', 'dict', 'list', 'range', 'open', 'isinstance', 'super',
+    'os', 'os.environ', 'os.getenv', 'os.environ.get', 'json', 'json.dumps', 'json.loads',
+    'sys', 'logging', 'typing', 'uuid', 'time', 'time.time', 'datetime', 'asyncio', 'asyncio.run', 'dotenv', 'load_dotenv', 'self',
+    'console', 'console.log', 'console.error', 'process', 'process.env', 'require', 'import',
+    'JSON', 'JSON.stringify', 'JSON.parse', 'Date', 'Date.now', 'Promise', 'Promise.all',
+    'Object', 'Object.keys', 'Array', 'Math', 'fetch', 'setTimeout', 'module.exports',
+    'dotenv.config', 'return', 'if', 'for', 'while', 'catch', 'function', 'async', 'await',
+    'def', 'class', 'new', 'export', 'const', 'let', 'var', 'from', 'pip', 'npm', 'install'
+]);
+
+/**
+ * Receivers of dotted names that belong to the user's own code
+ */
+const LOCAL_RECEIVERS = new Set(['self', 'this', 'os', 'json', 'console', 'process', 'JSON', 'Math', 'Object', 'Array', 'Date', 'Promise']);
+
+const FENCED_CODE = /```[^\n]*\n([\s\S]*?)```/g;
+const INLINE_CODE = /`([^`\n]+)`/g;
+const CALL = /([A-Za-z_$][\w$]*(?:\.[A-Za-z_$][\w$]*)*)\s*\(/g;
+const DOTTED_NAME = /\b([A-Za-z_$][\w$]*(?:\.[A-Za-z_$][\w$]*)+)\b/g;
+const PYTHON_IMPORT = /^[ \t]*(?:from[ \t]+([\w.]+)[ \t]+)?import[ \t]+([\w., \t]+)$/gm;
+const JS_MODULE = /(?:require\(|from\s+)['"]([^'"]+)['"]/g;
+const INSTALL = /(?:pip|npm|yarn|pnpm)\s+(?:install|add|i)\s+([^\n&|;]+)/g;
+
+/**
+ * Get the code written in an answer
+ * @param {string} answer - Answer text (markdown)
+ * @returns {Array<string>} Fenced code blocks and inline code spans
+ */
+function extractCode(answer) {
+    const text = answer || '';
+    const blocks = [...text.matchAll(FENCED_CODE)].map(match => match[1]);
+    const inline = [...text.replace(FENCED_CODE, '').matchAll(INLINE_CODE)].map(match => match[1]);
+    return [...blocks, ...inline];
+}
+
+/**
+ * List the code identifiers an answer relies on
+ * @param {string} answer - Answer text (markdown)
+ * @returns {Array<string>} Unique identifiers, common built-ins excluded
+ */
+function extractCodeIdentifiers(answer) {
+    const identifiers = new Set();
+    const add = (identifier) => {
+        const name = (identifier || '').trim();
+        const receiver = name.split('.')[0];
+        if (name.length > 2 && !COMMON_IDENTIFIERS.has(name) && !LOCAL_RECEIVERS.has(receiver)) {
+            identifiers.add(name);
+        }
+    };
+
+    for (const code of extractCode(answer)) {
+        for (const match of code.matchAll(JS_MODULE)) add(match[1]);
+        for (const match of code.matchAll(INSTALL)) {
+            match[1].split(/\s+/).filter(name => name && !name.startsWith('-')).forEach(add);
+        }
+
+        // Strings and comments may quote anything, only code is checked
+        const source = code
+            .replace(/(["'])(?:\\.|(?!\1)[^\\\n])*\1/g, '""')
+            .replace(/(^|\s)(#|\/\/).*$/gm, '$1');
+
+        for (const match of source.matchAll(PYTHON_IMPORT)) {
+            add(match[1]);
+            match[2].split(',').map(name => name.trim().split(/[ \t]+as[ \t]+/)[0]).forEach(add);
+        }
+        for (const match of source.matchAll(CALL)) add(match[1]);
+        for (const match of source.matchAll(DOTTED_NAME)) add(match[1]);
+    }
+
+    return [...identifiers];
+}
+
+/**
+ * Check if the documentation mentions an identifier
+ * A dotted name is also accepted when its member (the last segment) is
+ * documented, so `tracker.start_tracing` matches docs that use another
+ * variable name for the same object
+ * @param {string} identifier - Code identifier
+ * @param {string} documentation - Documentation text
+ * @returns {boolean} True when the identifier appears in the documentation
+ */
+function isIdentifierDocumented(identifier, documentation) {
+    if (documentation.includes(identifier)) {
+        return true;
+    }
+    const member = identifier.split('.').pop();
+    return identifier.includes('.') && member.length > 3 && documentation.includes(member);
+}
+
+/**
+ * Check the code identifiers of an answer against the documentation
+ * @param {string} answer - Answer text (markdown)
+ * @param {string} documentation - Documentation text the answer was generated from
+ * @returns {Object} { checked, unsupported } identifier lists
+ */
+function checkCodeIdentifiers(answer, documentation) {
+    const checked = extractCodeIdentifiers(answer);
+    return {
+        checked: checked,
+        unsupported: checked.filter(identifier => !isIdentifierDocumented(identifier, documentation || ''))
+    };
+}
+
+/**
+ * Compute the groundedness score of an answer
+ * @param {Array<Object>} claims - Checked claims with a supported flag
+ * @param {Object} identifiers - Result of checkCodeIdentifiers
+ * @returns {number} Share of supported claims and identifiers (1 when there is nothing to check)
+ */
+function computeGroundednessScore(claims, identifiers) {
+    const total = claims.length + identifiers.checked.length;
+    if (total === 0) {
+        return 1;
+    }
+    const supported = claims.filter(claim => claim.supported).length
+        + identifiers.checked.length - identifiers.unsupported.length;
+    return Number((supported / total).toFixed(2));
+}
+
+module.exports = {
+    extractCode,
+    extractCodeIdentifiers,
+    isIdentifierDocumented,
+    checkCodeIdentifiers,
+    computeGroundednessScore
+};
@@ -0,0 +1,400 @@
+/**
+ * Integration Checker Utility Module
+ * @module utils/integrationChecker
+ *
+ * Deterministic part of the Handit integration check: finds how pasted agent
+ * code imports and configures the Handit SDK and where it calls
+ * start/track/end tracing, and compares that with the Phase 1 setup of the
+ * documentation (config/pinecone, config/sdkSnippets). The findings are handed
+ * to the checkIntegration node, which explains them and patches the code.
+ */
+
+/**
+ * Environment variable the setup docs read the API key from
+ */
+const API_KEY_ENV = 'HANDIT_API_KEY';
+
+/**
+ * SDK patterns per language family
+ * - sdkImport: import of the Handit SDK
+ * - config: name of the call that sets the API key
+ * - apiKeyArgument: API key argument inside the config call
+ * - startTracing, trackNode, endTracing: names of the tracing calls
+ * - executionId: execution id argument of trackNode/endTracing
+ * - agentName: literal agent name argument
+ */
+const SDK_PATTERNS = {
+    python: {
+        sdkImport: /^[ \t]*(?:from[ \t]+handit(?:\.\w+)*[ \t]+import|import[ \t]+handit)\b/m,
+        config: 'config',
+        apiKeyArgument: /\bapi_key\s*=\s*([^,)\n]+)/,
+        startTracing: 'start_tracing',
+        trackNode: 'track_node',
+        endTracing: 'end_tracing',
+        executionId: /\bexecution_id\s*=/,
+        agentName: /\bagent_name\s*=\s*['"]([^'"]+)['"]/
+    },
+    javascript: {
+        sdkImport: /(?:\bfrom\s+|\brequire\(\s*)['"]@handit\.ai\/node['"]/,
+        config: 'config',
+        apiKeyArgument: /\bapiKey\s*:\s*([^,}\n]+)/,
+        startTracing: 'startTracing',
+        trackNode: 'trackNode',
+        endTracing: 'endTracing',
+        executionId: /\bexecutionId\b\s*[:,}\n]/,
+        agentName: /\bagentName\s*:\s*['"`]([^'"`]+)['"`]/
+    }
+};
+
+/**
+ * Calls to LLM providers and frameworks that should be tracked as "llm" nodes
+ */
+const LLM_CALL = new RegExp([
+    '\\b(?:chat\\.)?completions\\.create',
+    '\\bresponses\\.create',
+    '\\bmessages\\.create',
+    '\\bChatCompletion\\.create',
+    '\\bgenerate_?[cC]ontent',
+    '\\blitellm\\.a?completion',
+    '\\b(?:generate|stream)Text',
+    '\\b\\w*(?:llm|chain|model|chat)\\w*\\.(?:a?invoke|agenerate|a?predict)'
+].map(pattern => `(?:${pattern})`).join('|') + '\\s*\\(', 'gi');
+
+/**
+ * Environment variable reads
+ */
+const ENV_READ = /(?:os\.getenv\(\s*|os\.environ\.get\(\s*|os\.environ\[\s*)['"]([A-Za-z_][\w]*)['"]|(?:process\.env|\$env|import\.meta\.env)\.([A-Za-z_][\w]*)|process\.env\[\s*['"]([A-Za-z_][\w]*)['"]\s*\]/;
+
+const STRING_LITERAL = /^\s*(?:f?['"`])/;
+
+const EXTENSIONS = {
+    py: 'python',
+    js: 'javascript',
+    mjs: 'javascript',
+    cjs: 'javascript',
+    jsx: 'javascript',
+    ts: 'typescript',
+    tsx: 'typescript'
+};
+
+/**
+ * Detect the language of a code attachment
+ * @param {Object} file - { content, language?, filename? }
+ * @returns {string} 'python', 'javascript' or 'typescript'
+ */
+function detectLanguage({ content, language = null, filename = null }) {
+    if (language) {
+        return language;
+    }
+
+    const extension = (filename || '').split('.').pop().toLowerCase();
+    if (EXTENSIONS[extension]) {
+        return EXTENSIONS[extension];
+    }
+
+    const pythonHints = /^[ \t]*(?:def |class \w+.*:$|from [\w.]+ import |import \w+$|if __name__)/m;
+    const javascriptHints = /\b(?:const|let|function|require\(|=>)|^[ \t]*import .* from ['"]|^[ \t]*export /m;
+    if (pythonHints.test(content) && !javascriptHints.test(content)) {
+        return 'python';
+    }
+    if (/\binterface \w+ \{|: (?:string|number|boolean)\b/.test(content)) {
+        return 'typescript';
+    }
+    return javascriptHints.test(content) ? 'javascript' : 'python';
+}
+
+/**
+ * Blank comment lines so commented-out calls are not counted
+ * Lengths are kept, so indexes and line numbers still match the original code.
+ * @param {string} code - Source code
+ * @param {string} family - 'python' or 'javascript'
+ * @returns {string} Code without comment lines
+ */
+function stripCommentLines(code, family) {
+    const marker = family === 'python' ? /^[ \t]*#/ : /^[ \t]*(?:\/\/|\*|\/\*)/;
+    return code
+        .split('\n')
+        .map(line => (marker.test(line) ? ' '.repeat(line.length) : line))
+        .join('\n');
+}
+
+/**
+ * Get the line number of an index
+ * @param {string} code - Source code
+ * @param {number} index - Character index
+ * @returns {number} 1-based line number
+ */
+function lineAt(code, index) {
+    return code.slice(0, index).split('\n').length;
+}
+
+/**
+ * Find the calls to a function and their argument text
+ * @param {string} code - Source code
+ * @param {string} name - Function or method name
+ * @returns {Array<Object>} Calls { index, line, args, awaited }
+ */
+function findCalls(code, name) {
+    const pattern = new RegExp(`\\b${name}\\s*\\(`, 'g');
+    const calls = [];
+
+    for (const match of code.matchAll(pattern)) {
+        const open = match.index + match[0].length - 1;
+        let depth = 0;
+        let quote = null;
+        let end = code.length;
+
+        for (let i = open; i < code.length; i++) {
+            const char = code[i];
+            if (quote) {
+                if (char === '\\') i++;
+                else if (char === quote) quote = null;
+            } else if (char === '"' || char === "'" || char === '`') {
+                quote = char;
+            } else if (char === '(') {
+                depth++;
+            } else if (char === ')' && --depth === 0) {
+                end = i;
+                break;
+            }
+        }
+
+        const before = code.slice(Math.max(0, match.index - 40), match.index);
+        calls.push({
+            index: match.index,
+            line: lineAt(code, match.index),
+            args: code.slice(open + 1, end),
+            awaited: /\bawait\s+(?:[\w$]+\.)*$/.test(before)
+        });
+    }
+
+    return calls;
+}
+
+/**
+ * Check if a call sits in a finally block
+ * Python blocks are found by indentation, JavaScript blocks by the last
+ * finally/catch/try keyword before the call.
+ * @param {string} code - Source code
+ * @param {Object} call - Call found by findCalls
+ * @param {string} family - 'python' or 'javascript'
+ * @returns {boolean} True when the call runs in a finally block
+ */
+function isInFinally(code, call, family) {
+    const lines = code.split('\n');
+
+    if (family === 'python') {
+        const indent = line => line.match(/^[ \t]*/)[0].length;
+        // Walk up the enclosing blocks until a finally or the function definition
+        let blockIndent = indent(lines[call.line - 1]);
+        for (let i = call.line - 2; i >= 0; i--) {
+            if (lines[i].trim() === '' || indent(lines[i]) >= blockIndent) continue;
+            if (/^[ \t]*finally\s*:/.test(lines[i])) return true;
+            if (/^[ \t]*(?:def|async def|class)\b/.test(lines[i])) return false;
+            blockIndent = indent(lines[i]);
+        }
+        return false;
+    }
+
+    const before = code.slice(0, call.index);
+    const keywords = [...before.matchAll(/\b(finally|catch|try)\b/g)];
+    return keywords.length > 0 && keywords[keywords.length - 1][1] === 'finally';
+}
+
+/**
+ * Analyze the Handit integration of a set of code attachments
+ * SDK import, configuration and tracing calls may be spread over the files,
+ * so presence checks run over all of them and line findings name their file.
+ * @param {Array<Object>} files - Code attachments { content, language?, filename? }
+ * @returns {Object} Report { language, files, sdk, calls, findings }
+ */
+function analyzeIntegration(files) {
+    const sdk = { imported: false, configured: false, apiKey: null };
+    const calls = { startTracing: 0, trackNode: 0, endTracing: 0, llm: 0 };
+    const findings = [];
+    const agentNames = { start: new Set(), end: new Set() };
+    const languages = [];
+
+    const addFinding = (id, severity, message, locations = []) => {
+        findings.push({ id, severity, message, locations });
+    };
+
+    files.forEach((file, fileIndex) => {
+        const language = detectLanguage(file);
+        const family = language === 'python' ? 'python' : 'javascript';
+        const patterns = SDK_PATTERNS[family];
+        const name = file.filename || `attachment ${fileIndex + 1}`;
+        const code = stripCommentLines(file.content, family);
+        languages.push(language);
+
+        if (patterns.sdkImport.test(code)) {
+            sdk.imported = true;
+        }
+
+        // API key passed to the SDK configuration
+        const configCalls = findCalls(code, patterns.config).filter(call => patterns.apiKeyArgument.test(call.args));
+        for (const call of configCalls) {
+            sdk.configured = true;
+            const value = call.args.match(patterns.apiKeyArgument)[1].trim();
+            const envMatch = value.match(ENV_READ);
+            const envVar = envMatch ? envMatch[1] || envMatch[2] || envMatch[3] : null;
+            sdk.apiKey = { source: envVar ? 'env' : STRING_LITERAL.test(value) ? 'literal' : 'variable', envVar: envVar };
+
+            if (envVar && envVar !== API_KEY_ENV) {
+                addFinding('wrong_api_key_env', 'error',
+                    `The SDK reads its API key from ${envVar}; the setup docs use ${API_KEY_ENV}. Unless ${envVar} is set too, the key is empty and no trace is accepted.`,
+                    [{ file: name, line: call.line }]);
+            } else if (!envVar && STRING_LITERAL.test(value)) {
+                addFinding('hardcoded_api_key', 'warning',
+                    `The API key is written in the code; load it from the ${API_KEY_ENV} environment variable instead.`,
+                    [{ file: name, line: call.line }]);
+            }
+        }
+
+        const startCalls = findCalls(code, patterns.startTracing);
+        const trackCalls = findCalls(code, patterns.trackNode);
+        const endCalls = findCalls(code, patterns.endTracing);
+        calls.startTracing += startCalls.length;
+        calls.trackNode += trackCalls.length;
+        calls.endTracing += endCalls.length;
+
+        for (const call of startCalls) {
+            const agentName = call.args.match(patterns.agentName);
+            if (agentName) agentNames.start.add(agentName[1]);
+        }
+        for (const call of endCalls) {
+            const agentName = call.args.match(patterns.agentName);
+            if (agentName) agentNames.end.add(agentName[1]);
+        }
+
+        const missingExecutionId = [...trackCalls, ...endCalls].filter(call => !patterns.executionId.test(call.args));
+        if (missingExecutionId.length > 0) {
+            addFinding('missing_execution_id', 'error',
+                `${patterns.trackNode}/${patterns.endTracing} calls without the execution id returned by ${patterns.startTracing}; their nodes are not linked to the trace.`,
+                missingExecutionId.map(call => ({ file: name, line: call.line })));
+        }
+
+        const endOutsideFinally = endCalls.filter(call => !isInFinally(code, call, family));
+        if (endOutsideFinally.length > 0) {
+            addFinding('end_tracing_not_in_finally', 'warning',
+                `${patterns.endTracing} is not in a finally block, so traces of runs that raise an error are never closed.`,
+                endOutsideFinally.map(call => ({ file: name, line: call.line })));
+        }
+
+        if (family === 'javascript') {
+            const notAwaited = [...startCalls, ...trackCalls, ...endCalls].filter(call => !call.awaited);
+            if (notAwaited.length > 0) {
+                addFinding('tracing_not_awaited', 'error',
+                    'Tracing calls return promises and must be awaited; without await, startTracing has no executionId yet and nodes can be sent after the trace ended.',
+                    notAwaited.map(call => ({ file: name, line: call.line })));
+            }
+        }
+
+        // Each LLM call should be followed by a trackNode call before the next LLM call
+        const llmCalls = [...code.matchAll(LLM_CALL)].map(match => ({ index: match.index, line: lineAt(code, match.index) }));
+        calls.llm += llmCalls.length;
+        const untraced = llmCalls.filter((llmCall, index) => {
+            const nextLlmIndex = index + 1 < llmCalls.length ? llmCalls[index + 1].index : code.length;
+            return !trackCalls.some(call => call.index > llmCall.index && call.index < nextLlmIndex);
+        });
+        if (untraced.length > 0) {
+            addFinding('untraced_llm_calls', 'error',
+                `${untraced.length} LLM call${untraced.length > 1 ? 's are' : ' is'} not followed by ${patterns.trackNode}, so ${untraced.length > 1 ? 'they do' : 'it does'} not appear in the trace.`,
+                untraced.map(call => ({ file: name, line: call.line })));
+        }
+    });
+
+    const family = languages.includes('python') ? 'python' : 'javascript';
+    const patterns = SDK_PATTERNS[family];
+
+    if (!sdk.imported) {
+        addFinding('sdk_not_imported', 'error',
+            family === 'python'
+                ? 'The Handit SDK is not imported (from handit import HanditTracker).'
+                : "The Handit SDK is not imported (@handit.ai/node).");
+    }
+    if (!sdk.configured) {
+        addFinding('sdk_not_configured', 'error',
+            family === 'python'
+                ? `No tracker.config(api_key=os.getenv("${API_KEY_ENV}")) call was found; it may live in a file that was not attached.`
+                : `No config({ apiKey: process.env.${API_KEY_ENV} }) call was found; it may live in a file that was not attached.`);
+    }
+    if (calls.startTracing === 0) {
+        addFinding('missing_start_tracing', 'error',
+            `${patterns.startTracing} is never called, so no execution is created and tracked nodes are dropped.`);
+    }
+    if (calls.endTracing === 0) {
+        addFinding('missing_end_tracing', 'error',
+            `${patterns.endTracing} is never called, so executions stay open and do not show up as finished traces.`);
+    }
+    if (calls.trackNode === 0) {
+        addFinding('missing_track_node', 'error',
+            `${patterns.trackNode} is never called, so traces have no nodes.`);
+    }
+
+    const endOnlyNames = [...agentNames.end].filter(agentName => !agentNames.start.has(agentName));
+    if (agentNames.start.size > 0 && endOnlyNames.length > 0) {
+        addFinding('agent_name_mismatch', 'warning',
+            `${patterns.endTracing} uses the agent name ${endOnlyNames.join(', ')}, which does not match ${patterns.startTracing} (${[...agentNames.start].join(', ')}).`);
+    }
+
+    return {
+        language: languages[0] || null,
+        files: files.map((file, index) => ({ filename: file.filename || `attachment ${index + 1}`, language: languages[index] })),
+        sdk,
+        calls,
+        findings
+    };
+}
+
+/**
+ * Format the findings of a report for a prompt
+ * @param {Object} report - Result of analyzeIntegration
+ * @returns {string} One finding per line, or a note when none were found
+ */
+function formatFindings(report) {
+    if (report.findings.length === 0) {
+        return 'None. The static checks found no problem.';
+    }
+
+    return report.findings
+        .map(finding => {
+            const where = finding.locations.map(location => `${location.file}:${location.line}`).join(', ');
+            return `- [${finding.severity}] ${finding.id}: ${finding.message}${where ? ` (${where})` : ''}`;
+        })
+        .join('\n');
+}
+
+/**
+ * Build the integration check answer
+ * @param {Object} result - { summary, findings: [{ severity, title, explanation, fix }], patchedCode }
+ * @param {Object} report - Result of analyzeIntegration, used for the code block language
+ * @returns {string} Markdown answer
+ */
+function formatCheckAnswer(result, report) {
+    const sections = [result.summary];
+
+    if (result.findings.length > 0) {
+        const findings = result.findings.map((finding, index) => {
+            const fix = finding.fix ? `\n   *Fix:* ${finding.fix}` : '';
+            return `${index + 1}. **${finding.title}** (${finding.severity}): ${finding.explanation}${fix}`;
+        });
+        sections.push(`**Findings**\n\n${findings.join('\n')}`);
+    }
+
+    if (result.patchedCode) {
+        const code = result.patchedCode.replace(/^```[^\n]*\n|\n?```\s*$/g, '');
+        sections.push(`**Patched code**\n\n\`\`\`${report.language || ''}\n${code}\n\`\`\``);
+    }
+
+    return sections.filter(Boolean).join('\n\n');
+}
+
+module.exports = {
+    API_KEY_ENV,
+    detectLanguage,
+    findCalls,
+    analyzeIntegration,
+    formatFindings,
+    formatCheckAnswer
+};
@@ -0,0 +1,117 @@
+/**
+ * JSON Schema Utility Module
+ * @module utils/jsonSchema
+ *
+ * Minimal validator for the JSON schema subset used by structured LLM outputs
+ * and API action tool arguments: type (single or list), properties, required,
+ * items, enum, minimum, maximum and minLength.
+ * Also extracts a JSON value from raw model output.
+ */
+
+/**
+ * Get the JSON type name of a value
+ * @param {*} value - Value to inspect
+ * @returns {string} JSON type name
+ */
+function getJsonType(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (Number.isInteger(value)) return 'integer';
+    return typeof value;
+}
+
+/**
+ * Validate a value against a schema
+ * @param {*} value - Value to validate
+ * @param {Object} schema - JSON schema
+ * @param {string} [path='$'] - Path of the value, used in error messages
+ * @returns {Array<string>} Validation errors (empty when valid)
+ */
+function validateSchema(value, schema, path = '$') {
+    const errors = [];
+    const actualType = getJsonType(value);
+
+    if (schema.type) {
+        const allowedTypes = Array.isArray(schema.type) ? schema.type : [schema.type];
+        const typeMatches = allowedTypes.some(type =>
+            type === actualType || (type === 'number' && actualType === 'integer')
+        );
+        if (!typeMatches) {
+            errors.push(`${path} should be ${allowedTypes.join(' or ')} but is ${actualType}`);
+            return errors;
+        }
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push(`${path} should be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}`);
+    }
+
+    if (typeof value === 'string' && schema.minLength !== undefined && value.length < schema.minLength) {
+        errors.push(`${path} should have at least ${schema.minLength} characters`);
+    }
+
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            errors.push(`${path} should be >= ${schema.minimum}`);
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            errors.push(`${path} should be <= ${schema.maximum}`);
+        }
+    }
+
+    if (actualType === 'object') {
+        for (const key of schema.required || []) {
+            if (value[key] === undefined) {
+                errors.push(`${path}.${key} is required`);
+            }
+        }
+        for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+            if (value[key] !== undefined) {
+                errors.push(...validateSchema(value[key], propertySchema, `${path}.${key}`));
+            }
+        }
+    }
+
+    if (actualType === 'array' && schema.items) {
+        value.forEach((item, index) => {
+            errors.push(...validateSchema(item, schema.items, `${path}[${index}]`));
+        });
+    }
+
+    return errors;
+}
+
+/**
+ * Parse a JSON object from raw model output
+ * Accepts plain JSON, JSON wrapped in a markdown code fence, or JSON surrounded by text
+ * @param {string} text - Raw model output
+ * @returns {*} Parsed value
+ * @throws {SyntaxError} If no JSON value can be parsed
+ */
+function parseJsonOutput(text) {
+    const trimmed = (text || '').trim();
+
+    try {
+        return JSON.parse(trimmed);
+    } catch (error) {
+        // Fall through to extraction
+    }
+
+    const fenced = trimmed.match(/```(?:json)?\s*([\s\S]*?)```/);
+    if (fenced) {
+        return JSON.parse(fenced[1].trim());
+    }
+
+    const start = trimmed.indexOf('{');
+    const end = trimmed.lastIndexOf('}');
+    if (start !== -1 && end > start) {
+        return JSON.parse(trimmed.slice(start, end + 1));
+    }
+
+    throw new SyntaxError('No JSON object found in model output');
+}
+
+module.exports = {
+    validateSchema,
+    parseJsonOutput
+};
@@ -0,0 +1,156 @@
+/**
+ * Onboarding Profile Utility Module
+ * @module utils/onboardingProfile
+ *
+ * The onboarding profile holds the answers to the setup questions asked at the
+ * start of Phase 1. It is stored under `onboardingProfile` in the
+ * conversations.metadata column and updated as answers arrive, so the agent
+ * no longer re-reads the whole conversation to find them. It also records the
+ * progress of the Phase 2 and Phase 3 guides (see config/phaseGuides).
+ */
+
+/**
+ * Setup questions, in the order they are asked
+ */
+const ONBOARDING_QUESTIONS = ['appName', 'agentProjectType', 'stack'];
+
+/**
+ * Profile fields that can be filled or corrected by the user
+ */
+const PROFILE_FIELDS = [...ONBOARDING_QUESTIONS, 'programmingLanguage'];
+
+/**
+ * Create an empty onboarding profile
+ * @returns {Object} Profile with every answer unset and no question asked
+ */
+function createEmptyProfile() {
+    return {
+        appName: null,
+        agentProjectType: null,
+        stack: null,
+        programmingLanguage: null,
+        asked: [],
+        phaseGuides: {},
+        updatedAt: null
+    };
+}
+
+/**
+ * Apply the answers given in a message to a profile
+ * Null or empty values mean "not mentioned" and keep the stored answer
+ * @param {Object} profile - Current profile
+ * @param {Object} updates - Extracted answers keyed by profile field
+ * @returns {Object} { profile, updatedFields }
+ */
+function mergeProfileUpdates(profile, updates = {}) {
+    const merged = { ...createEmptyProfile(), ...profile };
+    const updatedFields = [];
+
+    for (const field of PROFILE_FIELDS) {
+        const value = typeof updates[field] === 'string' ? updates[field].trim() : null;
+        if (value && value !== merged[field]) {
+            merged[field] = value;
+            updatedFields.push(field);
+        }
+    }
+
+    if (updatedFields.length > 0) {
+        merged.updatedAt = new Date().toISOString();
+    }
+
+    return { profile: merged, updatedFields };
+}
+
+/**
+ * Record that the assistant asked a setup question
+ * @param {Object} profile - Current profile
+ * @param {string} question - Question key
+ * @returns {Object} Updated profile
+ */
+function markQuestionAsked(profile, question) {
+    if (!ONBOARDING_QUESTIONS.includes(question) || profile.asked.includes(question)) {
+        return profile;
+    }
+    return {
+        ...profile,
+        asked: [...profile.asked, question],
+        updatedAt: new Date().toISOString()
+    };
+}
+
+/**
+ * Update the progress of a phase guide
+ * @param {Object} profile - Current profile
+ * @param {string} guideKey - Guide key ('phase2' or 'phase3')
+ * @param {Object} progress - Fields to set ({ step, completed })
+ * @returns {Object} Updated profile
+ */
+function setPhaseGuideProgress(profile, guideKey, progress) {
+    const phaseGuides = profile.phaseGuides || {};
+    return {
+        ...profile,
+        phaseGuides: {
+            ...phaseGuides,
+            [guideKey]: { ...(phaseGuides[guideKey] || {}), ...progress }
+        },
+        updatedAt: new Date().toISOString()
+    };
+}
+
+/**
+ * Drop the progress of the phase guides that are not completed yet
+ * The next Phase 2/3 turn starts the guide again from its first step
+ * @param {Object} profile - Current profile
+ * @returns {Object} { profile, cancelled } with the keys of the dropped guides
+ */
+function cancelActivePhaseGuides(profile) {
+    const phaseGuides = profile.phaseGuides || {};
+    const cancelled = Object.keys(phaseGuides).filter(key => !phaseGuides[key].completed);
+
+    if (cancelled.length === 0) {
+        return { profile, cancelled };
+    }
+
+    const remaining = { ...phaseGuides };
+    cancelled.forEach(key => delete remaining[key]);
+
+    return {
+        profile: { ...profile, phaseGuides: remaining, updatedAt: new Date().toISOString() },
+        cancelled
+    };
+}
+
+/**
+ * Derive the question status used to route onboarding turns
+ * A question the user skipped counts as done once it was asked
+ * @param {Object} profile - Onboarding profile
+ * @returns {Object} Asked/answered flags per question, allQuestionsAsked and nextQuestionToAsk
+ */
+function getQuestionStatus(profile) {
+    const status = {};
+
+    for (const question of ONBOARDING_QUESTIONS) {
+        status[`${question}Asked`] = profile.asked.includes(question);
+        status[`${question}Answered`] = Boolean(profile[question]);
+    }
+
+    const pending = ONBOARDING_QUESTIONS.filter(question =>
+        !status[`${question}Asked`] && !status[`${question}Answered`]
+    );
+
+    status.allQuestionsAsked = pending.length === 0;
+    status.nextQuestionToAsk = pending[0] || 'none';
+
+    return status;
+}
+
+module.exports = {
+    ONBOARDING_QUESTIONS,
+    PROFILE_FIELDS,
+    createEmptyProfile,
+    mergeProfileUpdates,
+    markQuestionAsked,
+    setPhaseGuideProgress,
+    cancelActivePhaseGuides,
+    getQuestionStatus
+};
@@ -0,0 +1,132 @@
+/**
+ * Action Plan Reference Utility Module
+ * @module utils/planReferences
+ *
+ * Step parameters of an action plan can use the output of earlier steps:
+ * - "$s1" is the whole output of step s1
+ * - "$s1.0.id" walks into it (array indexes and object keys)
+ * - "$item" / "$item.id" is the current item of a forEach step
+ *
+ * A reference must be the whole string value; it is replaced by the referenced
+ * value with its original type. API responses are often wrapped in { data },
+ * so a key missing on an object is looked up in its data field.
+ */
+
+const REFERENCE = /^\$([A-Za-z][A-Za-z0-9_]*)((?:\.[^.\s]+)*)$/;
+
+/**
+ * Parse a reference string
+ * @param {*} value - Parameter value
+ * @returns {Object|null} { source, path } or null when the value is not a reference
+ */
+function parseReference(value) {
+    if (typeof value !== 'string') {
+        return null;
+    }
+    const match = value.trim().match(REFERENCE);
+    if (!match) {
+        return null;
+    }
+    return {
+        source: match[1],
+        path: match[2] ? match[2].slice(1).split('.') : []
+    };
+}
+
+/**
+ * Walk a path into a value
+ * @param {*} root - Starting value
+ * @param {Array<string>} path - Keys and array indexes
+ * @returns {*} Value at the path, or undefined when it does not exist
+ */
+function getPath(root, path) {
+    let current = root;
+
+    for (const key of path) {
+        if (current === null || current === undefined) {
+            return undefined;
+        }
+        if (Array.isArray(current)) {
+            current = /^\d+$/.test(key) ? current[Number(key)] : undefined;
+        } else if (typeof current === 'object') {
+            current = key in current ? current[key] : current.data?.[key];
+        } else {
+            return undefined;
+        }
+    }
+
+    return current;
+}
+
+/**
+ * Get the list of items held by a step output
+ * Unwraps { data: [...] } envelopes, including nested ones
+ * @param {*} value - Step output
+ * @returns {Array} Items (empty when the value holds no list)
+ */
+function toItems(value) {
+    let current = value;
+    for (let depth = 0; depth < 3; depth++) {
+        if (Array.isArray(current)) {
+            return current;
+        }
+        if (!current || typeof current !== 'object' || !('data' in current)) {
+            break;
+        }
+        current = current.data;
+    }
+    return [];
+}
+
+/**
+ * List the step ids referenced by a value
+ * @param {*} value - Parameter value, object or array
+ * @returns {Array<string>} Referenced sources ("item" included)
+ */
+function collectReferences(value) {
+    const reference = parseReference(value);
+    if (reference) {
+        return [reference.source];
+    }
+    if (value && typeof value === 'object') {
+        return Object.values(value).flatMap(collectReferences);
+    }
+    return [];
+}
+
+/**
+ * Replace the references of a value with the outputs they point to
+ * @param {*} value - Parameter value, object or array
+ * @param {Object} outputs - Step outputs keyed by step id
+ * @param {*} [item] - Current forEach item
+ * @returns {*} Resolved value
+ * @throws {Error} If a reference points to a missing output or path
+ */
+function resolveReferences(value, outputs, item) {
+    const reference = parseReference(value);
+    if (reference) {
+        const root = reference.source === 'item' ? item : outputs[reference.source];
+        const resolved = getPath(root, reference.path);
+        if (resolved === undefined) {
+            throw new Error(`Reference ${value.trim()} did not resolve to a value`);
+        }
+        return resolved;
+    }
+
+    if (Array.isArray(value)) {
+        return value.map(entry => resolveReferences(entry, outputs, item));
+    }
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(
+            Object.entries(value).map(([key, entry]) => [key, resolveReferences(entry, outputs, item)])
+        );
+    }
+    return value;
+}
+
+module.exports = {
+    parseReference,
+    toItems,
+    collectReferences,
+    resolveReferences
+};
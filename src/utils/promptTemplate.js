@@ -0,0 +1,117 @@
+/**
+ * Prompt Template Utility Module
+ * @module utils/promptTemplate
+ *
+ * Prompt files are markdown with a front matter header:
+ *
+ *   ---
+ *   name: generalKnowledge
+ *   version: 1
+ *   description: Answers general Handit.ai questions from the documentation
+ *   variables: [context, conversationContext, userMessage]
+ *   ---
+ *   Template text with {{variable}} placeholders
+ *
+ * Only {{name}} with a plain identifier is a placeholder, so markers like
+ * {{SNIPPET:install}} or {{HANDIT_API_KEY}} written inside a variable value pass
+ * through unchanged.
+ */
+
+const FRONT_MATTER = /^---\r?\n([\s\S]*?)\r?\n---\r?\n?/;
+const PLACEHOLDER = /\{\{\s*([a-z][A-Za-z0-9_]*)\s*\}\}/g;
+
+/**
+ * Parse a prompt file
+ * @param {string} source - File content
+ * @returns {Object} { meta, template } with the front matter fields and the template text
+ * @throws {Error} If the file has no front matter
+ */
+function parsePromptFile(source) {
+    const match = source.match(FRONT_MATTER);
+    if (!match) {
+        throw new Error('Missing front matter (--- name, version, description, variables ---)');
+    }
+
+    const meta = {};
+    for (const line of match[1].split(/\r?\n/)) {
+        const separator = line.indexOf(':');
+        if (!line.trim() || separator === -1) {
+            continue;
+        }
+        const key = line.slice(0, separator).trim();
+        const value = line.slice(separator + 1).trim();
+
+        if (key === 'variables') {
+            meta.variables = value.replace(/^\[|\]$/g, '')
+                .split(',')
+                .map(name => name.trim())
+                .filter(Boolean);
+        } else if (key === 'version') {
+            meta.version = Number(value);
+        } else {
+            meta[key] = value;
+        }
+    }
+
+    return {
+        meta: meta,
+        template: source.slice(match[0].length).replace(/\r?\n$/, '')
+    };
+}
+
+/**
+ * List the placeholders used by a template
+ * @param {string} template - Template text
+ * @returns {Array<string>} Unique variable names in order of first use
+ */
+function extractPlaceholders(template) {
+    return [...new Set([...template.matchAll(PLACEHOLDER)].map(match => match[1]))];
+}
+
+/**
+ * Check that a template and its declared variables match
+ * @param {string} template - Template text
+ * @param {Array<string>} variables - Declared variables
+ * @returns {Array<string>} Errors (empty when they match)
+ */
+function validateTemplate(template, variables = []) {
+    const errors = [];
+    const placeholders = extractPlaceholders(template);
+
+    for (const name of placeholders) {
+        if (!variables.includes(name)) {
+            errors.push(`{{${name}}} is used but not declared in variables`);
+        }
+    }
+    for (const name of variables) {
+        if (!placeholders.includes(name)) {
+            errors.push(`variable "${name}" is declared but never used`);
+        }
+    }
+
+    return errors;
+}
+
+/**
+ * Fill the placeholders of a template
+ * null and undefined values render as an empty string
+ * @param {string} template - Template text
+ * @param {Object} values - Variable values
+ * @returns {string} Rendered text
+ */
+function fillTemplate(template, values) {
+    return template.replace(PLACEHOLDER, (placeholder, name) => {
+        const value = values[name];
+        if (value === null || value === undefined) {
+            return '';
+        }
+        return typeof value === 'string' ? value : String(value);
+    });
+}
+
+module.exports = {
+    parsePromptFile,
+    extractPlaceholders,
+    validateTemplate,
+    fillTemplate
+};
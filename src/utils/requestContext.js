@@ -0,0 +1,57 @@
+/**
+ * Request Context Utility Module
+ * @module utils/requestContext
+ *
+ * Keeps per-request state (session, event listeners) reachable from every
+ * service invoked while a chat turn is being processed, without threading
+ * extra arguments through each node.
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * Run a function inside a request context
+ * @param {Object} context - Context for this request
+ * @param {string} [context.sessionId] - Session identifier
+ * @param {Function} [context.onEvent] - Listener called as (type, data) for pipeline events
+ * @param {Function} [context.onToken] - Listener called with each streamed answer token
+ * @param {Function} fn - Function to run
+ * @returns {*} Result of fn
+ */
+function runWithContext(context, fn) {
+    return storage.run(context, fn);
+}
+
+/**
+ * Get the context of the request currently being processed
+ * @returns {Object|null} Current context or null outside a request
+ */
+function getContext() {
+    return storage.getStore() || null;
+}
+
+/**
+ * Emit a pipeline event to the current request listener, if any
+ * @param {string} type - Event type
+ * @param {Object} data - Event payload
+ */
+function emitEvent(type, data) {
+    const context = getContext();
+    if (!context || typeof context.onEvent !== 'function') {
+        return;
+    }
+
+    try {
+        context.onEvent(type, data);
+    } catch (error) {
+        console.warn(`⚠️ Error emitting ${type} event:`, error.message);
+    }
+}
+
+module.exports = {
+    runWithContext,
+    getContext,
+    emitEvent
+};
@@ -0,0 +1,112 @@
+/**
+ * SDK Snippet Utility Module
+ * @module utils/sdkSnippets
+ *
+ * Renders the vetted setup templates of config/sdkSnippets and places them in
+ * the prose written by setupHandit. Code never comes from the LLM: fenced
+ * blocks it writes anyway are dropped and every {{SNIPPET:<id>}} marker is
+ * replaced with the rendered template.
+ */
+
+const { getSnippetStack } = require('../config/sdkSnippets');
+
+/**
+ * Placeholder used in the snippets when the user's Handit token is unknown
+ */
+const API_KEY_PLACEHOLDER = 'your-handit-api-key';
+
+/**
+ * Default agent name when the profile has no appName
+ */
+const DEFAULT_AGENT_NAME = 'my_agent';
+
+const SNIPPET_MARKER = /\{\{SNIPPET:([a-z_]+)\}\}/g;
+const CODE_FENCE = /```[\s\S]*?```/g;
+
+/**
+ * Build the agent name used in the snippets from the app name
+ * @param {string|null} appName - App name from the onboarding profile
+ * @returns {string} snake_case agent name
+ */
+function toAgentName(appName) {
+    const name = (appName || '')
+        .trim()
+        .replace(/([a-z0-9])([A-Z])/g, '$1_$2')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '_')
+        .replace(/^_+|_+$/g, '');
+
+    return name || DEFAULT_AGENT_NAME;
+}
+
+/**
+ * Render the snippets of a stack
+ * @param {string} stackKey - Snippet stack key
+ * @param {Object} values - Template values
+ * @param {string|null} [values.handitToken] - User's Handit token
+ * @param {string|null} [values.appName] - App name from the onboarding profile
+ * @returns {Array<Object>} Rendered snippets { id, title, language, code }
+ */
+function renderSnippets(stackKey, { handitToken = null, appName = null } = {}) {
+    const replacements = {
+        HANDIT_API_KEY: handitToken || API_KEY_PLACEHOLDER,
+        AGENT_NAME: toAgentName(appName)
+    };
+
+    return getSnippetStack(stackKey).snippets.map(snippet => ({
+        ...snippet,
+        code: snippet.code.replace(/\{\{([A-Z_]+)\}\}/g, (match, key) =>
+            key in replacements ? replacements[key] : match
+        )
+    }));
+}
+
+/**
+ * Format a rendered snippet as a markdown code block
+ * @param {Object} snippet - Rendered snippet
+ * @returns {string} Markdown code block
+ */
+function formatSnippet(snippet) {
+    return `\`\`\`${snippet.language}\n${snippet.code}\n\`\`\``;
+}
+
+/**
+ * Replace the snippet markers of a text with the rendered snippets
+ * Snippets whose marker is missing are appended under their title, so the
+ * answer always contains the whole setup.
+ * @param {string} text - Prose written by the LLM
+ * @param {Array<Object>} snippets - Rendered snippets
+ * @returns {string} Markdown answer
+ */
+function applySnippets(text, snippets) {
+    const byId = new Map(snippets.map(snippet => [snippet.id, snippet]));
+    const placed = new Set();
+
+    let answer = (text || '')
+        .replace(CODE_FENCE, '')
+        .replace(SNIPPET_MARKER, (match, id) => {
+            const snippet = byId.get(id);
+            if (!snippet || placed.has(id)) {
+                return '';
+            }
+            placed.add(id);
+            return formatSnippet(snippet);
+        })
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+
+    const missing = snippets.filter(snippet => !placed.has(snippet.id));
+    if (missing.length > 0) {
+        const sections = missing.map(snippet => `**${snippet.title}**\n\n${formatSnippet(snippet)}`);
+        answer = [answer, ...sections].filter(Boolean).join('\n\n');
+    }
+
+    return answer;
+}
+
+module.exports = {
+    API_KEY_PLACEHOLDER,
+    toAgentName,
+    renderSnippets,
+    applySnippets
+};
@@ -0,0 +1,54 @@
+/**
+ * Secret Masking Utility Module
+ * @module utils/secretMasking
+ *
+ * Fields like a provider token or an API key are shown and exported masked:
+ * only the last 4 characters are kept.
+ */
+
+/**
+ * Field names holding secrets
+ */
+const SECRET_FIELD = /^token$|secret|password|api_?key/i;
+
+/**
+ * Mask a field value for display when the field holds a secret
+ * @param {string} key - Field name
+ * @param {*} value - Field value
+ * @returns {string} Displayed value
+ */
+function maskValue(key, value) {
+    const text = typeof value === 'string' ? value : JSON.stringify(value);
+    if (!SECRET_FIELD.test(key)) {
+        return text;
+    }
+    return text.length > 4 ? `****${text.slice(-4)}` : '****';
+}
+
+/**
+ * Copy a value with the secret fields of every nested object masked
+ * @param {*} value - Object, array or primitive
+ * @returns {*} Masked copy (primitives are returned as is)
+ */
+function maskSecrets(value) {
+    if (Array.isArray(value)) {
+        return value.map(maskSecrets);
+    }
+    if (!value || typeof value !== 'object') {
+        return value;
+    }
+
+    const masked = {};
+    for (const [key, fieldValue] of Object.entries(value)) {
+        masked[key] = SECRET_FIELD.test(key) && fieldValue !== null && fieldValue !== undefined
+            ? maskValue(key, fieldValue)
+            : maskSecrets(fieldValue);
+    }
+    return masked;
+}
+
+module.exports = {
+    SECRET_FIELD,
+    maskValue,
+    maskSecrets
+};
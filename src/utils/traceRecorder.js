@@ -0,0 +1,75 @@
+/**
+ * Trace Recorder Utility Module
+ * @module utils/traceRecorder
+ *
+ * Collects the spans of the chat turn being processed in its request context.
+ * Spans are persisted by TraceService once the assistant message is saved.
+ */
+
+const { getContext } = require('./requestContext');
+
+/**
+ * Record an LLM call span on the current request
+ * @param {Object} span - Span data
+ * @param {string} span.nodeName - Node that made the call
+ * @param {string} span.model - Model used
+ * @param {string} span.prompt - Prompt sent
+ * @param {string} [span.promptName] - Registry prompt that produced the call
+ * @param {number} [span.promptVersion] - Version of that prompt
+ * @param {string} [span.rawOutput] - Raw model output
+ * @param {number} span.latencyMs - Call latency
+ * @param {number} [span.tokensUsed] - Tokens used
+ * @param {string} [span.error] - Error message if the call failed
+ * @param {string} span.startedAt - ISO timestamp of the call start
+ */
+function recordSpan(span) {
+    const context = getContext();
+    if (!context) {
+        return;
+    }
+
+    if (!context.spans) {
+        context.spans = [];
+    }
+
+    context.spans.push({
+        sequence: context.spans.length,
+        parsedResult: null,
+        ...span
+    });
+}
+
+/**
+ * Attach the parsed result to the latest span of a node that has none yet
+ * @param {string} nodeName - Node name
+ * @param {*} parsedResult - Result the node derived from the raw output
+ */
+function setParsedResult(nodeName, parsedResult) {
+    const context = getContext();
+    if (!context || !context.spans) {
+        return;
+    }
+
+    for (let i = context.spans.length - 1; i >= 0; i--) {
+        const span = context.spans[i];
+        if (span.nodeName === nodeName && span.parsedResult === null) {
+            span.parsedResult = parsedResult === undefined ? null : parsedResult;
+            return;
+        }
+    }
+}
+
+/**
+ * Get the spans recorded for the current request
+ * @returns {Array<Object>} Spans in call order
+ */
+function getSpans() {
+    const context = getContext();
+    return context?.spans || [];
+}
+
+module.exports = {
+    recordSpan,
+    setParsedResult,
+    getSpans
+};
@@ -0,0 +1,168 @@
+/**
+ * Test script for action plan references and prompt experiment bucketing
+ * Run with: node test_action_plans.js
+ * Needs no server or database; exits with code 1 when a check fails
+ */
+
+const assert = require('assert');
+const ApiService = require('./src/services/apiService');
+const ActionPlannerService = require('./src/services/actionPlannerService');
+const { parseReference, toItems, collectReferences, resolveReferences } = require('./src/utils/planReferences');
+const { getBucket, pickVariant, assignVariant } = require('./src/utils/experimentBucketing');
+
+let failures = 0;
+
+/**
+ * Run one named check and report it
+ * @param {string} name - Check name
+ * @param {Function} checkFn - Throws when the check fails
+ */
+function check(name, checkFn) {
+    try {
+        checkFn();
+        console.log(`✅ ${name}`);
+    } catch (error) {
+        failures++;
+        console.error(`❌ ${name}: ${error.message}`);
+    }
+}
+
+function testReferenceResolution() {
+    console.log('🧪 Testing plan reference resolution...');
+
+    const outputs = {
+        s1: { data: [{ id: 28, name: 'Support Bot' }, { id: 31, name: 'Sales Agent' }] },
+        s2: { id: 7, tags: ['a', 'b'] }
+    };
+
+    check('parses a reference with a path', () => {
+        assert.deepStrictEqual(parseReference('$s1.0.id'), { source: 's1', path: ['0', 'id'] });
+        assert.strictEqual(parseReference('model $s1'), null);
+        assert.strictEqual(parseReference(28), null);
+    });
+
+    check('resolves whole outputs, paths and { data } envelopes with their type', () => {
+        assert.strictEqual(resolveReferences('$s1.0.id', outputs), 28);
+        assert.strictEqual(resolveReferences('$s2.tags.1', outputs), 'b');
+        assert.deepStrictEqual(resolveReferences({ modelId: '$s1.1.id', note: 'kept' }, outputs), { modelId: 31, note: 'kept' });
+        assert.deepStrictEqual(resolveReferences('$s2', outputs), outputs.s2);
+    });
+
+    check('resolves $item inside a forEach step', () => {
+        const item = { id: 31, name: 'Sales Agent' };
+        assert.deepStrictEqual(resolveReferences({ modelId: '$item.id' }, outputs, item), { modelId: 31 });
+    });
+
+    check('throws when a reference points to nothing', () => {
+        assert.throws(() => resolveReferences('$s1.5.id', outputs), /did not resolve/);
+        assert.throws(() => resolveReferences('$s9', outputs), /did not resolve/);
+    });
+
+    check('unwraps nested list envelopes', () => {
+        assert.strictEqual(toItems(outputs.s1).length, 2);
+        assert.strictEqual(toItems({ data: { data: [1, 2, 3] } }).length, 3);
+        assert.deepStrictEqual(toItems({ id: 1 }), []);
+    });
+
+    check('collects the references of nested parameters', () => {
+        assert.deepStrictEqual(collectReferences({ a: '$s1.0.id', b: ['$item.id', 'text'] }), ['s1', 'item']);
+    });
+}
+
+function testPlanValidation() {
+    console.log('\n🧪 Testing action plan validation...');
+
+    const planner = new ActionPlannerService(new ApiService());
+    const listModels = { id: 's1', type: 'action', action: 'get_user_models', parameters: {} };
+
+    check('accepts references to earlier steps and $item in forEach', () => {
+        const errors = planner.validatePlan({
+            steps: [
+                listModels,
+                { id: 's2', type: 'action', action: 'get_model_evaluators', forEach: '$s1', parameters: { modelId: '$item.id' } }
+            ]
+        });
+        assert.deepStrictEqual(errors, []);
+    });
+
+    check('rejects a reference to a later step', () => {
+        const errors = planner.validatePlan({
+            steps: [
+                { id: 's1', type: 'action', action: 'get_model_evaluators', parameters: { modelId: '$s2.0.id' } },
+                { ...listModels, id: 's2' }
+            ]
+        });
+        assert.ok(errors.some(error => error.includes('$s2, which is not an earlier step')), errors.join('; '));
+    });
+
+    check('rejects unknown references, $item outside forEach and unknown actions', () => {
+        const errors = planner.validatePlan({
+            steps: [
+                listModels,
+                { id: 's2', type: 'action', action: 'get_model_evaluators', parameters: { modelId: '$s7.0.id' } },
+                { id: 's3', type: 'action', action: 'get_model_evaluators', parameters: { modelId: '$item.id' } },
+                { id: 's4', type: 'action', action: 'launch_rockets', parameters: {} }
+            ]
+        });
+        assert.ok(errors.some(error => error.includes('$s7')), errors.join('; '));
+        assert.ok(errors.some(error => error.includes('Step s3 references $item')), errors.join('; '));
+        assert.ok(errors.some(error => error.includes('unknown action "launch_rockets"')), errors.join('; '));
+    });
+}
+
+function testExperimentBucketing() {
+    console.log('\n🧪 Testing experiment bucketing...');
+
+    const experiment = {
+        id: 'test-experiment',
+        variants: [{ name: 'control', weight: 80 }, { name: 'candidate', weight: 20 }]
+    };
+
+    check('assigns a session to the same variant every time', () => {
+        for (let i = 0; i < 50; i++) {
+            assert.strictEqual(assignVariant(experiment, `session-${i}`), assignVariant(experiment, `session-${i}`));
+        }
+        assert.strictEqual(getBucket('a', 'session-1'), getBucket('a', 'session-1'));
+        assert.notStrictEqual(getBucket('a', 'session-1'), getBucket('b', 'session-1'));
+    });
+
+    check('splits traffic by relative weight', () => {
+        const sessions = 10000;
+        let candidate = 0;
+        for (let i = 0; i < sessions; i++) {
+            if (assignVariant(experiment, `session-${i}`).name === 'candidate') {
+                candidate++;
+            }
+        }
+        const share = candidate / sessions;
+        assert.ok(share > 0.18 && share < 0.22, `candidate share ${share}`);
+    });
+
+    check('maps buckets to variants at the weight boundaries', () => {
+        const scaled = [{ name: 'control', weight: 4 }, { name: 'candidate', weight: 1 }];
+        assert.strictEqual(pickVariant(experiment.variants, 0).name, 'control');
+        assert.strictEqual(pickVariant(experiment.variants, 0.7999).name, 'control');
+        assert.strictEqual(pickVariant(experiment.variants, 0.8).name, 'candidate');
+        assert.strictEqual(pickVariant(experiment.variants, 0.9999999).name, 'candidate');
+        assert.strictEqual(pickVariant(scaled, 0.79).name, 'control');
+        assert.strictEqual(pickVariant(scaled, 0.81).name, 'candidate');
+    });
+}
+
+function runTests() {
+    console.log('🚀 Starting action plan and bucketing tests...\n');
+
+    testReferenceResolution();
+    testPlanValidation();
+    testExperimentBucketing();
+
+    console.log(failures === 0 ? '\n✨ All tests passed!' : `\n❌ ${failures} check(s) failed`);
+    process.exitCode = failures === 0 ? 0 : 1;
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+    runTests();
+}
+
+module.exports = { testReferenceResolution, testPlanValidation, testExperimentBucketing };